@@ -49,7 +49,49 @@ const config = {
   // Segurança
   security: {
     jwtSecret: process.env.JWT_SECRET || 'meu-jwt-secret-super-seguro-para-desenvolvimento',
-    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+    accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+    passwordResetTtl: '1h',
+    emailVerificationTtl: '24h'
+  },
+
+  // Envio de emails: 'smtp' em produção, 'file' (console + arquivo) localmente
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file'),
+    from: process.env.MAIL_FROM || 'Stickly Notes <no-reply@sticklynotes.app>',
+    outputDir: process.env.MAIL_OUTPUT_DIR || null,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+
+  // Retenção de murais (padrões globais; cada mural pode sobrescrever política e prazo)
+  retention: {
+    defaultPolicy: process.env.RETENTION_DEFAULT_POLICY || 'delete', // delete | archive | never
+    defaultDays: parseInt(process.env.RETENTION_DEFAULT_DAYS) || 30,
+    maxDays: 365,
+    warningDays: parseInt(process.env.RETENTION_WARNING_DAYS) || 3,
+    trashDays: parseInt(process.env.RETENTION_TRASH_DAYS) || 7, // murais apagados podem ser restaurados neste prazo
+    orphanGraceMinutes: parseInt(process.env.RETENTION_ORPHAN_GRACE_MINUTES) || 0,
+    activeUserTimeoutMinutes: parseInt(process.env.ACTIVE_USER_TIMEOUT_MINUTES) || 15,
+    cleanupIntervalMinutes: parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 10
+  },
+
+  // Tempo real: intervalo mínimo entre eventos de cursor/arraste retransmitidos por socket
+  realtime: {
+    cursorThrottleMs: parseInt(process.env.CURSOR_THROTTLE_MS) || 50,
+    dragThrottleMs: parseInt(process.env.DRAG_THROTTLE_MS) || 50
+  },
+
+  // Idempotency-Key: por quanto tempo a resposta original é devolvida nas repetições
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    processingTimeoutSeconds: 60 // requisição interrompida libera a chave após esse tempo
   },
 
   // Rate limiting
@@ -62,13 +104,25 @@ const config = {
   limits: {
     panelNameMaxLength: 100,
     postContentMaxLength: 1000,
+    commentContentMaxLength: 500,
     usernameMaxLength: 50,
     passwordMaxLength: 100,
     panelCodeLength: 6,
     maxPostsPerPanel: 500,
     maxUsersPerFriendsPanel: 15,
     maxUsersPerCouplePanel: 2,
-    maxUsersPerFamilyPanel: 10
+    maxUsersPerFamilyPanel: 10,
+    inviteMaxExpiryHours: 720,
+    inviteMaxUses: 1000,
+    searchQueryMaxLength: 200,
+    searchMaxResults: 50,
+    labelNameMaxLength: 30,
+    maxLabelsPerPanel: 30
+  },
+
+  // Reações disponíveis nas notas (igual ao frontend)
+  reactions: {
+    emojis: ['👍', '❤️', '😂', '🎉', '😮', '👀']
   },
 
   // Tipos de painel
@@ -102,24 +156,24 @@ const config = {
     }
   },
 
-  // Verificar se cor é válida
+  // Verificar se cor é válida (os fundos incluem a paleta oferecida pelo frontend)
   isValidColor: (color, panelType, category) => {
     const friendsColors = {
       notes: ['#A8D8EA', '#AA96DA', '#FCBAD3', '#FFFFD2'],
       borders: ['#9EC6F3', '#BDDDE4', '#FFF1D5', '#FBFBFB'],
-      backgrounds: ['#9EC6F3', '#BDDDE4', '#FFF1D5', '#FBFBFB']
+      backgrounds: ['#9EC6F3', '#BDDDE4', '#FFF1D5', '#FBFBFB', '#F0F8FF', '#FFF8F0', '#F8F8FF']
     };
 
     const coupleColors = {
       notes: ['#F9F5F6', '#F8E8EE', '#FDCEDF', '#F2BED1'],
       borders: ['#FF9292', '#FFB4B4', '#FFDCDC', '#FFE8E8'],
-      backgrounds: ['#FF9292', '#FFB4B4', '#FFDCDC', '#FFE8E8']
+      backgrounds: ['#FF9292', '#FFB4B4', '#FFDCDC', '#FFE8E8', '#FFF0F5', '#FFEEF0', '#FFE4E8']
     };
 
     const familyColors = {
       notes: ['#E8F5E8', '#F0F8E8', '#E8F8F0', '#F8F8E8'],
       borders: ['#90EE90', '#98FB98', '#F0FFF0', '#F8FFF8'],
-      backgrounds: ['#90EE90', '#98FB98', '#F0FFF0', '#F8FFF8']
+      backgrounds: ['#90EE90', '#98FB98', '#F0FFF0', '#F8FFF8', '#F0F9E8', '#E8F5E8']
     };
 
     const colors = panelType === 'couple' ? coupleColors : 
@@ -105,6 +105,22 @@ async function initializeTables() {
       $$ LANGUAGE plpgsql;
     `);
 
+    // Notas e respostas: a troca apenas do nome do autor (propagação do perfil) não é uma edição,
+    // então não mexe em updated_at nem gera conflito com o base_updated_at de quem está editando
+    await client.query(`
+      CREATE OR REPLACE FUNCTION update_authored_updated_at_column()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.author_name IS DISTINCT FROM OLD.author_name
+           AND to_jsonb(NEW) - 'author_name' = to_jsonb(OLD) - 'author_name' THEN
+          RETURN NEW;
+        END IF;
+        NEW.updated_at = CURRENT_TIMESTAMP;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
     console.log('👥 Criando tabela users...');
     // Tabela de usuários
     await client.query(`
@@ -115,6 +131,7 @@ async function initializeTables() {
         email VARCHAR(255) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
         birth_date DATE NOT NULL,
+        email_verified_at TIMESTAMP WITH TIME ZONE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         
@@ -127,6 +144,41 @@ async function initializeTables() {
       );
     `);
 
+    // Bancos existentes: coluna de verificação de email
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    console.log('🎟️ Criando tabela auth_tokens...');
+    // Tokens de uso único (redefinição de senha e verificação de email)
+    // O id é o jti do JWT assinado enviado por email
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('🔑 Criando tabela user_sessions...');
+    // Sessões de login: refresh tokens (apenas o hash) por dispositivo
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+
     console.log('📋 Criando tabela panels...');
     // Tabela de painéis
     await client.query(`
@@ -143,11 +195,32 @@ async function initializeTables() {
         max_users INTEGER DEFAULT 15 CHECK (max_users > 0 AND max_users <= 50),
         post_count INTEGER DEFAULT 0 CHECK (post_count >= 0),
         active_users INTEGER DEFAULT 0 CHECK (active_users >= 0),
+        retention_policy VARCHAR(10) CHECK (retention_policy IN ('delete', 'archive', 'never')),
+        retention_days INTEGER CHECK (retention_days > 0 AND retention_days <= 365),
+        retention_warned_at TIMESTAMP WITH TIME ZONE,
+        archived_at TIMESTAMP WITH TIME ZONE,
+        deleted_at TIMESTAMP WITH TIME ZONE,
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         last_activity TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
     `);
 
+    // Bancos existentes: colunas de retenção (NULL = padrão global de config.retention)
+    await client.query(`
+      ALTER TABLE panels
+        ADD COLUMN IF NOT EXISTS retention_policy VARCHAR(10)
+          CHECK (retention_policy IN ('delete', 'archive', 'never')),
+        ADD COLUMN IF NOT EXISTS retention_days INTEGER
+          CHECK (retention_days > 0 AND retention_days <= 365),
+        ADD COLUMN IF NOT EXISTS retention_warned_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // Bancos existentes: lixeira (murais com deleted_at são removidos de vez após config.retention.trashDays)
+    await client.query(`
+      ALTER TABLE panels ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+    `);
+
     console.log('📝 Criando tabela posts...');
     // Tabela de posts
     await client.query(`
@@ -191,6 +264,7 @@ async function initializeTables() {
         user_id VARCHAR(50) NOT NULL,
         username VARCHAR(50) NOT NULL,
         user_uuid UUID REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'moderator', 'member', 'viewer')),
         joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         last_access TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         
@@ -198,6 +272,176 @@ async function initializeTables() {
       );
     `);
 
+    // Notas criadas antes de unread_since nunca contam como não lidas para o participante
+    // (bancos existentes: parte do último acesso, que era a regra anterior)
+    await client.query(`
+      ALTER TABLE panel_participants ADD COLUMN IF NOT EXISTS unread_since TIMESTAMP WITH TIME ZONE;
+      UPDATE panel_participants SET unread_since = COALESCE(last_access, joined_at) WHERE unread_since IS NULL;
+      ALTER TABLE panel_participants ALTER COLUMN unread_since SET DEFAULT CURRENT_TIMESTAMP;
+    `);
+
+    // Bancos existentes: adicionar coluna de papel e promover criadores a owner
+    await client.query(`
+      ALTER TABLE panel_participants
+        ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'moderator', 'member', 'viewer'));
+    `);
+
+    await client.query(`
+      UPDATE panel_participants pp
+      SET role = 'owner'
+      FROM panels p
+      WHERE p.id = pp.panel_id
+        AND p.creator_user_id = pp.user_uuid
+        AND NOT EXISTS (
+          SELECT 1 FROM panel_participants o
+          WHERE o.panel_id = pp.panel_id AND o.role = 'owner'
+        );
+    `);
+
+    console.log('🕘 Criando tabela post_revisions...');
+    // Histórico de posts: cada linha guarda o estado do post ANTES de uma alteração
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS post_revisions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        panel_id VARCHAR(6) REFERENCES panels(id) ON DELETE CASCADE,
+        content TEXT NOT NULL,
+        color VARCHAR(7),
+        position_x INTEGER,
+        position_y INTEGER,
+        change_type VARCHAR(10) NOT NULL CHECK (change_type IN ('edit', 'move', 'restore')),
+        changed_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('🚫 Criando tabela panel_bans...');
+    // Contas banidas de um painel (impedidas de reentrar por código ou link)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS panel_bans (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        panel_id VARCHAR(6) REFERENCES panels(id) ON DELETE CASCADE,
+        user_uuid UUID REFERENCES users(id) ON DELETE CASCADE,
+        username VARCHAR(50) NOT NULL,
+        reason VARCHAR(200),
+        banned_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        
+        CONSTRAINT unique_ban_per_panel UNIQUE(panel_id, user_uuid)
+      );
+    `);
+
+    console.log('✉️ Criando tabela panel_invites...');
+    // Convites por token (revogáveis, com validade e limite de usos opcionais)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS panel_invites (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        panel_id VARCHAR(6) REFERENCES panels(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+        use_count INTEGER DEFAULT 0 CHECK (use_count >= 0),
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('👀 Criando tabela post_views...');
+    // Notas já vistas por cada usuário (marcadas quando aparecem na tela)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS post_views (
+        post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (post_id, user_id)
+      );
+    `);
+
+    console.log('😀 Criando tabela post_reactions...');
+    // Reações das notas: cada usuário pode usar cada emoji uma vez por nota
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS post_reactions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        emoji VARCHAR(16) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+        CONSTRAINT unique_reaction_per_user UNIQUE(post_id, user_id, emoji)
+      );
+    `);
+
+    console.log('💬 Criando tabela post_comments...');
+    // Respostas (comentários) das notas; author_name nulo = anônimo, como nos posts
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS post_comments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        author_name VARCHAR(101),
+        author_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        content TEXT NOT NULL CHECK (length(trim(content)) > 0 AND length(content) <= 500),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('🔔 Criando tabela notifications...');
+    // Notificações de cada usuário (por enquanto, menções em notas e respostas)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('mention')),
+        panel_id VARCHAR(6) REFERENCES panels(id) ON DELETE CASCADE,
+        post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+        comment_id UUID REFERENCES post_comments(id) ON DELETE CASCADE,
+        actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        actor_name VARCHAR(101),
+        excerpt TEXT,
+        read_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('🏷️ Criando tabelas panel_labels e post_labels...');
+    // Etiquetas de cada mural (ex.: "bom", "ruim", "ações" numa retrospectiva) e as notas marcadas
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS panel_labels (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        panel_id VARCHAR(6) NOT NULL REFERENCES panels(id) ON DELETE CASCADE,
+        name VARCHAR(30) NOT NULL CHECK (length(trim(name)) > 0),
+        color VARCHAR(7) NOT NULL DEFAULT '#94A3B8' CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+        created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS post_labels (
+        post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        label_id UUID NOT NULL REFERENCES panel_labels(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (post_id, label_id)
+      );
+    `);
+
+    console.log('🔁 Criando tabela idempotency_keys...');
+    // Respostas de requisições com Idempotency-Key (usada quando o Redis não está disponível)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key VARCHAR(300) PRIMARY KEY,
+        fingerprint VARCHAR(64) NOT NULL,
+        status_code INTEGER,
+        content_type VARCHAR(100),
+        response_body TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+      );
+    `);
+
     console.log('⚙️ Criando triggers...');
     // Triggers para updated_at
     await client.query(`
@@ -211,6 +455,20 @@ async function initializeTables() {
       DROP TRIGGER IF EXISTS trigger_update_posts_updated_at ON posts;
       CREATE TRIGGER trigger_update_posts_updated_at
         BEFORE UPDATE ON posts
+        FOR EACH ROW EXECUTE FUNCTION update_authored_updated_at_column();
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS trigger_update_post_comments_updated_at ON post_comments;
+      CREATE TRIGGER trigger_update_post_comments_updated_at
+        BEFORE UPDATE ON post_comments
+        FOR EACH ROW EXECUTE FUNCTION update_authored_updated_at_column();
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS trigger_update_panel_labels_updated_at ON panel_labels;
+      CREATE TRIGGER trigger_update_panel_labels_updated_at
+        BEFORE UPDATE ON panel_labels
         FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
     `);
 
@@ -219,11 +477,28 @@ async function initializeTables() {
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
       CREATE INDEX IF NOT EXISTS idx_panels_creator_user_id ON panels(creator_user_id);
+      CREATE INDEX IF NOT EXISTS idx_panels_last_activity ON panels(last_activity);
+      CREATE INDEX IF NOT EXISTS idx_panels_deleted_at ON panels(deleted_at) WHERE deleted_at IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_posts_panel_id ON posts(panel_id);
       CREATE INDEX IF NOT EXISTS idx_posts_author_user_id ON posts(author_user_id);
+      CREATE INDEX IF NOT EXISTS idx_posts_panel_created_at ON posts(panel_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_post_views_user_id ON post_views(user_id);
+      CREATE INDEX IF NOT EXISTS idx_posts_content_fts_portuguese ON posts USING GIN (to_tsvector('portuguese', content));
+      CREATE INDEX IF NOT EXISTS idx_posts_content_fts_simple ON posts USING GIN (to_tsvector('simple', content));
       CREATE INDEX IF NOT EXISTS idx_active_users_panel_id ON active_users(panel_id);
       CREATE INDEX IF NOT EXISTS idx_active_users_user_uuid ON active_users(user_uuid);
       CREATE INDEX IF NOT EXISTS idx_panel_participants_user_uuid ON panel_participants(user_uuid);
+      CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_post_reactions_user_id ON post_reactions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_post_comments_post_id ON post_comments(post_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_panel_labels_panel_name ON panel_labels(panel_id, lower(name));
+      CREATE INDEX IF NOT EXISTS idx_post_labels_label_id ON post_labels(label_id);
+      CREATE INDEX IF NOT EXISTS idx_panel_invites_panel_id ON panel_invites(panel_id);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id, purpose);
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
     `);
 
     await client.query('COMMIT');
@@ -1,10 +1,16 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { db } = require('../config/database');
+const { body, param, validationResult } = require('express-validator');
+const { db, cache } = require('../config/database');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { generateSecureToken, createDataHash, accountEmailLimiter } = require('../utils/security');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../services/mailer');
+const { leavePanel } = require('../services/panelMembership');
+const { getRetentionInfo } = require('../services/cleanupService');
+const { getReactionSummaries } = require('../services/postReactions');
 
 const router = express.Router();
 
@@ -23,8 +29,22 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Verifica se a sessão de login do token continua ativa (não revogada nem expirada)
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const sessionResult = await db.query(
+    'SELECT id FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+    [sessionId]
+  );
+  return sessionResult.rows.length > 0;
+}
+
 /**
  * Middleware para verificar JWT
+ * O token precisa pertencer a uma sessão ativa (não revogada nem expirada)
  */
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -36,16 +56,219 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Token de acesso requerido' });
   }
 
-  jwt.verify(token, config.security.jwtSecret, (err, user) => {
+  jwt.verify(token, config.security.jwtSecret, async (err, user) => {
     if (err) {
       console.log('❌ JWT verification failed:', err.message);
-      return res.status(403).json({ error: 'Token inválido' });
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expirado', code: 'TOKEN_EXPIRED' });
+      }
+      return res.status(403).json({ error: 'Token inválido', code: 'TOKEN_INVALID' });
+    }
+
+    try {
+      if (!(await isSessionActive(user.sessionId))) {
+        return res.status(401).json({ error: 'Sessão encerrada', code: 'SESSION_REVOKED' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('❌ Erro ao verificar sessão:', error);
+      res.status(500).json({ error: 'Erro interno do servidor' });
     }
-    req.user = user;
-    next();
   });
 };
 
+/**
+ * Middleware do Socket.IO: mesmo token e mesma sessão exigidos pela API,
+ * enviados no handshake (auth.token). A identidade do socket vem sempre do token.
+ * Erros chegam ao cliente em connect_error, com o código em err.data.code
+ */
+const authenticateSocket = async (socket, next) => {
+  const rejectConnection = (message, code) => {
+    const error = new Error(message);
+    error.data = { code };
+    next(error);
+  };
+
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    return rejectConnection('Token de acesso requerido', 'TOKEN_MISSING');
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, config.security.jwtSecret);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return rejectConnection('Token expirado', 'TOKEN_EXPIRED');
+    }
+    return rejectConnection('Token inválido', 'TOKEN_INVALID');
+  }
+
+  try {
+    if (!(await isSessionActive(user.sessionId))) {
+      return rejectConnection('Sessão encerrada', 'SESSION_REVOKED');
+    }
+
+    socket.data.userId = user.userId;
+    socket.data.sessionId = user.sessionId;
+    next();
+  } catch (error) {
+    logger.error('Erro ao autenticar socket:', error);
+    rejectConnection('Erro interno do servidor', 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Desconecta os sockets abertos com sessões que acabaram de ser encerradas
+ * @param {Function} matches - Recebe socket.data e retorna true para desconectar
+ */
+async function disconnectSessionSockets(io, matches) {
+  if (!io) return;
+
+  try {
+    const sockets = await io.fetchSockets();
+    sockets
+      .filter((socket) => matches(socket.data))
+      .forEach((socket) => socket.disconnect(true));
+  } catch (error) {
+    logger.error('Erro ao desconectar sockets da sessão:', error);
+  }
+}
+
+/**
+ * Gera o token de acesso (curta duração) vinculado a uma sessão
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      name: `${user.first_name} ${user.last_name}`,
+      sessionId
+    },
+    config.security.jwtSecret,
+    {
+      expiresIn: config.security.accessTokenExpiresIn,
+      issuer: 'stickly-notes',
+      audience: 'stickly-users'
+    }
+  );
+}
+
+/**
+ * Cria uma sessão de login e retorna o par de tokens
+ * Apenas o hash do refresh token é armazenado
+ */
+async function createSession(user, req) {
+  const refreshToken = generateSecureToken();
+
+  const result = await db.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5::INTEGER * INTERVAL '1 day'))
+    RETURNING id
+  `, [
+    user.id,
+    createDataHash(refreshToken),
+    (req.get('user-agent') || '').slice(0, 255) || null,
+    req.ip || null,
+    config.security.refreshTokenDays
+  ]);
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken
+  };
+}
+
+/**
+ * Emite um token assinado de uso único (redefinição de senha ou verificação de email)
+ * O jti é registrado em auth_tokens para que o token só possa ser consumido uma vez
+ */
+async function issueAuthToken(userId, purpose, expiresIn, client = db) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId, purpose },
+    config.security.jwtSecret,
+    {
+      expiresIn,
+      jwtid: jti,
+      issuer: 'stickly-notes',
+      audience: `stickly-${purpose}`
+    }
+  );
+
+  const { exp } = jwt.decode(token);
+  await client.query(
+    'INSERT INTO auth_tokens (id, user_id, purpose, expires_at) VALUES ($1, $2, $3, to_timestamp($4))',
+    [jti, userId, purpose, exp]
+  );
+
+  return token;
+}
+
+/**
+ * Consome um token de uso único
+ * @returns {Promise<string|null>} ID do usuário ou null se inválido/já usado
+ */
+async function consumeAuthToken(token, purpose, client = db) {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.security.jwtSecret, {
+      issuer: 'stickly-notes',
+      audience: `stickly-${purpose}`
+    });
+  } catch (err) {
+    return null;
+  }
+
+  const result = await client.query(`
+    UPDATE auth_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2 AND purpose = $3
+      AND used_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [payload.jti, payload.userId, purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Envia email de verificação sem interromper o fluxo em caso de falha
+ */
+async function sendVerificationSafely(user) {
+  try {
+    const token = await issueAuthToken(user.id, 'email_verification', config.security.emailVerificationTtl);
+    await sendEmailVerificationEmail(user, token);
+  } catch (error) {
+    console.error('❌ Erro ao enviar email de verificação:', error);
+  }
+}
+
+/**
+ * Gera o link de redefinição de senha e envia por email; erros são apenas registrados
+ */
+async function sendPasswordResetSafely(user, ip) {
+  try {
+    // Apenas o link mais recente continua válido
+    await db.query(`
+      UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND purpose = 'password_reset' AND used_at IS NULL
+    `, [user.id]);
+
+    const token = await issueAuthToken(user.id, 'password_reset', config.security.passwordResetTtl);
+    await sendPasswordResetEmail(user, token);
+
+    logger.security('Redefinição de senha solicitada', { userId: user.id, ip });
+  } catch (error) {
+    console.error('❌ Erro ao enviar email de redefinição:', error);
+  }
+}
+
 /**
  * POST /api/auth/register
  * Registra um novo usuário
@@ -139,23 +362,12 @@ router.post('/register',
       const user = result.rows[0];
       console.log('✅ Usuário criado:', { id: user.id, email: user.email });
 
-      // Gerar JWT
-      console.log('🎫 Gerando token JWT...');
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: `${user.first_name} ${user.last_name}`
-      };
+      // Enviar email de verificação
+      await sendVerificationSafely(user);
 
-      const token = jwt.sign(
-        tokenPayload,
-        config.security.jwtSecret,
-        { 
-          expiresIn: '7d',
-          issuer: 'stickly-notes',
-          audience: 'stickly-users'
-        }
-      );
+      // Criar sessão e gerar tokens
+      console.log('🎫 Gerando tokens de sessão...');
+      const { token, refreshToken } = await createSession(user, req);
 
       // Log de sucesso
       console.log('🎉 Registro concluído com sucesso:', {
@@ -167,12 +379,14 @@ router.post('/register',
       // Resposta
       res.status(201).json({
         token,
+        refreshToken,
         user: {
           id: user.id,
           firstName: user.first_name,
           lastName: user.last_name,
           email: user.email,
           birthDate: user.birth_date,
+          emailVerified: false,
           createdAt: user.created_at
         }
       });
@@ -237,7 +451,7 @@ router.post('/login',
       // Buscar usuário
       console.log('🔍 Buscando usuário no banco...');
       const result = await db.query(
-        'SELECT id, first_name, last_name, email, password_hash, created_at FROM users WHERE email = $1',
+        'SELECT id, first_name, last_name, email, password_hash, email_verified_at, created_at FROM users WHERE email = $1',
         [email.toLowerCase()]
       );
 
@@ -263,23 +477,9 @@ router.post('/login',
 
       console.log('✅ Senha válida');
 
-      // Gerar JWT
-      console.log('🎫 Gerando token JWT...');
-      const tokenPayload = { 
-        userId: user.id,
-        email: user.email,
-        name: `${user.first_name} ${user.last_name}`
-      };
-
-      const token = jwt.sign(
-        tokenPayload,
-        config.security.jwtSecret,
-        { 
-          expiresIn: '7d',
-          issuer: 'stickly-notes',
-          audience: 'stickly-users'
-        }
-      );
+      // Criar sessão e gerar tokens
+      console.log('🎫 Gerando tokens de sessão...');
+      const { token, refreshToken } = await createSession(user, req);
 
       console.log('✅ Token gerado com sucesso');
       console.log('✅ Login realizado:', { 
@@ -289,11 +489,13 @@ router.post('/login',
 
       res.json({
         token,
+        refreshToken,
         user: {
           id: user.id,
           firstName: user.first_name,
           lastName: user.last_name,
           email: user.email,
+          emailVerified: !!user.email_verified_at,
           createdAt: user.created_at
         }
       });
@@ -317,7 +519,7 @@ router.post('/login',
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     const result = await db.query(
-      'SELECT id, first_name, last_name, email, birth_date, created_at FROM users WHERE id = $1',
+      'SELECT id, first_name, last_name, email, birth_date, email_verified_at, created_at FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -335,6 +537,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       lastName: user.last_name,
       email: user.email,
       birthDate: user.birth_date,
+      emailVerified: !!user.email_verified_at,
       createdAt: user.created_at
     });
 
@@ -346,16 +549,511 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Propaga o novo nome do usuário para participantes, usuários ativos, notas e respostas não anônimas
+ * O trigger de updated_at ignora a troca de author_name, para não gerar conflitos de edição
+ * @returns {Promise<string[]>} IDs dos painéis afetados
+ */
+async function propagateUserName(client, userId, userName) {
+  const panelIds = new Set();
+  // username e posts.author_name são VARCHAR(50); nas respostas cabe o nome completo
+  const shortName = userName.slice(0, config.limits.usernameMaxLength);
+
+  const participants = await client.query(
+    'UPDATE panel_participants SET username = $1 WHERE user_uuid = $2 RETURNING panel_id',
+    [shortName, userId]
+  );
+  participants.rows.forEach(row => panelIds.add(row.panel_id));
+
+  await client.query(
+    'UPDATE active_users SET username = $1 WHERE user_uuid = $2',
+    [shortName, userId]
+  );
+
+  const posts = await client.query(`
+    UPDATE posts SET author_name = $1
+    WHERE author_user_id = $2 AND author_name IS NOT NULL
+    RETURNING panel_id
+  `, [shortName, userId]);
+  posts.rows.forEach(row => panelIds.add(row.panel_id));
+
+  const comments = await client.query(`
+    UPDATE post_comments c SET author_name = $1
+    FROM posts p
+    WHERE p.id = c.post_id AND c.author_user_id = $2 AND c.author_name IS NOT NULL
+    RETURNING p.panel_id
+  `, [userName, userId]);
+  comments.rows.forEach(row => panelIds.add(row.panel_id));
+
+  return [...panelIds];
+}
+
+/**
+ * PATCH /api/auth/me
+ * Atualiza nome, sobrenome e/ou email do usuário atual
+ * Trocar o email exige a senha atual e uma nova verificação
+ */
+router.patch('/me', authenticateToken,
+  [
+    body('firstName')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Nome deve ter entre 2 e 50 caracteres')
+      .matches(/^[a-zA-ZÀ-ÿ\u00f1\u00d1\s]+$/)
+      .withMessage('Nome deve conter apenas letras e espaços'),
+    body('lastName')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Sobrenome deve ter entre 2 e 50 caracteres')
+      .matches(/^[a-zA-ZÀ-ÿ\u00f1\u00d1\s]+$/)
+      .withMessage('Sobrenome deve conter apenas letras e espaços'),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Email inválido')
+      .normalizeEmail()
+      .isLength({ max: 255 })
+      .withMessage('Email muito longo'),
+    body('currentPassword')
+      .optional()
+      .isString()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { firstName, lastName, email, currentPassword } = req.body;
+
+      if (firstName === undefined && lastName === undefined && email === undefined) {
+        return res.status(400).json({
+          error: 'Nenhuma alteração informada'
+        });
+      }
+
+      const currentResult = await db.query(
+        'SELECT id, first_name, last_name, email, password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      const current = currentResult.rows[0];
+      const newEmail = email !== undefined ? email.toLowerCase() : current.email;
+      const emailChanged = newEmail !== current.email;
+
+      if (emailChanged) {
+        const isValidPassword = currentPassword
+          ? await bcrypt.compare(currentPassword, current.password_hash)
+          : false;
+
+        if (!isValidPassword) {
+          return res.status(401).json({
+            error: 'Senha atual incorreta'
+          });
+        }
+
+        const existingUser = await db.query(
+          'SELECT id FROM users WHERE email = $1 AND id <> $2',
+          [newEmail, userId]
+        );
+
+        if (existingUser.rows.length > 0) {
+          return res.status(400).json({
+            error: 'Este email já está em uso'
+          });
+        }
+      }
+
+      const newFirstName = firstName !== undefined ? firstName : current.first_name;
+      const newLastName = lastName !== undefined ? lastName : current.last_name;
+      const nameChanged = newFirstName !== current.first_name || newLastName !== current.last_name;
+
+      const { user, affectedPanels } = await db.transaction(async (client) => {
+        const result = await client.query(`
+          UPDATE users
+          SET first_name = $1,
+              last_name = $2,
+              email = $3,
+              email_verified_at = CASE WHEN $4::BOOLEAN THEN NULL ELSE email_verified_at END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $5
+          RETURNING id, first_name, last_name, email, birth_date, email_verified_at, created_at
+        `, [newFirstName, newLastName, newEmail, emailChanged, userId]);
+
+        const panels = nameChanged
+          ? await propagateUserName(client, userId, `${newFirstName} ${newLastName}`)
+          : [];
+
+        return { user: result.rows[0], affectedPanels: panels };
+      });
+
+      for (const panelId of affectedPanels) {
+        await cache.invalidate(`posts:${panelId}`);
+      }
+
+      if (emailChanged) {
+        logger.security('Email da conta alterado', { userId, ip: req.ip });
+        await sendVerificationSafely(user);
+      }
+
+      console.log('✅ Perfil atualizado:', { userId, nameChanged, emailChanged, panels: affectedPanels.length });
+
+      res.json({
+        // Novo token de acesso com nome e email atualizados, na mesma sessão
+        token: signAccessToken(user, req.user.sessionId),
+        user: {
+          id: user.id,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          email: user.email,
+          birthDate: user.birth_date,
+          emailVerified: !!user.email_verified_at,
+          createdAt: user.created_at
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao atualizar perfil:', error);
+
+      if (error.code === '23505') { // unique_violation
+        return res.status(400).json({
+          error: 'Este email já está em uso'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/change-password
+ * Altera a senha (exige a senha atual) e encerra as demais sessões
+ */
+router.post('/change-password', authenticateToken,
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Senha atual é obrigatória'),
+    body('newPassword')
+      .isLength({ min: 6, max: 100 })
+      .withMessage('Senha deve ter entre 6 e 100 caracteres')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { currentPassword, newPassword } = req.body;
+
+      const result = await db.query(
+        'SELECT password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash);
+      if (!isValidPassword) {
+        return res.status(401).json({
+          error: 'Senha atual incorreta'
+        });
+      }
+
+      const saltRounds = config.security.bcryptRounds || 12;
+      const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+      await db.transaction(async (client) => {
+        await client.query(
+          'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [passwordHash, userId]
+        );
+
+        await client.query(`
+          UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+          WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL
+        `, [userId, req.user.sessionId]);
+      });
+
+      await disconnectSessionSockets(req.app.get('io'), (data) =>
+        data.userId === userId && data.sessionId !== req.user.sessionId
+      );
+
+      logger.security('Senha alterada', { userId, ip: req.ip });
+
+      res.json({ message: 'Senha alterada com sucesso. As outras sessões foram encerradas.' });
+
+    } catch (error) {
+      console.error('❌ Erro ao alterar senha:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/me/export
+ * Exporta os dados pessoais do usuário (perfil, participações, notas, respostas e reações) em JSON
+ */
+router.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const userResult = await db.query(
+      'SELECT id, first_name, last_name, email, birth_date, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    const [memberships, posts, comments, reactions, sessions, bans] = await Promise.all([
+      db.query(`
+        SELECT pp.panel_id, p.name AS panel_name, p.type AS panel_type,
+               pp.username, pp.role, pp.joined_at, pp.last_access
+        FROM panel_participants pp
+        JOIN panels p ON p.id = pp.panel_id
+        WHERE pp.user_uuid = $1
+        ORDER BY pp.joined_at
+      `, [userId]),
+      db.query(`
+        SELECT id, panel_id, content, color, position_x, position_y,
+               author_name IS NULL AS anonymous, created_at, updated_at
+        FROM posts
+        WHERE author_user_id = $1
+        ORDER BY created_at
+      `, [userId]),
+      db.query(`
+        SELECT c.id, c.post_id, p.panel_id, c.content,
+               c.author_name IS NULL AS anonymous, c.created_at, c.updated_at
+        FROM post_comments c
+        JOIN posts p ON p.id = c.post_id
+        WHERE c.author_user_id = $1
+        ORDER BY c.created_at
+      `, [userId]),
+      db.query(`
+        SELECT r.post_id, p.panel_id, r.emoji, r.created_at
+        FROM post_reactions r
+        JOIN posts p ON p.id = r.post_id
+        WHERE r.user_id = $1
+        ORDER BY r.created_at
+      `, [userId]),
+      db.query(`
+        SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+        FROM user_sessions
+        WHERE user_id = $1
+        ORDER BY created_at
+      `, [userId]),
+      db.query(
+        'SELECT panel_id, reason, created_at FROM panel_bans WHERE user_uuid = $1 ORDER BY created_at',
+        [userId]
+      )
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user.id,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        email: user.email,
+        birthDate: user.birth_date,
+        emailVerifiedAt: user.email_verified_at,
+        createdAt: user.created_at,
+        updatedAt: user.updated_at
+      },
+      memberships: memberships.rows,
+      posts: posts.rows,
+      comments: comments.rows,
+      reactions: reactions.rows,
+      sessions: sessions.rows,
+      bans: bans.rows
+    };
+
+    logger.security('Exportação de dados pessoais', { userId, ip: req.ip });
+
+    const fileDate = archive.exportedAt.split('T')[0];
+    res.setHeader('Content-Disposition', `attachment; filename="stickly-notes-dados-${fileDate}.json"`);
+    res.json(archive);
+
+  } catch (error) {
+    console.error('❌ Erro ao exportar dados:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Exclui a conta: anonimiza as notas e respostas, remove as reações, sai de todos os murais
+ * (aplicando a regra de murais órfãos) e remove o usuário
+ */
+router.delete('/me', authenticateToken,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Senha é obrigatória')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+
+      const userResult = await db.query(
+        'SELECT password_hash FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Usuário não encontrado'
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(req.body.password, userResult.rows[0].password_hash);
+      if (!isValidPassword) {
+        return res.status(401).json({
+          error: 'Senha incorreta'
+        });
+      }
+
+      console.log(`🗑️ Excluindo conta do usuário ${userId}`);
+
+      const { leftPanels, anonymizedPosts, reactedPosts } = await db.transaction(async (client) => {
+        // 1. Anonimizar notas e respostas (permanecem nos murais sem vínculo com a conta)
+        const postsResult = await client.query(`
+          UPDATE posts
+          SET author_name = NULL, author_id = 'deleted_user', author_user_id = NULL
+          WHERE author_user_id = $1
+          RETURNING panel_id
+        `, [userId]);
+
+        await client.query(
+          'UPDATE post_comments SET author_name = NULL, author_user_id = NULL WHERE author_user_id = $1',
+          [userId]
+        );
+
+        // As reações identificam quem reagiu (user_ids), então são removidas
+        const reactionsResult = await client.query(`
+          DELETE FROM post_reactions r
+          USING posts p
+          WHERE p.id = r.post_id AND r.user_id = $1
+          RETURNING r.post_id, p.panel_id
+        `, [userId]);
+
+        await client.query(`
+          UPDATE panels
+          SET creator = 'Conta excluída', creator_id = 'deleted_user'
+          WHERE creator_user_id = $1
+        `, [userId]);
+
+        // 2. Sair de todos os murais (REGRA 1 e REGRA 2)
+        const memberships = await client.query(
+          'SELECT panel_id FROM panel_participants WHERE user_uuid = $1',
+          [userId]
+        );
+
+        const left = [];
+        for (const { panel_id: panelId } of memberships.rows) {
+          const result = await leavePanel(client, panelId, userId);
+          if (result) {
+            left.push({ panelId, ...result });
+          }
+        }
+
+        // 3. Remover a conta (sessões, tokens e banimentos em cascata)
+        await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+        return {
+          leftPanels: left,
+          anonymizedPosts: [...new Set(postsResult.rows.map(row => row.panel_id))],
+          reactedPosts: [...new Map(reactionsResult.rows.map(row => [row.post_id, row.panel_id]))]
+        };
+      });
+
+      const io = req.app.get('io');
+      for (const { panelId, panelDeleted, newOwner } of leftPanels) {
+        if (panelDeleted) {
+          await cache.invalidate(`panel:${panelId}`);
+        } else if (io) {
+          io.to(`panel:${panelId}`).emit('participant-removed', {
+            panel_id: panelId,
+            user_uuid: userId,
+            banned: false
+          });
+          if (newOwner) {
+            io.to(`panel:${panelId}`).emit('participant-role-updated', {
+              panel_id: panelId,
+              user_uuid: newOwner.user_uuid,
+              role: newOwner.role
+            });
+          }
+        }
+      }
+
+      // Reações atualizadas nos murais que continuam ativos
+      const summaries = await getReactionSummaries(reactedPosts.map(([postId]) => postId));
+      if (io) {
+        for (const [postId, panelId] of reactedPosts) {
+          io.to(`panel:${panelId}`).emit('post-reaction', { post_id: postId, reactions: summaries[postId] || [] });
+        }
+      }
+
+      const touchedPanels = new Set([
+        ...anonymizedPosts,
+        ...reactedPosts.map(([, panelId]) => panelId),
+        ...leftPanels.map(panel => panel.panelId)
+      ]);
+      for (const panelId of touchedPanels) {
+        await cache.invalidate(`posts:${panelId}`);
+      }
+
+      await disconnectSessionSockets(io, (data) => data.userId === userId);
+
+      logger.security('Conta excluída', { userId, ip: req.ip, panelsLeft: leftPanels.length });
+
+      res.status(204).send();
+
+    } catch (error) {
+      console.error('❌ Erro ao excluir conta:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/auth/my-panels
  * ✅ CORRIGIDO: Busca painéis que o usuário participa com correção automática
+ * ?include=archived inclui os murais arquivados e os que estão na lixeira
  */
 
 router.get('/my-panels', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
+    const includeArchived = req.query.include === 'archived';
     console.log('🔍 Buscando painéis para usuário:', {
       userId,
+      includeArchived,
       userEmail: req.user.email,
       userName: req.user.name
     });
@@ -369,7 +1067,12 @@ router.get('/my-panels', authenticateToken, async (req, res) => {
         p.background_color,
         p.created_at,
         p.last_activity,
+        p.retention_policy,
+        p.retention_days,
+        p.archived_at,
+        p.deleted_at,
         COALESCE(pp.last_access, pp.joined_at) as last_access,
+        pp.role as my_role,
         COALESCE(post_counts.post_count, 0)::INTEGER as post_count,
         COALESCE(active_counts.active_users, 0)::INTEGER as active_users,
         COALESCE(unread_counts.unread_count, 0)::INTEGER as unread_count,
@@ -390,17 +1093,20 @@ router.get('/my-panels', authenticateToken, async (req, res) => {
         GROUP BY panel_id
       ) active_counts ON p.id = active_counts.panel_id
       LEFT JOIN (
+        -- Notas de outras pessoas que o usuário ainda não viu na tela
         SELECT 
-          panel_id, 
+          posts.panel_id, 
           COUNT(*)::INTEGER as unread_count
         FROM posts 
-        WHERE created_at > (
-          SELECT COALESCE(pp2.last_access, pp2.joined_at)
-          FROM panel_participants pp2 
-          WHERE pp2.panel_id = posts.panel_id AND pp2.user_uuid = $1
-        )
-        AND author_user_id != $1
-        GROUP BY panel_id
+        INNER JOIN panel_participants pp2
+          ON pp2.panel_id = posts.panel_id AND pp2.user_uuid = $1
+        WHERE posts.created_at > COALESCE(pp2.unread_since, pp2.joined_at)
+          AND posts.author_user_id IS DISTINCT FROM $1
+          AND NOT EXISTS (
+            SELECT 1 FROM post_views v
+            WHERE v.post_id = posts.id AND v.user_id = $1
+          )
+        GROUP BY posts.panel_id
       ) unread_counts ON p.id = unread_counts.panel_id
       LEFT JOIN (
         SELECT DISTINCT ON (panel_id)
@@ -412,11 +1118,12 @@ router.get('/my-panels', authenticateToken, async (req, res) => {
         ORDER BY panel_id, created_at DESC
       ) latest_posts ON p.id = latest_posts.panel_id
       WHERE pp.user_uuid = $1
+        AND ($2::BOOLEAN OR (p.archived_at IS NULL AND p.deleted_at IS NULL))
       ORDER BY 
         COALESCE(unread_counts.unread_count, 0) DESC,
         COALESCE(pp.last_access, pp.joined_at) DESC,
         p.created_at DESC
-    `, [userId]);
+    `, [userId, includeArchived]);
 
     console.log('📊 Painéis encontrados:', {
       total: result.rows.length,
@@ -437,7 +1144,17 @@ router.get('/my-panels', authenticateToken, async (req, res) => {
       })));
     }
 
-    res.json(result.rows);
+    res.json(result.rows.map((panel) => {
+      const retention = getRetentionInfo(panel);
+      return {
+        ...panel,
+        retention_policy: retention.policy,
+        retention_days: retention.days,
+        purge_at: retention.purgeAt,
+        retention_warning: retention.warning,
+        restorable_until: retention.restorableUntil
+      };
+    }));
 
   } catch (error) {
     console.error('❌ Erro detalhado ao buscar painéis:', {
@@ -456,17 +1173,342 @@ router.get('/my-panels', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Envia link de redefinição de senha (resposta igual exista ou não o email)
+ */
+router.post('/forgot-password', accountEmailLimiter,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Email inválido')
+      .normalizeEmail()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        'SELECT id, first_name, email FROM users WHERE email = $1',
+        [req.body.email.toLowerCase()]
+      );
+
+      // Sem await: a resposta sai no mesmo tempo para emails cadastrados ou não
+      if (result.rows.length > 0) {
+        sendPasswordResetSafely(result.rows[0], req.ip);
+      }
+
+      res.json({
+        message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.'
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao solicitar redefinição de senha:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Define nova senha com um token de redefinição e encerra todas as sessões
+ */
+router.post('/reset-password',
+  [
+    body('token')
+      .isJWT()
+      .withMessage('Link inválido ou expirado'),
+    body('password')
+      .isLength({ min: 6, max: 100 })
+      .withMessage('Senha deve ter entre 6 e 100 caracteres')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const saltRounds = config.security.bcryptRounds || 12;
+      const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+
+      const userId = await db.transaction(async (client) => {
+        const consumedUserId = await consumeAuthToken(req.body.token, 'password_reset', client);
+        if (!consumedUserId) {
+          return null;
+        }
+
+        // Quem recebeu o link comprovou acesso ao email
+        await client.query(`
+          UPDATE users
+          SET password_hash = $1,
+              email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+          WHERE id = $2
+        `, [passwordHash, consumedUserId]);
+
+        await client.query(
+          'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+          [consumedUserId]
+        );
+
+        return consumedUserId;
+      });
+
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Link inválido ou expirado'
+        });
+      }
+
+      await disconnectSessionSockets(req.app.get('io'), (data) => data.userId === userId);
+
+      logger.security('Senha redefinida', { userId, ip: req.ip });
+
+      res.json({ message: 'Senha redefinida com sucesso. Faça login novamente.' });
+
+    } catch (error) {
+      console.error('❌ Erro ao redefinir senha:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirma o email com um token de verificação
+ */
+router.post('/verify-email',
+  [
+    body('token')
+      .isJWT()
+      .withMessage('Link inválido ou expirado')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = await db.transaction(async (client) => {
+        const consumedUserId = await consumeAuthToken(req.body.token, 'email_verification', client);
+        if (consumedUserId) {
+          await client.query(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+            [consumedUserId]
+          );
+        }
+        return consumedUserId;
+      });
+
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Link inválido ou expirado'
+        });
+      }
+
+      console.log('✅ Email verificado:', { userId });
+
+      res.json({ message: 'Email confirmado com sucesso' });
+
+    } catch (error) {
+      console.error('❌ Erro ao verificar email:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Reenvia o email de verificação para o usuário atual
+ */
+router.post('/resend-verification', authenticateToken, accountEmailLimiter, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT id, first_name, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    const user = result.rows[0];
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Email já confirmado'
+      });
+    }
+
+    await sendVerificationSafely(user);
+
+    res.json({ message: 'Enviamos um novo link de confirmação para o seu email.' });
+
+  } catch (error) {
+    console.error('❌ Erro ao reenviar verificação:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Troca um refresh token válido por um novo par de tokens (rotação)
+ */
+router.post('/refresh',
+  [
+    body('refreshToken')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Refresh token inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const newRefreshToken = generateSecureToken();
+
+      // Rotacionar o token na mesma operação para evitar uso duplo
+      const result = await db.query(`
+        UPDATE user_sessions s
+        SET refresh_token_hash = $1,
+            last_used_at = CURRENT_TIMESTAMP,
+            user_agent = COALESCE($3, s.user_agent),
+            ip_address = COALESCE($4, s.ip_address)
+        FROM users u
+        WHERE s.refresh_token_hash = $2
+          AND s.revoked_at IS NULL
+          AND s.expires_at > CURRENT_TIMESTAMP
+          AND u.id = s.user_id
+        RETURNING s.id as session_id, u.id, u.email, u.first_name, u.last_name
+      `, [
+        createDataHash(newRefreshToken),
+        createDataHash(req.body.refreshToken),
+        (req.get('user-agent') || '').slice(0, 255) || null,
+        req.ip || null
+      ]);
+
+      if (result.rows.length === 0) {
+        logger.security('Refresh token inválido ou sessão encerrada', { ip: req.ip });
+        return res.status(401).json({
+          error: 'Sessão expirada. Faça login novamente.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      const user = result.rows[0];
+
+      res.json({
+        token: signAccessToken(user, user.session_id),
+        refreshToken: newRefreshToken
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao renovar sessão:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/auth/logout
- * Logout (invalidar token - client-side principalmente)
+ * Logout: revoga a sessão atual
  */
-router.post('/logout', authenticateToken, (req, res) => {
-  console.log('👋 Logout realizado:', {
-    userId: req.user.userId,
-    email: req.user.email
-  });
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await db.query(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+      [req.user.sessionId]
+    );
+
+    await disconnectSessionSockets(req.app.get('io'), (data) => data.sessionId === req.user.sessionId);
 
-  res.json({ message: 'Logout realizado com sucesso' });
+    console.log('👋 Logout realizado:', {
+      userId: req.user.userId,
+      email: req.user.email
+    });
+
+    res.json({ message: 'Logout realizado com sucesso' });
+  } catch (error) {
+    console.error('❌ Erro no logout:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
 });
 
-module.exports = { router, authenticateToken };
\ No newline at end of file
+/**
+ * GET /api/auth/sessions
+ * Lista as sessões ativas (dispositivos) do usuário
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM user_sessions
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_used_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows.map(session => ({
+      ...session,
+      current: session.id === req.user.sessionId
+    })));
+
+  } catch (error) {
+    console.error('❌ Erro ao listar sessões:', error);
+    res.status(500).json({
+      error: 'Erro interno do servidor'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Encerra uma sessão específica (ex: dispositivo perdido)
+ */
+router.delete('/sessions/:sessionId', authenticateToken,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('ID da sessão inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await db.query(`
+        UPDATE user_sessions
+        SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING id
+      `, [req.params.sessionId, req.user.userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Sessão não encontrada'
+        });
+      }
+
+      await disconnectSessionSockets(req.app.get('io'), (data) => data.sessionId === req.params.sessionId);
+
+      logger.security('Sessão encerrada pelo usuário', {
+        userId: req.user.userId,
+        sessionId: req.params.sessionId
+      });
+
+      res.status(204).send();
+
+    } catch (error) {
+      console.error('❌ Erro ao encerrar sessão:', error);
+      res.status(500).json({
+        error: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+module.exports = { router, authenticateToken, authenticateSocket };
\ No newline at end of file
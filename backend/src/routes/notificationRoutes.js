@@ -0,0 +1,156 @@
+/**
+ * Rotas da central de notificações
+ * Cada usuário vê apenas as próprias notificações (menções em notas e respostas)
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { db } = require('../config/database');
+const { authenticateToken } = require('./authRoutes');
+const { getUnreadCounts } = require('../services/mentions');
+
+const router = express.Router();
+
+/**
+ * Middleware para validação de erros
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Dados inválidos',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Avisa as outras abas/dispositivos do usuário que o total de não lidas mudou
+ */
+function emitUnreadCount(req, unreadCount) {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${req.user.userId}`).emit('notifications-read', { unread_count: unreadCount });
+  }
+}
+
+/**
+ * GET /api/notifications?unread_only=true&limit=30
+ * Lista as notificações mais recentes do usuário com o total de não lidas
+ */
+router.get('/', authenticateToken,
+  [
+    query('unread_only')
+      .optional()
+      .isBoolean()
+      .withMessage('unread_only deve ser boolean'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limite deve ser entre 1 e 100')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const unreadOnly = req.query.unread_only === 'true';
+      const limit = parseInt(req.query.limit) || 30;
+
+      // Murais na lixeira não aparecem
+      const result = await db.query(`
+        SELECT
+          n.id, n.type, n.panel_id, n.post_id, n.comment_id,
+          n.actor_name, n.excerpt, n.read_at, n.created_at,
+          p.name as panel_name
+        FROM notifications n
+        JOIN panels p ON p.id = n.panel_id AND p.deleted_at IS NULL
+        WHERE n.user_id = $1
+          AND ($2::BOOLEAN = FALSE OR n.read_at IS NULL)
+        ORDER BY n.created_at DESC
+        LIMIT $3
+      `, [userId, unreadOnly, limit]);
+
+      const unreadCounts = await getUnreadCounts([userId]);
+
+      res.json({
+        notifications: result.rows,
+        unread_count: unreadCounts[userId] || 0
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao buscar notificações:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar notificações'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Marca todas as notificações do usuário como lidas
+ */
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    await db.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.userId]
+    );
+
+    emitUnreadCount(req, 0);
+    res.json({ unread_count: 0 });
+
+  } catch (error) {
+    console.error('❌ Erro ao marcar notificações como lidas:', error);
+    res.status(500).json({
+      error: 'Erro ao marcar notificações como lidas'
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:notificationId/read
+ * Marca uma notificação como lida
+ */
+router.patch('/:notificationId/read', authenticateToken,
+  [
+    param('notificationId')
+      .isUUID()
+      .withMessage('ID da notificação inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await db.query(`
+        UPDATE notifications
+        SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `, [notificationId, userId]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Notificação não encontrada'
+        });
+      }
+
+      const unreadCounts = await getUnreadCounts([userId]);
+      const unreadCount = unreadCounts[userId] || 0;
+
+      emitUnreadCount(req, unreadCount);
+      res.json({ unread_count: unreadCount });
+
+    } catch (error) {
+      console.error('❌ Erro ao marcar notificação como lida:', error);
+      res.status(500).json({
+        error: 'Erro ao marcar notificação como lida'
+      });
+    }
+  }
+);
+
+module.exports = router;
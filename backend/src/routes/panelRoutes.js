@@ -7,8 +7,15 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { db, cache } = require('../config/database');
 const { authenticateToken } = require('./authRoutes');
-const { validatePanelCreation } = require('../utils/validators');
-const { generatePanelCode, hashPassword, verifyPassword } = require('../utils/security');
+const { validators, validatePanelCreation } = require('../utils/validators');
+const { generatePanelCode, generateSecureToken, hashPassword, verifyPassword } = require('../utils/security');
+const { PANEL_ROLES, hasRole, getParticipantRole, isUserBanned } = require('../utils/panelPermissions');
+const { leavePanel } = require('../services/panelMembership');
+const { idempotency } = require('../utils/idempotency');
+const { withReactions } = require('../services/postReactions');
+const { notifyMentions } = require('../services/mentions');
+const { RETENTION_POLICIES, getRetentionInfo } = require('../services/cleanupService');
+const { SNAPSHOT_FORMATS, renderPanelSnapshot } = require('../services/panelSnapshot');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const { 
@@ -19,6 +26,12 @@ const {
 } = require('../utils/rateLimiters');
 const router = express.Router();
 
+// Formato dos arquivos de exportação de painel (incrementar a versão ao mudar a estrutura)
+const PANEL_EXPORT_FORMAT = 'stickly-notes-panel';
+const PANEL_EXPORT_VERSION = 1;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Middleware para validação de erros
  */
@@ -34,9 +47,9 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * NOVA ROTA: GET /api/panels/link/:code
- * Acessa um painel via link direto (para usuários autenticados)
- * Esta rota NÃO requer senha - é usada para links de convite
+ * GET /api/panels/link/:code
+ * Reabre um painel via link direto (/mural/:code) sem senha
+ * Restrito a quem já participa - novos usuários entram por convite (/invite/:token)
  */
 router.get('/link/:code', authenticateToken,
   [
@@ -73,7 +86,7 @@ router.get('/link/:code', authenticateToken,
       if (!panel) {
         // Buscar no banco se não estiver em cache
         const result = await db.query(
-          'SELECT * FROM panels WHERE id = $1',
+          'SELECT * FROM panels WHERE id = $1 AND deleted_at IS NULL',
           [upperCode]
         );
         
@@ -87,6 +100,20 @@ router.get('/link/:code', authenticateToken,
         panel = result.rows[0];
       }
       
+      // Contas banidas não podem reentrar
+      if (await isUserBanned(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Você foi banido deste painel'
+        });
+      }
+      
+      // O código sozinho não dá mais acesso a quem não participa
+      if (!await getParticipantRole(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Este link não é mais válido. Peça um novo convite.'
+        });
+      }
+      
       // Verificar limite de usuários
       const activeCount = await getActiveUserCount(upperCode);
       const isUserAlreadyActive = await isUserActive(upperCode, userId);
@@ -99,13 +126,14 @@ router.get('/link/:code', authenticateToken,
       }
       
  // Adicionar/atualizar como participante e MARCAR COMO LIDO
-      await db.query(`
+      const participantResult = await db.query(`
         INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, last_access)
         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
         ON CONFLICT (panel_id, user_uuid) 
         DO UPDATE SET 
           username = $3,
           last_access = CURRENT_TIMESTAMP
+        RETURNING role
       `, [upperCode, `user_${userId}`, userName, userId]);
       
       // Atualizar última atividade do painel
@@ -121,7 +149,7 @@ router.get('/link/:code', authenticateToken,
       
       console.log(`✅ Acesso via link bem-sucedido: ${upperCode} por ${userName}`);
       
-      res.json(safePanel);
+      res.json({ ...safePanel, my_role: participantResult.rows[0].role });
       
     } catch (error) {
       console.error('❌ Erro no acesso via link:', error);
@@ -133,15 +161,167 @@ router.get('/link/:code', authenticateToken,
 );
 
 /**
- * GET /api/panels/:code/posts
- * Obtém posts de um painel
+ * POST /api/panels/invite/:token
+ * Entra em um painel usando um convite (sem senha)
+ */
+router.post('/invite/:token', authenticateToken,
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Convite inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { token } = req.params;
+      const userId = req.user.userId;
+      
+      // Buscar dados do usuário
+      const userResult = await db.query(
+        'SELECT first_name, last_name FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
+      }
+
+      const user = userResult.rows[0];
+      const userName = `${user.first_name} ${user.last_name}`;
+      
+      const inviteResult = await db.query(
+        'SELECT * FROM panel_invites WHERE token = $1',
+        [token]
+      );
+      
+      if (inviteResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Convite não encontrado'
+        });
+      }
+      
+      const invite = inviteResult.rows[0];
+      const upperCode = invite.panel_id;
+      
+      if (!isInviteUsable(invite)) {
+        return res.status(410).json({
+          error: 'Convite expirado ou revogado'
+        });
+      }
+      
+      // Contas banidas não podem reentrar
+      if (await isUserBanned(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Você foi banido deste painel'
+        });
+      }
+      
+      const panelResult = await db.query(
+        'SELECT * FROM panels WHERE id = $1 AND deleted_at IS NULL',
+        [upperCode]
+      );
+      
+      if (panelResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+      
+      const panel = panelResult.rows[0];
+      
+      // Verificar limite de usuários
+      const activeCount = await getActiveUserCount(upperCode);
+      const isUserAlreadyActive = await isUserActive(upperCode, userId);
+      
+      if (!isUserAlreadyActive && activeCount >= panel.max_users) {
+        return res.status(403).json({ 
+          error: `Painel lotado (máximo ${panel.max_users} usuários)` 
+        });
+      }
+      
+      const role = await db.transaction(async (client) => {
+        // Bloquear o convite para contar usos com segurança
+        const locked = await client.query(
+          'SELECT * FROM panel_invites WHERE id = $1 FOR UPDATE',
+          [invite.id]
+        );
+        
+        const existingRole = await getParticipantRole(upperCode, userId, client);
+        
+        // Quem já participa não consome usos do convite
+        if (!existingRole) {
+          if (!isInviteUsable(locked.rows[0])) {
+            return null;
+          }
+          
+          await client.query(
+            'UPDATE panel_invites SET use_count = use_count + 1 WHERE id = $1',
+            [invite.id]
+          );
+        }
+        
+        const participantResult = await client.query(`
+          INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, last_access)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          ON CONFLICT (panel_id, user_uuid) 
+          DO UPDATE SET 
+            username = $3,
+            last_access = CURRENT_TIMESTAMP
+          RETURNING role
+        `, [upperCode, `user_${userId}`, userName, userId]);
+        
+        return participantResult.rows[0].role;
+      });
+      
+      if (!role) {
+        return res.status(410).json({
+          error: 'Convite expirado ou revogado'
+        });
+      }
+      
+      // Atualizar última atividade do painel
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [upperCode]
+      );
+      
+      // Remover senha do retorno
+      const safePanel = { ...panel };
+      delete safePanel.password_hash;
+      
+      console.log(`✅ Acesso via convite: ${upperCode} por ${userName}`);
+      
+      res.json({ ...safePanel, my_role: role });
+      
+    } catch (error) {
+      console.error('❌ Erro no acesso via convite:', error);
+      res.status(500).json({ 
+        error: 'Erro interno do servidor' 
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/panels/:code/posts?labels=<id>,<id>&label_match=any
+ * Obtém posts de um painel, opcionalmente só os marcados com as etiquetas informadas
+ * (label_match=any: qualquer uma delas; all: todas)
  */
 router.get('/:code/posts', authenticateToken,
   [
     param('code')
       .isLength({ min: 6, max: 6 })
       .isAlphanumeric()
-      .withMessage('Código inválido')
+      .withMessage('Código inválido'),
+    query('labels')
+      .optional()
+      .custom(value => value.split(',').every(id => UUID_PATTERN.test(id)))
+      .withMessage('Etiquetas inválidas'),
+    query('label_match')
+      .optional()
+      .isIn(['any', 'all'])
+      .withMessage('label_match deve ser any ou all')
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -151,7 +331,7 @@ router.get('/:code/posts', authenticateToken,
       
       // Verificar se painel existe
       const panelResult = await db.query(
-        'SELECT id FROM panels WHERE id = $1',
+        'SELECT id FROM panels WHERE id = $1 AND deleted_at IS NULL',
         [upperCode]
       );
       
@@ -161,13 +341,53 @@ router.get('/:code/posts', authenticateToken,
         });
       }
       
-      // Buscar posts
-      const result = await db.query(
-        'SELECT * FROM posts WHERE panel_id = $1 ORDER BY created_at DESC',
-        [upperCode]
-      );
+      // Só participantes leem as notas: quem foi removido ou banido (ou só conhece o código) não
+      if (await isUserBanned(upperCode, req.user.userId)) {
+        return res.status(403).json({
+          error: 'Você foi banido deste painel'
+        });
+      }
       
-      res.json(result.rows);
+      if (!await getParticipantRole(upperCode, req.user.userId)) {
+        return res.status(403).json({
+          error: 'Você não participa deste painel'
+        });
+      }
+      
+      const labelIds = req.query.labels ? [...new Set(req.query.labels.split(','))] : null;
+      const labelMatch = req.query.label_match || 'any';
+
+      // Buscar posts (com o total de comentários, as etiquetas, as reações e se o usuário ainda não viu cada um)
+      const result = await db.query(`
+        SELECT p.*,
+          (SELECT COUNT(*)::INTEGER FROM post_comments c WHERE c.post_id = p.id) as comment_count,
+          COALESCE(
+            (SELECT array_agg(pl.label_id ORDER BY pl.created_at) FROM post_labels pl WHERE pl.post_id = p.id),
+            '{}'
+          ) as label_ids,
+          (
+            pp.user_uuid IS NOT NULL
+            AND p.created_at > COALESCE(pp.unread_since, pp.joined_at)
+            AND p.author_user_id IS DISTINCT FROM $2
+            AND NOT EXISTS (
+              SELECT 1 FROM post_views v
+              WHERE v.post_id = p.id AND v.user_id = $2
+            )
+          ) as unread
+        FROM posts p
+        LEFT JOIN panel_participants pp ON pp.panel_id = p.panel_id AND pp.user_uuid = $2
+        WHERE p.panel_id = $1
+          AND (
+            $3::UUID[] IS NULL
+            OR (
+              SELECT COUNT(*) FROM post_labels pl
+              WHERE pl.post_id = p.id AND pl.label_id = ANY($3::UUID[])
+            ) >= CASE WHEN $4::TEXT = 'all' THEN cardinality($3::UUID[]) ELSE 1 END
+          )
+        ORDER BY p.created_at DESC
+      `, [upperCode, req.user.userId, labelIds, labelMatch]);
+      
+      res.json(await withReactions(result.rows));
       
     } catch (error) {
       console.error('❌ Erro ao buscar posts:', error);
@@ -178,6 +398,55 @@ router.get('/:code/posts', authenticateToken,
   }
 );
 
+/**
+ * POST /api/panels/:code/posts/seen
+ * Marca notas como vistas pelo usuário (enviado quando elas aparecem na tela)
+ */
+router.post('/:code/posts/seen', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('post_ids')
+      .isArray({ min: 1, max: 200 })
+      .withMessage('Informe de 1 a 200 notas'),
+    body('post_ids.*')
+      .isUUID()
+      .withMessage('ID do post inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+
+      if (!await getParticipantRole(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Você não participa deste painel'
+        });
+      }
+
+      // Apenas notas deste painel; repetir não muda nada
+      const result = await db.query(`
+        INSERT INTO post_views (post_id, user_id)
+        SELECT id, $2 FROM posts
+        WHERE id = ANY($1::UUID[]) AND panel_id = $3
+        ON CONFLICT (post_id, user_id) DO NOTHING
+        RETURNING post_id
+      `, [req.body.post_ids, userId, upperCode]);
+
+      res.json({ marked: result.rows.length });
+
+    } catch (error) {
+      console.error('❌ Erro ao marcar notas como vistas:', error);
+      res.status(500).json({
+        error: 'Erro ao marcar notas como vistas'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/panels/:code/posts
  * Cria um novo post em um painel
@@ -188,6 +457,10 @@ router.post('/:code/posts', authenticateToken,
       .isLength({ min: 6, max: 6 })
       .isAlphanumeric()
       .withMessage('Código inválido'),
+    body('id')
+      .optional()
+      .isUUID()
+      .withMessage('ID do post inválido'),
     body('content')
       .isLength({ min: 1, max: 1000 })
       .withMessage('Conteúdo deve ter entre 1 e 1000 caracteres'),
@@ -209,6 +482,7 @@ router.post('/:code/posts', authenticateToken,
       .withMessage('Anonymous deve ser boolean')
   ],
   handleValidationErrors,
+  idempotency,
   async (req, res) => {
     try {
       const { code } = req.params;
@@ -228,9 +502,24 @@ router.post('/:code/posts', authenticateToken,
       const user = userResult.rows[0];
       const authorName = req.body.anonymous ? null : `${user.first_name} ${user.last_name}`;
       
+      // ID gerado pelo cliente (fila offline): repetir o envio devolve o post já criado
+      if (req.body.id) {
+        const existingPost = await db.query('SELECT * FROM posts WHERE id = $1', [req.body.id]);
+        
+        if (existingPost.rows.length > 0) {
+          const existing = existingPost.rows[0];
+          if (existing.panel_id !== upperCode || existing.author_user_id !== userId) {
+            return res.status(409).json({
+              error: 'ID de post já utilizado'
+            });
+          }
+          return res.status(200).json(existing);
+        }
+      }
+      
       // Verificar se painel existe e obter tipo
       const panelResult = await db.query(
-        'SELECT type, post_count, max_users FROM panels WHERE id = $1',
+        'SELECT type, post_count, max_users FROM panels WHERE id = $1 AND deleted_at IS NULL',
         [upperCode]
       );
       
@@ -242,6 +531,14 @@ router.post('/:code/posts', authenticateToken,
       
       const panel = panelResult.rows[0];
       
+      // Visualizadores (e não participantes) não podem criar notas
+      const role = await getParticipantRole(upperCode, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para criar notas neste painel'
+        });
+      }
+      
       // Verificar limite de posts por painel
       if (panel.post_count >= (config.limits?.maxPostsPerPanel || 500)) {
         return res.status(403).json({
@@ -260,11 +557,12 @@ router.post('/:code/posts', authenticateToken,
       // Criar post no banco
       const result = await db.query(`
         INSERT INTO posts (
-          panel_id, author_name, author_id, author_user_id, content, color, 
+          id, panel_id, author_name, author_id, author_user_id, content, color, 
           position_x, position_y
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ) VALUES (COALESCE($1::UUID, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `, [
+        req.body.id || null,
         upperCode, 
         authorName,
         `user_${userId}`,
@@ -292,6 +590,15 @@ router.post('/:code/posts', authenticateToken,
         io.to(`panel:${upperCode}`).emit('new-post', post);
       }
       
+      // Avisar os participantes mencionados (@nome)
+      await notifyMentions(io, {
+        panelId: upperCode,
+        postId: post.id,
+        content: post.content,
+        actorUserId: userId,
+        actorName: authorName
+      });
+      
       console.log('✅ Post criado com sucesso:', {
         postId: post.id,
         panelId: upperCode,
@@ -302,6 +609,12 @@ router.post('/:code/posts', authenticateToken,
       res.status(201).json(post);
       
     } catch (error) {
+      // Dois envios simultâneos com o mesmo ID gerado pelo cliente
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'ID de post já utilizado'
+        });
+      }
       console.error('❌ Erro ao criar post:', error);
       res.status(500).json({ 
         error: 'Erro ao criar post' 
@@ -364,12 +677,7 @@ router.post('/', authenticateToken,
       const passwordHash = await hashPassword(password);
       
       // Configurações baseadas no tipo
-      let maxUsers;
-      switch (type) {
-        case 'couple': maxUsers = 2; break;
-        case 'family': maxUsers = 10; break;
-        default: maxUsers = 15; break;
-      }
+      const maxUsers = getMaxUsers(type);
       
       // Cor padrão se não fornecida
       const defaultColors = getDefaultColors(type);
@@ -402,10 +710,10 @@ router.post('/', authenticateToken,
         
         // ✅ CRÍTICO: Adicionar criador como participante PERMANENTE
 const participantResult = await client.query(`
-  INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, joined_at, last_access)
-  VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, role, joined_at, last_access)
+  VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
   RETURNING id
-`, [code, `user_${userId}`, creatorName, userId]);
+`, [code, `user_${userId}`, creatorName, userId, PANEL_ROLES.OWNER]);
 
 console.log('✅ Criador adicionado como participante:', {
   panelId: code,
@@ -421,7 +729,8 @@ console.log('✅ Criador adicionado como participante:', {
       const responsePanel = {
         ...panel,
         post_count: 0,
-        active_users: 0
+        active_users: 0,
+        my_role: PANEL_ROLES.OWNER
       };
       
       console.log('🎉 Painel criado com sucesso - Response:', responsePanel);
@@ -449,29 +758,216 @@ console.log('✅ Criador adicionado como participante:', {
   }
 );
 /**
- * POST /api/panels/:code
- * Acessa um painel existente (requer autenticação e possivelmente senha)
+ * GET /api/panels/:code/export
+ * Exporta o painel (metadados, participantes e notas) em um documento JSON versionado
  */
-router.post('/:code', authenticateToken,
+router.get('/:code/export', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+
+      const role = await getParticipantRole(upperCode, req.user.userId);
+      if (!role) {
+        return res.status(403).json({
+          error: 'Apenas participantes podem exportar este painel'
+        });
+      }
+
+      const panelResult = await db.query(`
+        SELECT id, name, type, password_hash IS NOT NULL AS has_password,
+               border_color, background_color, max_users, created_at, last_activity
+        FROM panels WHERE id = $1 AND deleted_at IS NULL
+      `, [upperCode]);
+
+      if (panelResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      const [participants, posts] = await Promise.all([
+        db.query(
+          'SELECT username, role, joined_at FROM panel_participants WHERE panel_id = $1 ORDER BY joined_at',
+          [upperCode]
+        ),
+        db.query(`
+          SELECT author_name, content, color, position_x, position_y, created_at, updated_at
+          FROM posts WHERE panel_id = $1 ORDER BY created_at
+        `, [upperCode])
+      ]);
+
+      const panel = panelResult.rows[0];
+      const exportedAt = new Date().toISOString();
+
+      console.log(`📦 Painel ${upperCode} exportado (${posts.rows.length} notas)`);
+
+      res.setHeader('Content-Disposition', `attachment; filename="mural-${upperCode}-${exportedAt.split('T')[0]}.json"`);
+      res.json({
+        format: PANEL_EXPORT_FORMAT,
+        version: PANEL_EXPORT_VERSION,
+        exportedAt,
+        panel: {
+          code: panel.id,
+          name: panel.name,
+          type: panel.type,
+          has_password: panel.has_password,
+          border_color: panel.border_color,
+          background_color: panel.background_color,
+          max_users: panel.max_users,
+          created_at: panel.created_at,
+          last_activity: panel.last_activity
+        },
+        participants: participants.rows,
+        posts: posts.rows
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao exportar painel:', error);
+      res.status(500).json({
+        error: 'Erro ao exportar painel'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/panels/:code/snapshot?format=png|pdf|svg
+ * Gera uma imagem/documento do mural com as notas nas posições salvas
+ */
+router.get('/:code/snapshot', authenticateToken,
   [
     param('code')
       .isLength({ min: 6, max: 6 })
       .isAlphanumeric()
       .withMessage('Código inválido'),
+    query('format')
+      .optional()
+      .isIn(Object.keys(SNAPSHOT_FORMATS))
+      .withMessage('Formato deve ser png, pdf ou svg'),
+    query('tz')
+      .optional()
+      .custom(value => {
+        // Lança RangeError para fusos desconhecidos
+        new Intl.DateTimeFormat('pt-BR', { timeZone: value });
+        return true;
+      })
+      .withMessage('Fuso horário inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const format = req.query.format || 'png';
+
+      const role = await getParticipantRole(upperCode, req.user.userId);
+      if (!role) {
+        return res.status(403).json({
+          error: 'Apenas participantes podem gerar imagens deste painel'
+        });
+      }
+
+      const panelResult = await db.query(
+        'SELECT name, background_color, border_color FROM panels WHERE id = $1 AND deleted_at IS NULL',
+        [upperCode]
+      );
+
+      if (panelResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      const posts = await db.query(`
+        SELECT author_name, content, color, position_x, position_y, created_at
+        FROM posts WHERE panel_id = $1
+      `, [upperCode]);
+
+      const snapshot = await renderPanelSnapshot(panelResult.rows[0], posts.rows, format, {
+        timeZone: req.query.tz
+      });
+
+      console.log(`🖼️ Snapshot ${format.toUpperCase()} do painel ${upperCode} (${posts.rows.length} notas)`);
+
+      res.setHeader('Content-Type', snapshot.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="mural-${upperCode}.${snapshot.extension}"`);
+      res.send(snapshot.body);
+
+    } catch (error) {
+      console.error('❌ Erro ao gerar snapshot do painel:', error);
+      res.status(500).json({
+        error: 'Erro ao gerar imagem do painel'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/panels/import
+ * Recria um painel a partir de um arquivo exportado, com novo código
+ * Quem importa vira dono; a senha (opcional) não faz parte do arquivo
+ */
+router.post('/import', authenticateToken, panelCreationLimiter,
+  [
+    body('format')
+      .equals(PANEL_EXPORT_FORMAT)
+      .withMessage('Arquivo não é uma exportação de mural'),
+    body('version')
+      .isInt({ min: 1, max: PANEL_EXPORT_VERSION })
+      .withMessage('Versão do arquivo não suportada'),
+    body('panel.name')
+      .isString()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Nome deve ter entre 3 e 100 caracteres'),
+    body('panel.type')
+      .isIn(['friends', 'couple', 'family'])
+      .withMessage('Tipo deve ser friends, couple ou family'),
+    body(['panel.border_color', 'panel.background_color'])
+      .optional({ nullable: true })
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Cor inválida'),
     body('password')
       .optional()
       .isLength({ max: 100 })
-      .withMessage('Senha muito longa')
+      .withMessage('Senha muito longa'),
+    body('posts')
+      .isArray({ max: config.limits.maxPostsPerPanel })
+      .withMessage(`O arquivo deve ter no máximo ${config.limits.maxPostsPerPanel} notas`),
+    body('posts.*.content')
+      .isString()
+      .isLength({ min: 1, max: config.limits.postContentMaxLength })
+      .custom(value => value.trim().length > 0)
+      .withMessage('Conteúdo de nota inválido'),
+    body('posts.*.author_name')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage('Autor de nota inválido'),
+    body('posts.*.color')
+      .optional({ nullable: true })
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Cor de nota inválida'),
+    body(['posts.*.position_x', 'posts.*.position_y'])
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 2000 })
+      .withMessage('Posição de nota inválida'),
+    body('posts.*.created_at')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Data de nota inválida')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { code } = req.params;
-      const { password } = req.body;
+      const { panel: source, posts, password } = req.body;
       const userId = req.user.userId;
-      const upperCode = code.toUpperCase();
-      
-      // Buscar dados do usuário
+
       const userResult = await db.query(
         'SELECT first_name, last_name FROM users WHERE id = $1',
         [userId]
@@ -482,27 +978,125 @@ router.post('/:code', authenticateToken,
       }
 
       const user = userResult.rows[0];
-      const userName = `${user.first_name} ${user.last_name}`;
-      
-      // Tentar obter do cache primeiro
-      let panel = await cache.getCachedPanel(upperCode);
-      
-      if (!panel) {
-        // Buscar no banco se não estiver em cache
-        const result = await db.query(
-          'SELECT * FROM panels WHERE id = $1',
-          [upperCode]
-        );
-        
-        if (result.rows.length === 0) {
-          return res.status(404).json({ 
-            error: 'Painel não encontrado' 
-          });
+      const creatorName = `${user.first_name} ${user.last_name}`;
+
+      const code = await generateUniqueCode();
+      const passwordHash = await hashPassword(password);
+      const defaultColors = config.getDefaultColors(source.type);
+
+      console.log(`📥 Importando mural "${source.name}" como ${code} (${posts.length} notas)`);
+
+      const panel = await db.transaction(async (client) => {
+        const panelResult = await client.query(`
+          INSERT INTO panels (
+            id, name, type, password_hash, creator, creator_id, creator_user_id,
+            border_color, background_color, max_users
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id, name, type, creator, border_color, background_color,
+                    max_users, created_at, last_activity
+        `, [
+          code, source.name, source.type, passwordHash,
+          creatorName, `user_${userId}`, userId,
+          source.border_color || defaultColors.border,
+          source.background_color || defaultColors.background,
+          getMaxUsers(source.type)
+        ]);
+
+        await client.query(`
+          INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, role, joined_at, last_access)
+          VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `, [code, `user_${userId}`, creatorName, userId, PANEL_ROLES.OWNER]);
+
+        // Notas importadas não ficam vinculadas a contas (autores originais podem não existir aqui)
+        for (const post of posts) {
+          await client.query(`
+            INSERT INTO posts (
+              panel_id, author_name, author_id, content, color,
+              position_x, position_y, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::TIMESTAMPTZ, CURRENT_TIMESTAMP))
+          `, [
+            code,
+            post.author_name || null,
+            'imported',
+            post.content,
+            post.color || defaultColors.note,
+            post.position_x ?? 50,
+            post.position_y ?? 50,
+            post.created_at || null
+          ]);
         }
-        
-        panel = result.rows[0];
+
+        return panelResult.rows[0];
+      });
+
+      console.log(`✅ Mural importado: ${code} (${panel.name})`);
+
+      res.status(201).json({
+        ...panel,
+        post_count: posts.length,
+        active_users: 0,
+        my_role: PANEL_ROLES.OWNER
+      });
+
+    } catch (error) {
+      console.error('❌ Erro ao importar painel:', error);
+      res.status(500).json({
+        error: 'Erro ao importar painel'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/panels/:code
+ * Acessa um painel existente (requer autenticação e possivelmente senha)
+ */
+router.post('/:code', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('password')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Senha muito longa')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { password } = req.body;
+      const userId = req.user.userId;
+      const upperCode = code.toUpperCase();
+      
+      // Buscar dados do usuário
+      const userResult = await db.query(
+        'SELECT first_name, last_name FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
+      }
+
+      const user = userResult.rows[0];
+      const userName = `${user.first_name} ${user.last_name}`;
+      
+      // Sempre do banco: o painel em cache (panel:<code>) não tem password_hash
+      const result = await db.query(
+        'SELECT * FROM panels WHERE id = $1 AND deleted_at IS NULL',
+        [upperCode]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ 
+          error: 'Painel não encontrado' 
+        });
       }
       
+      const panel = result.rows[0];
+      
       // Verificar senha se necessário
       if (panel.password_hash) {
         if (!password) {
@@ -524,6 +1118,21 @@ router.post('/:code', authenticateToken,
         }
       }
       
+      // Contas banidas não podem reentrar
+      if (await isUserBanned(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Você foi banido deste painel'
+        });
+      }
+      
+      // Sem senha, o código sozinho não dá acesso: novos participantes entram por convite
+      if (!panel.password_hash && !await getParticipantRole(upperCode, userId)) {
+        return res.status(403).json({
+          error: 'Este mural só aceita novos participantes por convite',
+          code: 'INVITE_REQUIRED'
+        });
+      }
+      
       // Verificar limite de usuários
       const activeCount = await getActiveUserCount(upperCode);
       const isUserAlreadyActive = await isUserActive(upperCode, userId);
@@ -535,13 +1144,14 @@ router.post('/:code', authenticateToken,
       }
       
 // Adicionar/atualizar como participante e MARCAR COMO LIDO
-      await db.query(`
+      const participantResult = await db.query(`
         INSERT INTO panel_participants (panel_id, user_id, username, user_uuid, last_access)
         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
         ON CONFLICT (panel_id, user_uuid) 
         DO UPDATE SET 
           username = $3,
           last_access = CURRENT_TIMESTAMP
+        RETURNING role
       `, [upperCode, `user_${userId}`, userName, userId]);
       
       // Atualizar última atividade do painel
@@ -564,7 +1174,7 @@ router.post('/:code', authenticateToken,
         hasPassword: !!panel.password_hash
       });
       
-      res.json(safePanel);
+      res.json({ ...safePanel, my_role: participantResult.rows[0].role });
       
     } catch (error) {
       console.error('❌ Erro ao acessar painel:', error);
@@ -574,10 +1184,150 @@ router.post('/:code', authenticateToken,
     }
   }
 );
+/**
+ * PATCH /api/panels/:code
+ * Atualiza as configurações do painel (apenas o dono)
+ * Campos opcionais: name, background_color, border_color, max_users e password (null ou "" remove a senha)
+ */
+router.patch('/:code', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('name')
+      .optional()
+      .isString()
+      .withMessage('Nome inválido'),
+    body(['background_color', 'border_color'])
+      .optional()
+      .isString()
+      .toUpperCase(),
+    body('max_users')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Limite de usuários inválido')
+      .toInt(),
+    body('password')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Senha inválida')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+
+      const callerRole = await getParticipantRole(upperCode, userId);
+      if (callerRole !== PANEL_ROLES.OWNER) {
+        return res.status(403).json({
+          error: 'Apenas o dono pode alterar o mural'
+        });
+      }
+
+      const panelResult = await db.query(
+        'SELECT type FROM panels WHERE id = $1 AND deleted_at IS NULL',
+        [upperCode]
+      );
+
+      if (panelResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      const { type } = panelResult.rows[0];
+      const updates = {};
+
+      if (req.body.name !== undefined) {
+        const nameValidation = validators.panelName(req.body.name);
+        if (!nameValidation.isValid) {
+          return res.status(400).json({ error: nameValidation.error });
+        }
+        updates.name = nameValidation.value;
+      }
+
+      const colorFields = [
+        ['background_color', 'backgrounds', 'Cor de fundo'],
+        ['border_color', 'borders', 'Cor da borda']
+      ];
+      for (const [field, category, label] of colorFields) {
+        if (req.body[field] !== undefined) {
+          const colorValidation = validators.color(req.body[field], type, category);
+          if (!colorValidation.isValid) {
+            return res.status(400).json({ error: `${label}: ${colorValidation.error}` });
+          }
+          updates[field] = colorValidation.value;
+        }
+      }
+
+      if (req.body.max_users !== undefined) {
+        const maxUsers = getMaxUsers(type);
+        if (req.body.max_users > maxUsers) {
+          return res.status(400).json({
+            error: `Este tipo de painel permite no máximo ${maxUsers} usuários`
+          });
+        }
+        updates.max_users = req.body.max_users;
+      }
+
+      if (req.body.password !== undefined) {
+        const passwordValidation = validators.password(req.body.password);
+        if (!passwordValidation.isValid) {
+          return res.status(400).json({ error: passwordValidation.error });
+        }
+        updates.password_hash = await hashPassword(passwordValidation.value);
+      }
+
+      const fields = Object.keys(updates);
+      if (fields.length === 0) {
+        return res.status(400).json({
+          error: 'Nenhuma alteração informada'
+        });
+      }
+
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const result = await db.query(`
+        UPDATE panels
+        SET ${assignments.join(', ')}
+        WHERE id = $1
+        RETURNING id, name, type, background_color, border_color, max_users,
+                  password_hash IS NOT NULL AS has_password
+      `, [upperCode, ...fields.map(field => updates[field])]);
+
+      const panel = result.rows[0];
+
+      await cache.invalidate(`panel:${upperCode}`);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${upperCode}`).emit('panel-updated', {
+          panel_id: upperCode,
+          ...panel
+        });
+      }
+
+      console.log('✅ Configurações do painel alteradas:', {
+        panelId: upperCode,
+        fields: fields.map(field => field === 'password_hash' ? 'password' : field)
+      });
+
+      res.json(panel);
+
+    } catch (error) {
+      console.error('❌ Erro ao atualizar painel:', error);
+      res.status(500).json({
+        error: 'Erro ao atualizar painel'
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/panels/:code/leave
  * REGRA 1: Usuário sai do mural (desvincula)
- * REGRA 2: Se mural ficar órfão, deleta IMEDIATAMENTE
+ * REGRA 2: Se mural ficar órfão, vai para a lixeira (restaurável pelo último participante)
  */
 router.delete('/:code/leave', authenticateToken,
   [
@@ -595,67 +1345,32 @@ router.delete('/:code/leave', authenticateToken,
       
       console.log(`🚪 REGRA 1: Usuário ${userId} saindo do mural ${upperCode}`);
       
-      let panelDeleted = false;
-      
-      await db.transaction(async (client) => {
-        // 1. Remover usuário dos participantes permanentes
-        const participantResult = await client.query(
-          'DELETE FROM panel_participants WHERE panel_id = $1 AND user_uuid = $2 RETURNING username',
-          [upperCode, userId]
-        );
-        
-        if (participantResult.rows.length === 0) {
+      const { panelDeleted, newOwner } = await db.transaction(async (client) => {
+        const result = await leavePanel(client, upperCode, userId);
+        if (!result) {
           throw new Error('Usuário não estava vinculado a este mural');
         }
-        
-        console.log(`   ✅ Removido participante: ${participantResult.rows[0].username}`);
-        
-        // 2. Remover da sessão ativa
-        await client.query(
-          'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
-          [upperCode, userId]
-        );
-        
-        // 3. REGRA 2: Verificar se mural ficou órfão
-        const remainingParticipants = await client.query(
-          'SELECT COUNT(*) as count FROM panel_participants WHERE panel_id = $1',
-          [upperCode]
-        );
-        
-        const participantCount = parseInt(remainingParticipants.rows[0].count);
-        
-        if (participantCount === 0) {
-          console.log(`🗑️ REGRA 2: Mural ${upperCode} ficou órfão - DELETANDO IMEDIATAMENTE`);
-          
-          // Obter informações do painel antes de deletar
-          const panelInfo = await client.query(
-            'SELECT name, (SELECT COUNT(*) FROM posts WHERE panel_id = $1) as post_count FROM panels WHERE id = $1',
-            [upperCode]
-          );
-          
-          if (panelInfo.rows.length > 0) {
-            const { name, post_count } = panelInfo.rows[0];
-            
-            // Deletar tudo imediatamente
-            const deletedPosts = await client.query('DELETE FROM posts WHERE panel_id = $1 RETURNING id', [upperCode]);
-            await client.query('DELETE FROM active_users WHERE panel_id = $1', [upperCode]);
-            await client.query('DELETE FROM panels WHERE id = $1', [upperCode]);
-            
-            console.log(`✅ Mural órfão deletado imediatamente: ${upperCode} (${name}) - ${deletedPosts.rows.length} posts removidos`);
-            panelDeleted = true;
-          }
-        } else {
-          console.log(`   📊 Participantes restantes no mural ${upperCode}: ${participantCount}`);
-        }
+        return result;
       });
       
-      // Invalidar cache se painel foi deletado
+      if (newOwner) {
+        const io = req.app.get('io');
+        if (io) {
+          io.to(`panel:${upperCode}`).emit('participant-role-updated', {
+            panel_id: upperCode,
+            user_uuid: newOwner.user_uuid,
+            role: newOwner.role
+          });
+        }
+      }
+      
+      // Invalidar cache se painel foi para a lixeira
       if (panelDeleted && cache && cache.invalidate) {
         await cache.invalidate(`panel:${upperCode}`);
         await cache.invalidate(`posts:${upperCode}`);
       }
       
-      console.log(`✅ Usuário ${userId} saiu do mural ${upperCode}${panelDeleted ? ' (mural deletado)' : ''}`);
+      console.log(`✅ Usuário ${userId} saiu do mural ${upperCode}${panelDeleted ? ' (mural movido para a lixeira)' : ''}`);
       
       res.status(204).send();
       
@@ -669,33 +1384,871 @@ router.delete('/:code/leave', authenticateToken,
 );
 
 /**
- * Funções auxiliares
+ * POST /api/panels/:code/restore
+ * Tira o mural da lixeira (dentro de config.retention.trashDays) ou do arquivo (apenas o dono)
  */
+router.post('/:code/restore', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
 
-/**
- * Gera código único para painel
- */
-async function generateUniqueCode() {
-  let attempts = 0;
-  const maxAttempts = 10;
-  
-  while (attempts < maxAttempts) {
-    const code = generatePanelCode();
-    
-    // Verificar se código já existe
-    const existing = await db.query(
-      'SELECT id FROM panels WHERE id = $1',
-      [code]
-    );
-    
-    if (existing.rows.length === 0) {
-      return code;
+      // getParticipantRole ignora murais na lixeira, por isso a consulta direta
+      const participantResult = await db.query(`
+        SELECT pp.role, p.deleted_at, p.archived_at,
+               p.deleted_at < NOW() - ($3::INTEGER * INTERVAL '1 day') AS restore_expired
+        FROM panel_participants pp
+        JOIN panels p ON p.id = pp.panel_id
+        WHERE pp.panel_id = $1 AND pp.user_uuid = $2
+      `, [upperCode, userId, config.retention.trashDays]);
+
+      if (participantResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      const participant = participantResult.rows[0];
+
+      if (participant.role !== PANEL_ROLES.OWNER) {
+        return res.status(403).json({
+          error: 'Apenas o dono pode restaurar o mural'
+        });
+      }
+
+      if (!participant.deleted_at && !participant.archived_at) {
+        return res.status(400).json({
+          error: 'O mural não está arquivado nem na lixeira'
+        });
+      }
+
+      if (participant.restore_expired) {
+        return res.status(410).json({
+          error: 'O prazo para restaurar este mural expirou'
+        });
+      }
+
+      // Reinicia a contagem de inatividade para o mural não voltar direto para a lixeira
+      const result = await db.query(`
+        UPDATE panels
+        SET deleted_at = NULL,
+            archived_at = NULL,
+            retention_warned_at = NULL,
+            last_activity = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [upperCode]);
+
+      await cache.invalidate(`panel:${upperCode}`);
+
+      const safePanel = { ...result.rows[0] };
+      delete safePanel.password_hash;
+
+      console.log('♻️ Mural restaurado:', {
+        panelId: upperCode,
+        userId,
+        from: participant.deleted_at ? 'lixeira' : 'arquivo'
+      });
+
+      res.json({ ...safePanel, my_role: participant.role });
+
+    } catch (error) {
+      console.error('❌ Erro ao restaurar mural:', error);
+      res.status(500).json({
+        error: 'Erro ao restaurar mural'
+      });
     }
-    
-    attempts++;
   }
-  
-  throw new Error('Não foi possível gerar código único');
+);
+
+/**
+ * GET /api/panels/:code/participants
+ * Lista os participantes do painel com seus papéis
+ */
+router.get('/:code/participants', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      
+      const role = await getParticipantRole(upperCode, req.user.userId);
+      if (!role) {
+        return res.status(403).json({
+          error: 'Você não participa deste painel'
+        });
+      }
+      
+      const result = await db.query(`
+        SELECT user_uuid, username, role, joined_at, last_access
+        FROM panel_participants
+        WHERE panel_id = $1
+        ORDER BY joined_at ASC
+      `, [upperCode]);
+      
+      res.json(result.rows);
+      
+    } catch (error) {
+      console.error('❌ Erro ao listar participantes:', error);
+      res.status(500).json({
+        error: 'Erro ao listar participantes'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/panels/:code/participants/:userId/role
+ * Altera o papel de um participante (apenas o dono)
+ * Definir o papel "owner" transfere a posse e rebaixa o dono atual a moderador
+ */
+router.patch('/:code/participants/:userId/role', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    param('userId')
+      .isUUID()
+      .withMessage('ID do usuário inválido'),
+    body('role')
+      .isIn(Object.values(PANEL_ROLES))
+      .withMessage('Papel inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const targetUserId = req.params.userId;
+      const { role } = req.body;
+      const userId = req.user.userId;
+      
+      const callerRole = await getParticipantRole(upperCode, userId);
+      if (callerRole !== PANEL_ROLES.OWNER) {
+        return res.status(403).json({
+          error: 'Apenas o dono pode alterar papéis'
+        });
+      }
+      
+      if (targetUserId === userId) {
+        return res.status(400).json({
+          error: 'Transfira a posse para outro participante antes de mudar seu papel'
+        });
+      }
+      
+      const targetRole = await getParticipantRole(upperCode, targetUserId);
+      if (!targetRole) {
+        return res.status(404).json({
+          error: 'Participante não encontrado'
+        });
+      }
+      
+      const changes = await db.transaction(async (client) => {
+        const updated = [];
+        
+        if (role === PANEL_ROLES.OWNER) {
+          const demoted = await client.query(
+            'UPDATE panel_participants SET role = $1 WHERE panel_id = $2 AND user_uuid = $3 RETURNING user_uuid, role',
+            [PANEL_ROLES.MODERATOR, upperCode, userId]
+          );
+          updated.push(demoted.rows[0]);
+        }
+        
+        const result = await client.query(
+          'UPDATE panel_participants SET role = $1 WHERE panel_id = $2 AND user_uuid = $3 RETURNING user_uuid, role',
+          [role, upperCode, targetUserId]
+        );
+        updated.push(result.rows[0]);
+        
+        return updated;
+      });
+      
+      const io = req.app.get('io');
+      if (io) {
+        changes.forEach((change) => {
+          io.to(`panel:${upperCode}`).emit('participant-role-updated', {
+            panel_id: upperCode,
+            ...change
+          });
+        });
+      }
+      
+      console.log('✅ Papel de participante alterado:', {
+        panelId: upperCode,
+        targetUserId,
+        from: targetRole,
+        to: role
+      });
+      
+      res.json(changes[changes.length - 1]);
+      
+    } catch (error) {
+      console.error('❌ Erro ao alterar papel:', error);
+      res.status(500).json({
+        error: 'Erro ao alterar papel'
+      });
+    }
+  }
+);
+
+/**
+ * Formata a configuração de retenção de um painel para a API
+ */
+function serializeRetention(panel) {
+  const retention = getRetentionInfo(panel);
+
+  return {
+    policy: panel.retention_policy || 'default',
+    days: panel.retention_days,
+    effective_policy: retention.policy,
+    effective_days: retention.days,
+    purge_at: retention.purgeAt,
+    archived_at: panel.archived_at,
+    defaults: {
+      policy: config.retention.defaultPolicy,
+      days: config.retention.defaultDays,
+      max_days: config.retention.maxDays,
+      warning_days: config.retention.warningDays
+    }
+  };
+}
+
+/**
+ * GET /api/panels/:code/retention
+ * Política de retenção do painel (participantes)
+ */
+router.get('/:code/retention', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+
+      const role = await getParticipantRole(upperCode, req.user.userId);
+      if (!role) {
+        return res.status(403).json({
+          error: 'Acesso negado ao painel'
+        });
+      }
+
+      const result = await db.query(
+        'SELECT retention_policy, retention_days, last_activity, archived_at FROM panels WHERE id = $1',
+        [upperCode]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      res.json(serializeRetention(result.rows[0]));
+
+    } catch (error) {
+      console.error('❌ Erro ao buscar retenção:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar política de retenção'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/panels/:code/retention
+ * Altera a política de retenção do painel (apenas o dono)
+ * policy "default" e days null voltam aos padrões globais
+ */
+router.patch('/:code/retention', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('policy')
+      .isIn(['default', ...RETENTION_POLICIES])
+      .withMessage('Política de retenção inválida'),
+    body('days')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: config.retention.maxDays })
+      .withMessage(`Prazo deve ser entre 1 e ${config.retention.maxDays} dias`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+      const policy = req.body.policy === 'default' ? null : req.body.policy;
+      const days = req.body.days ?? null;
+
+      const callerRole = await getParticipantRole(upperCode, userId);
+      if (callerRole !== PANEL_ROLES.OWNER) {
+        return res.status(403).json({
+          error: 'Apenas o dono pode alterar a retenção'
+        });
+      }
+
+      // Um novo prazo reabre a janela de aviso
+      const result = await db.query(`
+        UPDATE panels
+        SET retention_policy = $1,
+            retention_days = $2,
+            retention_warned_at = NULL
+        WHERE id = $3
+        RETURNING retention_policy, retention_days, last_activity, archived_at
+      `, [policy, days, upperCode]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Painel não encontrado'
+        });
+      }
+
+      await cache.invalidate(`panel:${upperCode}`);
+
+      const retention = serializeRetention(result.rows[0]);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${upperCode}`).emit('panel-retention-updated', {
+          panel_id: upperCode,
+          ...retention
+        });
+      }
+
+      console.log('✅ Retenção do painel alterada:', {
+        panelId: upperCode,
+        policy: retention.policy,
+        days: retention.days
+      });
+
+      res.json(retention);
+
+    } catch (error) {
+      console.error('❌ Erro ao alterar retenção:', error);
+      res.status(500).json({
+        error: 'Erro ao alterar política de retenção'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/panels/:code/invites
+ * Cria um convite para o painel (membros em diante)
+ */
+router.post('/:code/invites', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('expires_in_hours')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: config.limits.inviteMaxExpiryHours })
+      .withMessage('Validade inválida'),
+    body('max_uses')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: config.limits.inviteMaxUses })
+      .withMessage('Limite de usos inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+      const { expires_in_hours, max_uses } = req.body;
+      
+      const role = await getParticipantRole(upperCode, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para convidar pessoas para este painel'
+        });
+      }
+      
+      const result = await db.query(`
+        INSERT INTO panel_invites (panel_id, token, created_by_user_id, expires_at, max_uses)
+        VALUES (
+          $1, $2, $3,
+          CASE WHEN $4::INTEGER IS NULL THEN NULL
+               ELSE CURRENT_TIMESTAMP + ($4::INTEGER * INTERVAL '1 hour')
+          END,
+          $5
+        )
+        RETURNING *
+      `, [upperCode, generateSecureToken(), userId, expires_in_hours ?? null, max_uses ?? null]);
+      
+      console.log('✅ Convite criado:', {
+        panelId: upperCode,
+        inviteId: result.rows[0].id,
+        createdBy: userId,
+        expiresAt: result.rows[0].expires_at,
+        maxUses: result.rows[0].max_uses
+      });
+      
+      res.status(201).json(result.rows[0]);
+      
+    } catch (error) {
+      console.error('❌ Erro ao criar convite:', error);
+      res.status(500).json({
+        error: 'Erro ao criar convite'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/panels/:code/invites
+ * Lista convites ativos (dono/moderadores veem todos, membros apenas os próprios)
+ */
+router.get('/:code/invites', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+      
+      const role = await getParticipantRole(upperCode, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para ver os convites deste painel'
+        });
+      }
+      
+      const result = await db.query(`
+        SELECT
+          i.id, i.token, i.expires_at, i.max_uses, i.use_count, i.created_at,
+          i.created_by_user_id,
+          CASE WHEN u.id IS NULL THEN NULL
+               ELSE u.first_name || ' ' || u.last_name
+          END as created_by_name
+        FROM panel_invites i
+        LEFT JOIN users u ON u.id = i.created_by_user_id
+        WHERE i.panel_id = $1
+          AND i.revoked_at IS NULL
+          AND (i.expires_at IS NULL OR i.expires_at > CURRENT_TIMESTAMP)
+          AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+          AND ($2::BOOLEAN OR i.created_by_user_id = $3)
+        ORDER BY i.created_at DESC
+      `, [upperCode, hasRole(role, PANEL_ROLES.MODERATOR), userId]);
+      
+      res.json(result.rows);
+      
+    } catch (error) {
+      console.error('❌ Erro ao listar convites:', error);
+      res.status(500).json({
+        error: 'Erro ao listar convites'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/panels/:code/invites/:inviteId
+ * Revoga um convite (autor do convite, moderadores ou dono)
+ */
+router.delete('/:code/invites/:inviteId', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    param('inviteId')
+      .isUUID()
+      .withMessage('ID do convite inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const { inviteId } = req.params;
+      const userId = req.user.userId;
+      
+      const inviteResult = await db.query(
+        'SELECT created_by_user_id FROM panel_invites WHERE id = $1 AND panel_id = $2 AND revoked_at IS NULL',
+        [inviteId, upperCode]
+      );
+      
+      if (inviteResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Convite não encontrado'
+        });
+      }
+      
+      const role = await getParticipantRole(upperCode, userId);
+      const canRevoke =
+        (inviteResult.rows[0].created_by_user_id === userId && hasRole(role, PANEL_ROLES.MEMBER)) ||
+        hasRole(role, PANEL_ROLES.MODERATOR);
+      
+      if (!canRevoke) {
+        return res.status(403).json({
+          error: 'Sem permissão para revogar este convite'
+        });
+      }
+      
+      await db.query(
+        'UPDATE panel_invites SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [inviteId]
+      );
+      
+      logger.security('Convite revogado', {
+        panelId: upperCode,
+        inviteId,
+        revokedBy: userId
+      });
+      
+      res.status(204).send();
+      
+    } catch (error) {
+      console.error('❌ Erro ao revogar convite:', error);
+      res.status(500).json({
+        error: 'Erro ao revogar convite'
+      });
+    }
+  }
+);
+
+/**
+ * Valida o código do painel e o ID da etiqueta
+ */
+const labelParamValidators = [
+  param('code')
+    .isLength({ min: 6, max: 6 })
+    .isAlphanumeric()
+    .withMessage('Código inválido'),
+  param('labelId')
+    .isUUID()
+    .withMessage('ID da etiqueta inválido')
+];
+
+/**
+ * Avisa os participantes conectados ao painel sobre mudanças nas etiquetas
+ */
+function emitLabelEvent(req, panelId, event, payload) {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`panel:${panelId}`).emit(event, payload);
+  }
+}
+
+/**
+ * GET /api/panels/:code/labels
+ * Lista as etiquetas do painel com o total de notas marcadas (participantes)
+ */
+router.get('/:code/labels', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+
+      if (!await getParticipantRole(upperCode, req.user.userId)) {
+        return res.status(403).json({
+          error: 'Você não participa deste painel'
+        });
+      }
+
+      const result = await db.query(`
+        SELECT l.*,
+          (SELECT COUNT(*)::INTEGER FROM post_labels pl WHERE pl.label_id = l.id) as post_count
+        FROM panel_labels l
+        WHERE l.panel_id = $1
+        ORDER BY l.created_at
+      `, [upperCode]);
+
+      res.json(result.rows);
+
+    } catch (error) {
+      console.error('❌ Erro ao listar etiquetas:', error);
+      res.status(500).json({
+        error: 'Erro ao listar etiquetas'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/panels/:code/labels
+ * Cria uma etiqueta no painel (membros ou acima)
+ */
+router.post('/:code/labels', authenticateToken,
+  [
+    param('code')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('Código inválido'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: config.limits.labelNameMaxLength })
+      .withMessage(`Nome deve ter entre 1 e ${config.limits.labelNameMaxLength} caracteres`),
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Cor inválida')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const userId = req.user.userId;
+      const { name, color } = req.body;
+
+      const role = await getParticipantRole(upperCode, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para criar etiquetas neste painel'
+        });
+      }
+
+      const countResult = await db.query(
+        'SELECT COUNT(*)::INTEGER as count FROM panel_labels WHERE panel_id = $1',
+        [upperCode]
+      );
+      if (countResult.rows[0].count >= config.limits.maxLabelsPerPanel) {
+        return res.status(400).json({
+          error: `O painel já tem o máximo de ${config.limits.maxLabelsPerPanel} etiquetas`
+        });
+      }
+
+      const result = await db.query(`
+        INSERT INTO panel_labels (panel_id, name, color, created_by_user_id)
+        VALUES ($1, $2, COALESCE($3, '#94A3B8'), $4)
+        RETURNING *
+      `, [upperCode, name, color ?? null, userId]);
+
+      const label = { ...result.rows[0], post_count: 0 };
+      emitLabelEvent(req, upperCode, 'label-created', label);
+
+      console.log('✅ Etiqueta criada:', {
+        panelId: upperCode,
+        labelId: label.id,
+        createdBy: userId
+      });
+
+      res.status(201).json(label);
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Já existe uma etiqueta com este nome'
+        });
+      }
+      console.error('❌ Erro ao criar etiqueta:', error);
+      res.status(500).json({
+        error: 'Erro ao criar etiqueta'
+      });
+    }
+  }
+);
+
+/**
+ * Verifica se o usuário pode alterar a etiqueta (quem criou, moderadores ou dono)
+ * @returns {Promise<object|null>} A etiqueta, ou null se ela não existe (a resposta já foi enviada)
+ */
+async function findEditableLabel(req, res, panelId, labelId) {
+  const userId = req.user.userId;
+
+  const labelResult = await db.query(
+    'SELECT * FROM panel_labels WHERE id = $1 AND panel_id = $2',
+    [labelId, panelId]
+  );
+
+  if (labelResult.rows.length === 0) {
+    res.status(404).json({
+      error: 'Etiqueta não encontrada'
+    });
+    return null;
+  }
+
+  const label = labelResult.rows[0];
+  const role = await getParticipantRole(panelId, userId);
+  const canEdit =
+    (label.created_by_user_id === userId && hasRole(role, PANEL_ROLES.MEMBER)) ||
+    hasRole(role, PANEL_ROLES.MODERATOR);
+
+  if (!canEdit) {
+    res.status(403).json({
+      error: 'Sem permissão para alterar esta etiqueta'
+    });
+    return null;
+  }
+
+  return label;
+}
+
+/**
+ * PATCH /api/panels/:code/labels/:labelId
+ * Renomeia ou muda a cor de uma etiqueta
+ */
+router.patch('/:code/labels/:labelId', authenticateToken,
+  [
+    ...labelParamValidators,
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: config.limits.labelNameMaxLength })
+      .withMessage(`Nome deve ter entre 1 e ${config.limits.labelNameMaxLength} caracteres`),
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Cor inválida')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const { labelId } = req.params;
+      const { name, color } = req.body;
+
+      if (name === undefined && color === undefined) {
+        return res.status(400).json({
+          error: 'Informe o nome ou a cor a ser alterada'
+        });
+      }
+
+      if (!await findEditableLabel(req, res, upperCode, labelId)) return;
+
+      const result = await db.query(`
+        UPDATE panel_labels
+        SET name = COALESCE($1, name),
+            color = COALESCE($2, color)
+        WHERE id = $3
+        RETURNING *,
+          (SELECT COUNT(*)::INTEGER FROM post_labels pl WHERE pl.label_id = panel_labels.id) as post_count
+      `, [name ?? null, color ?? null, labelId]);
+
+      const label = result.rows[0];
+      emitLabelEvent(req, upperCode, 'label-updated', label);
+
+      res.json(label);
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Já existe uma etiqueta com este nome'
+        });
+      }
+      console.error('❌ Erro ao editar etiqueta:', error);
+      res.status(500).json({
+        error: 'Erro ao editar etiqueta'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/panels/:code/labels/:labelId
+ * Exclui a etiqueta e a remove de todas as notas
+ */
+router.delete('/:code/labels/:labelId', authenticateToken,
+  labelParamValidators,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperCode = req.params.code.toUpperCase();
+      const { labelId } = req.params;
+
+      if (!await findEditableLabel(req, res, upperCode, labelId)) return;
+
+      // post_labels é removida em cascata
+      await db.query('DELETE FROM panel_labels WHERE id = $1', [labelId]);
+
+      emitLabelEvent(req, upperCode, 'label-deleted', { label_id: labelId });
+
+      console.log('🗑️ Etiqueta excluída:', {
+        panelId: upperCode,
+        labelId,
+        deletedBy: req.user.userId
+      });
+
+      res.status(204).send();
+
+    } catch (error) {
+      console.error('❌ Erro ao excluir etiqueta:', error);
+      res.status(500).json({
+        error: 'Erro ao excluir etiqueta'
+      });
+    }
+  }
+);
+
+/**
+ * Funções auxiliares
+ */
+
+/**
+ * Verifica se um convite ainda pode ser usado
+ */
+function isInviteUsable(invite) {
+  if (invite.revoked_at) return false;
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) return false;
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return false;
+  return true;
+}
+
+/**
+ * Gera código único para painel
+ */
+async function generateUniqueCode() {
+  let attempts = 0;
+  const maxAttempts = 10;
+  
+  while (attempts < maxAttempts) {
+    const code = generatePanelCode();
+    
+    // Verificar se código já existe
+    const existing = await db.query(
+      'SELECT id FROM panels WHERE id = $1',
+      [code]
+    );
+    
+    if (existing.rows.length === 0) {
+      return code;
+    }
+    
+    attempts++;
+  }
+  
+  throw new Error('Não foi possível gerar código único');
+}
+
+/**
+ * Limite de usuários baseado no tipo
+ */
+function getMaxUsers(type) {
+  switch (type) {
+    case 'couple': return 2;
+    case 'family': return 10;
+    default: return 15;
+  }
 }
 
 /**
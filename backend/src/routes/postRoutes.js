@@ -9,6 +9,10 @@ const { db, cache } = require('../config/database');
 const { authenticateToken } = require('./authRoutes');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { PANEL_ROLES, hasRole, getParticipantRole } = require('../utils/panelPermissions');
+const { idempotency } = require('../utils/idempotency');
+const { getReactionSummaries } = require('../services/postReactions');
+const { notifyMentions } = require('../services/mentions');
 
 const router = express.Router();
 
@@ -26,6 +30,26 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Alterações feitas offline enviam o updated_at que o cliente conhecia (base_updated_at);
+ * se a nota mudou depois disso, a alteração é recusada devolvendo o estado atual
+ */
+function isStaleChange(post, baseUpdatedAt) {
+  return !!baseUpdatedAt && new Date(post.updated_at).getTime() > new Date(baseUpdatedAt).getTime();
+}
+
+// Colunas das respostas enviadas aos clientes: o autor aparece só pelo nome (nulo nas anônimas),
+// e quem pede a lista recebe is_mine nas próprias respostas
+const COMMENT_COLUMNS = 'id, post_id, author_name, content, created_at, updated_at';
+
+function sendConflict(res, post) {
+  return res.status(409).json({
+    error: 'A nota foi alterada por outra pessoa enquanto você estava offline',
+    code: 'POST_CONFLICT',
+    post
+  });
+}
+
 /**
  * PATCH /api/posts/:postId/position
  * Atualiza a posição de um post
@@ -43,9 +67,14 @@ router.patch('/:postId/position', authenticateToken,
       .withMessage('Posição Y inválida'),
     body('panel_id')
       .isLength({ min: 6, max: 6 })
-      .withMessage('ID do painel inválido')
+      .withMessage('ID do painel inválido'),
+    body('base_updated_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Versão da nota inválida')
   ],
   handleValidationErrors,
+  idempotency,
   async (req, res) => {
     try {
       const { postId } = req.params;
@@ -53,7 +82,7 @@ router.patch('/:postId/position', authenticateToken,
       
       // Verificar se post existe e se pertence ao usuário ou está no painel correto
       const existingPost = await db.query(
-        'SELECT panel_id, author_user_id FROM posts WHERE id = $1',
+        'SELECT * FROM posts WHERE id = $1',
         [postId]
       );
       
@@ -70,13 +99,52 @@ router.patch('/:postId/position', authenticateToken,
         });
       }
       
-      // Atualizar posição
-      const result = await db.query(
-        'UPDATE posts SET position_x = $1, position_y = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-        [position_x, position_y, postId]
-      );
+      // Visualizadores (e não participantes) não podem mover notas
+      const role = await getParticipantRole(existingPost.rows[0].panel_id, req.user.userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para mover este post'
+        });
+      }
       
-      const post = result.rows[0];
+      // Atualizar posição guardando o estado anterior no histórico
+      // O conflito é verificado com a nota travada, para não perder uma edição gravada no meio
+      const moved = await db.transaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM posts WHERE id = $1 FOR UPDATE',
+          [postId]
+        );
+        // Excluída depois da verificação inicial
+        if (current.rows.length === 0) return null;
+
+        const previous = current.rows[0];
+
+        if (isStaleChange(previous, req.body.base_updated_at)) {
+          return { conflict: previous };
+        }
+
+        if (previous.position_x !== Number(position_x) || previous.position_y !== Number(position_y)) {
+          await snapshotPostRevision(client, previous, 'move', req.user.userId);
+        }
+
+        const result = await client.query(
+          'UPDATE posts SET position_x = $1, position_y = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+          [position_x, position_y, postId]
+        );
+        return { post: result.rows[0] };
+      });
+
+      if (!moved) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      if (moved.conflict) {
+        return sendConflict(res, moved.conflict);
+      }
+
+      const { post } = moved;
       
       // Invalidar cache de posts
       await cache.invalidate(`posts:${panel_id.toUpperCase()}`);
@@ -104,6 +172,140 @@ router.patch('/:postId/position', authenticateToken,
   }
 );
 
+/**
+ * PATCH /api/posts/:postId
+ * Edita conteúdo e/ou cor de um post (apenas o autor)
+ */
+router.patch('/:postId', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    body('content')
+      .optional()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Conteúdo deve ter entre 1 e 1000 caracteres'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('Cor inválida'),
+    body('panel_id')
+      .isLength({ min: 6, max: 6 })
+      .withMessage('ID do painel inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { content, color, panel_id } = req.body;
+      const userId = req.user.userId;
+      const upperPanelId = panel_id.toUpperCase();
+
+      if (content === undefined && color === undefined) {
+        return res.status(400).json({
+          error: 'Informe o conteúdo ou a cor a ser alterada'
+        });
+      }
+
+      // Buscar post com informações de autorização
+      const existingPost = await db.query(
+        'SELECT panel_id, author_user_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (existingPost.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      // Verificar se o panel_id corresponde
+      if (existingPost.rows[0].panel_id !== upperPanelId) {
+        return res.status(400).json({
+          error: 'ID do painel não corresponde ao post'
+        });
+      }
+
+      // Apenas o autor pode editar, desde que não seja visualizador
+      const role = await getParticipantRole(upperPanelId, userId);
+      if (existingPost.rows[0].author_user_id !== userId || !hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para editar este post'
+        });
+      }
+
+      // Atualizar campos informados guardando o estado anterior no histórico
+      const post = await db.transaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM posts WHERE id = $1 FOR UPDATE',
+          [postId]
+        );
+        // Excluída depois da verificação inicial
+        if (current.rows.length === 0) return null;
+
+        await snapshotPostRevision(client, current.rows[0], 'edit', userId);
+
+        const result = await client.query(`
+          UPDATE posts
+          SET content = COALESCE($1, content),
+              color = COALESCE($2, color),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+          RETURNING *
+        `, [content ?? null, color ?? null, postId]);
+        return result.rows[0];
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      // Invalidar cache de posts
+      await cache.invalidate(`posts:${upperPanelId}`);
+
+      // Atualizar última atividade do painel
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [upperPanelId]
+      );
+
+      // Emitir via WebSocket
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${upperPanelId}`).emit('post-updated', post);
+      }
+
+      // Menções novas no conteúdo editado
+      if (content !== undefined) {
+        await notifyMentions(io, {
+          panelId: upperPanelId,
+          postId,
+          content: post.content,
+          actorUserId: userId,
+          actorName: post.author_name
+        });
+      }
+
+      console.log('✅ Post editado:', {
+        postId,
+        panelId: upperPanelId,
+        changedContent: content !== undefined,
+        changedColor: color !== undefined
+      });
+
+      res.json(post);
+
+    } catch (error) {
+      console.error('❌ Erro ao editar post:', error);
+      res.status(500).json({
+        error: 'Erro ao editar post'
+      });
+    }
+  }
+);
+
 /**
  * DELETE /api/posts/:postId
  * Deleta um post
@@ -115,9 +317,14 @@ router.delete('/:postId', authenticateToken,
       .withMessage('ID do post inválido'),
     query('panel_id')
       .isLength({ min: 6, max: 6 })
-      .withMessage('ID do painel é obrigatório')
+      .withMessage('ID do painel é obrigatório'),
+    query('base_updated_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Versão da nota inválida')
   ],
   handleValidationErrors,
+  idempotency,
   async (req, res) => {
     try {
       const { postId } = req.params;
@@ -126,7 +333,7 @@ router.delete('/:postId', authenticateToken,
       
       // Buscar post com informações de autorização
       const postResult = await db.query(
-        'SELECT author_user_id, panel_id FROM posts WHERE id = $1',
+        'SELECT * FROM posts WHERE id = $1',
         [postId]
       );
       
@@ -146,9 +353,10 @@ router.delete('/:postId', authenticateToken,
       }
       
       // Verificar permissões de deleção
+      const role = await getParticipantRole(post.panel_id, userId);
       const canDelete = 
         post.author_user_id === userId || // Autor do post
-        post.author_user_id === null; // Post anônimo (qualquer um pode deletar)
+        hasRole(role, PANEL_ROLES.MODERATOR); // Moderadores e dono podem deletar qualquer post
       
       if (!canDelete) {
         return res.status(403).json({
@@ -156,8 +364,26 @@ router.delete('/:postId', authenticateToken,
         });
       }
       
-      // Deletar post
-      await db.query('DELETE FROM posts WHERE id = $1', [postId]);
+      // Deletar post, verificando o conflito com a nota travada
+      const conflict = await db.transaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM posts WHERE id = $1 FOR UPDATE',
+          [postId]
+        );
+        // Excluída depois da verificação inicial: nada a fazer
+        if (current.rows.length === 0) return null;
+
+        if (isStaleChange(current.rows[0], req.query.base_updated_at)) {
+          return current.rows[0];
+        }
+
+        await client.query('DELETE FROM posts WHERE id = $1', [postId]);
+        return null;
+      });
+
+      if (conflict) {
+        return sendConflict(res, conflict);
+      }
       
       // Invalidar cache de posts
       await cache.invalidate(`posts:${panel_id.toUpperCase()}`);
@@ -214,6 +440,13 @@ router.get('/:postId', authenticateToken,
         });
       }
       
+      // Mesma regra da listagem: apenas participantes do painel
+      if (!await getParticipantRole(result.rows[0].panel_id, req.user.userId)) {
+        return res.status(403).json({
+          error: 'Sem permissão para ver este post'
+        });
+      }
+      
       res.json(result.rows[0]);
       
     } catch (error) {
@@ -225,4 +458,754 @@ router.get('/:postId', authenticateToken,
   }
 );
 
+/**
+ * GET /api/posts/:postId/revisions
+ * Lista o histórico de alterações de um post (participantes do painel)
+ */
+router.get('/:postId/revisions', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      if (!await getParticipantRole(postResult.rows[0].panel_id, userId)) {
+        return res.status(403).json({
+          error: 'Sem permissão para ver o histórico deste post'
+        });
+      }
+
+      const result = await db.query(`
+        SELECT
+          r.id, r.post_id, r.panel_id, r.content, r.color,
+          r.position_x, r.position_y, r.change_type, r.created_at,
+          CASE WHEN u.id IS NULL THEN NULL
+               ELSE u.first_name || ' ' || u.last_name
+          END as changed_by_name
+        FROM post_revisions r
+        LEFT JOIN users u ON u.id = r.changed_by_user_id
+        WHERE r.post_id = $1
+        ORDER BY r.created_at DESC
+      `, [postId]);
+
+      res.json(result.rows);
+
+    } catch (error) {
+      console.error('❌ Erro ao buscar histórico do post:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar histórico do post'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/posts/:postId/revisions/:revId/restore
+ * Restaura um post para uma versão anterior (autor, moderadores ou dono)
+ */
+router.post('/:postId/revisions/:revId/restore', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    param('revId')
+      .isUUID()
+      .withMessage('ID da revisão inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId, revId } = req.params;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id, author_user_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      const role = await getParticipantRole(postResult.rows[0].panel_id, userId);
+      const canRestore =
+        (postResult.rows[0].author_user_id === userId && hasRole(role, PANEL_ROLES.MEMBER)) ||
+        hasRole(role, PANEL_ROLES.MODERATOR);
+
+      if (!canRestore) {
+        return res.status(403).json({
+          error: 'Sem permissão para restaurar este post'
+        });
+      }
+
+      const revisionResult = await db.query(
+        'SELECT * FROM post_revisions WHERE id = $1 AND post_id = $2',
+        [revId, postId]
+      );
+
+      if (revisionResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Revisão não encontrada'
+        });
+      }
+
+      const revision = revisionResult.rows[0];
+      const panelId = postResult.rows[0].panel_id;
+
+      // Restaurar guardando o estado atual no histórico
+      const post = await db.transaction(async (client) => {
+        const current = await client.query(
+          'SELECT * FROM posts WHERE id = $1 FOR UPDATE',
+          [postId]
+        );
+        // Excluída depois da verificação inicial
+        if (current.rows.length === 0) return null;
+
+        await snapshotPostRevision(client, current.rows[0], 'restore', userId);
+
+        const result = await client.query(`
+          UPDATE posts
+          SET content = $1,
+              color = COALESCE($2, color),
+              position_x = COALESCE($3, position_x),
+              position_y = COALESCE($4, position_y),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $5
+          RETURNING *
+        `, [revision.content, revision.color, revision.position_x, revision.position_y, postId]);
+        return result.rows[0];
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      // Invalidar cache de posts
+      await cache.invalidate(`posts:${panelId}`);
+
+      // Atualizar última atividade do painel
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [panelId]
+      );
+
+      // Emitir via WebSocket
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${panelId}`).emit('post-updated', post);
+      }
+
+      console.log('✅ Post restaurado:', {
+        postId,
+        revisionId: revId,
+        panelId
+      });
+
+      res.json(post);
+
+    } catch (error) {
+      console.error('❌ Erro ao restaurar post:', error);
+      res.status(500).json({
+        error: 'Erro ao restaurar post'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/posts/:postId/reactions
+ * Adiciona uma reação do usuário ao post (membros ou acima)
+ */
+router.post('/:postId/reactions', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    body('emoji')
+      .isIn(config.reactions.emojis)
+      .withMessage('Reação inválida')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { emoji } = req.body;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      const panelId = postResult.rows[0].panel_id;
+      const role = await getParticipantRole(panelId, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para reagir a este post'
+        });
+      }
+
+      // Reagir de novo com o mesmo emoji não muda nada
+      await db.query(`
+        INSERT INTO post_reactions (post_id, user_id, emoji)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (post_id, user_id, emoji) DO NOTHING
+      `, [postId, userId, emoji]);
+
+      // Invalidar cache de posts
+      await cache.invalidate(`posts:${panelId}`);
+
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [panelId]
+      );
+
+      await sendReactions(req, res, panelId, postId);
+
+    } catch (error) {
+      console.error('❌ Erro ao reagir ao post:', error);
+      res.status(500).json({
+        error: 'Erro ao reagir ao post'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/posts/:postId/reactions?emoji=👍
+ * Remove a reação do usuário
+ */
+router.delete('/:postId/reactions', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    query('emoji')
+      .isIn(config.reactions.emojis)
+      .withMessage('Reação inválida')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { emoji } = req.query;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      const panelId = postResult.rows[0].panel_id;
+      if (!await getParticipantRole(panelId, userId)) {
+        return res.status(403).json({
+          error: 'Sem permissão para remover esta reação'
+        });
+      }
+
+      await db.query(
+        'DELETE FROM post_reactions WHERE post_id = $1 AND user_id = $2 AND emoji = $3',
+        [postId, userId, emoji]
+      );
+
+      // Invalidar cache de posts
+      await cache.invalidate(`posts:${panelId}`);
+
+      await sendReactions(req, res, panelId, postId);
+
+    } catch (error) {
+      console.error('❌ Erro ao remover reação:', error);
+      res.status(500).json({
+        error: 'Erro ao remover reação'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/posts/:postId/labels
+ * Define as etiquetas do post (autor ou moderadores); as etiquetas devem ser do mesmo painel
+ */
+router.put('/:postId/labels', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    body('label_ids')
+      .isArray({ max: config.limits.maxLabelsPerPanel })
+      .withMessage('Lista de etiquetas inválida'),
+    body('label_ids.*')
+      .isUUID()
+      .withMessage('ID da etiqueta inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const labelIds = [...new Set(req.body.label_ids)];
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id, author_user_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      const { panel_id: panelId, author_user_id: authorUserId } = postResult.rows[0];
+      const role = await getParticipantRole(panelId, userId);
+      const canLabel =
+        (authorUserId === userId && hasRole(role, PANEL_ROLES.MEMBER)) ||
+        hasRole(role, PANEL_ROLES.MODERATOR);
+
+      if (!canLabel) {
+        return res.status(403).json({
+          error: 'Sem permissão para alterar as etiquetas deste post'
+        });
+      }
+
+      const labelsResult = await db.query(
+        'SELECT id FROM panel_labels WHERE id = ANY($1::UUID[]) AND panel_id = $2',
+        [labelIds, panelId]
+      );
+      if (labelsResult.rows.length !== labelIds.length) {
+        return res.status(400).json({
+          error: 'Etiqueta não encontrada neste painel'
+        });
+      }
+
+      // Substitui o conjunto mantendo a data em que cada etiqueta já existente foi colocada
+      const currentLabelIds = await db.transaction(async (client) => {
+        await client.query(
+          'DELETE FROM post_labels WHERE post_id = $1 AND NOT (label_id = ANY($2::UUID[]))',
+          [postId, labelIds]
+        );
+        await client.query(`
+          INSERT INTO post_labels (post_id, label_id)
+          SELECT $1, unnest($2::UUID[])
+          ON CONFLICT (post_id, label_id) DO NOTHING
+        `, [postId, labelIds]);
+
+        const result = await client.query(
+          'SELECT label_id FROM post_labels WHERE post_id = $1 ORDER BY created_at',
+          [postId]
+        );
+        return result.rows.map(row => row.label_id);
+      });
+
+      // Invalidar cache de posts
+      await cache.invalidate(`posts:${panelId}`);
+
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [panelId]
+      );
+
+      const payload = { post_id: postId, label_ids: currentLabelIds };
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${panelId}`).emit('post-labels-updated', payload);
+      }
+
+      res.json(payload);
+
+    } catch (error) {
+      console.error('❌ Erro ao alterar etiquetas do post:', error);
+      res.status(500).json({
+        error: 'Erro ao alterar etiquetas do post'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/posts/:postId/comments
+ * Lista as respostas de um post, das mais antigas para as mais novas (participantes do painel)
+ */
+router.get('/:postId/comments', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      if (!await getParticipantRole(postResult.rows[0].panel_id, userId)) {
+        return res.status(403).json({
+          error: 'Sem permissão para ver as respostas deste post'
+        });
+      }
+
+      const result = await db.query(`
+        SELECT ${COMMENT_COLUMNS}, COALESCE(author_user_id = $2, FALSE) AS is_mine
+        FROM post_comments
+        WHERE post_id = $1
+        ORDER BY created_at ASC
+      `, [postId, userId]);
+
+      res.json(result.rows);
+
+    } catch (error) {
+      console.error('❌ Erro ao buscar respostas do post:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar respostas do post'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/posts/:postId/comments
+ * Responde a um post (membros ou acima); aceita anonymous como na criação de posts
+ */
+router.post('/:postId/comments', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: config.limits.commentContentMaxLength })
+      .withMessage(`Resposta deve ter entre 1 e ${config.limits.commentContentMaxLength} caracteres`),
+    body('anonymous')
+      .optional()
+      .isBoolean()
+      .withMessage('Anonymous deve ser boolean')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const userId = req.user.userId;
+
+      const postResult = await db.query(
+        'SELECT panel_id FROM posts WHERE id = $1',
+        [postId]
+      );
+
+      if (postResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Post não encontrado'
+        });
+      }
+
+      const panelId = postResult.rows[0].panel_id;
+      const role = await getParticipantRole(panelId, userId);
+      if (!hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para responder a este post'
+        });
+      }
+
+      const userResult = await db.query(
+        'SELECT first_name, last_name FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Usuário não encontrado' });
+      }
+
+      const user = userResult.rows[0];
+      const authorName = req.body.anonymous ? null : `${user.first_name} ${user.last_name}`;
+
+      const result = await db.query(`
+        INSERT INTO post_comments (post_id, author_name, author_user_id, content)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${COMMENT_COLUMNS}
+      `, [postId, authorName, userId, req.body.content]);
+
+      const comment = result.rows[0];
+      const commentCount = await countComments(postId);
+
+      await db.query(
+        'UPDATE panels SET last_activity = CURRENT_TIMESTAMP WHERE id = $1',
+        [panelId]
+      );
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${panelId}`).emit('comment-added', {
+          post_id: postId,
+          comment,
+          comment_count: commentCount
+        });
+      }
+
+      await notifyMentions(io, {
+        panelId,
+        postId,
+        commentId: comment.id,
+        content: comment.content,
+        actorUserId: userId,
+        actorName: authorName
+      });
+
+      console.log('✅ Resposta criada:', {
+        commentId: comment.id,
+        postId,
+        panelId,
+        hasAuthorName: !!authorName
+      });
+
+      res.status(201).json({ ...comment, is_mine: true });
+
+    } catch (error) {
+      console.error('❌ Erro ao responder post:', error);
+      res.status(500).json({
+        error: 'Erro ao responder post'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/posts/:postId/comments/:commentId
+ * Edita uma resposta (apenas o autor)
+ */
+router.patch('/:postId/comments/:commentId', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    param('commentId')
+      .isUUID()
+      .withMessage('ID da resposta inválido'),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: config.limits.commentContentMaxLength })
+      .withMessage(`Resposta deve ter entre 1 e ${config.limits.commentContentMaxLength} caracteres`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId, commentId } = req.params;
+      const userId = req.user.userId;
+
+      const commentResult = await db.query(`
+        SELECT c.author_user_id, p.panel_id
+        FROM post_comments c
+        JOIN posts p ON p.id = c.post_id
+        WHERE c.id = $1 AND c.post_id = $2
+      `, [commentId, postId]);
+
+      if (commentResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Resposta não encontrada'
+        });
+      }
+
+      const { author_user_id, panel_id: panelId } = commentResult.rows[0];
+      const role = await getParticipantRole(panelId, userId);
+      if (author_user_id !== userId || !hasRole(role, PANEL_ROLES.MEMBER)) {
+        return res.status(403).json({
+          error: 'Sem permissão para editar esta resposta'
+        });
+      }
+
+      const result = await db.query(
+        `UPDATE post_comments SET content = $1 WHERE id = $2 RETURNING ${COMMENT_COLUMNS}`,
+        [req.body.content, commentId]
+      );
+      const comment = result.rows[0];
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${panelId}`).emit('comment-updated', { post_id: postId, comment });
+      }
+
+      await notifyMentions(io, {
+        panelId,
+        postId,
+        commentId,
+        content: comment.content,
+        actorUserId: userId,
+        actorName: comment.author_name
+      });
+
+      res.json({ ...comment, is_mine: true });
+
+    } catch (error) {
+      console.error('❌ Erro ao editar resposta:', error);
+      res.status(500).json({
+        error: 'Erro ao editar resposta'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/posts/:postId/comments/:commentId
+ * Remove uma resposta (autor, moderadores ou dono)
+ */
+router.delete('/:postId/comments/:commentId', authenticateToken,
+  [
+    param('postId')
+      .isUUID()
+      .withMessage('ID do post inválido'),
+    param('commentId')
+      .isUUID()
+      .withMessage('ID da resposta inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { postId, commentId } = req.params;
+      const userId = req.user.userId;
+
+      const commentResult = await db.query(`
+        SELECT c.author_user_id, p.panel_id
+        FROM post_comments c
+        JOIN posts p ON p.id = c.post_id
+        WHERE c.id = $1 AND c.post_id = $2
+      `, [commentId, postId]);
+
+      if (commentResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Resposta não encontrada'
+        });
+      }
+
+      const { author_user_id, panel_id: panelId } = commentResult.rows[0];
+      const role = await getParticipantRole(panelId, userId);
+      const isAuthor = author_user_id === userId && hasRole(role, PANEL_ROLES.MEMBER);
+      if (!isAuthor && !hasRole(role, PANEL_ROLES.MODERATOR)) {
+        return res.status(403).json({
+          error: 'Sem permissão para remover esta resposta'
+        });
+      }
+
+      await db.query('DELETE FROM post_comments WHERE id = $1', [commentId]);
+      const commentCount = await countComments(postId);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`panel:${panelId}`).emit('comment-deleted', {
+          post_id: postId,
+          comment_id: commentId,
+          comment_count: commentCount
+        });
+      }
+
+      console.log('🗑️ Resposta removida:', {
+        commentId,
+        postId,
+        panelId,
+        removedBy: isAuthor ? 'author' : role
+      });
+
+      res.status(204).send();
+
+    } catch (error) {
+      console.error('❌ Erro ao remover resposta:', error);
+      res.status(500).json({
+        error: 'Erro ao remover resposta'
+      });
+    }
+  }
+);
+
+/**
+ * Funções auxiliares
+ */
+
+/**
+ * Responde com as reações atuais do post e as envia ao mural (evento post-reaction)
+ */
+async function sendReactions(req, res, panelId, postId) {
+  const summaries = await getReactionSummaries([postId]);
+  const payload = { post_id: postId, reactions: summaries[postId] || [] };
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`panel:${panelId}`).emit('post-reaction', payload);
+  }
+
+  res.json(payload);
+}
+
+/**
+ * Guarda no histórico o estado atual do post antes de uma alteração
+ */
+async function snapshotPostRevision(client, post, changeType, userId) {
+  await client.query(`
+    INSERT INTO post_revisions (
+      post_id, panel_id, content, color, position_x, position_y,
+      change_type, changed_by_user_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    post.id,
+    post.panel_id,
+    post.content,
+    post.color,
+    post.position_x,
+    post.position_y,
+    changeType,
+    userId
+  ]);
+}
+
+/**
+ * Total de respostas de um post
+ */
+async function countComments(postId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::INTEGER as count FROM post_comments WHERE post_id = $1',
+    [postId]
+  );
+  return result.rows[0].count;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Rotas de busca
+ * Busca textual nas notas dos murais de que o usuário participa
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { db } = require('../config/database');
+const config = require('../config/config');
+const { authenticateToken } = require('./authRoutes');
+
+const router = express.Router();
+
+// Trechos com os termos encontrados entre <mark> e </mark>
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Middleware para validação de erros
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Dados inválidos',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/search?q=reunião&limit=20
+ * Busca nas notas dos murais do usuário (sem os arquivados e os da lixeira)
+ * Combina a configuração portuguese (radicais: "reuniões" encontra "reunião")
+ * com a simple (palavras exatas, nomes próprios e termos em outros idiomas)
+ */
+router.get('/', authenticateToken,
+  [
+    query('q')
+      .trim()
+      .isLength({ min: 2, max: config.limits.searchQueryMaxLength })
+      .withMessage(`A busca deve ter entre 2 e ${config.limits.searchQueryMaxLength} caracteres`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: config.limits.searchMaxResults })
+      .withMessage(`Limite deve ser entre 1 e ${config.limits.searchMaxResults}`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+
+      // As expressões to_tsvector são as mesmas dos índices idx_posts_content_fts_*
+      const result = await db.query(`
+        WITH search AS (
+          SELECT
+            websearch_to_tsquery('portuguese', $2) AS portuguese_query,
+            websearch_to_tsquery('simple', $2) AS simple_query
+        ),
+        matches AS (
+          SELECT
+            po.id, po.panel_id, po.author_name, po.content, po.color, po.created_at, po.updated_at,
+            pa.name AS panel_name,
+            to_tsvector('portuguese', po.content) @@ s.portuguese_query AS portuguese_match,
+            GREATEST(
+              ts_rank(to_tsvector('portuguese', po.content), s.portuguese_query),
+              ts_rank(to_tsvector('simple', po.content), s.simple_query)
+            ) AS rank
+          FROM posts po
+          JOIN panel_participants pp ON pp.panel_id = po.panel_id AND pp.user_uuid = $1
+          JOIN panels pa ON pa.id = po.panel_id AND pa.deleted_at IS NULL AND pa.archived_at IS NULL
+          CROSS JOIN search s
+          WHERE to_tsvector('portuguese', po.content) @@ s.portuguese_query
+             OR to_tsvector('simple', po.content) @@ s.simple_query
+          ORDER BY rank DESC, po.created_at DESC
+          LIMIT $3
+        )
+        SELECT
+          m.id, m.panel_id, m.panel_name, m.author_name, m.color, m.created_at, m.updated_at,
+          CASE WHEN m.portuguese_match
+            THEN ts_headline('portuguese', m.content, s.portuguese_query, $4)
+            ELSE ts_headline('simple', m.content, s.simple_query, $4)
+          END AS snippet
+        FROM matches m
+        CROSS JOIN search s
+        ORDER BY m.rank DESC, m.created_at DESC
+      `, [req.user.userId, req.query.q, limit, HEADLINE_OPTIONS]);
+
+      res.json({
+        query: req.query.q,
+        results: result.rows
+      });
+
+    } catch (error) {
+      console.error('❌ Erro na busca:', error);
+      res.status(500).json({
+        error: 'Erro ao buscar notas'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -8,6 +8,8 @@ const { body, param, query, validationResult } = require('express-validator');
 const { db } = require('../config/database');
 const { validators } = require('../utils/validators');
 const logger = require('../utils/logger');
+const { authenticateToken } = require('./authRoutes');
+const { PANEL_ROLES, ROLE_LEVELS, hasRole, getParticipantRole } = require('../utils/panelPermissions');
 
 const router = express.Router();
 
@@ -59,7 +61,7 @@ router.post('/:panelId/active',
       
       // Verificar se painel existe
       const panelExists = await db.query(
-        'SELECT id, max_users FROM panels WHERE id = $1',
+        'SELECT id, max_users FROM panels WHERE id = $1 AND deleted_at IS NULL',
         [upperPanelId]
       );
       
@@ -140,7 +142,7 @@ router.get('/:panelId/active',
       
       // Verificar se painel existe
       const panelExists = await db.query(
-        'SELECT id FROM panels WHERE id = $1',
+        'SELECT id FROM panels WHERE id = $1 AND deleted_at IS NULL',
         [upperPanelId]
       );
       
@@ -266,42 +268,103 @@ router.put('/:panelId/heartbeat/:userId',
 
 /**
  * DELETE /api/users/:panelId/participants/:userId
- * Remove usuário permanentemente do painel (sair definitivamente)
+ * Remove (expulsa) um participante do painel - apenas dono e moderadores
+ * Com ?ban=true a conta também é banida e não pode reentrar
  */
-router.delete('/:panelId/participants/:userId',
+router.delete('/:panelId/participants/:userId', authenticateToken,
   [
     param('panelId')
       .isLength({ min: 6, max: 6 })
       .isAlphanumeric()
       .withMessage('ID do painel inválido'),
     param('userId')
-      .notEmpty()
-      .withMessage('ID do usuário é obrigatório')
+      .isUUID()
+      .withMessage('ID do usuário inválido'),
+    query('ban')
+      .optional()
+      .isBoolean()
+      .withMessage('Ban deve ser boolean'),
+    query('reason')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Motivo muito longo')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const { panelId, userId } = req.params;
       const upperPanelId = panelId.toUpperCase();
+      const moderatorId = req.user.userId;
+      const ban = req.query.ban === 'true';
       
-      // Usar transação para remover de ambas as tabelas
+      if (userId === moderatorId) {
+        return res.status(400).json({
+          error: 'Use a opção de sair do mural para remover a si mesmo'
+        });
+      }
+      
+      const moderatorRole = await getParticipantRole(upperPanelId, moderatorId);
+      if (!hasRole(moderatorRole, PANEL_ROLES.MODERATOR)) {
+        return res.status(403).json({
+          error: 'Apenas o dono e moderadores podem remover participantes'
+        });
+      }
+      
+      const targetRole = await getParticipantRole(upperPanelId, userId);
+      if (!targetRole) {
+        return res.status(404).json({
+          error: 'Participante não encontrado'
+        });
+      }
+      
+      // Só é possível remover quem tem papel inferior ao seu
+      if (ROLE_LEVELS[targetRole] >= ROLE_LEVELS[moderatorRole]) {
+        return res.status(403).json({
+          error: 'Sem permissão para remover este participante'
+        });
+      }
+      
+      // Usar transação para remover de ambas as tabelas (e banir se solicitado)
       await db.transaction(async (client) => {
-        // Remover da tabela de participantes
-        await client.query(
-          'DELETE FROM panel_participants WHERE panel_id = $1 AND user_id = $2',
+        const removed = await client.query(
+          'DELETE FROM panel_participants WHERE panel_id = $1 AND user_uuid = $2 RETURNING username',
           [upperPanelId, userId]
         );
         
-        // Remover da tabela de usuários ativos
         await client.query(
-          'DELETE FROM active_users WHERE panel_id = $1 AND user_id = $2',
+          'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
           [upperPanelId, userId]
         );
+        
+        if (ban) {
+          await client.query(`
+            INSERT INTO panel_bans (panel_id, user_uuid, username, reason, banned_by_user_id)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (panel_id, user_uuid)
+            DO UPDATE SET
+              reason = $4,
+              banned_by_user_id = $5,
+              created_at = CURRENT_TIMESTAMP
+          `, [upperPanelId, userId, removed.rows[0].username, req.query.reason || null, moderatorId]);
+        }
       });
       
-      logger.info('Usuário removido permanentemente do painel', {
+      // Desconectar os sockets do usuário removido
+      const io = req.app.get('io');
+      if (io) {
+        await disconnectUserFromPanel(io, upperPanelId, userId, ban);
+        io.to(`panel:${upperPanelId}`).emit('participant-removed', {
+          panel_id: upperPanelId,
+          user_uuid: userId,
+          banned: ban
+        });
+      }
+      
+      logger.security('Participante removido do painel', {
         panelId: upperPanelId,
-        userId
+        userId,
+        removedBy: moderatorId,
+        banned: ban
       });
       
       res.status(204).send();
@@ -315,6 +378,102 @@ router.delete('/:panelId/participants/:userId',
   }
 );
 
+/**
+ * GET /api/users/:panelId/bans
+ * Lista as contas banidas do painel - apenas dono e moderadores
+ */
+router.get('/:panelId/bans', authenticateToken,
+  [
+    param('panelId')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('ID do painel inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const upperPanelId = req.params.panelId.toUpperCase();
+      
+      const role = await getParticipantRole(upperPanelId, req.user.userId);
+      if (!hasRole(role, PANEL_ROLES.MODERATOR)) {
+        return res.status(403).json({
+          error: 'Apenas o dono e moderadores podem ver os banimentos'
+        });
+      }
+      
+      const result = await db.query(`
+        SELECT user_uuid, username, reason, created_at
+        FROM panel_bans
+        WHERE panel_id = $1
+        ORDER BY created_at DESC
+      `, [upperPanelId]);
+      
+      res.json(result.rows);
+      
+    } catch (error) {
+      logger.error('Erro ao listar banimentos:', error);
+      res.status(500).json({
+        error: 'Erro ao listar banimentos'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/:panelId/bans/:userId
+ * Remove o banimento de uma conta - apenas dono e moderadores
+ */
+router.delete('/:panelId/bans/:userId', authenticateToken,
+  [
+    param('panelId')
+      .isLength({ min: 6, max: 6 })
+      .isAlphanumeric()
+      .withMessage('ID do painel inválido'),
+    param('userId')
+      .isUUID()
+      .withMessage('ID do usuário inválido')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const upperPanelId = req.params.panelId.toUpperCase();
+      
+      const role = await getParticipantRole(upperPanelId, req.user.userId);
+      if (!hasRole(role, PANEL_ROLES.MODERATOR)) {
+        return res.status(403).json({
+          error: 'Apenas o dono e moderadores podem remover banimentos'
+        });
+      }
+      
+      const result = await db.query(
+        'DELETE FROM panel_bans WHERE panel_id = $1 AND user_uuid = $2 RETURNING id',
+        [upperPanelId, userId]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Banimento não encontrado'
+        });
+      }
+      
+      logger.security('Banimento removido', {
+        panelId: upperPanelId,
+        userId,
+        removedBy: req.user.userId
+      });
+      
+      res.status(204).send();
+      
+    } catch (error) {
+      logger.error('Erro ao remover banimento:', error);
+      res.status(500).json({
+        error: 'Erro ao remover banimento'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/users/:userId/panels
  * Busca painéis que o usuário participa
@@ -336,7 +495,7 @@ router.get('/:userId/panels',
           p.created_at, pp.last_access, pp.username
         FROM panels p
         INNER JOIN panel_participants pp ON p.id = pp.panel_id
-        WHERE pp.user_id = $1
+        WHERE pp.user_id = $1 AND p.deleted_at IS NULL
         ORDER BY pp.last_access DESC
       `, [userId]);
       
@@ -438,4 +597,19 @@ router.use('/cleanup', async (req, res, next) => {
   }
 });
 
+/**
+ * Avisa e desconecta todos os sockets de um usuário na sala do painel
+ */
+async function disconnectUserFromPanel(io, panelId, userId, banned) {
+  const sockets = await io.in(`panel:${panelId}`).fetchSockets();
+  
+  sockets
+    .filter((socket) => socket.data.userId === userId)
+    .forEach((socket) => {
+      socket.emit('removed-from-panel', { panel_id: panelId, banned });
+      socket.leave(`panel:${panelId}`);
+      socket.disconnect(true);
+    });
+}
+
 module.exports = router;
\ No newline at end of file
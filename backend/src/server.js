@@ -2,19 +2,28 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 
 const config = require('./config/config');
 const logger = require('./utils/logger');
-const { db, cache, connectDatabase, connectRedis } = require('./config/database');
+const { db, cache, connectDatabase, connectRedis, redisClient } = require('./config/database');
+const { createRateLimiter } = require('./utils/sharedState');
 
 // Importar rotas
-const { router: authRoutes, authenticateToken } = require('./routes/authRoutes');
+const { router: authRoutes, authenticateToken, authenticateSocket } = require('./routes/authRoutes');
 const panelRoutes = require('./routes/panelRoutes');
 const postRoutes = require('./routes/postRoutes');
 const userRoutes = require('./routes/userRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const { startCleanupJob } = require('./services/cleanupService');
+const { getPresenceColor, isThrottled, broadcastPresence } = require('./services/presence');
+const { validators } = require('./utils/validators');
+const { PANEL_ROLES, hasRole, getParticipantRole } = require('./utils/panelPermissions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class SticklyNotesServer {
   constructor() {
@@ -46,8 +55,8 @@ class SticklyNotesServer {
     
     this.app.use(compression());
 
-    // Rate limiting geral
-    const limiter = rateLimit({
+    // Rate limiting geral (contadores compartilhados entre instâncias via Redis)
+    const limiter = createRateLimiter('server', {
       windowMs: 15 * 60 * 1000,
       max: 100,
       message: { error: 'Muitas requisições' }
@@ -118,6 +127,8 @@ class SticklyNotesServer {
 this.app.use('/api/panels', panelRoutes);
 this.app.use('/api/posts', postRoutes);
 this.app.use('/api/users', userRoutes);
+this.app.use('/api/notifications', notificationRoutes);
+this.app.use('/api/search', searchRoutes);
 
 // ADICIONAR ESTE DEBUG:
 console.log('🛣️ Verificando rotas registradas:');
@@ -146,7 +157,7 @@ this.app._router.stack.forEach((middleware, index) => {
       try {
         const { code } = req.params;
         const result = await db.query(
-          'SELECT password_hash IS NOT NULL as requires_password FROM panels WHERE id = $1',
+          'SELECT password_hash IS NOT NULL as requires_password FROM panels WHERE id = $1 AND deleted_at IS NULL',
           [code.toUpperCase()]
         );
         
@@ -173,7 +184,9 @@ this.app._router.stack.forEach((middleware, index) => {
             (SELECT COUNT(*) FROM panels) as total_panels,
             (SELECT COUNT(*) FROM panel_participants) as total_participants,
             (SELECT COUNT(*) FROM active_users) as total_active_users,
-            (SELECT COUNT(*) FROM posts) as total_posts
+            (SELECT COUNT(*) FROM posts) as total_posts,
+            (SELECT COUNT(*) FROM panels WHERE archived_at IS NOT NULL) as archived_panels,
+            (SELECT COUNT(*) FROM panels WHERE deleted_at IS NOT NULL) as trashed_panels
         `);
 
         // Murais órfãos (candidatos à REGRA 2)
@@ -181,22 +194,31 @@ this.app._router.stack.forEach((middleware, index) => {
           SELECT p.id, p.name, p.created_at, p.last_activity,
                  (SELECT COUNT(*) FROM posts WHERE panel_id = p.id) as post_count
           FROM panels p
-          WHERE NOT EXISTS (
-            SELECT 1 FROM panel_participants pp WHERE pp.panel_id = p.id
-          )
+          WHERE p.deleted_at IS NULL
+            AND NOT EXISTS (
+              SELECT 1 FROM panel_participants pp WHERE pp.panel_id = p.id
+            )
           ORDER BY p.created_at DESC
         `);
 
-        // Murais inativos há mais de 25 dias (próximos da REGRA 3)
+        // Murais a até config.retention.warningDays do prazo de retenção (próximos da REGRA 3)
+        const { defaultPolicy, defaultDays, warningDays } = config.retention;
         const stalePanels = await db.query(`
-          SELECT p.id, p.name, p.last_activity,
-                 (SELECT COUNT(*) FROM panel_participants WHERE panel_id = p.id) as participant_count,
-                 (SELECT COUNT(*) FROM posts WHERE panel_id = p.id) as post_count,
-                 EXTRACT(DAYS FROM (NOW() - p.last_activity)) as days_inactive
-          FROM panels p
-          WHERE p.last_activity < NOW() - INTERVAL '25 days'
-          ORDER BY p.last_activity ASC
-        `);
+          SELECT * FROM (
+            SELECT p.id, p.name, p.last_activity, p.archived_at, p.deleted_at, p.retention_warned_at,
+                   COALESCE(p.retention_policy, $1) as retention_policy,
+                   COALESCE(p.retention_days, $2) as retention_days,
+                   (SELECT COUNT(*) FROM panel_participants WHERE panel_id = p.id) as participant_count,
+                   (SELECT COUNT(*) FROM posts WHERE panel_id = p.id) as post_count,
+                   EXTRACT(DAYS FROM (NOW() - p.last_activity)) as days_inactive
+            FROM panels p
+          ) r
+          WHERE r.retention_policy <> 'never'
+            AND r.archived_at IS NULL
+            AND r.deleted_at IS NULL
+            AND r.last_activity < NOW() - ((r.retention_days - $3::INTEGER) * INTERVAL '1 day')
+          ORDER BY r.last_activity ASC
+        `, [defaultPolicy, defaultDays, warningDays]);
 
         res.json({
           generalStats: stats.rows[0],
@@ -212,9 +234,12 @@ this.app._router.stack.forEach((middleware, index) => {
             }))
           },
           rules: {
-            rule1: "Usuários inativos removidos de sessões após 15min",
-            rule2: "Murais órfãos deletados IMEDIATAMENTE",
-            rule3: "Murais inativos há 30+ dias deletados TOTALMENTE"
+            rule1: `Usuários inativos removidos de sessões após ${config.retention.activeUserTimeoutMinutes}min`,
+            rule2: config.retention.orphanGraceMinutes > 0
+              ? `Murais órfãos vão para a lixeira após ${config.retention.orphanGraceMinutes}min`
+              : "Murais órfãos vão para a lixeira IMEDIATAMENTE",
+            rule3: `Murais inativos há ${defaultDays}+ dias: ${defaultPolicy} (padrão; cada mural pode definir sua política)`,
+            trash: `Murais na lixeira são removidos definitivamente após ${config.retention.trashDays} dias`
           }
         });
 
@@ -230,6 +255,8 @@ this.app._router.stack.forEach((middleware, index) => {
     this.app.use('/api/panels', panelRoutes);
     this.app.use('/api/posts', postRoutes);
     this.app.use('/api/users', userRoutes);
+    this.app.use('/api/notifications', notificationRoutes);
+    this.app.use('/api/search', searchRoutes);
 
     // Middleware para capturar rotas não encontradas
     this.app.use('/api/*', (req, res) => {
@@ -254,35 +281,117 @@ this.app._router.stack.forEach((middleware, index) => {
     });
   }
 
+  /**
+   * Tira o socket do painel atual: avisa a sala, atualiza a presença
+   * e remove o usuário da lista de ativos (se não houver outra aba aberta)
+   */
+  async leaveSocketPanel(socket) {
+    const { panelId, userId, userName } = socket;
+    if (!panelId || !userId) return;
+
+    socket.leave(`panel:${panelId}`);
+    socket.panelId = null;
+    socket.data.dragPostId = null;
+
+    const stillConnected = (await this.io.in(`panel:${panelId}`).fetchSockets())
+      .some((other) => other.data.userId === userId);
+
+    if (!stillConnected) {
+      socket.to(`panel:${panelId}`).emit('user-left', { userName, userId });
+      await db.query(
+        'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
+        [panelId, userId]
+      );
+    }
+    await broadcastPresence(this.io, panelId);
+  }
+
+  /**
+   * Com Redis, salas e eventos do Socket.IO são compartilhados entre instâncias
+   * (pub/sub em conexões dedicadas). Sem Redis, o adapter em memória continua valendo
+   */
+  async setupRedisAdapter() {
+    const client = redisClient();
+    if (!client) {
+      logger.warn('⚠️ Redis indisponível: WebSocket em memória (apenas uma instância)');
+      return;
+    }
+
+    try {
+      const pubClient = client.duplicate();
+      const subClient = client.duplicate();
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+
+      this.io.adapter(createAdapter(pubClient, subClient));
+      this.redisAdapterClients = [pubClient, subClient];
+      logger.info('📡 WebSocket usando adapter Redis');
+    } catch (error) {
+      logger.error('Erro ao configurar adapter Redis do WebSocket, usando memória:', error);
+    }
+  }
+
   setupWebSocket() {
+    // Apenas conexões com token de acesso válido (identidade vem do token)
+    this.io.use(authenticateSocket);
+
     this.io.on('connection', (socket) => {
-      logger.websocket('Socket conectado', { socketId: socket.id });
-      
-      socket.on('new-post-created', (postData) => {
-        // Retransmitir novo post para todos no painel
-        socket.to(`panel:${postData.panel_id}`).emit('new-post', postData);
-      });
+      socket.userId = socket.data.userId;
+      logger.websocket('Socket conectado', { socketId: socket.id, userId: socket.userId });
 
-      socket.on('post-position-updated', (postData) => {
-        // Retransmitir movimento para todos no painel
-        socket.to(`panel:${postData.panel_id}`).emit('post-moved', postData);
-      });
+      // Sala pessoal: notificações do usuário em qualquer tela
+      socket.join(`user:${socket.userId}`);
 
-      socket.on('post-deleted', (data) => {
-        // Retransmitir deleção para todos no painel
-        socket.to(`panel:${data.panel_id}`).emit('post-deleted', data);
-      });
+      // Notas novas, movidas e removidas são emitidas pelas rotas da API
+      // depois de gravadas no banco; o cliente não retransmite eventos de notas.
 
-      // Join em um painel específico
-      socket.on('join-panel', async (panelId, userName, userId) => {
+      // Join em um painel específico (apenas participantes do mural, sem banimento)
+      socket.on('join-panel', async (panelCode) => {
         try {
+          const validation = validators.panelCode(panelCode);
+          if (!validation.isValid) {
+            socket.emit('error', { message: validation.error });
+            return;
+          }
+
+          const panelId = validation.value;
+          const userId = socket.userId;
+
+          const participantResult = await db.query(`
+            SELECT pp.username
+            FROM panel_participants pp
+            JOIN panels p ON p.id = pp.panel_id
+            WHERE pp.panel_id = $1 AND pp.user_uuid = $2 AND p.deleted_at IS NULL
+              AND NOT EXISTS (
+                SELECT 1 FROM panel_bans b WHERE b.panel_id = pp.panel_id AND b.user_uuid = pp.user_uuid
+              )
+          `, [panelId, userId]);
+
+          if (participantResult.rows.length === 0) {
+            logger.security('Tentativa de entrar em painel sem participação via WebSocket', {
+              panelId,
+              userId,
+              socketId: socket.id
+            });
+            socket.emit('error', { message: 'Você não participa deste painel', code: 'NOT_PARTICIPANT' });
+            return;
+          }
+
+          // Um socket acompanha um painel por vez
+          if (socket.panelId && socket.panelId !== panelId) {
+            await this.leaveSocketPanel(socket);
+          }
+
+          const userName = participantResult.rows[0].username;
+
           socket.join(`panel:${panelId}`);
           socket.panelId = panelId;
           socket.userName = userName;
-          socket.userId = userId;
+          socket.data.userName = userName;
+          socket.data.color = getPresenceColor(userId);
 
           // Notificar outros usuários
           socket.to(`panel:${panelId}`).emit('user-joined', { userName, userId });
+          await broadcastPresence(this.io, panelId);
           
           // Registrar usuário como ativo no banco
           await db.query(`
@@ -306,17 +415,11 @@ this.app._router.stack.forEach((middleware, index) => {
         }
       });
 
-      // Leave de um painel
-      socket.on('leave-panel', async (panelId, userName, userId) => {
+      // Leave do painel atual
+      socket.on('leave-panel', async () => {
         try {
-          socket.leave(`panel:${panelId}`);
-          socket.to(`panel:${panelId}`).emit('user-left', { userName, userId });
-          
-          // Remover usuário da lista de ativos
-          await db.query(
-            'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
-            [panelId, userId]
-          );
+          const { panelId, userName, userId } = socket;
+          await this.leaveSocketPanel(socket);
 
           logger.websocket('Usuário saiu do painel', { 
             panelId, 
@@ -332,23 +435,12 @@ this.app._router.stack.forEach((middleware, index) => {
       // Disconnect
       socket.on('disconnect', async () => {
         try {
-          if (socket.panelId && socket.userId) {
-            // Notificar outros usuários
-            socket.to(`panel:${socket.panelId}`).emit('user-left', { 
-              userName: socket.userName, 
-              userId: socket.userId 
-            });
-
-            // Remover da lista de ativos
-            await db.query(
-              'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
-              [socket.panelId, socket.userId]
-            );
-          }
+          const { panelId } = socket;
+          await this.leaveSocketPanel(socket);
 
           logger.websocket('Socket desconectado', { 
             socketId: socket.id,
-            panelId: socket.panelId,
+            panelId,
             userId: socket.userId
           });
         } catch (error) {
@@ -356,6 +448,62 @@ this.app._router.stack.forEach((middleware, index) => {
         }
       });
 
+      // Cursor de outros usuários (coordenadas do mural, limitado por config.realtime)
+      socket.on('cursor-move', (data) => {
+        if (!socket.panelId || !data) return;
+        if (!Number.isFinite(data.x) || !Number.isFinite(data.y)) return;
+        if (isThrottled(socket, 'cursor-move', config.realtime.cursorThrottleMs)) return;
+
+        socket.to(`panel:${socket.panelId}`).emit('cursor-moved', {
+          userId: socket.userId,
+          userName: socket.data.userName,
+          color: socket.data.color,
+          x: Math.round(data.x),
+          y: Math.round(data.y)
+        });
+      });
+
+      // Nota sendo arrastada (o fim do arraste é sempre retransmitido)
+      // A nota e a permissão de mover são conferidas no banco no início de cada arraste
+      socket.on('post-drag', async (data) => {
+        if (!socket.panelId || !data || !UUID_PATTERN.test(data.postId)) return;
+        const dragging = data.dragging !== false;
+        if (dragging && (!Number.isFinite(data.x) || !Number.isFinite(data.y))) return;
+        if (dragging && isThrottled(socket, 'post-drag', config.realtime.dragThrottleMs)) return;
+
+        try {
+          if (socket.data.dragPostId !== data.postId) {
+            if (!dragging) return;
+
+            const panelId = socket.panelId;
+            const [role, postResult] = await Promise.all([
+              getParticipantRole(panelId, socket.userId),
+              db.query('SELECT id FROM posts WHERE id = $1 AND panel_id = $2', [data.postId, panelId])
+            ]);
+
+            if (!hasRole(role, PANEL_ROLES.MEMBER) || postResult.rows.length === 0 || socket.panelId !== panelId) {
+              return;
+            }
+            socket.data.dragPostId = data.postId;
+          }
+
+          if (!dragging) {
+            socket.data.dragPostId = null;
+          }
+
+          socket.to(`panel:${socket.panelId}`).emit('post-dragging', {
+            postId: data.postId,
+            userId: socket.userId,
+            userName: socket.data.userName,
+            color: socket.data.color,
+            dragging,
+            ...(dragging && { x: Math.round(data.x), y: Math.round(data.y) })
+          });
+        } catch (error) {
+          logger.error('Erro ao retransmitir arraste via WebSocket:', error);
+        }
+      });
+
       // Heartbeat para manter conexão ativa
       socket.on('heartbeat', async () => {
         if (socket.panelId && socket.userId) {
@@ -394,133 +542,11 @@ this.app._router.stack.forEach((middleware, index) => {
       // Configurar aplicação
       this.setupMiddleware();
       this.setupRoutes();
+      await this.setupRedisAdapter();
       this.setupWebSocket();
 
-// Cleanup automático com as 3 regras específicas a cada 10 minutos
-      setInterval(async () => {
-        try {
-          // REGRA 1: Remover usuários inativos de sessões (não afeta vínculos permanentes)
-          const inactiveUsersResult = await db.query(`
-            DELETE FROM active_users 
-            WHERE last_seen < NOW() - INTERVAL '15 minutes'
-            RETURNING panel_id, user_id
-          `);
-
-          if (inactiveUsersResult.rows.length > 0) {
-            logger.info(`Removidos ${inactiveUsersResult.rows.length} usuários de sessões ativas`);
-            
-            // Notificar via WebSocket
-            inactiveUsersResult.rows.forEach(row => {
-              this.io.to(`panel:${row.panel_id}`).emit('user-left', { 
-                userId: row.user_id 
-              });
-            });
-          }
-
-          // REGRA 2: Deletar murais órfãos IMEDIATAMENTE (sem usuários vinculados)
-          const orphanPanelsResult = await db.query(`
-            SELECT p.id, p.name, p.created_at,
-                   (SELECT COUNT(*) FROM posts WHERE panel_id = p.id) as post_count
-            FROM panels p
-            WHERE NOT EXISTS (
-              SELECT 1 FROM panel_participants pp WHERE pp.panel_id = p.id
-            )
-          `);
-
-          if (orphanPanelsResult.rows.length > 0) {
-            logger.info(`🗑️ REGRA 2: Encontrados ${orphanPanelsResult.rows.length} murais órfãos para deleção IMEDIATA`);
-
-            for (const panel of orphanPanelsResult.rows) {
-              try {
-                await db.transaction(async (client) => {
-                  // Deletar posts
-                  const deletedPosts = await client.query('DELETE FROM posts WHERE panel_id = $1 RETURNING id', [panel.id]);
-                  
-                  // Deletar usuários ativos restantes
-                  await client.query('DELETE FROM active_users WHERE panel_id = $1', [panel.id]);
-                  
-                  // Deletar o painel
-                  await client.query('DELETE FROM panels WHERE id = $1', [panel.id]);
-                  
-                  logger.info(`✅ Mural órfão deletado imediatamente: ${panel.id} (${panel.name}) - ${deletedPosts.rows.length} posts removidos`);
-                });
-
-                // Invalidar cache
-                if (cache && cache.invalidate) {
-                  await cache.invalidate(`panel:${panel.id}`);
-                  await cache.invalidate(`posts:${panel.id}`);
-                }
-
-              } catch (error) {
-                logger.error(`Erro ao deletar mural órfão ${panel.id}:`, error);
-              }
-            }
-          }
-
-          // REGRA 3: Murais com 30+ dias de inatividade - DELETAR TUDO
-          const stalePanelsResult = await db.query(`
-            SELECT p.id, p.name, p.last_activity,
-                   (SELECT COUNT(*) FROM panel_participants WHERE panel_id = p.id) as participant_count,
-                   (SELECT COUNT(*) FROM posts WHERE panel_id = p.id) as post_count
-            FROM panels p
-            WHERE p.last_activity < NOW() - INTERVAL '30 days'
-          `);
-
-          if (stalePanelsResult.rows.length > 0) {
-            logger.info(`🗑️ REGRA 3: Encontrados ${stalePanelsResult.rows.length} murais inativos há 30+ dias para deleção TOTAL`);
-
-            for (const panel of stalePanelsResult.rows) {
-              try {
-                await db.transaction(async (client) => {
-                  // Remover TODOS os participantes (desvincular usuários)
-                  const removedParticipants = await client.query('DELETE FROM panel_participants WHERE panel_id = $1 RETURNING username', [panel.id]);
-                  
-                  // Deletar posts
-                  const deletedPosts = await client.query('DELETE FROM posts WHERE panel_id = $1 RETURNING id', [panel.id]);
-                  
-                  // Deletar usuários ativos
-                  await client.query('DELETE FROM active_users WHERE panel_id = $1', [panel.id]);
-                  
-                  // Deletar o painel
-                  await client.query('DELETE FROM panels WHERE id = $1', [panel.id]);
-                  
-                  logger.info(`✅ Mural inativo (30+ dias) deletado: ${panel.id} (${panel.name}) - ${removedParticipants.rows.length} usuários desvinculados, ${deletedPosts.rows.length} posts removidos`);
-                });
-
-                // Invalidar cache
-                if (cache && cache.invalidate) {
-                  await cache.invalidate(`panel:${panel.id}`);
-                  await cache.invalidate(`posts:${panel.id}`);
-                }
-
-              } catch (error) {
-                logger.error(`Erro ao deletar mural inativo ${panel.id}:`, error);
-              }
-            }
-          }
-
-          // Log de estatísticas se houve alguma limpeza
-          if (inactiveUsersResult.rows.length > 0 || orphanPanelsResult.rows.length > 0 || stalePanelsResult.rows.length > 0) {
-            const stats = await db.query(`
-              SELECT 
-                (SELECT COUNT(*) FROM panels) as total_panels,
-                (SELECT COUNT(*) FROM active_users) as total_active_users,
-                (SELECT COUNT(*) FROM panel_participants) as total_participants,
-                (SELECT COUNT(*) FROM posts) as total_posts
-            `);
-            
-            logger.info('📊 Estatísticas após aplicação das 3 regras:', {
-              ...stats.rows[0],
-              sessionsRemoved: inactiveUsersResult.rows.length,
-              orphanPanelsDeleted: orphanPanelsResult.rows.length,
-              stalePanelsDeleted: stalePanelsResult.rows.length
-            });
-          }
-
-        } catch (error) {
-          logger.error('❌ Erro no sistema de limpeza das 3 regras:', error);
-        }
-      }, 10 * 60 * 1000); // 10 minutos
+      // Limpeza automática (sessões inativas, murais órfãos, retenção e sessões de login)
+      this.cleanupJob = startCleanupJob(this.io);
 
 
       // *** CORREÇÃO CRÍTICA PARA RAILWAY ***
@@ -572,6 +598,11 @@ this.app._router.stack.forEach((middleware, index) => {
   async shutdown() {
     logger.info('Iniciando shutdown graceful...');
     
+    // Parar a limpeza periódica
+    if (this.cleanupJob) {
+      clearInterval(this.cleanupJob);
+    }
+    
     // Fechar conexões WebSocket
     this.io.close();
     
@@ -585,6 +616,9 @@ this.app._router.stack.forEach((middleware, index) => {
         if (cache && cache.close) {
           await cache.close();
         }
+        if (this.redisAdapterClients) {
+          await Promise.all(this.redisAdapterClients.map(client => client.quit()));
+        }
         
         logger.info('Servidor fechado graciosamente');
         process.exit(0);
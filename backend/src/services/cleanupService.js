@@ -0,0 +1,358 @@
+// backend/src/services/cleanupService.js
+// Limpeza periódica: sessões de usuários inativos, murais órfãos,
+// retenção de murais inativos (lixeira, arquivo ou manter), remoção definitiva
+// dos murais na lixeira e sessões de login expiradas.
+
+const { db, cache } = require('../config/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sendRetentionWarningEmail } = require('./mailer');
+const { trashPanel } = require('./panelMembership');
+const { acquireLock } = require('../utils/sharedState');
+
+const RETENTION_POLICIES = ['delete', 'archive', 'never'];
+
+// Política e prazo efetivos de cada mural (colunas NULL usam os padrões globais)
+const EFFECTIVE_RETENTION_SQL = `
+  COALESCE(p.retention_policy, $1) AS policy,
+  COALESCE(p.retention_days, $2) AS days
+`;
+
+function retentionDefaults() {
+  return [config.retention.defaultPolicy, config.retention.defaultDays];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getPurgeDate(lastActivity, days) {
+  return new Date(new Date(lastActivity).getTime() + days * DAY_MS);
+}
+
+/**
+ * Política efetiva de um mural e quando ela será aplicada
+ * @param {Object} panel - Linha de panels (retention_policy, retention_days, last_activity, archived_at, deleted_at)
+ * @returns {{policy: string, days: number, isDefault: boolean, purgeAt: Date|null, warning: boolean, restorableUntil: Date|null}}
+ */
+function getRetentionInfo(panel) {
+  const policy = panel.retention_policy || config.retention.defaultPolicy;
+  const days = panel.retention_days || config.retention.defaultDays;
+  const purgeAt = policy === 'never' || panel.archived_at || panel.deleted_at
+    ? null
+    : getPurgeDate(panel.last_activity, days);
+
+  return {
+    policy,
+    days,
+    isDefault: !panel.retention_policy && !panel.retention_days,
+    purgeAt,
+    warning: !!purgeAt && purgeAt.getTime() - Date.now() <= config.retention.warningDays * DAY_MS,
+    restorableUntil: panel.deleted_at ? getPurgeDate(panel.deleted_at, config.retention.trashDays) : null
+  };
+}
+
+async function invalidatePanelCache(panelId) {
+  if (cache && cache.invalidate) {
+    await cache.invalidate(`panel:${panelId}`);
+    await cache.invalidate(`posts:${panelId}`);
+  }
+}
+
+/**
+ * REGRA 1: Remover usuários inativos de sessões (não afeta vínculos permanentes)
+ */
+async function removeInactiveUsers(io) {
+  const result = await db.query(`
+    DELETE FROM active_users
+    WHERE last_seen < NOW() - ($1::INTEGER * INTERVAL '1 minute')
+    RETURNING panel_id, user_id
+  `, [config.retention.activeUserTimeoutMinutes]);
+
+  if (result.rows.length > 0) {
+    logger.info(`Removidos ${result.rows.length} usuários de sessões ativas`);
+
+    // Notificar via WebSocket
+    result.rows.forEach(row => {
+      io?.to(`panel:${row.panel_id}`).emit('user-left', {
+        userId: row.user_id
+      });
+    });
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * REGRA 2: Murais órfãos (sem usuários vinculados) vão para a lixeira após o período de carência
+ */
+async function trashOrphanPanels() {
+  const result = await db.query(`
+    UPDATE panels p
+    SET deleted_at = NOW()
+    WHERE p.deleted_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM panel_participants pp WHERE pp.panel_id = p.id
+      )
+      AND p.created_at < NOW() - ($1::INTEGER * INTERVAL '1 minute')
+    RETURNING p.id, p.name
+  `, [config.retention.orphanGraceMinutes]);
+
+  for (const panel of result.rows) {
+    await db.query('DELETE FROM active_users WHERE panel_id = $1', [panel.id]);
+    await invalidatePanelCache(panel.id);
+    logger.info(`🗑️ REGRA 2: Mural órfão movido para a lixeira: ${panel.id} (${panel.name})`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Avisa os participantes (por email e WebSocket) de murais que atingirão o prazo de retenção
+ * nos próximos config.retention.warningDays dias. Cada período de inatividade gera um único aviso.
+ */
+async function warnUpcomingPurges(io) {
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT p.id, p.name, p.last_activity, p.retention_warned_at, ${EFFECTIVE_RETENTION_SQL}
+      FROM panels p
+      WHERE p.archived_at IS NULL AND p.deleted_at IS NULL
+    ) r
+    WHERE r.policy <> 'never'
+      AND r.last_activity < NOW() - ((r.days - $3::INTEGER) * INTERVAL '1 day')
+      AND (r.retention_warned_at IS NULL OR r.retention_warned_at < r.last_activity)
+  `, [...retentionDefaults(), config.retention.warningDays]);
+
+  for (const panel of result.rows) {
+    try {
+      const purgeAt = getPurgeDate(panel.last_activity, panel.days);
+
+      const participants = await db.query(`
+        SELECT u.first_name, u.email
+        FROM panel_participants pp
+        JOIN users u ON u.id = pp.user_uuid
+        WHERE pp.panel_id = $1
+      `, [panel.id]);
+
+      for (const user of participants.rows) {
+        try {
+          await sendRetentionWarningEmail(user, panel, { policy: panel.policy, purgeAt });
+        } catch (mailError) {
+          logger.error(`Erro ao enviar aviso de retenção do mural ${panel.id}:`, mailError);
+        }
+      }
+
+      await db.query('UPDATE panels SET retention_warned_at = NOW() WHERE id = $1', [panel.id]);
+
+      io?.to(`panel:${panel.id}`).emit('panel-retention-warning', {
+        panel_id: panel.id,
+        policy: panel.policy,
+        purge_at: purgeAt.toISOString()
+      });
+
+      logger.info(`⏳ Aviso de retenção enviado: ${panel.id} (${panel.name}) - ${panel.policy} em ${purgeAt.toISOString()}`);
+    } catch (error) {
+      logger.error(`Erro ao avisar participantes do mural ${panel.id}:`, error);
+    }
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * REGRA 3: Murais inativos além do prazo de retenção - lixeira ou arquivo
+ */
+async function applyRetention(io) {
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT p.id, p.name, p.last_activity, ${EFFECTIVE_RETENTION_SQL}
+      FROM panels p
+      WHERE p.archived_at IS NULL AND p.deleted_at IS NULL
+    ) r
+    WHERE r.policy <> 'never'
+      AND r.last_activity < NOW() - (r.days * INTERVAL '1 day')
+  `, retentionDefaults());
+
+  if (result.rows.length > 0) {
+    logger.info(`🗑️ REGRA 3: Encontrados ${result.rows.length} murais além do prazo de retenção`);
+  }
+
+  const summary = { trashed: 0, archived: 0 };
+
+  for (const panel of result.rows) {
+    try {
+      if (panel.policy === 'archive') {
+        await db.transaction(async (client) => {
+          await client.query('UPDATE panels SET archived_at = NOW() WHERE id = $1', [panel.id]);
+          await client.query('DELETE FROM active_users WHERE panel_id = $1', [panel.id]);
+        });
+
+        io?.to(`panel:${panel.id}`).emit('panel-archived', { panel_id: panel.id });
+        logger.info(`📦 Mural inativo (${panel.days}+ dias) arquivado: ${panel.id} (${panel.name})`);
+        summary.archived++;
+      } else {
+        await db.transaction(async (client) => trashPanel(client, panel.id));
+
+        io?.to(`panel:${panel.id}`).emit('panel-deleted', { panel_id: panel.id });
+        logger.info(`🗑️ Mural inativo (${panel.days}+ dias) movido para a lixeira: ${panel.id} (${panel.name})`);
+        summary.trashed++;
+      }
+
+      await invalidatePanelCache(panel.id);
+    } catch (error) {
+      logger.error(`Erro ao aplicar retenção no mural ${panel.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Remove DEFINITIVAMENTE os murais que estão na lixeira há mais de config.retention.trashDays
+ */
+async function purgeTrash() {
+  const result = await db.query(`
+    SELECT id, name FROM panels
+    WHERE deleted_at < NOW() - ($1::INTEGER * INTERVAL '1 day')
+  `, [config.retention.trashDays]);
+
+  let purged = 0;
+  for (const panel of result.rows) {
+    try {
+      await db.transaction(async (client) => {
+        // Remover TODOS os participantes (desvincular usuários)
+        const removedParticipants = await client.query('DELETE FROM panel_participants WHERE panel_id = $1 RETURNING username', [panel.id]);
+        const deletedPosts = await client.query('DELETE FROM posts WHERE panel_id = $1 RETURNING id', [panel.id]);
+        await client.query('DELETE FROM active_users WHERE panel_id = $1', [panel.id]);
+        await client.query('DELETE FROM panels WHERE id = $1', [panel.id]);
+
+        logger.info(`✅ Mural removido da lixeira definitivamente: ${panel.id} (${panel.name}) - ${removedParticipants.rows.length} usuários desvinculados, ${deletedPosts.rows.length} posts removidos`);
+      });
+
+      await invalidatePanelCache(panel.id);
+      purged++;
+    } catch (error) {
+      logger.error(`Erro ao remover mural da lixeira ${panel.id}:`, error);
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Sessões de login expiradas ou revogadas há mais de 7 dias
+ */
+async function purgeExpiredSessions() {
+  const result = await db.query(`
+    DELETE FROM user_sessions
+    WHERE expires_at < NOW()
+       OR revoked_at < NOW() - INTERVAL '7 days'
+    RETURNING id
+  `);
+
+  if (result.rows.length > 0) {
+    logger.info(`🔑 ${result.rows.length} sessões de login expiradas removidas`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Respostas de Idempotency-Key expiradas (fallback no PostgreSQL; no Redis elas expiram sozinhas)
+ */
+async function purgeExpiredIdempotencyKeys() {
+  const result = await db.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() RETURNING key');
+
+  if (result.rows.length > 0) {
+    logger.info(`🔁 ${result.rows.length} chaves de idempotência expiradas removidas`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Notificações lidas há mais de 30 dias e qualquer notificação com mais de 90 dias
+ */
+async function purgeOldNotifications() {
+  const result = await db.query(`
+    DELETE FROM notifications
+    WHERE read_at < NOW() - INTERVAL '30 days'
+       OR created_at < NOW() - INTERVAL '90 days'
+    RETURNING id
+  `);
+
+  if (result.rows.length > 0) {
+    logger.info(`🔔 ${result.rows.length} notificações antigas removidas`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Executa uma rodada completa de limpeza
+ */
+async function runCleanup(io) {
+  try {
+    const sessionsRemoved = await removeInactiveUsers(io);
+    const orphanPanelsTrashed = await trashOrphanPanels();
+    const warningsSent = await warnUpcomingPurges(io);
+    const { trashed: stalePanelsTrashed, archived: stalePanelsArchived } = await applyRetention(io);
+    const trashPurged = await purgeTrash();
+    await purgeExpiredSessions();
+    await purgeExpiredIdempotencyKeys();
+    await purgeOldNotifications();
+
+    // Log de estatísticas se houve alguma limpeza
+    if (sessionsRemoved > 0 || orphanPanelsTrashed > 0 || stalePanelsTrashed > 0 || stalePanelsArchived > 0 || trashPurged > 0) {
+      const stats = await db.query(`
+        SELECT
+          (SELECT COUNT(*) FROM panels) as total_panels,
+          (SELECT COUNT(*) FROM active_users) as total_active_users,
+          (SELECT COUNT(*) FROM panel_participants) as total_participants,
+          (SELECT COUNT(*) FROM posts) as total_posts
+      `);
+
+      logger.info('📊 Estatísticas após a limpeza:', {
+        ...stats.rows[0],
+        sessionsRemoved,
+        orphanPanelsTrashed,
+        warningsSent,
+        stalePanelsTrashed,
+        stalePanelsArchived,
+        trashPurged
+      });
+    }
+  } catch (error) {
+    logger.error('❌ Erro no sistema de limpeza:', error);
+  }
+}
+
+/**
+ * Agenda a limpeza a cada config.retention.cleanupIntervalMinutes
+ * Com várias instâncias, só quem obtém o lock da rodada executa a limpeza. O lock não é
+ * liberado ao terminar: ele expira pouco antes da próxima rodada, garantindo uma execução
+ * por intervalo mesmo com os relógios das instâncias defasados
+ * @returns {NodeJS.Timeout} handle para clearInterval no shutdown
+ */
+function startCleanupJob(io) {
+  const intervalMs = config.retention.cleanupIntervalMinutes * 60 * 1000;
+  const lockTtlMs = Math.floor(intervalMs * 0.9);
+
+  logger.info(`🧹 Limpeza automática a cada ${config.retention.cleanupIntervalMinutes} minutos`);
+  return setInterval(async () => {
+    try {
+      if (!(await acquireLock('cleanup', lockTtlMs))) {
+        logger.debug('🧹 Limpeza desta rodada já executada por outra instância');
+        return;
+      }
+      await runCleanup(io);
+    } catch (error) {
+      logger.error('❌ Erro ao agendar limpeza:', error);
+    }
+  }, intervalMs);
+}
+
+module.exports = {
+  RETENTION_POLICIES,
+  getRetentionInfo,
+  runCleanup,
+  startCleanupJob
+};
@@ -0,0 +1,191 @@
+// backend/src/services/mailer.js
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Transporte SMTP (produção) - usa nodemailer
+ */
+class SmtpTransport {
+  constructor(options) {
+    // Carregado sob demanda para não exigir nodemailer no transporte local
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+/**
+ * Transporte local (desenvolvimento e testes)
+ * Registra o email no console e, se configurado, grava um .json em outputDir
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || null;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    console.log('📧 Email (transporte local):', {
+      to: message.to,
+      subject: message.subject
+    });
+    console.log(message.text);
+
+    if (this.outputDir) {
+      await fs.mkdir(this.outputDir, { recursive: true });
+      await fs.writeFile(
+        path.join(this.outputDir, `${id}.json`),
+        JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+
+    return { id };
+  }
+}
+
+/**
+ * Cria o transporte configurado em config.mail.transport
+ */
+function createTransport(mailConfig = config.mail) {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return new SmtpTransport(mailConfig.smtp);
+    case 'file':
+    case 'console':
+      return new FileTransport({ outputDir: mailConfig.outputDir });
+    default:
+      throw new Error(`Transporte de email desconhecido: ${mailConfig.transport}`);
+  }
+}
+
+let transport = null;
+
+/**
+ * Obtém o transporte atual (criado na primeira utilização)
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Substitui o transporte (útil em testes)
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Envia um email
+ * @param {object} message - { to, subject, text, html }
+ */
+async function sendMail({ to, subject, text, html }) {
+  const result = await getTransport().send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  logger.info('Email enviado', { to, subject, messageId: result.id });
+  return result;
+}
+
+/**
+ * Email com link para redefinição de senha
+ */
+async function sendPasswordResetEmail(user, token) {
+  const link = `${config.frontendUrl}/redefinir-senha?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Redefinição de senha - Stickly Notes',
+    text: `Olá, ${user.first_name}!\n\n` +
+      `Recebemos um pedido para redefinir a senha da sua conta.\n` +
+      `Para escolher uma nova senha, acesse: ${link}\n\n` +
+      `O link expira em ${config.security.passwordResetTtl} e só pode ser usado uma vez.\n` +
+      `Se você não fez esse pedido, ignore este email.`,
+    html: `<p>Olá, ${user.first_name}!</p>` +
+      `<p>Recebemos um pedido para redefinir a senha da sua conta.</p>` +
+      `<p><a href="${link}">Escolher uma nova senha</a></p>` +
+      `<p>O link expira em ${config.security.passwordResetTtl} e só pode ser usado uma vez. ` +
+      `Se você não fez esse pedido, ignore este email.</p>`
+  });
+}
+
+/**
+ * Email com link para verificação do endereço
+ */
+async function sendEmailVerificationEmail(user, token) {
+  const link = `${config.frontendUrl}/verificar-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirme seu email - Stickly Notes',
+    text: `Olá, ${user.first_name}!\n\n` +
+      `Confirme seu email para proteger sua conta: ${link}\n\n` +
+      `O link expira em ${config.security.emailVerificationTtl}.`,
+    html: `<p>Olá, ${user.first_name}!</p>` +
+      `<p><a href="${link}">Confirme seu email</a> para proteger sua conta.</p>` +
+      `<p>O link expira em ${config.security.emailVerificationTtl}.</p>`
+  });
+}
+
+/**
+ * Escapa texto informado pelo usuário para o corpo HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Aviso de que um mural inativo será apagado ou arquivado em breve
+ */
+async function sendRetentionWarningEmail(user, panel, { policy, purgeAt }) {
+  const link = `${config.frontendUrl}/mural/${panel.id}`;
+  const action = policy === 'archive' ? 'arquivado' : 'apagado';
+  const when = new Date(purgeAt).toLocaleDateString('pt-BR');
+
+  return sendMail({
+    to: user.email,
+    subject: `O mural "${panel.name}" será ${action} em breve - Stickly Notes`,
+    text: `Olá, ${user.first_name}!\n\n` +
+      `O mural "${panel.name}" está sem atividade e será ${action} em ${when}.\n` +
+      `Para mantê-lo, basta abri-lo: ${link}\n\n` +
+      `O dono pode alterar a política de retenção em "Retenção", dentro do mural.`,
+    html: `<p>Olá, ${escapeHtml(user.first_name)}!</p>` +
+      `<p>O mural <strong>${escapeHtml(panel.name)}</strong> está sem atividade e será ${action} em ${when}.</p>` +
+      `<p><a href="${link}">Abrir o mural</a> para mantê-lo.</p>` +
+      `<p>O dono pode alterar a política de retenção em "Retenção", dentro do mural.</p>`
+  });
+}
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  createTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendRetentionWarningEmail
+};
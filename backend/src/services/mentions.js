@@ -0,0 +1,126 @@
+/**
+ * Menções (@nome) em notas e respostas e as notificações geradas
+ * backend/src/services/mentions.js
+ */
+
+const { db } = require('../config/database');
+const logger = require('../utils/logger');
+
+const EXCERPT_LENGTH = 140;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Participantes mencionados no texto: "@" seguido do nome no mural, sem diferenciar maiúsculas
+ * Nomes mais longos primeiro, para "@Ana Maria" não contar também como "@Ana"
+ * @param {string} content
+ * @param {Array<{user_uuid: string, username: string}>} participants
+ */
+function findMentionedParticipants(content, participants) {
+  let remaining = content;
+  const mentioned = [];
+
+  [...participants]
+    .sort((a, b) => b.username.length - a.username.length)
+    .forEach(participant => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])@${escapeRegExp(participant.username)}(?![\\p{L}\\p{N}_])`, 'giu');
+      const replaced = remaining.replace(pattern, ' ');
+      if (replaced !== remaining) {
+        mentioned.push(participant);
+        remaining = replaced;
+      }
+    });
+
+  return mentioned;
+}
+
+/**
+ * Total de notificações não lidas de cada usuário
+ * Como na listagem, as de murais na lixeira não contam
+ * @returns {Promise<Object<string, number>>}
+ */
+async function getUnreadCounts(userIds) {
+  const result = await db.query(`
+    SELECT n.user_id, COUNT(*)::INTEGER as count
+    FROM notifications n
+    JOIN panels p ON p.id = n.panel_id AND p.deleted_at IS NULL
+    WHERE n.user_id = ANY($1::UUID[]) AND n.read_at IS NULL
+    GROUP BY n.user_id
+  `, [userIds]);
+
+  return Object.fromEntries(result.rows.map(row => [row.user_id, row.count]));
+}
+
+/**
+ * Notifica os participantes mencionados (exceto quem escreveu) e envia a notificação
+ * para a sala pessoal de cada um (user:<id>). Em edições, quem já foi notificado por
+ * aquela nota/resposta não é notificado de novo.
+ * Falhas são apenas registradas: a nota/resposta já foi gravada
+ * @param {import('socket.io').Server|undefined} io
+ * @param {{panelId: string, postId: string, commentId?: string, content: string, actorUserId: string, actorName: string|null}} mention
+ * @returns {Promise<number>} notificações criadas
+ */
+async function notifyMentions(io, { panelId, postId, commentId = null, content, actorUserId, actorName }) {
+  if (!content || !content.includes('@')) return 0;
+
+  try {
+    const participantsResult = await db.query(`
+      SELECT user_uuid, username
+      FROM panel_participants
+      WHERE panel_id = $1 AND user_uuid IS NOT NULL AND user_uuid <> $2
+    `, [panelId, actorUserId]);
+
+    const mentioned = findMentionedParticipants(content, participantsResult.rows);
+    if (mentioned.length === 0) return 0;
+
+    const result = await db.query(`
+      INSERT INTO notifications (user_id, type, panel_id, post_id, comment_id, actor_user_id, actor_name, excerpt)
+      SELECT m.user_id, 'mention', $2, $3, $4::UUID, $5, $6, $7
+      FROM unnest($1::UUID[]) as m(user_id)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = m.user_id
+          AND n.type = 'mention'
+          AND n.post_id = $3
+          AND n.comment_id IS NOT DISTINCT FROM $4::UUID
+      )
+      RETURNING id, user_id, type, panel_id, post_id, comment_id, actor_name, excerpt, read_at, created_at
+    `, [
+      mentioned.map(participant => participant.user_uuid),
+      panelId,
+      postId,
+      commentId,
+      actorUserId,
+      actorName,
+      content.length > EXCERPT_LENGTH ? `${content.slice(0, EXCERPT_LENGTH)}…` : content
+    ]);
+
+    if (result.rows.length === 0) return 0;
+
+    if (io) {
+      const panelResult = await db.query('SELECT name FROM panels WHERE id = $1', [panelId]);
+      const panelName = panelResult.rows[0]?.name || null;
+      const unreadCounts = await getUnreadCounts(result.rows.map(notification => notification.user_id));
+
+      result.rows.forEach(notification => {
+        io.to(`user:${notification.user_id}`).emit('notification', {
+          notification: { ...notification, panel_name: panelName },
+          unread_count: unreadCounts[notification.user_id] || 0
+        });
+      });
+    }
+
+    logger.info(`🔔 ${result.rows.length} menções notificadas`, { panelId, postId, commentId });
+    return result.rows.length;
+
+  } catch (error) {
+    logger.error('❌ Erro ao notificar menções:', error);
+    return 0;
+  }
+}
+
+module.exports = {
+  findMentionedParticipants,
+  getUnreadCounts,
+  notifyMentions
+};
@@ -0,0 +1,117 @@
+/**
+ * Saída de participantes, regra de murais órfãos e lixeira
+ * backend/src/services/panelMembership.js
+ */
+
+const { PANEL_ROLES } = require('../utils/panelPermissions');
+
+/**
+ * Promove a dono o participante restante mais antigo, priorizando moderadores
+ */
+async function transferOwnership(client, panelId) {
+  const result = await client.query(`
+    UPDATE panel_participants
+    SET role = $1
+    WHERE id = (
+      SELECT id FROM panel_participants
+      WHERE panel_id = $2
+      ORDER BY
+        CASE role
+          WHEN 'moderator' THEN 0
+          WHEN 'member' THEN 1
+          ELSE 2
+        END,
+        joined_at ASC
+      LIMIT 1
+    )
+    RETURNING user_uuid, username, role
+  `, [PANEL_ROLES.OWNER, panelId]);
+
+  return result.rows[0];
+}
+
+/**
+ * Move o mural para a lixeira: ninguém mais acessa, mas o dono pode restaurá-lo
+ * até config.retention.trashDays (depois disso a limpeza apaga tudo)
+ * Deve ser chamada dentro de uma transação
+ */
+async function trashPanel(client, panelId) {
+  const result = await client.query(
+    'UPDATE panels SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING name',
+    [panelId]
+  );
+  await client.query('DELETE FROM active_users WHERE panel_id = $1', [panelId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * REGRA 1: Desvincula o usuário do mural
+ * REGRA 2: Se ele for o último participante, o mural vai para a lixeira
+ * (o último participante continua vinculado como dono para poder restaurá-lo)
+ * Deve ser chamada dentro de uma transação
+ * @returns {Promise<{panelDeleted: boolean, newOwner: Object|null}|null>} null se o usuário não participava
+ */
+async function leavePanel(client, panelId, userId) {
+  const participantResult = await client.query(
+    'SELECT username, role FROM panel_participants WHERE panel_id = $1 AND user_uuid = $2',
+    [panelId, userId]
+  );
+
+  if (participantResult.rows.length === 0) {
+    return null;
+  }
+
+  const participant = participantResult.rows[0];
+
+  // 1. REGRA 2: Verificar se o mural ficaria órfão
+  const remainingParticipants = await client.query(
+    'SELECT COUNT(*) as count FROM panel_participants WHERE panel_id = $1 AND user_uuid <> $2',
+    [panelId, userId]
+  );
+
+  const participantCount = parseInt(remainingParticipants.rows[0].count);
+
+  if (participantCount === 0) {
+    console.log(`🗑️ REGRA 2: Último participante saiu do mural ${panelId} - MOVENDO PARA A LIXEIRA`);
+
+    await client.query(
+      'UPDATE panel_participants SET role = $1 WHERE panel_id = $2 AND user_uuid = $3',
+      [PANEL_ROLES.OWNER, panelId, userId]
+    );
+    const panel = await trashPanel(client, panelId);
+
+    if (panel) {
+      console.log(`✅ Mural movido para a lixeira: ${panelId} (${panel.name})`);
+    }
+    return { panelDeleted: !!panel, newOwner: null };
+  }
+
+  // 2. Remover usuário dos participantes permanentes e da sessão ativa
+  await client.query(
+    'DELETE FROM panel_participants WHERE panel_id = $1 AND user_uuid = $2',
+    [panelId, userId]
+  );
+  await client.query(
+    'DELETE FROM active_users WHERE panel_id = $1 AND user_uuid = $2',
+    [panelId, userId]
+  );
+
+  console.log(`   ✅ Removido participante: ${participant.username}`);
+  console.log(`   📊 Participantes restantes no mural ${panelId}: ${participantCount}`);
+
+  // 3. Se o dono saiu, transferir a posse para o participante mais antigo de maior papel
+  let newOwner = null;
+  if (participant.role === PANEL_ROLES.OWNER) {
+    newOwner = await transferOwnership(client, panelId);
+    console.log(`   👑 Posse do mural ${panelId} transferida para ${newOwner.username}`);
+  }
+
+  return { panelDeleted: false, newOwner };
+}
+
+module.exports = {
+  transferOwnership,
+  trashPanel,
+  leavePanel
+};
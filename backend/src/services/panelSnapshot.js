@@ -0,0 +1,300 @@
+// backend/src/services/panelSnapshot.js
+// Renderiza o mural (fundo + notas nas posições salvas) como SVG, PNG ou PDF.
+// As medidas seguem o PostIt do frontend na versão desktop (w-64, min-h-[180px], p-4).
+
+const NOTE = {
+  width: 256,
+  minHeight: 180,
+  padding: 16,
+  radius: 8,
+  headerFontSize: 12,
+  headerLineHeight: 16,
+  contentFontSize: 14,
+  contentLineHeight: 22.75, // leading-relaxed
+  headerGap: 8
+};
+
+const TAPE = { width: 64, height: 24, color: '#FEF08A', opacity: 0.6, rotation: 3 };
+
+const TEXT_COLORS = {
+  author: '#374151', // gray-700
+  date: '#6B7280',   // gray-500
+  content: '#1F2937' // gray-800
+};
+
+const HEADER_HEIGHT = 64;
+const BOARD_MARGIN = 40;
+const MIN_BOARD = { width: 800, height: 600 };
+const FONT_FAMILY = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+
+// Largura média de caractere (em relação ao tamanho da fonte) usada para quebrar linhas
+const AVERAGE_CHAR_WIDTH = 0.6;
+
+const SNAPSHOT_FORMATS = {
+  svg: { contentType: 'image/svg+xml; charset=utf-8', extension: 'svg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Quebra o texto em linhas que cabem na largura informada
+ */
+function wrapText(text, maxWidth, fontSize) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  for (const paragraph of String(text).replace(/\r/g, '').split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(/ +/)) {
+      // Palavras maiores que a linha são quebradas (break-words)
+      let remaining = word;
+      while (remaining.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(remaining.slice(0, maxChars));
+        remaining = remaining.slice(maxChars);
+      }
+
+      const candidate = line ? `${line} ${remaining}` : remaining;
+      if (candidate.length > maxChars) {
+        lines.push(line);
+        line = remaining;
+      } else {
+        line = candidate;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Formata a data como no PostIt (dd/mm, hh:mm)
+ */
+function formatDate(date, timeZone) {
+  try {
+    return new Date(date).toLocaleString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      ...(timeZone && { timeZone })
+    });
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Calcula a posição, o tamanho e as linhas de texto de cada nota
+ * e as dimensões totais do mural
+ */
+function layoutPanel(panel, posts, options = {}) {
+  const contentWidth = NOTE.width - NOTE.padding * 2;
+
+  const notes = [...posts]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map((post) => {
+      const lines = wrapText(post.content, contentWidth, NOTE.contentFontSize);
+      const textHeight = NOTE.headerLineHeight * 2 + NOTE.headerGap + lines.length * NOTE.contentLineHeight;
+
+      return {
+        x: post.position_x || 0,
+        y: HEADER_HEIGHT + (post.position_y || 0),
+        width: NOTE.width,
+        height: Math.max(NOTE.minHeight, textHeight + NOTE.padding * 2),
+        color: post.color || '#A8D8EA',
+        author: post.author_name || 'Anônimo',
+        date: formatDate(post.created_at, options.timeZone),
+        lines
+      };
+    });
+
+  const width = Math.max(MIN_BOARD.width, ...notes.map(note => note.x + note.width + BOARD_MARGIN));
+  const height = Math.max(MIN_BOARD.height, ...notes.map(note => note.y + note.height + BOARD_MARGIN));
+
+  return {
+    width: Math.ceil(width),
+    height: Math.ceil(height),
+    title: panel.name,
+    background: panel.background_color || '#FBFBFB',
+    border: panel.border_color || '#9EC6F3',
+    notes
+  };
+}
+
+/**
+ * Escapa texto para uso em XML
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gera o SVG do mural
+ */
+function renderSvg(layout) {
+  const defs = [
+    `<filter id="shadow" x="-10%" y="-10%" width="130%" height="130%">
+      <feDropShadow dx="0" dy="4" stdDeviation="5" flood-color="#000000" flood-opacity="0.15"/>
+    </filter>`
+  ];
+
+  const notes = layout.notes.map((note, index) => {
+    defs.push(`<linearGradient id="note-${index}" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${note.color}"/>
+      <stop offset="100%" stop-color="${note.color}" stop-opacity="0.87"/>
+    </linearGradient>`);
+
+    const textX = note.x + NOTE.padding;
+    let textY = note.y + NOTE.padding;
+
+    const author = `<text x="${textX}" y="${textY + NOTE.headerFontSize}" font-size="${NOTE.headerFontSize}" font-weight="500" fill="${TEXT_COLORS.author}">${escapeXml(note.author)}</text>`;
+    textY += NOTE.headerLineHeight;
+    const date = `<text x="${textX}" y="${textY + NOTE.headerFontSize}" font-size="${NOTE.headerFontSize}" fill="${TEXT_COLORS.date}">${escapeXml(note.date)}</text>`;
+    textY += NOTE.headerLineHeight + NOTE.headerGap;
+
+    const content = note.lines.map((line, lineIndex) => {
+      const baseline = textY + lineIndex * NOTE.contentLineHeight + NOTE.contentFontSize;
+      return `<text x="${textX}" y="${baseline}" font-size="${NOTE.contentFontSize}" fill="${TEXT_COLORS.content}" xml:space="preserve">${escapeXml(line)}</text>`;
+    }).join('');
+
+    const tapeX = note.x + (note.width - TAPE.width) / 2;
+    const tapeY = note.y - 8;
+
+    return `<g>
+      <rect x="${note.x}" y="${note.y}" width="${note.width}" height="${note.height}" rx="${NOTE.radius}" fill="url(#note-${index})" filter="url(#shadow)"/>
+      <rect x="${tapeX}" y="${tapeY}" width="${TAPE.width}" height="${TAPE.height}" rx="2" fill="${TAPE.color}" fill-opacity="${TAPE.opacity}" transform="rotate(${TAPE.rotation} ${tapeX + TAPE.width / 2} ${tapeY + TAPE.height / 2})"/>
+      ${author}${date}${content}
+    </g>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" font-family="${FONT_FAMILY}">
+  <defs>${defs.join('\n')}</defs>
+  <rect width="100%" height="100%" fill="${layout.background}"/>
+  <rect y="${HEADER_HEIGHT - 2}" width="100%" height="2" fill="${layout.border}"/>
+  <text x="24" y="${HEADER_HEIGHT / 2 + 7}" font-size="20" font-weight="700" fill="#1F2937">${escapeXml(layout.title)}</text>
+  ${notes}
+</svg>`;
+}
+
+/**
+ * Converte o SVG em PNG (2x para impressão)
+ */
+function renderPng(layout) {
+  // Carregado sob demanda: binário nativo usado apenas neste formato
+  const { Resvg } = require('@resvg/resvg-js');
+
+  const resvg = new Resvg(renderSvg(layout), {
+    fitTo: { mode: 'zoom', value: 2 },
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+
+  return resvg.render().asPng();
+}
+
+/**
+ * Desenha o mural em um PDF de página única com o tamanho do mural
+ */
+function renderPdf(layout) {
+  // Carregado sob demanda, como no PNG
+  const PDFDocument = require('pdfkit');
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [layout.width, layout.height],
+      margin: 0,
+      info: { Title: layout.title, Producer: 'Stickly Notes' }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.rect(0, 0, layout.width, layout.height).fill(layout.background);
+    doc.rect(0, HEADER_HEIGHT - 2, layout.width, 2).fill(layout.border);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#1F2937')
+      .text(layout.title, 24, HEADER_HEIGHT / 2 - 10, { lineBreak: false });
+
+    for (const note of layout.notes) {
+      // Sombra
+      doc.save().fillOpacity(0.12)
+        .roundedRect(note.x, note.y + 4, note.width, note.height, NOTE.radius).fill('#000000')
+        .restore();
+
+      const gradient = doc.linearGradient(note.x, note.y, note.x + note.width, note.y + note.height);
+      gradient.stop(0, note.color, 1).stop(1, note.color, 0.87);
+      doc.roundedRect(note.x, note.y, note.width, note.height, NOTE.radius).fill(gradient);
+
+      const tapeX = note.x + (note.width - TAPE.width) / 2;
+      const tapeY = note.y - 8;
+      doc.save()
+        .rotate(TAPE.rotation, { origin: [tapeX + TAPE.width / 2, tapeY + TAPE.height / 2] })
+        .fillOpacity(TAPE.opacity)
+        .roundedRect(tapeX, tapeY, TAPE.width, TAPE.height, 2).fill(TAPE.color)
+        .restore();
+
+      const textX = note.x + NOTE.padding;
+      let textY = note.y + NOTE.padding;
+
+      doc.font('Helvetica-Bold').fontSize(NOTE.headerFontSize).fillColor(TEXT_COLORS.author)
+        .text(note.author, textX, textY, { lineBreak: false });
+      textY += NOTE.headerLineHeight;
+      doc.font('Helvetica').fillColor(TEXT_COLORS.date)
+        .text(note.date, textX, textY, { lineBreak: false });
+      textY += NOTE.headerLineHeight + NOTE.headerGap;
+
+      doc.fontSize(NOTE.contentFontSize).fillColor(TEXT_COLORS.content);
+      note.lines.forEach((line, index) => {
+        doc.text(line, textX, textY + index * NOTE.contentLineHeight, { lineBreak: false });
+      });
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Gera o arquivo do mural no formato pedido
+ * @param {Object} panel - Linha de panels (name, background_color, border_color)
+ * @param {Array} posts - Notas do painel
+ * @param {string} format - svg | png | pdf
+ * @param {Object} [options] - { timeZone } para formatar as datas das notas
+ * @returns {Promise<{body: Buffer|string, contentType: string, extension: string}>}
+ */
+async function renderPanelSnapshot(panel, posts, format, options = {}) {
+  const target = SNAPSHOT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Formato de snapshot não suportado: ${format}`);
+  }
+
+  const layout = layoutPanel(panel, posts, options);
+
+  let body;
+  switch (format) {
+    case 'png': body = renderPng(layout); break;
+    case 'pdf': body = await renderPdf(layout); break;
+    default: body = renderSvg(layout);
+  }
+
+  return { body, ...target };
+}
+
+module.exports = {
+  SNAPSHOT_FORMATS,
+  layoutPanel,
+  renderSvg,
+  renderPanelSnapshot
+};
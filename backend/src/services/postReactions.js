@@ -0,0 +1,45 @@
+/**
+ * Reações (emoji) nas notas
+ * backend/src/services/postReactions.js
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Resumo das reações de cada nota, na ordem em que cada emoji apareceu
+ * @param {string[]} postIds
+ * @returns {Promise<Object<string, Array<{emoji: string, count: number, user_ids: string[]}>>>}
+ */
+async function getReactionSummaries(postIds) {
+  if (postIds.length === 0) return {};
+
+  const result = await db.query(`
+    SELECT
+      post_id,
+      emoji,
+      COUNT(*)::INTEGER as count,
+      array_agg(user_id ORDER BY created_at) as user_ids
+    FROM post_reactions
+    WHERE post_id = ANY($1::UUID[])
+    GROUP BY post_id, emoji
+    ORDER BY MIN(created_at)
+  `, [postIds]);
+
+  return result.rows.reduce((summaries, { post_id, ...reaction }) => {
+    summaries[post_id] = [...(summaries[post_id] || []), reaction];
+    return summaries;
+  }, {});
+}
+
+/**
+ * Inclui as reações (reactions) em cada nota da lista
+ */
+async function withReactions(posts) {
+  const summaries = await getReactionSummaries(posts.map(post => post.id));
+  return posts.map(post => ({ ...post, reactions: summaries[post.id] || [] }));
+}
+
+module.exports = {
+  getReactionSummaries,
+  withReactions
+};
@@ -0,0 +1,71 @@
+/**
+ * Presença nos painéis: quem está no mural, cor de cada usuário e limitação
+ * dos eventos de cursor/arraste retransmitidos pelo WebSocket
+ * backend/src/services/presence.js
+ */
+
+// Cores dos cursores (contrastam com as paletas de fundo dos murais)
+const PRESENCE_COLORS = [
+  '#E11D48', '#2563EB', '#16A34A', '#D97706',
+  '#7C3AED', '#0891B2', '#DB2777', '#65A30D'
+];
+
+/**
+ * Cor estável do usuário (a mesma em qualquer mural e reconexão)
+ */
+function getPresenceColor(userId) {
+  let hash = 0;
+  for (const char of String(userId)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+}
+
+/**
+ * Retorna true se o evento deve ser descartado (chegou antes do intervalo mínimo)
+ * O último envio de cada tipo de evento fica guardado no próprio socket
+ */
+function isThrottled(socket, eventName, intervalMs) {
+  const now = Date.now();
+  const lastSent = socket.data.lastSent || (socket.data.lastSent = {});
+
+  if (lastSent[eventName] && now - lastSent[eventName] < intervalMs) {
+    return true;
+  }
+
+  lastSent[eventName] = now;
+  return false;
+}
+
+/**
+ * Lista de usuários conectados ao painel (um item por usuário, mesmo com várias abas)
+ */
+async function getPanelPresence(io, panelId) {
+  const sockets = await io.in(`panel:${panelId}`).fetchSockets();
+  const users = new Map();
+
+  for (const socket of sockets) {
+    const { userId, userName, color } = socket.data;
+    if (userId && !users.has(userId)) {
+      users.set(userId, { userId, userName, color });
+    }
+  }
+
+  return [...users.values()];
+}
+
+/**
+ * Envia a lista de presença atualizada para todos no painel
+ */
+async function broadcastPresence(io, panelId) {
+  const users = await getPanelPresence(io, panelId);
+  io.to(`panel:${panelId}`).emit('presence-updated', { panel_id: panelId, users });
+}
+
+module.exports = {
+  PRESENCE_COLORS,
+  getPresenceColor,
+  isThrottled,
+  getPanelPresence,
+  broadcastPresence
+};
@@ -0,0 +1,210 @@
+/**
+ * Middleware de Idempotency-Key: repetir uma requisição com a mesma chave
+ * devolve a resposta original em vez de executá-la de novo.
+ * As respostas ficam no Redis; sem Redis, na tabela idempotency_keys.
+ * backend/src/utils/idempotency.js
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const config = require('../config/config');
+const logger = require('./logger');
+const { getRedis } = require('./sharedState');
+
+const HEADER_NAME = 'Idempotency-Key';
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,200}$/;
+
+function responseTtlSeconds() {
+  return config.idempotency.ttlHours * 60 * 60;
+}
+
+/**
+ * Identifica a requisição (método, URL e corpo): a mesma chave não pode ser usada em outra requisição
+ */
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Armazenamento no Redis: { fingerprint, statusCode?, contentType?, body? }
+const redisStore = {
+  async reserve(redis, key, fingerprint) {
+    const result = await redis.set(
+      key,
+      JSON.stringify({ fingerprint }),
+      'EX', config.idempotency.processingTimeoutSeconds,
+      'NX'
+    );
+    if (result === 'OK') return null;
+
+    const stored = await redis.get(key);
+    return stored ? JSON.parse(stored) : null;
+  },
+
+  async complete(redis, key, record) {
+    await redis.set(key, JSON.stringify(record), 'EX', responseTtlSeconds());
+  },
+
+  async release(redis, key) {
+    await redis.del(key);
+  }
+};
+
+// Fallback no PostgreSQL: chaves expiradas (ou requisições interrompidas) podem ser reaproveitadas
+const postgresStore = {
+  async reserve(key, fingerprint) {
+    const reserved = await db.query(`
+      INSERT INTO idempotency_keys (key, fingerprint, expires_at)
+      VALUES ($1, $2, NOW() + ($3::INTEGER * INTERVAL '1 second'))
+      ON CONFLICT (key) DO UPDATE SET
+        fingerprint = EXCLUDED.fingerprint,
+        status_code = NULL,
+        content_type = NULL,
+        response_body = NULL,
+        created_at = NOW(),
+        expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at < NOW()
+      RETURNING key
+    `, [key, fingerprint, config.idempotency.processingTimeoutSeconds]);
+
+    if (reserved.rows.length > 0) return null;
+
+    const existing = await db.query(
+      'SELECT fingerprint, status_code, content_type, response_body FROM idempotency_keys WHERE key = $1',
+      [key]
+    );
+    const row = existing.rows[0];
+    if (!row) return null;
+
+    return {
+      fingerprint: row.fingerprint,
+      statusCode: row.status_code,
+      contentType: row.content_type,
+      body: row.response_body
+    };
+  },
+
+  async complete(key, record) {
+    await db.query(`
+      UPDATE idempotency_keys
+      SET status_code = $2,
+          content_type = $3,
+          response_body = $4,
+          expires_at = NOW() + ($5::INTEGER * INTERVAL '1 second')
+      WHERE key = $1
+    `, [key, record.statusCode, record.contentType, record.body, responseTtlSeconds()]);
+  },
+
+  async release(key) {
+    await db.query('DELETE FROM idempotency_keys WHERE key = $1', [key]);
+  }
+};
+
+/**
+ * Executa a operação no Redis quando disponível e no PostgreSQL caso contrário
+ */
+async function withStore(operation, ...args) {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      return await redisStore[operation](redis, ...args);
+    } catch (error) {
+      logger.warn('Erro no Redis (idempotência), usando PostgreSQL:', { error: error.message });
+    }
+  }
+  return postgresStore[operation](...args);
+}
+
+/**
+ * Middleware: deve vir depois de authenticateToken e das validações
+ * (as chaves são separadas por usuário e requisições inválidas não consomem a chave)
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get(HEADER_NAME);
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      error: 'Idempotency-Key inválida (8 a 200 caracteres: letras, números, - _ : .)'
+    });
+  }
+
+  const key = `idempotency:${req.user.userId}:${idempotencyKey}`;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    const existing = await withStore('reserve', key, fingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency-Key já usada em outra requisição',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (!existing.statusCode) {
+        return res.status(409).json({
+          error: 'Requisição com esta Idempotency-Key ainda em processamento',
+          code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+      }
+
+      // Resposta original, sem executar de novo
+      res.set('Idempotent-Replayed', 'true');
+      if (existing.contentType) {
+        res.set('Content-Type', existing.contentType);
+      }
+      return res.status(existing.statusCode).send(existing.body ?? undefined);
+    }
+  } catch (error) {
+    logger.error('Erro ao verificar Idempotency-Key:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
+  // Guardar a resposta quando ela for enviada
+  let responseBody = null;
+  const originalSend = res.send.bind(res);
+  res.send = (body) => {
+    if (responseBody === null && body !== undefined) {
+      responseBody = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+    }
+    return originalSend(body);
+  };
+
+  let settled = false;
+  const settle = async (finished) => {
+    if (settled) return;
+    settled = true;
+
+    try {
+      // Erros do servidor (ou conexão interrompida) liberam a chave para uma nova tentativa
+      if (!finished || res.statusCode >= 500) {
+        await withStore('release', key);
+        return;
+      }
+
+      await withStore('complete', key, {
+        fingerprint,
+        statusCode: res.statusCode,
+        contentType: res.get('Content-Type') || null,
+        body: responseBody
+      });
+    } catch (error) {
+      logger.error('Erro ao salvar resposta da Idempotency-Key:', error);
+    }
+  };
+
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(res.writableFinished));
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,77 @@
+/**
+ * Papéis de participantes e verificações de permissão nos painéis
+ * backend/src/utils/panelPermissions.js
+ */
+
+const { db } = require('../config/database');
+
+/**
+ * Papéis disponíveis para participantes de um painel
+ */
+const PANEL_ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Hierarquia dos papéis (maior valor = mais permissões)
+ */
+const ROLE_LEVELS = {
+  viewer: 0,
+  member: 1,
+  moderator: 2,
+  owner: 3
+};
+
+/**
+ * Verifica se um papel atinge o nível mínimo exigido
+ * @param {string|null} role - Papel do participante
+ * @param {string} minimumRole - Papel mínimo exigido
+ * @returns {boolean} True se o papel for suficiente
+ */
+function hasRole(role, minimumRole) {
+  if (!role || ROLE_LEVELS[role] === undefined) return false;
+  return ROLE_LEVELS[role] >= ROLE_LEVELS[minimumRole];
+}
+
+/**
+ * Obtém o papel do usuário em um painel (murais na lixeira não concedem acesso)
+ * @param {string} panelId - Código do painel
+ * @param {string} userId - UUID do usuário
+ * @param {object} client - Cliente de transação (opcional)
+ * @returns {Promise<string|null>} Papel ou null se não participa
+ */
+async function getParticipantRole(panelId, userId, client = db) {
+  const result = await client.query(
+    `SELECT pp.role
+     FROM panel_participants pp
+     JOIN panels p ON p.id = pp.panel_id
+     WHERE pp.panel_id = $1 AND pp.user_uuid = $2 AND p.deleted_at IS NULL`,
+    [panelId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+/**
+ * Verifica se o usuário está banido de um painel
+ * @param {string} panelId - Código do painel
+ * @param {string} userId - UUID do usuário
+ * @returns {Promise<boolean>} True se houver banimento
+ */
+async function isUserBanned(panelId, userId) {
+  const result = await db.query(
+    'SELECT id FROM panel_bans WHERE panel_id = $1 AND user_uuid = $2',
+    [panelId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  PANEL_ROLES,
+  ROLE_LEVELS,
+  hasRole,
+  getParticipantRole,
+  isUserBanned
+};
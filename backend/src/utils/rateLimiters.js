@@ -3,64 +3,33 @@
  * backend/src/utils/rateLimiters.js
  */
 
-const rateLimit = require('express-rate-limit');
 const { db } = require('../config/database');
 const config = require('../config/config');
 const logger = require('./logger');
+const { createRateLimiter, incrementCounter, resetCounter } = require('./sharedState');
 
-// Store personalizado para rate limiting baseado em código de painel
+// Contador por IP + código de painel, compartilhado entre instâncias (ver sharedState)
 class PanelAccessLimiter {
   constructor() {
-    this.hits = new Map(); // Map<key, { count, resetTime }>
     this.windowMs = 30000; // 30 segundos
     this.maxAttempts = 3; // Máximo 3 tentativas por código por IP
   }
 
   generateKey(ip, panelCode) {
-    return `${ip}:${panelCode}`;
+    return `ratelimit:link:${ip}:${panelCode}`;
   }
 
   async increment(key) {
-    const now = Date.now();
-    const hit = this.hits.get(key);
-
-    if (!hit || now > hit.resetTime) {
-      // Primeira tentativa ou janela expirou
-      this.hits.set(key, {
-        count: 1,
-        resetTime: now + this.windowMs
-      });
-      return { count: 1, resetTime: now + this.windowMs };
-    }
-
-    // Incrementar contador
-    hit.count += 1;
-    this.hits.set(key, hit);
-    return hit;
+    return incrementCounter(key, this.windowMs);
   }
 
   async resetKey(key) {
-    this.hits.delete(key);
-  }
-
-  // Cleanup automático de entradas antigas
-  cleanup() {
-    const now = Date.now();
-    for (const [key, hit] of this.hits.entries()) {
-      if (now > hit.resetTime) {
-        this.hits.delete(key);
-      }
-    }
+    await resetCounter(key);
   }
 }
 
 const panelCodeLimiter = new PanelAccessLimiter();
 
-// Cleanup a cada 5 minutos
-setInterval(() => {
-  panelCodeLimiter.cleanup();
-}, 5 * 60 * 1000);
-
 /**
  * Rate limiter específico para acesso via link
  * Mais restritivo para evitar spam de links
@@ -114,7 +83,7 @@ const linkAccessRateLimiter = (req, res, next) => {
  * Rate limiter geral para APIs
  * Menos restritivo para uso normal
  */
-const generalApiLimiter = rateLimit({
+const generalApiLimiter = createRateLimiter('api', {
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 200, // Aumentado de 100 para 200
   message: {
@@ -144,7 +113,7 @@ const generalApiLimiter = rateLimit({
  * Rate limiter para criação de painéis
  * Mais restritivo para evitar spam
  */
-const panelCreationLimiter = rateLimit({
+const panelCreationLimiter = createRateLimiter('panel-creation', {
   windowMs: 10 * 60 * 1000, // 10 minutos
   max: 5, // Máximo 5 painéis por IP a cada 10 minutos
   message: {
@@ -165,7 +134,7 @@ const panelCreationLimiter = rateLimit({
  * Rate limiter para acesso a painéis (código manual)
  * Moderadamente restritivo
  */
-const panelAccessLimiter = rateLimit({
+const panelAccessLimiter = createRateLimiter('panel-access', {
   windowMs: 5 * 60 * 1000, // 5 minutos
   max: 20, // Máximo 20 tentativas por IP
   message: {
@@ -187,7 +156,7 @@ const panelAccessLimiter = rateLimit({
  * Rate limiter para criação de posts
  * Moderado para permitir conversação natural
  */
-const postCreationLimiter = rateLimit({
+const postCreationLimiter = createRateLimiter('post-creation', {
   windowMs: 2 * 60 * 1000, // 2 minutos
   max: 15, // Máximo 15 posts por IP a cada 2 minutos
   message: {
@@ -208,7 +177,7 @@ const postCreationLimiter = rateLimit({
  * Rate limiter para autenticação
  * Muito restritivo para prevenir ataques de força bruta
  */
-const authLimiter = rateLimit({
+const authLimiter = createRateLimiter('auth', {
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 10, // Máximo 10 tentativas por IP
   message: {
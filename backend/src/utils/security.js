@@ -5,9 +5,9 @@
 
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const rateLimit = require('express-rate-limit');
 const config = require('../config/config');
 const logger = require('./logger');
+const { createRateLimiter } = require('./sharedState');
 
 /**
  * Gera um código único para painel
@@ -90,7 +90,7 @@ function createDataHash(data) {
 /**
  * Rate limiter para endpoints gerais
  */
-const generalLimiter = rateLimit({
+const generalLimiter = createRateLimiter('general', {
   windowMs: config.rateLimit.windowMs,
   max: config.rateLimit.maxRequests,
   message: {
@@ -108,7 +108,7 @@ const generalLimiter = rateLimit({
 /**
  * Rate limiter mais restritivo para criação de painéis
  */
-const panelCreationLimiter = rateLimit({
+const panelCreationLimiter = createRateLimiter('panel-creation-strict', {
   windowMs: 5 * 60 * 1000, // 5 minutos
   max: 5, // Máximo 5 painéis por IP a cada 5 minutos
   message: {
@@ -122,7 +122,7 @@ const panelCreationLimiter = rateLimit({
 /**
  * Rate limiter para tentativas de acesso a painéis
  */
-const panelAccessLimiter = rateLimit({
+const panelAccessLimiter = createRateLimiter('panel-access-strict', {
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 20, // Máximo 20 tentativas por IP
   message: {
@@ -136,7 +136,7 @@ const panelAccessLimiter = rateLimit({
 /**
  * Rate limiter para criação de posts
  */
-const postCreationLimiter = rateLimit({
+const postCreationLimiter = createRateLimiter('post-creation-strict', {
   windowMs: 60 * 1000, // 1 minuto
   max: 10, // Máximo 10 posts por minuto por IP
   message: {
@@ -147,6 +147,20 @@ const postCreationLimiter = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Rate limiter para emails de conta (redefinição de senha e verificação)
+ */
+const accountEmailLimiter = createRateLimiter('account-email', {
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5, // Máximo 5 pedidos por IP
+  message: {
+    error: 'Muitos pedidos de email. Aguarde alguns minutos.',
+    retryAfter: 900
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Middleware de segurança para headers HTTP
  * @param {object} req - Request object
@@ -357,6 +371,7 @@ module.exports = {
   panelCreationLimiter,
   panelAccessLimiter,
   postCreationLimiter,
+  accountEmailLimiter,
   
   // Middleware de segurança
   securityHeaders,
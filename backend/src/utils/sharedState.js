@@ -0,0 +1,211 @@
+/**
+ * Estado compartilhado entre instâncias do backend (contadores de rate limit e locks)
+ * Usa o Redis quando conectado; sem Redis (REDIS_URL ausente ou fora do ar)
+ * cai para um fallback em memória, válido apenas para uma instância
+ * backend/src/utils/sharedState.js
+ */
+
+const os = require('os');
+const rateLimit = require('express-rate-limit');
+const { redisClient } = require('../config/database');
+const logger = require('./logger');
+
+// Incrementa o contador e inicia a janela na primeira batida (ou se a chave ficou sem expiração)
+const INCREMENT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+  end
+  return { count, ttl }
+`;
+
+// Identifica quem está com o lock (útil para depuração no Redis)
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Fallback em memória: Map<key, { count, resetTime }> e Map<key, expiresAt>
+const memoryCounters = new Map();
+const memoryLocks = new Map();
+const MEMORY_PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+let nextMemoryPrune = Date.now() + MEMORY_PRUNE_INTERVAL_MS;
+
+/**
+ * Remove contadores com a janela expirada (executado no máximo a cada 5 minutos)
+ */
+function pruneMemoryCounters(now) {
+  if (now < nextMemoryPrune) return;
+
+  for (const [key, hit] of memoryCounters.entries()) {
+    if (now > hit.resetTime) {
+      memoryCounters.delete(key);
+    }
+  }
+  nextMemoryPrune = now + MEMORY_PRUNE_INTERVAL_MS;
+}
+
+function incrementMemoryCounter(key, windowMs) {
+  const now = Date.now();
+  pruneMemoryCounters(now);
+
+  const hit = memoryCounters.get(key);
+  if (!hit || now > hit.resetTime) {
+    const fresh = { count: 1, resetTime: now + windowMs };
+    memoryCounters.set(key, fresh);
+    return { ...fresh };
+  }
+
+  hit.count += 1;
+  return { ...hit };
+}
+
+/**
+ * Cliente Redis pronto para uso ou null (fallback em memória)
+ */
+function getRedis() {
+  const client = redisClient();
+  return client && client.status === 'ready' ? client : null;
+}
+
+/**
+ * Incrementa o contador da chave dentro da janela informada
+ * @param {string} key - Chave do contador
+ * @param {number} windowMs - Duração da janela em milissegundos
+ * @returns {Promise<{count: number, resetTime: number}>} Total na janela e fim da janela (timestamp)
+ */
+async function incrementCounter(key, windowMs) {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const [count, ttl] = await redis.eval(INCREMENT_SCRIPT, 1, key, windowMs);
+      return { count: Number(count), resetTime: Date.now() + Number(ttl) };
+    } catch (error) {
+      logger.warn('Erro no contador Redis, usando memória:', { key, error: error.message });
+    }
+  }
+
+  return incrementMemoryCounter(key, windowMs);
+}
+
+/**
+ * Desfaz uma batida do contador (ex.: requisições bem-sucedidas que não contam)
+ */
+async function decrementCounter(key) {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.eval(
+        "if redis.call('EXISTS', KEYS[1]) == 1 then return redis.call('DECR', KEYS[1]) end return 0",
+        1,
+        key
+      );
+      return;
+    } catch (error) {
+      logger.warn('Erro no contador Redis, usando memória:', { key, error: error.message });
+    }
+  }
+
+  const hit = memoryCounters.get(key);
+  if (hit && hit.count > 0) {
+    hit.count -= 1;
+  }
+}
+
+/**
+ * Zera o contador da chave
+ */
+async function resetCounter(key) {
+  memoryCounters.delete(key);
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.del(key);
+    } catch (error) {
+      logger.warn('Erro ao zerar contador Redis:', { key, error: error.message });
+    }
+  }
+}
+
+/**
+ * Store do express-rate-limit com contadores compartilhados entre instâncias
+ * Os limiters são criados ao carregar os módulos, antes da conexão com o Redis;
+ * por isso o cliente é consultado a cada requisição
+ */
+class SharedRateLimitStore {
+  /**
+   * @param {string} prefix - Identifica o limiter nas chaves (ratelimit:<prefix>:<ip>)
+   */
+  constructor(prefix) {
+    this.prefix = `ratelimit:${prefix}:`;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { count, resetTime } = await incrementCounter(this.prefix + key, this.windowMs);
+    return { totalHits: count, resetTime: new Date(resetTime) };
+  }
+
+  async decrement(key) {
+    await decrementCounter(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await resetCounter(this.prefix + key);
+  }
+}
+
+/**
+ * Cria um rate limiter do express-rate-limit com store compartilhado
+ * @param {string} name - Nome do limiter (prefixo das chaves no Redis)
+ * @param {object} options - Opções do express-rate-limit
+ */
+function createRateLimiter(name, options) {
+  return rateLimit({
+    ...options,
+    store: new SharedRateLimitStore(name)
+  });
+}
+
+/**
+ * Tenta adquirir um lock exclusivo entre instâncias
+ * O lock expira sozinho após ttlMs (também se a instância cair no meio do trabalho)
+ * @param {string} name - Nome do lock
+ * @param {number} ttlMs - Validade do lock
+ * @returns {Promise<boolean>} false se outra instância já possui o lock
+ */
+async function acquireLock(name, ttlMs) {
+  const key = `lock:${name}`;
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const result = await redis.set(key, INSTANCE_ID, 'PX', ttlMs, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.warn('Erro ao adquirir lock no Redis, usando memória:', { name, error: error.message });
+    }
+  }
+
+  const now = Date.now();
+  if (memoryLocks.get(key) > now) {
+    return false;
+  }
+
+  memoryLocks.set(key, now + ttlMs);
+  return true;
+}
+
+module.exports = {
+  getRedis,
+  SharedRateLimitStore,
+  createRateLimiter,
+  incrementCounter,
+  decrementCounter,
+  resetCounter,
+  acquireLock
+};
@@ -0,0 +1,86 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { db, cache } = require('../src/config/database');
+const { router: authRoutes } = require('../src/routes/authRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID } = require('./support/fixtures');
+
+const PASSWORD = 'SenhaForte123';
+
+describe('dados da conta', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    cache.invalidate.mockClear();
+    ({ app, io } = createTestApp({ '/api/auth': authRoutes }));
+  });
+
+  const as = (user) => `Bearer ${signToken(user)}`;
+
+  describe('GET /api/auth/me/export', () => {
+    it('inclui as respostas e as reações do usuário', async () => {
+      db.when(/FROM users WHERE id = \$1/, [{ id: USERS.member.id, first_name: 'Carla', last_name: 'Membro', email: 'carla@example.com' }]);
+      db.when(/FROM post_comments c/, [{ id: 'c1', post_id: POST_ID, panel_id: PANEL_ID, content: 'Concordo!', anonymous: true }]);
+      db.when(/FROM post_reactions r/, [{ post_id: POST_ID, panel_id: PANEL_ID, emoji: '👍' }]);
+
+      const response = await request(app)
+        .get('/api/auth/me/export')
+        .set('Authorization', as(USERS.member));
+
+      expect(response.status).toBe(200);
+      expect(response.body.comments).toEqual([expect.objectContaining({ id: 'c1', anonymous: true })]);
+      expect(response.body.reactions).toEqual([expect.objectContaining({ post_id: POST_ID, emoji: '👍' })]);
+      expect(db.calls(/FROM post_comments c/)[0].params).toEqual([USERS.member.id]);
+      expect(db.calls(/FROM post_reactions r/)[0].params).toEqual([USERS.member.id]);
+    });
+  });
+
+  describe('DELETE /api/auth/me', () => {
+    beforeEach(() => {
+      db.when(/SELECT password_hash FROM users WHERE id = \$1/, [{ password_hash: bcrypt.hashSync(PASSWORD, 4) }]);
+      db.when(/DELETE FROM post_reactions r/, [{ post_id: POST_ID, panel_id: PANEL_ID }]);
+      db.when(/FROM post_reactions\s+WHERE post_id = ANY/, [
+        { post_id: POST_ID, emoji: '👍', count: 1, user_ids: [USERS.otherMember.id] }
+      ]);
+    });
+
+    const deleteAccount = (password = PASSWORD) => request(app)
+      .delete('/api/auth/me')
+      .set('Authorization', as(USERS.member))
+      .send({ password });
+
+    it('anonimiza as respostas e remove as reações', async () => {
+      const response = await deleteAccount();
+
+      const [comments] = db.calls(/UPDATE post_comments/);
+      const [reactions] = db.calls(/DELETE FROM post_reactions r/);
+      expect(response.status).toBe(204);
+      expect(comments.sql).toMatch(/author_name = NULL, author_user_id = NULL/);
+      expect(comments.params).toEqual([USERS.member.id]);
+      expect(reactions.params).toEqual([USERS.member.id]);
+      expect(db.calls(/DELETE FROM users WHERE id = \$1/)).toHaveLength(1);
+    });
+
+    it('envia as reações atualizadas e invalida o cache de notas', async () => {
+      await deleteAccount();
+
+      expect(io.emitted).toContainEqual({
+        room: `panel:${PANEL_ID}`,
+        event: 'post-reaction',
+        payload: { post_id: POST_ID, reactions: [{ emoji: '👍', count: 1, user_ids: [USERS.otherMember.id] }] }
+      });
+      expect(cache.invalidate).toHaveBeenCalledWith(`posts:${PANEL_ID}`);
+    });
+
+    it('com a senha errada não altera nada', async () => {
+      const response = await deleteAccount('errada');
+
+      expect(response.status).toBe(401);
+      expect(db.calls(/UPDATE post_comments|DELETE FROM post_reactions/)).toHaveLength(0);
+    });
+  });
+});
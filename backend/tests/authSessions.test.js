@@ -0,0 +1,174 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { db } = require('../src/config/database');
+const { router: authRoutes } = require('../src/routes/authRoutes');
+const { createDataHash } = require('../src/utils/security');
+const { createTestApp } = require('./support/testApp');
+const { USERS } = require('./support/fixtures');
+
+const PASSWORD = 'SenhaForte123';
+
+/**
+ * Tabela user_sessions em memória, com as mesmas condições das consultas reais
+ */
+function mockSessionStore() {
+  const sessions = [];
+  const user = {
+    id: USERS.member.id,
+    first_name: 'Maria',
+    last_name: 'Membro',
+    email: 'maria@example.com',
+    password_hash: bcrypt.hashSync(PASSWORD, 4),
+    email_verified_at: null,
+    created_at: '2024-01-01T00:00:00.000Z'
+  };
+
+  db.when(/FROM users WHERE email = \$1/, [user]);
+
+  db.when(/INSERT INTO user_sessions/, ([userId, refreshTokenHash]) => {
+    const session = {
+      id: `${sessions.length + 1}0000000-0000-4000-8000-000000000000`,
+      user_id: userId,
+      refresh_token_hash: refreshTokenHash,
+      revoked_at: null
+    };
+    sessions.push(session);
+    return [{ id: session.id }];
+  });
+
+  db.when(/FROM user_sessions WHERE id = \$1 AND revoked_at IS NULL/, ([id]) =>
+    sessions.filter(s => s.id === id && !s.revoked_at).map(s => ({ id: s.id }))
+  );
+
+  db.when(/SET refresh_token_hash = \$1/, ([newHash, currentHash]) => {
+    const session = sessions.find(s => s.refresh_token_hash === currentHash && !s.revoked_at);
+    if (!session) return [];
+    session.refresh_token_hash = newHash;
+    const { password_hash, ...publicUser } = user;
+    return [{ session_id: session.id, ...publicUser }];
+  });
+
+  db.when(/SET revoked_at = CURRENT_TIMESTAMP WHERE id = \$1 AND revoked_at IS NULL/, ([id]) => {
+    sessions.filter(s => s.id === id && !s.revoked_at).forEach(s => { s.revoked_at = new Date(); });
+    return [];
+  });
+
+  db.when(/SET revoked_at = CURRENT_TIMESTAMP\s+WHERE id = \$1 AND user_id = \$2/, ([id, userId]) => {
+    const session = sessions.find(s => s.id === id && s.user_id === userId && !s.revoked_at);
+    if (!session) return [];
+    session.revoked_at = new Date();
+    return [{ id: session.id }];
+  });
+
+  return sessions;
+}
+
+describe('sessões de login', () => {
+  let app;
+  let sessions;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app } = createTestApp({ '/api/auth': authRoutes }));
+    sessions = mockSessionStore();
+  });
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'maria@example.com', password: PASSWORD });
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  const getSessions = (token) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  it('login guarda apenas o hash do refresh token', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].refresh_token_hash).toBe(createDataHash(response.body.refreshToken));
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('rotaciona o refresh token e mantém a mesma sessão', async () => {
+      const { body: tokens } = await login();
+
+      const response = await refresh(tokens.refreshToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].refresh_token_hash).toBe(createDataHash(response.body.refreshToken));
+      expect((await getSessions(response.body.token)).status).toBe(200);
+    });
+
+    it('recusa reutilizar o refresh token já rotacionado', async () => {
+      const { body: tokens } = await login();
+      await refresh(tokens.refreshToken);
+
+      const response = await refresh(tokens.refreshToken);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('recusa refresh de sessão encerrada no logout', async () => {
+      const { body: tokens } = await login();
+      await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${tokens.token}`);
+
+      const response = await refresh(tokens.refreshToken);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('valida o formato do refresh token', async () => {
+      expect((await refresh('curto')).status).toBe(400);
+    });
+  });
+
+  describe('sessões revogadas', () => {
+    it('logout invalida o access token ainda dentro da validade', async () => {
+      const { body: tokens } = await login();
+
+      const logout = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${tokens.token}`);
+      const response = await getSessions(tokens.token);
+
+      expect(logout.status).toBe(200);
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('encerrar outro dispositivo não afeta a sessão atual', async () => {
+      const { body: current } = await login();
+      const { body: other } = await login();
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${sessions[1].id}`)
+        .set('Authorization', `Bearer ${current.token}`);
+
+      expect(response.status).toBe(204);
+      expect((await getSessions(other.token)).body.code).toBe('SESSION_REVOKED');
+      expect((await refresh(other.refreshToken)).status).toBe(401);
+      expect((await getSessions(current.token)).status).toBe(200);
+    });
+
+    it('não encerra sessões de outro usuário', async () => {
+      const { body: tokens } = await login();
+      sessions.push({ id: '90000000-0000-4000-8000-000000000000', user_id: USERS.outsider.id, revoked_at: null });
+
+      const response = await request(app)
+        .delete('/api/auth/sessions/90000000-0000-4000-8000-000000000000')
+        .set('Authorization', `Bearer ${tokens.token}`);
+
+      expect(response.status).toBe(404);
+      expect(sessions[1].revoked_at).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const IDEMPOTENCY_KEY = 'offline-move-0001';
+
+/**
+ * Tabela idempotency_keys em memória (sem Redis nos testes, o middleware usa o PostgreSQL)
+ */
+function mockIdempotencyStore() {
+  const keys = new Map();
+
+  db.when(/INSERT INTO idempotency_keys/, ([key, fingerprint]) => {
+    if (keys.has(key)) return [];
+    keys.set(key, { fingerprint, status_code: null, content_type: null, response_body: null });
+    return [{ key }];
+  });
+
+  db.when(/FROM idempotency_keys WHERE key = \$1/, ([key]) => (keys.has(key) ? [keys.get(key)] : []));
+
+  db.when(/UPDATE idempotency_keys/, ([key, statusCode, contentType, body]) => {
+    Object.assign(keys.get(key), { status_code: statusCode, content_type: contentType, response_body: body });
+    return [];
+  });
+
+  db.when(/DELETE FROM idempotency_keys WHERE key = \$1/, ([key]) => {
+    keys.delete(key);
+    return [];
+  });
+
+  return keys;
+}
+
+// A resposta é guardada no evento finish, depois de enviada ao cliente
+const responseStored = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency-Key', () => {
+  let app;
+  let keys;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    keys = mockIdempotencyStore();
+    db.when(/SELECT \* FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/UPDATE posts SET position_x/, ([x, y]) => [buildPost({ position_x: x, position_y: y })]);
+  });
+
+  const move = (body = {}, user = USERS.member) => request(app)
+    .patch(`/api/posts/${POST_ID}/position`)
+    .set('Authorization', `Bearer ${signToken(user)}`)
+    .set('Idempotency-Key', IDEMPOTENCY_KEY)
+    .send({ position_x: 300, position_y: 120, panel_id: PANEL_ID, ...body });
+
+  it('repetir a requisição devolve a resposta original sem executá-la de novo', async () => {
+    const first = await move();
+    await responseStored();
+    const replay = await move();
+
+    expect(first.status).toBe(200);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(replay.status).toBe(200);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+    expect(db.calls(/UPDATE posts SET position_x/)).toHaveLength(1);
+  });
+
+  it('as chaves são separadas por usuário', async () => {
+    await move();
+    await responseStored();
+    const response = await move({}, USERS.otherMember);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(keys.size).toBe(2);
+  });
+
+  it('recusa a mesma chave em outra requisição', async () => {
+    await move();
+    await responseStored();
+    const response = await move({ position_x: 999 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(db.calls(/UPDATE posts SET position_x/)).toHaveLength(1);
+  });
+
+  it('responde 409 enquanto a requisição original não terminou', async () => {
+    // A resposta da primeira requisição ainda não foi gravada
+    db.when(/UPDATE idempotency_keys/, []);
+    await move();
+    await responseStored();
+    const response = await move();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+  });
+
+  it('erros do servidor liberam a chave para uma nova tentativa', async () => {
+    db.when(/UPDATE posts SET position_x/, () => { throw new Error('falha de conexão'); });
+    const failed = await move();
+    await responseStored();
+
+    expect(failed.status).toBe(500);
+    expect(keys.size).toBe(0);
+
+    db.when(/UPDATE posts SET position_x/, ([x, y]) => [buildPost({ position_x: x, position_y: y })]);
+    const retry = await move();
+
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('recusa chaves em formato inválido', async () => {
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}/position`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+      .set('Idempotency-Key', 'curta')
+      .send({ position_x: 300, position_y: 120, panel_id: PANEL_ID });
+
+    expect(response.status).toBe(400);
+    expect(db.calls(/UPDATE posts/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const notificationRoutes = require('../src/routes/notificationRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const PARTICIPANTS = [
+  { user_uuid: USERS.owner.id, username: USERS.owner.name },
+  { user_uuid: USERS.otherMember.id, username: USERS.otherMember.name },
+  { user_uuid: USERS.viewer.id, username: USERS.viewer.name }
+];
+
+describe('menções', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes, '/api/notifications': notificationRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT panel_id, author_user_id FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/SELECT \* FROM posts WHERE id = \$1 FOR UPDATE/, [buildPost()]);
+    db.when(/UPDATE posts\s+SET content = COALESCE/, ([content]) => [buildPost({ content })]);
+    db.when(/SELECT name FROM panels WHERE id = \$1/, [{ name: 'Retrospectiva' }]);
+    // O autor não está na lista: a consulta já exclui quem escreveu
+    db.when(/FROM panel_participants\s+WHERE panel_id = \$1 AND user_uuid IS NOT NULL/, PARTICIPANTS);
+    db.when(/INSERT INTO notifications/, ([userIds, panelId, postId]) => userIds.map((userId, index) => ({
+      id: `n${index}`, user_id: userId, type: 'mention', panel_id: panelId, post_id: postId, read_at: null
+    })));
+    db.when(/FROM notifications n\s+JOIN panels p/, ([userIds]) =>
+      Array.isArray(userIds) ? userIds.map(userId => ({ user_id: userId, count: 2 })) : []
+    );
+  });
+
+  const editPost = (content) => request(app)
+    .patch(`/api/posts/${POST_ID}`)
+    .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+    .send({ content, panel_id: PANEL_ID });
+
+  it('notifica cada participante mencionado na sala pessoal', async () => {
+    const response = await editPost(`Falar com @${USERS.owner.name} e @${USERS.otherMember.name}`);
+
+    const [insert] = db.calls(/INSERT INTO notifications/);
+    const notifications = io.emitted.filter(e => e.event === 'notification');
+
+    expect(response.status).toBe(200);
+    expect(insert.params[0]).toEqual(expect.arrayContaining([USERS.owner.id, USERS.otherMember.id]));
+    expect(insert.params[0]).toHaveLength(2);
+    expect(notifications.map(e => e.room).sort()).toEqual([`user:${USERS.owner.id}`, `user:${USERS.otherMember.id}`].sort());
+    expect(notifications[0].payload).toMatchObject({
+      notification: { type: 'mention', panel_id: PANEL_ID, post_id: POST_ID, panel_name: 'Retrospectiva' },
+      unread_count: 2
+    });
+  });
+
+  it('sem menções não cria notificações', async () => {
+    await editPost('Nota sem ninguém marcado');
+
+    expect(db.calls(/INSERT INTO notifications/)).toHaveLength(0);
+    expect(io.emitted.filter(e => e.event === 'notification')).toHaveLength(0);
+  });
+
+  it('o total de não lidas ignora murais na lixeira', async () => {
+    await editPost(`Oi @${USERS.owner.name}`);
+
+    const [unread] = db.calls(/COUNT\(\*\)::INTEGER as count\s+FROM notifications/);
+    expect(unread.sql).toMatch(/JOIN panels p ON p\.id = n\.panel_id AND p\.deleted_at IS NULL/);
+  });
+
+  it('GET /api/notifications usa o mesmo total', async () => {
+    const response = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${signToken(USERS.owner)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.unread_count).toBe(2);
+  });
+});
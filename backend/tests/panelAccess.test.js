@@ -0,0 +1,152 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { db, cache } = require('../src/config/database');
+const panelRoutes = require('../src/routes/panelRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const INVITE_TOKEN = 'a'.repeat(64);
+
+function buildPanel(overrides = {}) {
+  return {
+    id: PANEL_ID,
+    name: 'Retrospectiva',
+    type: 'friends',
+    password_hash: null,
+    max_users: 15,
+    deleted_at: null,
+    ...overrides
+  };
+}
+
+function buildInvite(overrides = {}) {
+  return {
+    id: '99999999-9999-4999-8999-999999999999',
+    panel_id: PANEL_ID,
+    token: INVITE_TOKEN,
+    revoked_at: null,
+    expires_at: null,
+    max_uses: null,
+    use_count: 0,
+    ...overrides
+  };
+}
+
+describe('entrada em painéis', () => {
+  let app;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app } = createTestApp({ '/api/panels': panelRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT first_name, last_name FROM users WHERE id = \$1/, [{ first_name: 'Fábio', last_name: 'Externo' }]);
+    db.when(/SELECT COUNT\(\*\) FROM active_users/, [{ count: '0' }]);
+    db.when(/INSERT INTO panel_participants/, [{ role: 'member' }]);
+  });
+
+  const join = (user, body = {}) => request(app)
+    .post(`/api/panels/${PANEL_ID}`)
+    .set('Authorization', `Bearer ${signToken(user)}`)
+    .send(body);
+
+  describe('POST /api/panels/:code', () => {
+    it('em mural sem senha, o código sozinho não admite novos participantes', async () => {
+      db.when(/SELECT \* FROM panels WHERE id = \$1/, [buildPanel()]);
+
+      const response = await join(USERS.outsider);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INVITE_REQUIRED');
+      expect(db.calls(/INSERT INTO panel_participants/)).toHaveLength(0);
+    });
+
+    it('quem já participa reabre o mural pelo código', async () => {
+      db.when(/SELECT \* FROM panels WHERE id = \$1/, [buildPanel()]);
+
+      const response = await join(USERS.member);
+
+      expect(response.status).toBe(200);
+      expect(response.body.my_role).toBe('member');
+    });
+
+    it('reabrir um mural arquivado não o desarquiva (só a restauração do dono)', async () => {
+      db.when(/SELECT \* FROM panels WHERE id = \$1/, [buildPanel({ archived_at: '2024-05-01T00:00:00.000Z' })]);
+
+      await join(USERS.member);
+
+      expect(db.calls(/UPDATE panels SET last_activity/)).not.toHaveLength(0);
+      db.calls(/UPDATE panels/).forEach(({ sql }) => expect(sql).not.toMatch(/archived_at/));
+    });
+
+    describe('mural com senha', () => {
+      beforeEach(() => {
+        db.when(/SELECT \* FROM panels WHERE id = \$1/, [buildPanel({ password_hash: bcrypt.hashSync('segredo', 4) })]);
+      });
+
+      it('admite com a senha correta, sem devolver o hash', async () => {
+        const response = await join(USERS.outsider, { password: 'segredo' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.password_hash).toBeUndefined();
+        expect(db.calls(/INSERT INTO panel_participants/)).toHaveLength(1);
+      });
+
+      it('ignora o painel em cache, que não guarda o hash da senha', async () => {
+        const { password_hash, ...cachedPanel } = buildPanel({ password_hash: 'x' });
+        cache.getCachedPanel.mockResolvedValueOnce(cachedPanel);
+
+        const correct = await join(USERS.outsider, { password: 'segredo' });
+        cache.getCachedPanel.mockResolvedValueOnce(cachedPanel);
+        const wrong = await join(USERS.outsider, { password: 'errada' });
+
+        expect(correct.status).toBe(200);
+        expect(wrong.status).toBe(401);
+      });
+
+      it('recusa senha incorreta', async () => {
+        expect((await join(USERS.outsider, { password: 'errada' })).status).toBe(401);
+      });
+
+      it('recusa contas banidas mesmo com a senha', async () => {
+        db.when(/SELECT id FROM panel_bans/, [{ id: 'ban' }]);
+
+        expect((await join(USERS.outsider, { password: 'segredo' })).status).toBe(403);
+        expect(db.calls(/INSERT INTO panel_participants/)).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('POST /api/panels/invite/:token', () => {
+    const acceptInvite = (user) => request(app)
+      .post(`/api/panels/invite/${INVITE_TOKEN}`)
+      .set('Authorization', `Bearer ${signToken(user)}`);
+
+    beforeEach(() => {
+      db.when(/SELECT \* FROM panels WHERE id = \$1/, [buildPanel()]);
+    });
+
+    it('admite pelo convite e conta o uso', async () => {
+      db.when(/SELECT \* FROM panel_invites WHERE (token|id) = \$1/, [buildInvite()]);
+
+      const response = await acceptInvite(USERS.outsider);
+
+      expect(response.status).toBe(200);
+      expect(db.calls(/UPDATE panel_invites SET use_count = use_count \+ 1/)).toHaveLength(1);
+    });
+
+    it.each([
+      ['revogado', { revoked_at: '2024-05-01T00:00:00.000Z' }],
+      ['expirado', { expires_at: '2000-01-01T00:00:00.000Z' }],
+      ['esgotado', { max_uses: 1, use_count: 1 }]
+    ])('recusa convite %s', async (_, overrides) => {
+      db.when(/SELECT \* FROM panel_invites WHERE (token|id) = \$1/, [buildInvite(overrides)]);
+
+      const response = await acceptInvite(USERS.outsider);
+
+      expect(response.status).toBe(410);
+      expect(db.calls(/INSERT INTO panel_participants/)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const panelRoutes = require('../src/routes/panelRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+describe('papéis do painel', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes, '/api/panels': panelRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT \* FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/SELECT panel_id, author_user_id FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/UPDATE posts\s+SET content = COALESCE/, [buildPost({ content: 'Editada' })]);
+  });
+
+  describe('editar nota (PATCH /api/posts/:postId)', () => {
+    const edit = (user) => request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .set('Authorization', `Bearer ${signToken(user)}`)
+      .send({ content: 'Editada', panel_id: PANEL_ID });
+
+    it('permite ao autor', async () => {
+      expect((await edit(USERS.member)).status).toBe(200);
+    });
+
+    it.each([
+      ['outro membro', USERS.otherMember],
+      ['moderador', USERS.moderator],
+      ['dono', USERS.owner],
+      ['quem não participa', USERS.outsider]
+    ])('recusa %s', async (_, user) => {
+      expect((await edit(user)).status).toBe(403);
+      expect(db.calls(/UPDATE posts/)).toHaveLength(0);
+    });
+
+    it('recusa o autor rebaixado a visualizador', async () => {
+      mockRoles(db, { ...DEFAULT_ROLES, [USERS.member.id]: 'viewer' });
+      expect((await edit(USERS.member)).status).toBe(403);
+    });
+  });
+
+  describe('excluir nota (DELETE /api/posts/:postId)', () => {
+    const remove = (user) => request(app)
+      .delete(`/api/posts/${POST_ID}`)
+      .query({ panel_id: PANEL_ID })
+      .set('Authorization', `Bearer ${signToken(user)}`);
+
+    it.each([
+      ['o autor', USERS.member],
+      ['moderadores', USERS.moderator],
+      ['o dono', USERS.owner]
+    ])('permite %s', async (_, user) => {
+      const response = await remove(user);
+
+      expect(response.status).toBe(204);
+      expect(db.calls(/DELETE FROM posts WHERE id = \$1/)).toHaveLength(1);
+      expect(io.emitted.map(e => e.event)).toContain('post-deleted');
+    });
+
+    it.each([
+      ['outro membro', USERS.otherMember],
+      ['visualizadores', USERS.viewer],
+      ['quem não participa', USERS.outsider]
+    ])('recusa %s', async (_, user) => {
+      expect((await remove(user)).status).toBe(403);
+      expect(db.calls(/DELETE FROM posts/)).toHaveLength(0);
+    });
+  });
+
+  describe('alterar papel (PATCH /api/panels/:code/participants/:userId/role)', () => {
+    const changeRole = (user, targetId, role) => request(app)
+      .patch(`/api/panels/${PANEL_ID}/participants/${targetId}/role`)
+      .set('Authorization', `Bearer ${signToken(user)}`)
+      .send({ role });
+
+    beforeEach(() => {
+      db.when(/UPDATE panel_participants SET role = \$1/, ([role, , userUuid]) => [{ user_uuid: userUuid, role }]);
+    });
+
+    it('permite ao dono', async () => {
+      const response = await changeRole(USERS.owner, USERS.member.id, 'moderator');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ user_uuid: USERS.member.id, role: 'moderator' });
+      expect(io.emitted).toContainEqual(expect.objectContaining({ event: 'participant-role-updated' }));
+    });
+
+    it('transferir a posse rebaixa o dono atual a moderador', async () => {
+      const response = await changeRole(USERS.owner, USERS.moderator.id, 'owner');
+
+      expect(response.status).toBe(200);
+      expect(db.calls(/UPDATE panel_participants SET role/).map(c => c.params)).toEqual([
+        ['moderator', PANEL_ID, USERS.owner.id],
+        ['owner', PANEL_ID, USERS.moderator.id]
+      ]);
+    });
+
+    it.each([
+      ['moderadores', USERS.moderator],
+      ['membros', USERS.member]
+    ])('recusa %s', async (_, user) => {
+      expect((await changeRole(user, USERS.otherMember.id, 'viewer')).status).toBe(403);
+      expect(db.calls(/UPDATE panel_participants/)).toHaveLength(0);
+    });
+  });
+});
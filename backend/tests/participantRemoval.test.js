@@ -0,0 +1,116 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const userRoutes = require('../src/routes/userRoutes');
+const panelRoutes = require('../src/routes/panelRoutes');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+describe('remoção e banimento de participantes', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/users': userRoutes, '/api/panels': panelRoutes, '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/DELETE FROM panel_participants WHERE panel_id = \$1 AND user_uuid = \$2 RETURNING username/, [{ username: 'Alvo' }]);
+  });
+
+  describe('DELETE /api/users/:panelId/participants/:userId', () => {
+    const kick = (user, targetId, query = {}) => request(app)
+      .delete(`/api/users/${PANEL_ID}/participants/${targetId}`)
+      .query(query)
+      .set('Authorization', `Bearer ${signToken(user)}`);
+
+    it('moderador remove um membro e avisa o painel', async () => {
+      const response = await kick(USERS.moderator, USERS.member.id);
+
+      expect(response.status).toBe(204);
+      expect(db.calls(/DELETE FROM panel_participants/)).toHaveLength(1);
+      expect(db.calls(/INSERT INTO panel_bans/)).toHaveLength(0);
+      expect(io.emitted).toContainEqual(expect.objectContaining({
+        event: 'participant-removed',
+        payload: { panel_id: PANEL_ID, user_uuid: USERS.member.id, banned: false }
+      }));
+    });
+
+    it('com ban=true também registra o banimento', async () => {
+      const response = await kick(USERS.owner, USERS.moderator.id, { ban: 'true', reason: 'spam' });
+
+      expect(response.status).toBe(204);
+      const [ban] = db.calls(/INSERT INTO panel_bans/);
+      expect(ban.params).toEqual([PANEL_ID, USERS.moderator.id, 'Alvo', 'spam', USERS.owner.id]);
+    });
+
+    it.each([
+      ['membros', USERS.member, USERS.otherMember.id],
+      ['visualizadores', USERS.viewer, USERS.member.id],
+      ['moderador contra o dono', USERS.moderator, USERS.owner.id]
+    ])('recusa %s', async (_, user, targetId) => {
+      const response = await kick(user, targetId);
+
+      expect(response.status).toBe(403);
+      expect(db.calls(/DELETE FROM panel_participants/)).toHaveLength(0);
+    });
+
+    it('recusa moderador contra outro moderador', async () => {
+      mockRoles(db, { ...DEFAULT_ROLES, [USERS.otherMember.id]: 'moderator' });
+
+      expect((await kick(USERS.moderator, USERS.otherMember.id)).status).toBe(403);
+    });
+
+    it('responde 404 para quem não participa', async () => {
+      expect((await kick(USERS.owner, USERS.outsider.id)).status).toBe(404);
+    });
+  });
+
+  describe('leitura das notas após a remoção', () => {
+    beforeEach(() => {
+      db.when(/SELECT id FROM panels WHERE id = \$1 AND deleted_at IS NULL/, [{ id: PANEL_ID }]);
+      db.when(/FROM posts p\s/, [buildPost({ comment_count: 0, label_ids: [], unread: false })]);
+      db.when(/SELECT \* FROM posts WHERE id = \$1/, [buildPost()]);
+    });
+
+    it('participantes listam as notas', async () => {
+      const response = await request(app)
+        .get(`/api/panels/${PANEL_ID}/posts`)
+        .set('Authorization', `Bearer ${signToken(USERS.viewer)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+    });
+
+    it('quem foi removido (ou só conhece o código) não lê as notas', async () => {
+      const response = await request(app)
+        .get(`/api/panels/${PANEL_ID}/posts`)
+        .set('Authorization', `Bearer ${signToken(USERS.outsider)}`);
+
+      expect(response.status).toBe(403);
+      expect(db.calls(/FROM posts p\s/)).toHaveLength(0);
+    });
+
+    it('banidos não leem as notas', async () => {
+      db.when(/SELECT id FROM panel_bans WHERE panel_id = \$1 AND user_uuid = \$2/, ([, userId]) =>
+        userId === USERS.outsider.id ? [{ id: 'ban' }] : []
+      );
+
+      const response = await request(app)
+        .get(`/api/panels/${PANEL_ID}/posts`)
+        .set('Authorization', `Bearer ${signToken(USERS.outsider)}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatch(/banido/);
+    });
+
+    it('nem uma nota isolada pelo ID', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${POST_ID}`)
+        .set('Authorization', `Bearer ${signToken(USERS.outsider)}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
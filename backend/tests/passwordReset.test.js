@@ -0,0 +1,66 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+jest.mock('../src/services/mailer', () => ({
+  sendPasswordResetEmail: jest.fn(),
+  sendEmailVerificationEmail: jest.fn()
+}));
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const { sendPasswordResetEmail } = require('../src/services/mailer');
+const { router: authRoutes } = require('../src/routes/authRoutes');
+const { createTestApp } = require('./support/testApp');
+const { USERS } = require('./support/fixtures');
+
+const KNOWN_EMAIL = 'carla@example.com';
+
+// O envio continua depois da resposta
+const backgroundWork = () => new Promise(resolve => setImmediate(resolve));
+
+describe('POST /api/auth/forgot-password', () => {
+  let app;
+
+  beforeEach(() => {
+    db.reset();
+    sendPasswordResetEmail.mockReset();
+    ({ app } = createTestApp({ '/api/auth': authRoutes }));
+    db.when(/SELECT id, first_name, email FROM users WHERE email = \$1/, ([email]) =>
+      email === KNOWN_EMAIL ? [{ id: USERS.member.id, first_name: 'Carla', email }] : []
+    );
+  });
+
+  const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+  it('responde sem esperar o envio do email', async () => {
+    let finishSending;
+    sendPasswordResetEmail.mockReturnValue(new Promise(resolve => { finishSending = resolve; }));
+
+    const response = await forgot(KNOWN_EMAIL);
+
+    expect(response.status).toBe(200);
+    expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    finishSending();
+  });
+
+  it('a resposta é a mesma para emails cadastrados ou não', async () => {
+    const known = await forgot(KNOWN_EMAIL);
+    const unknown = await forgot('ninguem@example.com');
+    await backgroundWork();
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    expect(db.calls(/INSERT INTO auth_tokens/)).toHaveLength(1);
+  });
+
+  it('falhas no envio não mudam a resposta', async () => {
+    sendPasswordResetEmail.mockRejectedValue(new Error('SMTP fora do ar'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await forgot(KNOWN_EMAIL);
+    await backgroundWork();
+
+    expect(response.status).toBe(200);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
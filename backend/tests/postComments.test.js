@@ -0,0 +1,129 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const COMMENT_ID = '88888888-8888-4888-8888-888888888888';
+
+function buildComment(overrides = {}) {
+  return {
+    id: COMMENT_ID,
+    post_id: POST_ID,
+    author_name: null,
+    content: 'Concordo!',
+    created_at: '2024-05-01T13:00:00.000Z',
+    updated_at: '2024-05-01T13:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('respostas em notas', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT panel_id FROM posts WHERE id = \$1/, [{ panel_id: PANEL_ID }]);
+    db.when(/SELECT first_name, last_name FROM users WHERE id = \$1/, [{ first_name: 'Carla', last_name: 'Membro' }]);
+    db.when(/SELECT COUNT\(\*\)::INTEGER as count FROM post_comments/, [{ count: 1 }]);
+    db.when(/SELECT c\.author_user_id, p\.panel_id/, [{ author_user_id: USERS.member.id, panel_id: PANEL_ID }]);
+  });
+
+  const as = (user) => `Bearer ${signToken(user)}`;
+
+  describe('GET /api/posts/:postId/comments', () => {
+    it('lista colunas explícitas e marca as respostas de quem pede', async () => {
+      db.when(/FROM post_comments\s+WHERE post_id = \$1/, ([, userId]) => [
+        buildComment({ is_mine: userId === USERS.member.id })
+      ]);
+
+      const response = await request(app)
+        .get(`/api/posts/${POST_ID}/comments`)
+        .set('Authorization', as(USERS.member));
+
+      const [list] = db.calls(/FROM post_comments\s+WHERE post_id = \$1/);
+      expect(response.status).toBe(200);
+      expect(list.sql).not.toMatch(/SELECT \*/);
+      expect(list.params).toEqual([POST_ID, USERS.member.id]);
+      expect(response.body).toEqual([expect.objectContaining({ id: COMMENT_ID, is_mine: true })]);
+      expect(response.body[0]).not.toHaveProperty('author_user_id');
+    });
+
+    it('não participantes não veem as respostas', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${POST_ID}/comments`)
+        .set('Authorization', as(USERS.outsider));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/posts/:postId/comments', () => {
+    beforeEach(() => {
+      db.when(/INSERT INTO post_comments/, ([, authorName, , content]) => [buildComment({ author_name: authorName, content })]);
+    });
+
+    it('resposta anônima não revela a conta do autor ao mural', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${POST_ID}/comments`)
+        .set('Authorization', as(USERS.member))
+        .send({ content: 'Concordo!', anonymous: true });
+
+      const [insert] = db.calls(/INSERT INTO post_comments/);
+      const event = io.emitted.find(e => e.event === 'comment-added');
+
+      expect(response.status).toBe(201);
+      expect(insert.sql).not.toMatch(/RETURNING \*/);
+      expect(response.body).toMatchObject({ author_name: null, is_mine: true });
+      expect(response.body).not.toHaveProperty('author_user_id');
+      expect(event.room).toBe(`panel:${PANEL_ID}`);
+      expect(event.payload.comment).toEqual(buildComment());
+      expect(JSON.stringify(event.payload)).not.toContain(USERS.member.id);
+    });
+
+    it('visualizadores não respondem', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${POST_ID}/comments`)
+        .set('Authorization', as(USERS.viewer))
+        .send({ content: 'Oi' });
+
+      expect(response.status).toBe(403);
+      expect(db.calls(/INSERT INTO post_comments/)).toHaveLength(0);
+    });
+  });
+
+  describe('PATCH /api/posts/:postId/comments/:commentId', () => {
+    beforeEach(() => {
+      db.when(/UPDATE post_comments SET content/, ([content]) => [buildComment({ content })]);
+    });
+
+    it('edita sem revelar o autor no evento comment-updated', async () => {
+      const response = await request(app)
+        .patch(`/api/posts/${POST_ID}/comments/${COMMENT_ID}`)
+        .set('Authorization', as(USERS.member))
+        .send({ content: 'Concordo muito!' });
+
+      const event = io.emitted.find(e => e.event === 'comment-updated');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ content: 'Concordo muito!', is_mine: true });
+      expect(event.payload.comment).not.toHaveProperty('author_user_id');
+      expect(event.payload.comment).not.toHaveProperty('is_mine');
+    });
+
+    it('apenas o autor edita', async () => {
+      const response = await request(app)
+        .patch(`/api/posts/${POST_ID}/comments/${COMMENT_ID}`)
+        .set('Authorization', as(USERS.otherMember))
+        .send({ content: 'Editado por outro' });
+
+      expect(response.status).toBe(403);
+      expect(db.calls(/UPDATE post_comments/)).toHaveLength(0);
+    });
+  });
+});
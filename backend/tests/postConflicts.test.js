@@ -0,0 +1,111 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+// buildPost() foi alterada pela última vez em 2024-05-01T12:00:00.000Z
+const STALE_BASE = '2024-05-01T11:00:00.000Z';
+const CURRENT_BASE = '2024-05-01T12:00:00.000Z';
+
+describe('conflitos de alterações feitas offline', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT \* FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/UPDATE posts SET position_x/, ([x, y]) => [buildPost({ position_x: x, position_y: y })]);
+  });
+
+  const move = (baseUpdatedAt) => request(app)
+    .patch(`/api/posts/${POST_ID}/position`)
+    .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+    .send({ position_x: 300, position_y: 120, panel_id: PANEL_ID, base_updated_at: baseUpdatedAt });
+
+  const remove = (baseUpdatedAt) => request(app)
+    .delete(`/api/posts/${POST_ID}`)
+    .query({ panel_id: PANEL_ID, base_updated_at: baseUpdatedAt })
+    .set('Authorization', `Bearer ${signToken(USERS.member)}`);
+
+  // Edição gravada entre a primeira leitura e o bloqueio da nota
+  const editCommittedBeforeLock = () => {
+    db.when(/SELECT \* FROM posts WHERE id = \$1 FOR UPDATE/, [buildPost({ updated_at: '2024-05-01T12:30:00.000Z' })]);
+  };
+
+  describe('PATCH /api/posts/:postId/position', () => {
+    it('recusa mover a partir de uma versão antiga e devolve a nota atual', async () => {
+      const response = await move(STALE_BASE);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('POST_CONFLICT');
+      expect(response.body.post).toMatchObject({ id: POST_ID, updated_at: CURRENT_BASE });
+      expect(db.calls(/UPDATE posts/)).toHaveLength(0);
+      expect(io.emitted).toHaveLength(0);
+    });
+
+    it('move quando a versão conhecida é a atual', async () => {
+      const response = await move(CURRENT_BASE);
+
+      expect(response.status).toBe(200);
+      expect(db.calls(/UPDATE posts SET position_x/)).toHaveLength(1);
+    });
+
+    it('sem base_updated_at não verifica conflitos', async () => {
+      expect((await move(undefined)).status).toBe(200);
+    });
+
+    it('detecta a edição gravada depois da primeira leitura', async () => {
+      editCommittedBeforeLock();
+
+      const response = await move(CURRENT_BASE);
+
+      expect(response.status).toBe(409);
+      expect(response.body.post.updated_at).toBe('2024-05-01T12:30:00.000Z');
+      expect(db.calls(/UPDATE posts/)).toHaveLength(0);
+    });
+  });
+
+  describe('DELETE /api/posts/:postId', () => {
+    it('recusa excluir a partir de uma versão antiga', async () => {
+      const response = await remove(STALE_BASE);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('POST_CONFLICT');
+      expect(db.calls(/DELETE FROM posts/)).toHaveLength(0);
+    });
+
+    it('exclui quando a versão conhecida é a atual', async () => {
+      const response = await remove(CURRENT_BASE);
+
+      expect(response.status).toBe(204);
+      expect(db.calls(/DELETE FROM posts/)).toHaveLength(1);
+      expect(io.emitted).toContainEqual(expect.objectContaining({ event: 'post-deleted' }));
+    });
+
+    it('não exclui a nota editada depois da primeira leitura', async () => {
+      editCommittedBeforeLock();
+
+      const response = await remove(CURRENT_BASE);
+
+      expect(response.status).toBe(409);
+      expect(response.body.post.updated_at).toBe('2024-05-01T12:30:00.000Z');
+      expect(db.calls(/DELETE FROM posts/)).toHaveLength(0);
+      expect(io.emitted).toHaveLength(0);
+    });
+
+    it('sem permissão o conflito não revela a nota atual', async () => {
+      const response = await request(app)
+        .delete(`/api/posts/${POST_ID}`)
+        .query({ panel_id: PANEL_ID, base_updated_at: STALE_BASE })
+        .set('Authorization', `Bearer ${signToken(USERS.outsider)}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.post).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+describe('PATCH /api/posts/:postId', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT panel_id, author_user_id FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/SELECT \* FROM posts WHERE id = \$1 FOR UPDATE/, [buildPost()]);
+    db.when(/UPDATE posts\s+SET content = COALESCE/, ([content, color]) => [
+      buildPost({ content: content ?? 'Nota original', color: color ?? '#A8D8EA', updated_at: '2024-05-02T09:00:00.000Z' })
+    ]);
+  });
+
+  it('edita o conteúdo, guarda a revisão e avisa o painel', async () => {
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+      .send({ content: 'Nota corrigida', panel_id: PANEL_ID });
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe('Nota corrigida');
+    expect(db.calls(/INSERT INTO post_revisions/)).toHaveLength(1);
+    expect(io.emitted).toContainEqual(expect.objectContaining({
+      room: `panel:${PANEL_ID}`,
+      event: 'post-updated',
+      payload: expect.objectContaining({ id: POST_ID, content: 'Nota corrigida' })
+    }));
+  });
+
+  it('registra atividade no painel sem desarquivá-lo', async () => {
+    await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+      .send({ content: 'Nota corrigida', panel_id: PANEL_ID });
+
+    const [activity] = db.calls(/UPDATE panels SET last_activity/);
+    expect(activity.params).toEqual([PANEL_ID]);
+    expect(activity.sql).not.toMatch(/archived_at/);
+  });
+
+  it('exige conteúdo ou cor', async () => {
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+      .send({ panel_id: PANEL_ID });
+
+    expect(response.status).toBe(400);
+    expect(db.calls(/UPDATE posts/)).toHaveLength(0);
+  });
+
+  it('recusa painel diferente do post', async () => {
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+      .send({ content: 'Outra', panel_id: 'XYZ999' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('exige autenticação', async () => {
+    const response = await request(app)
+      .patch(`/api/posts/${POST_ID}`)
+      .send({ content: 'Nota corrigida', panel_id: PANEL_ID });
+
+    expect(response.status).toBe(401);
+  });
+});
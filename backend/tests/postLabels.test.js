@@ -0,0 +1,61 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const LABEL_ID = '99999999-9999-4999-8999-999999999999';
+
+describe('etiquetas nas notas', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/SELECT panel_id, author_user_id FROM posts WHERE id = \$1/, [{ panel_id: PANEL_ID, author_user_id: USERS.member.id }]);
+    db.when(/SELECT id FROM panel_labels WHERE id = ANY/, ([labelIds]) => labelIds.map(id => ({ id })));
+    db.when(/SELECT label_id FROM post_labels WHERE post_id = \$1/, [{ label_id: LABEL_ID }]);
+  });
+
+  const setLabels = (user, labelIds = [LABEL_ID]) => request(app)
+    .put(`/api/posts/${POST_ID}/labels`)
+    .set('Authorization', `Bearer ${signToken(user)}`)
+    .send({ label_ids: labelIds });
+
+  describe('PUT /api/posts/:postId/labels', () => {
+    it('define as etiquetas, avisa o painel e registra atividade sem desarquivá-lo', async () => {
+      const response = await setLabels(USERS.member);
+
+      const [activity] = db.calls(/UPDATE panels SET last_activity/);
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ post_id: POST_ID, label_ids: [LABEL_ID] });
+      expect(activity.params).toEqual([PANEL_ID]);
+      expect(activity.sql).not.toMatch(/archived_at/);
+      expect(io.emitted).toContainEqual(expect.objectContaining({ event: 'post-labels-updated' }));
+    });
+
+    it('moderadores etiquetam notas de outros', async () => {
+      expect((await setLabels(USERS.moderator)).status).toBe(200);
+    });
+
+    it('outros membros não etiquetam a nota', async () => {
+      const response = await setLabels(USERS.otherMember);
+
+      expect(response.status).toBe(403);
+      expect(db.calls(/INSERT INTO post_labels|UPDATE panels/)).toHaveLength(0);
+    });
+
+    it('recusa etiquetas de outro painel', async () => {
+      db.when(/SELECT id FROM panel_labels WHERE id = ANY/, []);
+
+      const response = await setLabels(USERS.member);
+
+      expect(response.status).toBe(400);
+      expect(db.calls(/INSERT INTO post_labels/)).toHaveLength(0);
+    });
+  });
+});
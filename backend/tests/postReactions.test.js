@@ -0,0 +1,111 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const panelRoutes = require('../src/routes/panelRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+/**
+ * Tabela post_reactions em memória
+ */
+function mockReactionStore() {
+  let reactions = [];
+
+  db.when(/INSERT INTO post_reactions/, ([postId, userId, emoji]) => {
+    if (!reactions.some(r => r.post_id === postId && r.user_id === userId && r.emoji === emoji)) {
+      reactions.push({ post_id: postId, user_id: userId, emoji });
+    }
+    return [];
+  });
+
+  db.when(/DELETE FROM post_reactions WHERE post_id = \$1/, ([postId, userId, emoji]) => {
+    reactions = reactions.filter(r => !(r.post_id === postId && r.user_id === userId && r.emoji === emoji));
+    return [];
+  });
+
+  db.when(/FROM post_reactions\s+WHERE post_id = ANY/, ([postIds]) => {
+    const groups = new Map();
+    reactions
+      .filter(r => postIds.includes(r.post_id))
+      .forEach(r => {
+        const key = `${r.post_id}:${r.emoji}`;
+        const group = groups.get(key) || { post_id: r.post_id, emoji: r.emoji, count: 0, user_ids: [] };
+        group.count += 1;
+        group.user_ids.push(r.user_id);
+        groups.set(key, group);
+      });
+    return [...groups.values()];
+  });
+}
+
+describe('reações em notas', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes, '/api/panels': panelRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    mockReactionStore();
+    db.when(/SELECT panel_id FROM posts WHERE id = \$1/, [{ panel_id: PANEL_ID }]);
+    db.when(/SELECT id FROM panels WHERE id = \$1 AND deleted_at IS NULL/, [{ id: PANEL_ID }]);
+    db.when(/FROM posts p\s+LEFT JOIN panel_participants pp/, [buildPost()]);
+  });
+
+  const as = (user) => `Bearer ${signToken(user)}`;
+
+  const react = (user) => request(app)
+    .post(`/api/posts/${POST_ID}/reactions`)
+    .set('Authorization', as(user))
+    .send({ emoji: '👍' });
+
+  const unreact = (user) => request(app)
+    .delete(`/api/posts/${POST_ID}/reactions`)
+    .query({ emoji: '👍' })
+    .set('Authorization', as(user));
+
+  const listReactions = async () => {
+    const response = await request(app)
+      .get(`/api/panels/${PANEL_ID}/posts`)
+      .set('Authorization', as(USERS.owner));
+    return response.body[0].reactions;
+  };
+
+  it('a reação aparece na próxima leitura das notas e é enviada ao painel', async () => {
+    const response = await react(USERS.member);
+
+    expect(response.status).toBe(200);
+    expect(await listReactions()).toEqual([{ emoji: '👍', count: 1, user_ids: [USERS.member.id] }]);
+    expect(io.emitted).toContainEqual({
+      room: `panel:${PANEL_ID}`,
+      event: 'post-reaction',
+      payload: { post_id: POST_ID, reactions: [{ emoji: '👍', count: 1, user_ids: [USERS.member.id] }] }
+    });
+  });
+
+  it('a reação removida some da próxima leitura', async () => {
+    await react(USERS.member);
+    await react(USERS.otherMember);
+
+    const response = await unreact(USERS.member);
+
+    expect(response.status).toBe(200);
+    expect(await listReactions()).toEqual([{ emoji: '👍', count: 1, user_ids: [USERS.otherMember.id] }]);
+  });
+
+  it('visualizadores não reagem', async () => {
+    const response = await react(USERS.viewer);
+
+    expect(response.status).toBe(403);
+    expect(await listReactions()).toEqual([]);
+  });
+
+  it('não participantes não removem reações', async () => {
+    await react(USERS.member);
+
+    expect((await unreact(USERS.outsider)).status).toBe(403);
+    expect(await listReactions()).toHaveLength(1);
+  });
+});
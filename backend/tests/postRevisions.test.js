@@ -0,0 +1,98 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db } = require('../src/config/database');
+const postRoutes = require('../src/routes/postRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS, POST_ID, buildPost, mockRoles, DEFAULT_ROLES } = require('./support/fixtures');
+
+const REVISION_ID = '88888888-8888-4888-8888-888888888888';
+
+describe('histórico de revisões', () => {
+  let app;
+  let io;
+
+  beforeEach(() => {
+    db.reset();
+    ({ app, io } = createTestApp({ '/api/posts': postRoutes }));
+    mockRoles(db, DEFAULT_ROLES);
+    db.when(/FROM posts WHERE id = \$1$/, [buildPost()]);
+    db.when(/SELECT panel_id, author_user_id FROM posts WHERE id = \$1/, [buildPost()]);
+    db.when(/SELECT \* FROM posts WHERE id = \$1 FOR UPDATE/, [buildPost()]);
+    db.when(/SELECT \* FROM post_revisions WHERE id = \$1 AND post_id = \$2/, [{
+      id: REVISION_ID,
+      post_id: POST_ID,
+      content: 'Versão antiga',
+      color: '#FFB6C1',
+      position_x: 10,
+      position_y: 20
+    }]);
+    db.when(/UPDATE posts\s+SET content = \$1/, ([content, color, x, y]) => [
+      buildPost({ content, color, position_x: x, position_y: y })
+    ]);
+  });
+
+  it('lista o histórico para participantes', async () => {
+    db.when(/FROM post_revisions r/, [{ id: REVISION_ID, change_type: 'edit' }]);
+
+    const response = await request(app)
+      .get(`/api/posts/${POST_ID}/revisions`)
+      .set('Authorization', `Bearer ${signToken(USERS.viewer)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([{ id: REVISION_ID, change_type: 'edit' }]);
+  });
+
+  it('não mostra o histórico para quem não participa', async () => {
+    const response = await request(app)
+      .get(`/api/posts/${POST_ID}/revisions`)
+      .set('Authorization', `Bearer ${signToken(USERS.outsider)}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('restaura a revisão guardando o estado atual', async () => {
+    const response = await request(app)
+      .post(`/api/posts/${POST_ID}/revisions/${REVISION_ID}/restore`)
+      .set('Authorization', `Bearer ${signToken(USERS.member)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe('Versão antiga');
+    expect(db.calls(/INSERT INTO post_revisions/)[0].params).toContain('restore');
+    expect(io.emitted.map(e => e.event)).toContain('post-updated');
+  });
+
+  describe('nota excluída entre a verificação e o bloqueio', () => {
+    beforeEach(() => {
+      db.when(/SELECT \* FROM posts WHERE id = \$1 FOR UPDATE/, []);
+    });
+
+    it('restaurar responde 404', async () => {
+      const response = await request(app)
+        .post(`/api/posts/${POST_ID}/revisions/${REVISION_ID}/restore`)
+        .set('Authorization', `Bearer ${signToken(USERS.member)}`);
+
+      expect(response.status).toBe(404);
+      expect(db.calls(/INSERT INTO post_revisions/)).toHaveLength(0);
+    });
+
+    it('editar responde 404', async () => {
+      const response = await request(app)
+        .patch(`/api/posts/${POST_ID}`)
+        .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+        .send({ content: 'Nova versão', panel_id: PANEL_ID });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('mover responde 404', async () => {
+      const response = await request(app)
+        .patch(`/api/posts/${POST_ID}/position`)
+        .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+        .send({ position_x: 100, position_y: 100, panel_id: PANEL_ID });
+
+      expect(response.status).toBe(404);
+      expect(io.emitted).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const request = require('supertest');
+const { db, cache } = require('../src/config/database');
+const { router: authRoutes } = require('../src/routes/authRoutes');
+const { createTestApp, signToken } = require('./support/testApp');
+const { PANEL_ID, USERS } = require('./support/fixtures');
+
+const OTHER_PANEL_ID = 'XYZ789';
+
+describe('PATCH /api/auth/me', () => {
+  let app;
+
+  beforeEach(() => {
+    db.reset();
+    cache.invalidate.mockClear();
+    ({ app } = createTestApp({ '/api/auth': authRoutes }));
+
+    db.when(/SELECT id, first_name, last_name, email, password_hash FROM users WHERE id = \$1/, [{
+      id: USERS.member.id, first_name: 'Maria', last_name: 'Membro', email: 'maria@example.com', password_hash: 'x'
+    }]);
+    db.when(/UPDATE users/, (params) => [{
+      id: USERS.member.id, first_name: params[0], last_name: params[1], email: params[2], email_verified_at: null
+    }]);
+    db.when(/UPDATE panel_participants SET username/, [{ panel_id: PANEL_ID }]);
+    db.when(/UPDATE posts SET author_name/, [{ panel_id: PANEL_ID }]);
+    db.when(/UPDATE post_comments c SET author_name/, [{ panel_id: OTHER_PANEL_ID }]);
+  });
+
+  const updateProfile = (body) => request(app)
+    .patch('/api/auth/me')
+    .set('Authorization', `Bearer ${signToken(USERS.member)}`)
+    .send(body);
+
+  it('propaga o novo nome para notas e respostas não anônimas', async () => {
+    const response = await updateProfile({ lastName: 'Silva' });
+
+    expect(response.status).toBe(200);
+
+    const [posts] = db.calls(/UPDATE posts SET author_name/);
+    const [comments] = db.calls(/UPDATE post_comments c SET author_name/);
+    expect(posts.params).toEqual(['Maria Silva', USERS.member.id]);
+    expect(posts.sql).toMatch(/author_name IS NOT NULL/);
+    expect(comments.params).toEqual(['Maria Silva', USERS.member.id]);
+    expect(comments.sql).toMatch(/author_name IS NOT NULL/);
+  });
+
+  it('não marca as notas como editadas ao trocar o nome', async () => {
+    await updateProfile({ firstName: 'Mariana' });
+
+    // O updated_at das notas é a base do controle de conflitos (base_updated_at)
+    const [posts] = db.calls(/UPDATE posts SET author_name/);
+    expect(posts.sql).not.toMatch(/updated_at/);
+  });
+
+  it('invalida o cache das notas de cada painel afetado', async () => {
+    await updateProfile({ firstName: 'Mariana' });
+
+    expect(cache.invalidate).toHaveBeenCalledWith(`posts:${PANEL_ID}`);
+    expect(cache.invalidate).toHaveBeenCalledWith(`posts:${OTHER_PANEL_ID}`);
+  });
+
+  it('corta o nome nas colunas de 50 caracteres e mantém o completo nas respostas', async () => {
+    const firstName = 'Maria Aparecida da Conceição';
+    const lastName = 'Albuquerque Cavalcanti de Souza Lima';
+    const fullName = `${firstName} ${lastName}`;
+
+    const response = await updateProfile({ firstName, lastName });
+
+    expect(response.status).toBe(200);
+    for (const pattern of [/UPDATE panel_participants SET username/, /UPDATE active_users SET username/, /UPDATE posts SET author_name/]) {
+      expect(db.calls(pattern)[0].params).toEqual([fullName.slice(0, 50), USERS.member.id]);
+    }
+    expect(db.calls(/UPDATE post_comments c SET author_name/)[0].params).toEqual([fullName, USERS.member.id]);
+  });
+
+  it('sem troca de nome não reescreve notas', async () => {
+    const response = await updateProfile({ firstName: 'Maria' });
+
+    expect(response.status).toBe(200);
+    expect(db.calls(/SET author_name/)).toHaveLength(0);
+  });
+});
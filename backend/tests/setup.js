@@ -0,0 +1,4 @@
+// Os routers registram bastante no console; nos testes só interessam as falhas
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+jest.spyOn(console, 'log').mockImplementation(() => {});
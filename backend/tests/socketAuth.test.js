@@ -0,0 +1,132 @@
+jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+const { db } = require('../src/config/database');
+const config = require('../src/config/config');
+const SticklyNotesServer = require('../src/server');
+const { signToken } = require('./support/testApp');
+const { PANEL_ID, USERS } = require('./support/fixtures');
+
+describe('WebSocket', () => {
+  let server;
+  let url;
+  let sockets = [];
+
+  beforeAll(async () => {
+    server = new SticklyNotesServer();
+    server.setupWebSocket();
+    await new Promise(resolve => server.httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.io.close(resolve));
+  });
+
+  beforeEach(() => {
+    db.reset();
+  });
+
+  afterEach(() => {
+    sockets.forEach(socket => socket.close());
+    sockets = [];
+  });
+
+  const open = (token) => {
+    const socket = connect(url, {
+      auth: token ? { token } : {},
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true
+    });
+    sockets.push(socket);
+    return socket;
+  };
+
+  const connectionResult = (socket) => new Promise(resolve => {
+    socket.on('connect', () => resolve({ connected: true }));
+    socket.on('connect_error', (error) => resolve({ connected: false, code: error.data && error.data.code }));
+  });
+
+  const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+  describe('autenticação no handshake', () => {
+    it('aceita token de uma sessão ativa', async () => {
+      expect(await connectionResult(open(signToken(USERS.member)))).toEqual({ connected: true });
+    });
+
+    it('recusa conexão sem token', async () => {
+      expect(await connectionResult(open(null))).toEqual({ connected: false, code: 'TOKEN_MISSING' });
+    });
+
+    it('recusa token expirado', async () => {
+      const expired = jwt.sign(
+        { userId: USERS.member.id, sessionId: 'session-expirada', exp: Math.floor(Date.now() / 1000) - 60 },
+        config.security.jwtSecret
+      );
+
+      expect(await connectionResult(open(expired))).toEqual({ connected: false, code: 'TOKEN_EXPIRED' });
+    });
+
+    it('recusa token assinado com outro segredo', async () => {
+      const forged = jwt.sign({ userId: USERS.member.id, sessionId: 's' }, 'outro-segredo');
+
+      expect(await connectionResult(open(forged))).toEqual({ connected: false, code: 'TOKEN_INVALID' });
+    });
+
+    it('recusa token de sessão revogada', async () => {
+      db.when(/FROM user_sessions WHERE id = \$1 AND revoked_at IS NULL/, []);
+
+      expect(await connectionResult(open(signToken(USERS.member)))).toEqual({ connected: false, code: 'SESSION_REVOKED' });
+    });
+  });
+
+  describe('join-panel', () => {
+    // otherMember ainda tem a linha de participante, mas foi banido
+    const participants = { [USERS.member.id]: USERS.member.name, [USERS.otherMember.id]: USERS.otherMember.name };
+    const banned = [USERS.otherMember.id];
+
+    beforeEach(() => {
+      db.when(/SELECT pp\.username\s+FROM panel_participants pp/, ([panelId, userId], sql) => {
+        if (panelId !== PANEL_ID || !participants[userId]) return [];
+        if (banned.includes(userId) && /panel_bans/.test(sql)) return [];
+        return [{ username: participants[userId] }];
+      });
+    });
+
+    const joinPanel = async (user) => {
+      const socket = open(signToken(user));
+      await connectionResult(socket);
+      socket.emit('join-panel', PANEL_ID);
+      return socket;
+    };
+
+    it('participantes entram e recebem a presença do painel', async () => {
+      const socket = await joinPanel(USERS.member);
+
+      const presence = await nextEvent(socket, 'presence-updated');
+
+      expect(presence.panel_id).toBe(PANEL_ID);
+      expect(presence.users).toEqual([expect.objectContaining({ userId: USERS.member.id, userName: USERS.member.name })]);
+    });
+
+    it('recusa quem não participa do painel', async () => {
+      const socket = await joinPanel(USERS.outsider);
+
+      const error = await nextEvent(socket, 'error');
+
+      expect(error.code).toBe('NOT_PARTICIPANT');
+      expect(db.calls(/INSERT INTO active_users/)).toHaveLength(0);
+    });
+
+    it('recusa contas banidas mesmo com a participação registrada', async () => {
+      const socket = await joinPanel(USERS.otherMember);
+
+      const error = await nextEvent(socket, 'error');
+
+      expect(error.code).toBe('NOT_PARTICIPANT');
+      expect(db.calls(/INSERT INTO active_users/)).toHaveLength(0);
+    });
+  });
+});
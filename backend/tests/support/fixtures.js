@@ -0,0 +1,59 @@
+/**
+ * Dados e respostas comuns aos testes de rotas
+ */
+
+const PANEL_ID = 'ABC123';
+
+const USERS = {
+  owner: { id: '11111111-1111-4111-8111-111111111111', name: 'Ana Dona' },
+  moderator: { id: '22222222-2222-4222-8222-222222222222', name: 'Bruno Moderador' },
+  member: { id: '33333333-3333-4333-8333-333333333333', name: 'Carla Membro' },
+  otherMember: { id: '44444444-4444-4444-8444-444444444444', name: 'Diego Membro' },
+  viewer: { id: '55555555-5555-4555-8555-555555555555', name: 'Eva Visualizadora' },
+  outsider: { id: '66666666-6666-4666-8666-666666666666', name: 'Fábio Externo' }
+};
+
+const POST_ID = '77777777-7777-4777-8777-777777777777';
+
+function buildPost(overrides = {}) {
+  return {
+    id: POST_ID,
+    panel_id: PANEL_ID,
+    author_name: USERS.member.name,
+    author_id: USERS.member.id,
+    author_user_id: USERS.member.id,
+    content: 'Nota original',
+    color: '#A8D8EA',
+    position_x: 50,
+    position_y: 50,
+    created_at: '2024-05-01T10:00:00.000Z',
+    updated_at: '2024-05-01T12:00:00.000Z',
+    ...overrides
+  };
+}
+
+/**
+ * Papéis no painel usados por getParticipantRole ({ [userId]: role }); ausente = não participa
+ */
+function mockRoles(db, roles, panelId = PANEL_ID) {
+  db.when(/SELECT pp\.role\s+FROM panel_participants pp/, ([queriedPanelId, userId]) =>
+    queriedPanelId === panelId && roles[userId] ? [{ role: roles[userId] }] : []
+  );
+}
+
+const DEFAULT_ROLES = {
+  [USERS.owner.id]: 'owner',
+  [USERS.moderator.id]: 'moderator',
+  [USERS.member.id]: 'member',
+  [USERS.otherMember.id]: 'member',
+  [USERS.viewer.id]: 'viewer'
+};
+
+module.exports = {
+  PANEL_ID,
+  USERS,
+  POST_ID,
+  buildPost,
+  mockRoles,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,83 @@
+/**
+ * Substituto de src/config/database para os testes de rotas
+ * Uso: jest.mock('../src/config/database', () => require('./support/mockDatabase').createDatabaseMock());
+ *
+ * db.query responde conforme os padrões registrados com db.when(regex, resultado):
+ * - resultado pode ser uma lista de linhas, um objeto { rows } ou uma função (params, sql) => linhas
+ * - o registro mais recente tem prioridade; consultas sem padrão devolvem { rows: [] }
+ */
+
+function normalizeResult(result) {
+  if (Array.isArray(result)) {
+    return { rows: result, rowCount: result.length };
+  }
+  if (result && Array.isArray(result.rows)) {
+    return { rowCount: result.rows.length, ...result };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+function createDatabaseMock() {
+  let handlers = [];
+
+  const query = jest.fn(async (text, params = []) => {
+    const handler = handlers.find(h => h.pattern.test(text));
+    if (!handler) {
+      return { rows: [], rowCount: 0 };
+    }
+    const result = typeof handler.result === 'function'
+      ? await handler.result(params, text)
+      : handler.result;
+    return normalizeResult(result);
+  });
+
+  const db = {
+    query,
+    // Mesma função de consulta dentro da transação (sem BEGIN/COMMIT)
+    transaction: jest.fn(async (callback) => callback({ query })),
+
+    when(pattern, result) {
+      handlers.unshift({ pattern, result });
+      return db;
+    },
+
+    reset() {
+      handlers = [];
+      query.mockClear();
+      db.transaction.mockClear();
+      // Sessões de login sempre ativas, a menos que o teste diga o contrário
+      db.when(/FROM user_sessions WHERE id = \$1 AND revoked_at IS NULL/, (params) => [{ id: params[0] }]);
+    },
+
+    // Consultas já executadas que casam com o padrão: [{ sql, params }]
+    calls(pattern) {
+      return query.mock.calls
+        .filter(([sql]) => pattern.test(sql))
+        .map(([sql, params]) => ({ sql, params }));
+    }
+  };
+
+  db.reset();
+
+  const cache = {
+    get: jest.fn(async () => null),
+    set: jest.fn(async () => null),
+    del: jest.fn(async () => null),
+    invalidate: jest.fn(async () => null),
+    cachePanel: jest.fn(async () => null),
+    getCachedPanel: jest.fn(async () => null)
+  };
+
+  return {
+    db,
+    cache,
+    pool: {},
+    connectRedis: jest.fn(async () => false),
+    connectDatabase: jest.fn(async () => true),
+    redisClient: () => null
+  };
+}
+
+module.exports = {
+  createDatabaseMock
+};
@@ -0,0 +1,58 @@
+/**
+ * App Express mínimo para testar os routers com supertest
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config/config');
+
+/**
+ * Socket.IO falso: registra os eventos emitidos em io.emitted ([{ room, event, payload }])
+ */
+function createIoMock() {
+  const io = {
+    emitted: [],
+    to: jest.fn((room) => ({
+      emit: (event, payload) => io.emitted.push({ room, event, payload })
+    })),
+    in: jest.fn(() => ({
+      fetchSockets: async () => [],
+      disconnectSockets: () => {}
+    })),
+    fetchSockets: jest.fn(async () => [])
+  };
+  return io;
+}
+
+/**
+ * @param {object} routes - { '/api/posts': router, ... }
+ */
+function createTestApp(routes) {
+  const app = express();
+  const io = createIoMock();
+
+  app.use(express.json());
+  app.set('io', io);
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  return { app, io };
+}
+
+/**
+ * Token de acesso igual ao emitido no login
+ */
+function signToken({ id, email = `${id}@example.com`, name = 'Usuário Teste', sessionId = `session-${id}` }) {
+  return jwt.sign(
+    { userId: id, email, name, sessionId },
+    config.security.jwtSecret,
+    { expiresIn: '15m', issuer: 'stickly-notes', audience: 'stickly-users' }
+  );
+}
+
+module.exports = {
+  createTestApp,
+  createIoMock,
+  signToken
+};
@@ -1,16 +1,22 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { UserProvider, useUser } from './hooks/useUser';
 import { useSocket } from './hooks/useSockets';
+import { useOfflineQueue } from './hooks/useOfflineQueue';
+import { useNotifications } from './hooks/useNotifications';
+import { useSeenPosts } from './hooks/useSeenPosts';
 import { PostIt } from './components/PostIt';
-import { apiService } from './services/apiService';
+import { apiService, createUuid } from './services/apiService';
+import { offlineQueue, applyPendingOperations } from './services/offlineQueue';
 import { 
   StickyNote, Users, Heart, Home, Plus, Share2, 
   Copy, Check, X, AlertCircle, User, LogOut,
-  Calendar, Mail, Lock, Eye, EyeOff, ArrowLeft, HomeIcon
+  Calendar, Mail, Lock, Eye, EyeOff, ArrowLeft, HomeIcon, Settings,
+  Download, Upload, Clock, WifiOff, RefreshCw, Bell, Search
 } from 'lucide-react';
 import { 
   FRIENDS_COLORS, COUPLE_COLORS, FAMILY_COLORS, PANEL_TYPES, 
-  LIMITS, ERROR_MESSAGES 
+  LIMITS, ERROR_MESSAGES, PANEL_ROLES, ROLE_LABELS, ROLE_LEVELS, PANEL_MAX_USERS,
+  LABEL_COLORS
 } from './constants/config';
 
 
@@ -37,7 +43,13 @@ const useSimpleRouter = () => {
 
 // Função para detectar se estamos em uma rota de link
 const isLinkAccess = (path = window.location.pathname) => {
-  return path.startsWith('/mural/');
+  return path.startsWith('/mural/') || path.startsWith('/convite/');
+};
+
+// Função para extrair token de convite da URL
+const getInviteToken = (path = window.location.pathname) => {
+  const match = path.match(/\/convite\/([a-f0-9]{64})/i);
+  return match ? match[1].toLowerCase() : null;
 };
 
 // Função para extrair código da URL
@@ -46,6 +58,21 @@ const getLinkCode = (path = window.location.pathname) => {
   return match ? match[1].toUpperCase() : null;
 };
 
+// Função para baixar um Blob como arquivo
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Função para baixar dados como arquivo JSON
+const downloadJson = (data, filename) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+};
+
 // Função para obter cores baseadas no tipo do painel
 const getColors = (type) => {
   switch (type) {
@@ -218,6 +245,7 @@ const AuthScreen = () => {
   const [isLogin, setIsLogin] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -360,6 +388,15 @@ const AuthScreen = () => {
             {!isLogin && (
               <p className="text-xs text-gray-500 mt-1">Mínimo de 6 caracteres</p>
             )}
+            {isLogin && (
+              <button
+                type="button"
+                onClick={() => setShowForgotPassword(true)}
+                className="text-xs text-slate-600 hover:text-slate-800 mt-2 transition-colors"
+              >
+                Esqueci minha senha
+              </button>
+            )}
           </div>
 
           <button
@@ -387,12 +424,280 @@ const AuthScreen = () => {
           </button>
         </div>
       </div>
+
+      <ForgotPasswordModal
+        isOpen={showForgotPassword}
+        initialEmail={formData.email}
+        onClose={() => setShowForgotPassword(false)}
+      />
+    </div>
+  );
+};
+
+// Modal para solicitar o link de redefinição de senha
+const ForgotPasswordModal = ({ isOpen, initialEmail, onClose }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setEmail(initialEmail || '');
+      setMessage('');
+      setError('');
+    }
+  }, [isOpen, initialEmail]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    setError('');
+
+    try {
+      const response = await apiService.forgotPassword(email.trim());
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Redefinir senha" size="small">
+      {message ? (
+        <div className="space-y-4">
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl text-sm">
+            {message}
+          </div>
+          <button
+            onClick={onClose}
+            className="w-full py-3 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors"
+          >
+            Fechar
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-gray-600 text-sm">
+            Informe o email da sua conta e enviaremos um link para criar uma nova senha.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
+              {error}
+            </div>
+          )}
+
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="seu@email.com"
+            className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-slate-400 focus:border-transparent transition-all"
+            required
+            autoFocus
+          />
+
+          <button
+            type="submit"
+            disabled={isSending}
+            className="w-full py-3 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSending ? 'Enviando...' : 'Enviar link'}
+          </button>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+// Tela para definir nova senha a partir do link recebido por email
+const PasswordResetScreen = ({ token, onDone }) => {
+  const { isAuthenticated, logout } = useUser();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState(token ? '' : 'Link inválido ou expirado');
+  const [success, setSuccess] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('As senhas não coincidem');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await apiService.resetPassword(token, password);
+      setSuccess(true);
+      // Todas as sessões foram encerradas no servidor
+      if (isAuthenticated) {
+        logout();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-2xl p-10 max-w-md w-full border border-gray-100">
+        <div className="flex items-center justify-center mb-8">
+          <StickyNote className="w-12 h-12 text-slate-600 mr-3" />
+          <h1 className="text-4xl font-bold text-gray-800">Stickly Notes</h1>
+        </div>
+
+        <h2 className="text-2xl font-semibold text-gray-800 mb-6 text-center">Nova senha</h2>
+
+        {success ? (
+          <div className="space-y-4 text-center">
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-xl text-sm">
+              Senha redefinida com sucesso. Entre novamente com a nova senha.
+            </div>
+            <button
+              onClick={onDone}
+              className="w-full py-3 rounded-xl font-semibold bg-gradient-to-r from-slate-600 to-gray-700 text-white hover:from-slate-700 hover:to-gray-800 transition-all"
+            >
+              Ir para o login
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Lock className="w-4 h-4 inline mr-1" />
+                Nova senha
+              </label>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-slate-400 focus:border-transparent transition-all pr-12"
+                  required
+                  minLength={6}
+                  maxLength={LIMITS.PASSWORD_MAX_LENGTH}
+                  disabled={!token}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                >
+                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Mínimo de 6 caracteres</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Confirmar senha
+              </label>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-slate-400 focus:border-transparent transition-all"
+                required
+                minLength={6}
+                disabled={!token}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSaving || !token}
+              className="w-full py-3 rounded-xl font-semibold transition-all duration-200 bg-gradient-to-r from-slate-600 to-gray-700 text-white hover:from-slate-700 hover:to-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Salvando...' : 'Redefinir senha'}
+            </button>
+
+            <button
+              type="button"
+              onClick={onDone}
+              className="w-full text-slate-600 hover:text-slate-800 text-sm font-medium transition-colors"
+            >
+              Voltar
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Tela que confirma o email a partir do link recebido
+const EmailVerificationScreen = ({ token, onDone }) => {
+  const { isAuthenticated, refreshUser } = useUser();
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Link inválido ou expirado');
+  const verifiedTokenRef = useRef(null);
+
+  useEffect(() => {
+    // Evita consumir o mesmo token duas vezes (o link é de uso único)
+    if (!token || verifiedTokenRef.current === token) return;
+    verifiedTokenRef.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await apiService.verifyEmail(token);
+        setStatus('success');
+        setMessage(response.message);
+        if (isAuthenticated) {
+          refreshUser();
+        }
+      } catch (err) {
+        setStatus('error');
+        setMessage(err.message);
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, refreshUser]);
+
+  if (status === 'loading') {
+    return <LoadingSpinner message="Confirmando email..." />;
+  }
+
+  const isSuccess = status === 'success';
+
+  return (
+    <div className={`min-h-screen bg-gradient-to-br ${isSuccess ? 'from-green-100 to-emerald-100' : 'from-red-100 to-pink-100'} flex items-center justify-center p-4`}>
+      <div className="bg-white rounded-3xl shadow-2xl p-10 max-w-md w-full border border-gray-100 text-center">
+        <div className="text-6xl mb-4">{isSuccess ? '✅' : '😔'}</div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-4">
+          {isSuccess ? 'Email confirmado' : 'Não foi possível confirmar'}
+        </h2>
+        <p className={`text-sm mb-6 ${isSuccess ? 'text-gray-600' : 'text-red-600'}`}>{message}</p>
+        <button
+          onClick={onDone}
+          className="w-full py-3 rounded-xl font-semibold bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+        >
+          Ir para Página Inicial
+        </button>
+      </div>
     </div>
   );
 };
 
 /// Card de Painel para "Meus Murais" - Com Notificações
-const PanelCard = ({ panel, onSelectPanel }) => {
+const PanelCard = ({ panel, onSelectPanel, onRestorePanel }) => {
   const getTypeIcon = (type) => {
     switch (type) {
       case 'couple': return <Heart className="w-4 h-4 sm:w-5 sm:h-5 text-rose-500" />;
@@ -458,10 +763,25 @@ const PanelCard = ({ panel, onSelectPanel }) => {
     return formatDate(date);
   };
 
+  // Murais na lixeira só podem ser restaurados (pelo dono)
+  const isTrashed = !!panel.deleted_at;
+  const canRestore = isTrashed && panel.my_role === PANEL_ROLES.OWNER;
+
+  const handleClick = () => {
+    if (!isTrashed) {
+      onSelectPanel(panel);
+    } else if (canRestore) {
+      onRestorePanel(panel);
+    }
+  };
+
   return (
     <button
-      onClick={() => onSelectPanel(panel)}
-      className={`relative p-3 sm:p-4 rounded-xl border-2 ${getTypeColor(panel.type)} hover:shadow-lg transition-all duration-200 transform hover:-translate-y-1 text-left w-full`}
+      onClick={handleClick}
+      disabled={isTrashed && !canRestore}
+      className={`relative p-3 sm:p-4 rounded-xl border-2 ${getTypeColor(panel.type)} hover:shadow-lg transition-all duration-200 transform hover:-translate-y-1 text-left w-full ${
+        isTrashed ? 'opacity-60 disabled:cursor-not-allowed' : ''
+      }`}
     >
       {/* Badge de notificação */}
       {panel.unread_count > 0 && (
@@ -517,6 +837,25 @@ const PanelCard = ({ panel, onSelectPanel }) => {
           <span>{panel.post_count || 0} post{panel.post_count !== 1 ? 's' : ''}</span>
         </div>
       </div>
+
+      {/* Aviso de retenção (mural prestes a ser apagado/arquivado por inatividade) */}
+      {panel.retention_warning && panel.purge_at && (
+        <div className="mb-2 px-2 py-1 rounded-lg bg-amber-100 border border-amber-300 text-xs text-amber-800">
+          ⏳ Inativo: será {panel.retention_policy === 'archive' ? 'arquivado' : 'apagado'} em {formatDate(panel.purge_at)}
+        </div>
+      )}
+      {panel.archived_at && !isTrashed && (
+        <div className="mb-2 px-2 py-1 rounded-lg bg-gray-100 border border-gray-300 text-xs text-gray-700">
+          📦 Arquivado por inatividade — abra para reativar
+        </div>
+      )}
+      {isTrashed && (
+        <div className="mb-2 px-2 py-1 rounded-lg bg-red-50 border border-red-200 text-xs text-red-700">
+          🗑️ Na lixeira — {canRestore
+            ? `clique para restaurar até ${formatDate(panel.restorable_until)}`
+            : 'apenas o dono pode restaurar'}
+        </div>
+      )}
       
       {/* Data do último acesso */}
       <div className="text-xs text-gray-500 pt-2 border-t border-gray-200">
@@ -878,101 +1217,535 @@ const JoinPanelScreen = ({ onBack, user }) => {
 };
 
 // Tela Principal
-const HomeScreen = () => {
-  const { user, logout } = useUser();
-  const [currentScreen, setCurrentScreen] = useState('home');
-  const [panelType, setPanelType] = useState('');
-  const [myPanels, setMyPanels] = useState([]);
-  const [loadingPanels, setLoadingPanels] = useState(false);
-  const [selectedPanel, setSelectedPanel] = useState(null);
-  const [shouldRefreshPanels, setShouldRefreshPanels] = useState(false); // ← NOVO
+// Modal de perfil: dados da conta e troca de senha
+const ProfileModal = ({ onClose }) => {
+  const { user, updateProfile, deleteAccount } = useUser();
+  const [profile, setProfile] = useState({
+    firstName: user?.firstName || '',
+    lastName: user?.lastName || '',
+    email: user?.email || '',
+    currentPassword: ''
+  });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [profileStatus, setProfileStatus] = useState({ error: '', message: '', saving: false });
+  const [passwordStatus, setPasswordStatus] = useState({ error: '', message: '', saving: false });
+  const [dataStatus, setDataStatus] = useState({ error: '', message: '', saving: false });
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+
+  const emailChanged = !!user && profile.email.trim().toLowerCase() !== user.email;
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setProfileStatus({ error: '', message: '', saving: true });
 
-  //Função melhorada para carregar painéis
-const loadMyPanels = useCallback(async (forceReload = false) => {
-  if (currentScreen === 'my-panels' || forceReload) {
-    console.log('🔄 Carregando painéis...', { currentScreen, forceReload });
-    setLoadingPanels(true);
     try {
-      // Limpar cache se forçado
-      if (forceReload && apiService.clearRateLimiting) {
-        apiService.clearRateLimiting();
-      }
-      
-      const panels = await apiService.getMyPanels();
-      setMyPanels(panels);
-      
-      console.log('📋 Painéis carregados:', {
-        total: panels.length,
-        panels: panels.map(p => ({ id: p.id, name: p.name, type: p.type }))
+      await updateProfile({
+        firstName: profile.firstName.trim(),
+        lastName: profile.lastName.trim(),
+        ...(emailChanged && { email: profile.email.trim(), currentPassword: profile.currentPassword })
+      });
+      setProfileStatus({
+        error: '',
+        message: emailChanged ? 'Dados salvos. Confirme o novo email pelo link enviado.' : 'Dados salvos com sucesso.',
+        saving: false
       });
-      
-      // Log das notificações para debug
-      const panelsWithNotifications = panels.filter(p => p.unread_count > 0);
-      if (panelsWithNotifications.length > 0) {
-        console.log('📬 Painéis com notificações:', panelsWithNotifications.map(p => ({
-          name: p.name,
-          unread: p.unread_count
-        })));
-      }
     } catch (err) {
-      console.error('❌ Erro ao carregar painéis:', err);
-    } finally {
-      setLoadingPanels(false);
+      setProfileStatus({ error: err.message, message: '', saving: false });
     }
-  }
-}, [currentScreen]);
+  };
 
-    // Carregar painéis quando necessário
-useEffect(() => {
-  loadMyPanels();
-}, [loadMyPanels]);
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
 
-// Atualizar a cada 30 segundos quando estiver na tela "meus painéis"
-useEffect(() => {
-  let interval;
-  if (currentScreen === 'my-panels') {
-    interval = setInterval(() => {
-      console.log('🔄 Auto-reload de painéis (30s)');
-      loadMyPanels();
-    }, 30000);
-  }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordStatus({ error: 'As senhas não coincidem', message: '', saving: false });
+      return;
+    }
 
-  return () => {
-    if (interval) clearInterval(interval);
+    setPasswordStatus({ error: '', message: '', saving: true });
+
+    try {
+      const response = await apiService.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordStatus({ error: '', message: response.message, saving: false });
+    } catch (err) {
+      setPasswordStatus({ error: err.message, message: '', saving: false });
+    }
   };
-}, [currentScreen, loadMyPanels]);
 
-  // Tela de escolha de tipo
-  if (currentScreen === 'create' && !panelType) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
-        <div className="bg-white rounded-3xl shadow-2xl p-10 max-w-2xl w-full border border-gray-100">
-          <button
-            onClick={() => setCurrentScreen('home')}
-            className="mb-6 text-gray-500 hover:text-gray-700 transition-colors flex items-center gap-2 text-sm"
-          >
-            <ArrowLeft className="w-4 h-4" />
-            Voltar
-          </button>
+  const handleExportData = async () => {
+    setDataStatus({ error: '', message: '', saving: true });
 
-          <div className="flex items-center justify-center mb-8">
-            <StickyNote className="w-12 h-12 text-slate-600 mr-3" />
-            <h1 className="text-4xl font-bold text-gray-800">Novo Mural</h1>
-          </div>
-          
-          <p className="text-center text-gray-600 mb-10 text-lg">
-            Quero compartilhar com:
-          </p>
+    try {
+      const data = await apiService.exportMyData();
+      downloadJson(data, `stickly-notes-dados-${data.exportedAt.split('T')[0]}.json`);
+      setDataStatus({ error: '', message: 'Arquivo com seus dados baixado.', saving: false });
+    } catch (err) {
+      setDataStatus({ error: err.message, message: '', saving: false });
+    }
+  };
 
-          <div className="space-y-4">
-            <button
-              onClick={() => setPanelType(PANEL_TYPES.FRIENDS)}
-              className="w-full p-6 bg-gradient-to-br from-blue-100 to-indigo-100 rounded-2xl hover:from-blue-200 hover:to-indigo-200 transition-all duration-300 border border-blue-200 hover:shadow-lg transform hover:-translate-y-1"
-            >
-              <div className="flex items-center">
-                <Users className="w-8 h-8 text-slate-600 mr-4" />
-                <div className="text-left">
-                  <h3 className="text-xl font-semibold text-gray-800">Meus amigos</h3>
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDataStatus({ error: '', message: '', saving: true });
+
+    try {
+      // A sessão é encerrada e o app volta para a tela de login
+      await deleteAccount(deletePassword);
+    } catch (err) {
+      setDataStatus({ error: err.message, message: '', saving: false });
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-slate-400 focus:border-transparent transition-all';
+
+  const renderStatus = (status) => (
+    <>
+      {status.error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{status.error}</div>
+      )}
+      {status.message && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-xl text-sm">{status.message}</div>
+      )}
+    </>
+  );
+
+  return (
+    <Modal isOpen onClose={onClose} title="Minha conta">
+      <div className="space-y-6 max-h-[70vh] overflow-y-auto">
+        <form onSubmit={handleProfileSubmit} className="space-y-3">
+          <h3 className="font-semibold text-gray-800">Dados pessoais</h3>
+          {renderStatus(profileStatus)}
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="text"
+              value={profile.firstName}
+              onChange={(e) => setProfile(prev => ({ ...prev, firstName: e.target.value }))}
+              placeholder="Nome"
+              className={inputClass}
+              required
+              minLength={2}
+              maxLength={50}
+            />
+            <input
+              type="text"
+              value={profile.lastName}
+              onChange={(e) => setProfile(prev => ({ ...prev, lastName: e.target.value }))}
+              placeholder="Sobrenome"
+              className={inputClass}
+              required
+              minLength={2}
+              maxLength={50}
+            />
+          </div>
+          <input
+            type="email"
+            value={profile.email}
+            onChange={(e) => setProfile(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="E-mail"
+            className={inputClass}
+            required
+          />
+          {emailChanged && (
+            <input
+              type="password"
+              value={profile.currentPassword}
+              onChange={(e) => setProfile(prev => ({ ...prev, currentPassword: e.target.value }))}
+              placeholder="Senha atual (necessária para trocar o email)"
+              className={inputClass}
+              required
+            />
+          )}
+          <button
+            type="submit"
+            disabled={profileStatus.saving}
+            className="w-full py-2 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors disabled:opacity-50"
+          >
+            {profileStatus.saving ? 'Salvando...' : 'Salvar dados'}
+          </button>
+        </form>
+
+        <form onSubmit={handlePasswordSubmit} className="space-y-3 pt-6 border-t border-gray-200">
+          <h3 className="font-semibold text-gray-800">Alterar senha</h3>
+          {renderStatus(passwordStatus)}
+          <input
+            type="password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords(prev => ({ ...prev, currentPassword: e.target.value }))}
+            placeholder="Senha atual"
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords(prev => ({ ...prev, newPassword: e.target.value }))}
+            placeholder="Nova senha (mínimo de 6 caracteres)"
+            className={inputClass}
+            required
+            minLength={6}
+            maxLength={LIMITS.PASSWORD_MAX_LENGTH}
+          />
+          <input
+            type="password"
+            value={passwords.confirmPassword}
+            onChange={(e) => setPasswords(prev => ({ ...prev, confirmPassword: e.target.value }))}
+            placeholder="Confirmar nova senha"
+            className={inputClass}
+            required
+            minLength={6}
+          />
+          <button
+            type="submit"
+            disabled={passwordStatus.saving}
+            className="w-full py-2 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors disabled:opacity-50"
+          >
+            {passwordStatus.saving ? 'Salvando...' : 'Alterar senha'}
+          </button>
+        </form>
+
+        <div className="space-y-3 pt-6 border-t border-gray-200">
+          <h3 className="font-semibold text-gray-800">Seus dados</h3>
+          {renderStatus(dataStatus)}
+          <button
+            onClick={handleExportData}
+            disabled={dataStatus.saving}
+            className="w-full py-2 rounded-xl font-semibold border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Baixar meus dados (JSON)
+          </button>
+
+          {!confirmingDelete ? (
+            <button
+              onClick={() => setConfirmingDelete(true)}
+              className="w-full py-2 rounded-xl font-semibold border border-red-200 text-red-600 hover:bg-red-50 transition-colors"
+            >
+              Excluir minha conta
+            </button>
+          ) : (
+            <form onSubmit={handleDeleteAccount} className="space-y-3 bg-red-50 border border-red-200 rounded-xl p-4">
+              <p className="text-sm text-red-700">
+                Esta ação não pode ser desfeita. Suas notas ficarão anônimas, você sairá de todos os murais
+                e murais sem outros participantes serão excluídos.
+              </p>
+              <input
+                type="password"
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                placeholder="Digite sua senha para confirmar"
+                className={inputClass}
+                required
+              />
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmingDelete(false);
+                    setDeletePassword('');
+                  }}
+                  className="flex-1 py-2 rounded-xl font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                >
+                  Cancelar
+                </button>
+                <button
+                  type="submit"
+                  disabled={dataStatus.saving}
+                  className="flex-1 py-2 rounded-xl font-semibold bg-red-600 text-white hover:bg-red-700 transition-colors disabled:opacity-50"
+                >
+                  {dataStatus.saving ? 'Excluindo...' : 'Excluir conta'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Sino de notificações (menções) com menu das mais recentes
+const NotificationBell = ({ notifications, unreadCount, onOpen, onMarkAllRead }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const formatTime = (date) => new Date(date).toLocaleString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="relative p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+        title="Notificações"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white rounded-xl shadow-2xl border border-gray-100 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-800 text-sm">Notificações</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={onMarkAllRead}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Marcar todas como lidas
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">Nenhuma notificação</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => {
+                      setIsOpen(false);
+                      onOpen(notification);
+                    }}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors ${
+                      notification.read_at ? '' : 'bg-blue-50'
+                    }`}
+                  >
+                    <p className="text-sm text-gray-800">
+                      <span className="font-medium">{notification.actor_name || 'Alguém'}</span>
+                      {notification.comment_id ? ' mencionou você em uma resposta' : ' mencionou você em uma nota'}
+                      {notification.panel_name && (
+                        <> em <span className="font-medium">{notification.panel_name}</span></>
+                      )}
+                    </p>
+                    {notification.excerpt && (
+                      <p className="text-xs text-gray-600 mt-1 line-clamp-2">"{notification.excerpt}"</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">{formatTime(notification.created_at)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Trecho devolvido pela busca: termos encontrados vêm entre <mark> e </mark>
+const renderSnippet = (snippet) =>
+  snippet.split(/(<mark>.*?<\/mark>)/).map((part, index) =>
+    part.startsWith('<mark>')
+      ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part.slice(6, -7)}</mark>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  );
+
+const NoteSearch = ({ onOpen }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  // Busca enquanto digita, com uma pausa para não disparar a cada tecla
+  useEffect(() => {
+    const term = query.trim();
+    if (term.length < 2) {
+      setResults([]);
+      setError('');
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await apiService.searchPosts(term);
+        if (!cancelled) {
+          setResults(response.results);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const showResults = query.trim().length >= 2;
+
+  return (
+    <div className="relative mb-6">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+          placeholder="Buscar nas notas dos meus murais..."
+          maxLength={LIMITS.SEARCH_QUERY_MAX_LENGTH}
+          className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent"
+        />
+      </div>
+
+      {showResults && (
+        <div className="absolute left-0 right-0 mt-2 bg-white rounded-xl shadow-2xl border border-gray-100 z-40">
+          {error ? (
+            <p className="px-4 py-4 text-sm text-red-600">{error}</p>
+          ) : results.length === 0 ? (
+            <p className="px-4 py-4 text-center text-sm text-gray-500">
+              {isSearching ? 'Buscando...' : 'Nenhuma nota encontrada'}
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {results.map(result => (
+                <li key={result.id}>
+                  <button
+                    onClick={() => {
+                      setQuery('');
+                      onOpen(result);
+                    }}
+                    className="w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="flex items-center text-xs text-gray-500 mb-1">
+                      <span
+                        className="w-3 h-3 rounded-sm mr-2 flex-shrink-0 border border-gray-200"
+                        style={{ backgroundColor: result.color }}
+                      />
+                      <span className="font-medium text-gray-700 truncate">{result.panel_name}</span>
+                      <span className="mx-1">·</span>
+                      <span className="truncate">{result.author_name || 'Anônimo'}</span>
+                    </div>
+                    <p className="text-sm text-gray-800 break-words">{renderSnippet(result.snippet)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HomeScreen = () => {
+  const { user, logout } = useUser();
+  const [showProfileModal, setShowProfileModal] = useState(false);
+  const [verificationMessage, setVerificationMessage] = useState('');
+  const [resendingVerification, setResendingVerification] = useState(false);
+  const [currentScreen, setCurrentScreen] = useState('home');
+  const [panelType, setPanelType] = useState('');
+  const [myPanels, setMyPanels] = useState([]);
+  const [loadingPanels, setLoadingPanels] = useState(false);
+  const [selectedPanel, setSelectedPanel] = useState(null);
+  const [shouldRefreshPanels, setShouldRefreshPanels] = useState(false); // ← NOVO
+  const [importStatus, setImportStatus] = useState({ error: '', loading: false });
+  const importInputRef = useRef(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [restoreError, setRestoreError] = useState('');
+  const [focusPostId, setFocusPostId] = useState(null);
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications(user?.id);
+
+  //Função melhorada para carregar painéis
+const loadMyPanels = useCallback(async (forceReload = false) => {
+  if (currentScreen === 'my-panels' || forceReload) {
+    console.log('🔄 Carregando painéis...', { currentScreen, forceReload });
+    setLoadingPanels(true);
+    try {
+      // Limpar cache se forçado
+      if (forceReload && apiService.clearRateLimiting) {
+        apiService.clearRateLimiting();
+      }
+      
+      const panels = await apiService.getMyPanels({ includeArchived: showArchived });
+      setMyPanels(panels);
+      
+      console.log('📋 Painéis carregados:', {
+        total: panels.length,
+        panels: panels.map(p => ({ id: p.id, name: p.name, type: p.type }))
+      });
+      
+      // Log das notificações para debug
+      const panelsWithNotifications = panels.filter(p => p.unread_count > 0);
+      if (panelsWithNotifications.length > 0) {
+        console.log('📬 Painéis com notificações:', panelsWithNotifications.map(p => ({
+          name: p.name,
+          unread: p.unread_count
+        })));
+      }
+    } catch (err) {
+      console.error('❌ Erro ao carregar painéis:', err);
+    } finally {
+      setLoadingPanels(false);
+    }
+  }
+}, [currentScreen, showArchived]);
+
+    // Carregar painéis quando necessário
+useEffect(() => {
+  loadMyPanels();
+}, [loadMyPanels]);
+
+// Atualizar a cada 30 segundos quando estiver na tela "meus painéis"
+useEffect(() => {
+  let interval;
+  if (currentScreen === 'my-panels') {
+    interval = setInterval(() => {
+      console.log('🔄 Auto-reload de painéis (30s)');
+      loadMyPanels();
+    }, 30000);
+  }
+
+  return () => {
+    if (interval) clearInterval(interval);
+  };
+}, [currentScreen, loadMyPanels]);
+
+  // Tela de escolha de tipo
+  if (currentScreen === 'create' && !panelType) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
+        <div className="bg-white rounded-3xl shadow-2xl p-10 max-w-2xl w-full border border-gray-100">
+          <button
+            onClick={() => setCurrentScreen('home')}
+            className="mb-6 text-gray-500 hover:text-gray-700 transition-colors flex items-center gap-2 text-sm"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Voltar
+          </button>
+
+          <div className="flex items-center justify-center mb-8">
+            <StickyNote className="w-12 h-12 text-slate-600 mr-3" />
+            <h1 className="text-4xl font-bold text-gray-800">Novo Mural</h1>
+          </div>
+          
+          <p className="text-center text-gray-600 mb-10 text-lg">
+            Quero compartilhar com:
+          </p>
+
+          <div className="space-y-4">
+            <button
+              onClick={() => setPanelType(PANEL_TYPES.FRIENDS)}
+              className="w-full p-6 bg-gradient-to-br from-blue-100 to-indigo-100 rounded-2xl hover:from-blue-200 hover:to-indigo-200 transition-all duration-300 border border-blue-200 hover:shadow-lg transform hover:-translate-y-1"
+            >
+              <div className="flex items-center">
+                <Users className="w-8 h-8 text-slate-600 mr-4" />
+                <div className="text-left">
+                  <h3 className="text-xl font-semibold text-gray-800">Meus amigos</h3>
                   <p className="text-gray-600 text-sm mt-1">Mural aconchegante para compartilhar com seus amigos</p>
                 </div>
               </div>
@@ -1039,8 +1812,10 @@ if (selectedPanel) {
   return (
     <PanelScreen 
       panel={selectedPanel} 
+      focusPostId={focusPostId}
       onBackToHome={() => {
         setSelectedPanel(null);
+        setFocusPostId(null);
         // ✅ CORREÇÃO: Voltar para "meus murais" em vez da home
         setCurrentScreen('my-panels');
         // Recarregar a lista de painéis
@@ -1052,42 +1827,153 @@ if (selectedPanel) {
   );
 }
 
-// Tela dos meus painéis
-if (currentScreen === 'my-panels') {
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
-      <div className="bg-white rounded-3xl shadow-2xl p-6 sm:p-10 w-full max-w-6xl border border-gray-100">
-        <button
-          onClick={() => setCurrentScreen('home')}
-          className="mb-6 text-gray-500 hover:text-gray-700 transition-colors flex items-center gap-2 text-sm"
-        >
-          <ArrowLeft className="w-4 h-4" />
-          Voltar
-        </button>
+// Importar mural a partir de um arquivo exportado
+const handleImportFile = async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (!file) return;
 
-        <div className="flex items-center justify-center mb-6 sm:mb-8">
-          <StickyNote className="w-8 h-8 sm:w-12 sm:h-12 text-slate-600 mr-2 sm:mr-3" />
-          <h1 className="text-2xl sm:text-4xl font-bold text-gray-800">Meus Murais</h1>
-        </div>
+  setImportStatus({ error: '', loading: true });
 
-        {loadingPanels ? (
-          <div className="text-center py-8">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-600 mx-auto mb-4"></div>
-            <p className="text-gray-600">Carregando murais...</p>
-          </div>
-        ) : myPanels.length === 0 ? (
-          <div className="text-center py-12">
-            <StickyNote className="w-16 h-16 mx-auto mb-4 text-gray-400" />
-            <p className="text-lg text-gray-600 mb-2">Você ainda não participa de nenhum mural</p>
-            <p className="text-gray-500">Crie um novo mural ou acesse um existente!</p>
-          </div>
-        ) : (
-          <div className="space-y-4 sm:grid sm:gap-4 sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3 sm:space-y-0">
-            {myPanels.map(panel => (
-              <PanelCard 
+  try {
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Arquivo inválido: não é um JSON');
+    }
+
+    const panel = await apiService.importPanel(archive);
+    setImportStatus({ error: '', loading: false });
+    setSelectedPanel(panel);
+  } catch (err) {
+    setImportStatus({ error: err.message, loading: false });
+  }
+};
+
+// Abrir o mural já com a nota em destaque (notificações e busca)
+const openPanelAtPost = async (panelId, postId) => {
+  setRestoreError('');
+  try {
+    let panel = myPanels.find(p => p.id === panelId);
+    if (!panel) {
+      const panels = await apiService.getMyPanels();
+      setMyPanels(panels);
+      panel = panels.find(p => p.id === panelId);
+    }
+    if (!panel) {
+      setCurrentScreen('my-panels');
+      setRestoreError('Você não participa mais deste mural.');
+      return;
+    }
+    setFocusPostId(postId);
+    setSelectedPanel(panel);
+  } catch (err) {
+    setRestoreError(err.message);
+  }
+};
+
+const handleOpenNotification = (notification) => {
+  markAsRead(notification.id);
+  openPanelAtPost(notification.panel_id, notification.post_id);
+};
+
+const handleOpenSearchResult = (result) => {
+  openPanelAtPost(result.panel_id, result.id);
+};
+
+const notificationBell = (
+  <NotificationBell
+    notifications={notifications}
+    unreadCount={unreadCount}
+    onOpen={handleOpenNotification}
+    onMarkAllRead={markAllAsRead}
+  />
+);
+
+const handleRestorePanel = async (panel) => {
+  setRestoreError('');
+  try {
+    const restored = await apiService.restorePanel(panel.id);
+    setSelectedPanel(restored);
+  } catch (err) {
+    setRestoreError(err.message);
+  }
+};
+
+// Tela dos meus painéis
+if (currentScreen === 'my-panels') {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-3xl shadow-2xl p-6 sm:p-10 w-full max-w-6xl border border-gray-100">
+        <div className="flex items-center justify-between mb-6">
+          <button
+            onClick={() => setCurrentScreen('home')}
+            className="text-gray-500 hover:text-gray-700 transition-colors flex items-center gap-2 text-sm"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Voltar
+          </button>
+          {notificationBell}
+        </div>
+
+        <div className="flex items-center justify-center mb-6 sm:mb-8">
+          <StickyNote className="w-8 h-8 sm:w-12 sm:h-12 text-slate-600 mr-2 sm:mr-3" />
+          <h1 className="text-2xl sm:text-4xl font-bold text-gray-800">Meus Murais</h1>
+        </div>
+
+        <div className="flex flex-col items-center mb-6">
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={importStatus.loading}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            {importStatus.loading ? 'Importando...' : 'Importar mural (JSON)'}
+          </button>
+          {importStatus.error && (
+            <p className="text-red-600 text-sm mt-2">{importStatus.error}</p>
+          )}
+          <label className="flex items-center gap-2 mt-3 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Mostrar arquivados e lixeira
+          </label>
+          {restoreError && (
+            <p className="text-red-600 text-sm mt-2">{restoreError}</p>
+          )}
+        </div>
+
+        {loadingPanels ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Carregando murais...</p>
+          </div>
+        ) : myPanels.length === 0 ? (
+          <div className="text-center py-12">
+            <StickyNote className="w-16 h-16 mx-auto mb-4 text-gray-400" />
+            <p className="text-lg text-gray-600 mb-2">Você ainda não participa de nenhum mural</p>
+            <p className="text-gray-500">Crie um novo mural ou acesse um existente!</p>
+          </div>
+        ) : (
+          <div className="space-y-4 sm:grid sm:gap-4 sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3 sm:space-y-0">
+            {myPanels.map(panel => (
+              <PanelCard 
                 key={panel.id} 
                 panel={panel} 
                 onSelectPanel={setSelectedPanel}
+                onRestorePanel={handleRestorePanel}
               />
             ))}
           </div>
@@ -1097,6 +1983,18 @@ if (currentScreen === 'my-panels') {
   );
 }
 
+  const handleResendVerification = async () => {
+    setResendingVerification(true);
+    try {
+      const response = await apiService.resendVerification();
+      setVerificationMessage(response.message);
+    } catch (err) {
+      setVerificationMessage(err.message);
+    } finally {
+      setResendingVerification(false);
+    }
+  };
+
   // Tela principal
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-100 via-purple-50 to-pink-100 flex items-center justify-center p-4">
@@ -1106,13 +2004,23 @@ if (currentScreen === 'my-panels') {
             <StickyNote className="w-12 h-12 text-slate-600 mr-3" />
             <h1 className="text-5xl font-bold text-gray-800">Stickly Notes</h1>
           </div>
-          <button
-            onClick={logout}
-            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
-            title="Sair da conta"
-          >
-            <LogOut className="w-5 h-5" />
-          </button>
+          <div className="flex items-center">
+            {notificationBell}
+            <button
+              onClick={() => setShowProfileModal(true)}
+              className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Minha conta"
+            >
+              <Settings className="w-5 h-5" />
+            </button>
+            <button
+              onClick={logout}
+              className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Sair da conta"
+            >
+              <LogOut className="w-5 h-5" />
+            </button>
+          </div>
         </div>
         
         <p className="text-center text-gray-600 mb-4 text-lg">
@@ -1123,6 +2031,24 @@ if (currentScreen === 'my-panels') {
           Pense, anote, compartilhe!
         </p>
 
+        <NoteSearch onOpen={handleOpenSearchResult} />
+
+        {user?.emailVerified === false && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-xl mb-6 text-sm">
+            <div className="flex items-center">
+              <Mail className="w-4 h-4 mr-2 flex-shrink-0" />
+              <span>{verificationMessage || 'Confirme seu email pelo link que enviamos.'}</span>
+            </div>
+            <button
+              onClick={handleResendVerification}
+              disabled={resendingVerification}
+              className="px-3 py-1 rounded-lg bg-amber-100 hover:bg-amber-200 font-medium transition-colors disabled:opacity-50 flex-shrink-0"
+            >
+              {resendingVerification ? 'Enviando...' : 'Reenviar'}
+            </button>
+          </div>
+        )}
+
         <div className="space-y-4">
           <button
             onClick={() => setCurrentScreen('create')}
@@ -1164,17 +2090,35 @@ if (currentScreen === 'my-panels') {
           </button>
         </div>
       </div>
+
+      {showProfileModal && (
+        <ProfileModal onClose={() => setShowProfileModal(false)} />
+      )}
     </div>
   );
 };
 
 // Componente do Painel (Tela principal do mural) - Touch Corrigido
-const PanelScreen = ({ panel, onBackToHome }) => {
+const PanelScreen = ({ panel: initialPanel, focusPostId = null, onBackToHome }) => {
   const { user, logout } = useUser();
+  const [panel, setPanel] = useState(initialPanel);
   const [posts, setPosts] = useState([]);
   const [showNewPostForm, setShowNewPostForm] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
   const [showLeaveModal, setShowLeaveModal] = useState(false);
+  const [historyPost, setHistoryPost] = useState(null);
+  const [showParticipantsModal, setShowParticipantsModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showRetentionModal, setShowRetentionModal] = useState(false);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [presence, setPresence] = useState([]);
+  const [remoteCursors, setRemoteCursors] = useState({});
+  const [remoteDrags, setRemoteDrags] = useState({});
+  const [openThreads, setOpenThreads] = useState({}); // { [postId]: comments | null (carregando) }
+  const [labels, setLabels] = useState([]);
+  const [labelFilter, setLabelFilter] = useState({ ids: [], match: 'any' });
+  const [showLabelsModal, setShowLabelsModal] = useState(false);
+  const [myRole, setMyRole] = useState(panel.my_role || PANEL_ROLES.MEMBER);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [isMobile, setIsMobile] = useState(false);
@@ -1187,9 +2131,13 @@ const PanelScreen = ({ panel, onBackToHome }) => {
   const [isZooming, setIsZooming] = useState(false);
   const [lastTouchDistance, setLastTouchDistance] = useState(0);
   const panelRef = useRef(null);
+  const boardRef = useRef(null);
 
   const colors = getColors(panel.type);
   const userName = `${user?.firstName} ${user?.lastName}`;
+  const isViewer = myRole === PANEL_ROLES.VIEWER;
+  const isOwner = myRole === PANEL_ROLES.OWNER;
+  const canModerate = isOwner || myRole === PANEL_ROLES.MODERATOR;
 
   // Detectar mobile e configurar zoom inicial
   useEffect(() => {
@@ -1257,6 +2205,32 @@ const PanelScreen = ({ panel, onBackToHome }) => {
     }
   };
 
+  // Centralizar uma nota (aberta a partir de uma notificação)
+  const revealPost = useCallback((post) => {
+    setFocusedPost(post.id);
+    const container = panelRef.current;
+    if (!container) return;
+
+    const containerRect = container.getBoundingClientRect();
+    const targetZoom = isMobile ? 1.5 : 1;
+    setZoom(targetZoom);
+    setPan({
+      x: containerRect.width / 2 - (post.position_x + 125) * targetZoom,
+      y: containerRect.height / 2 - (post.position_y + 90) * targetZoom
+    });
+  }, [isMobile]);
+
+  const pendingFocusRef = useRef(focusPostId);
+  useEffect(() => {
+    if (isLoading || !pendingFocusRef.current) return;
+
+    const post = posts.find(p => p.id === pendingFocusRef.current);
+    pendingFocusRef.current = null;
+    if (post) {
+      revealPost(post);
+    }
+  }, [isLoading, posts, revealPost]);
+
   // Event handlers para touch apenas no mural
   useEffect(() => {
     if (!isMobile || !panelRef.current) return;
@@ -1388,13 +2362,56 @@ const PanelScreen = ({ panel, onBackToHome }) => {
     };
   }, [isMobile, isPanning, isZooming, zoom, lastTouchDistance]);
 
-  // Carregar dados iniciais
+  // Fila offline: operação aceita pelo servidor substitui a versão local
+  const handleOfflineSynced = useCallback((operation, post) => {
+    if (operation.type === 'delete') {
+      setPosts(prev => prev.filter(p => p.id !== operation.postId));
+    } else if (post) {
+      setPosts(prev => prev.some(p => p.id === post.id)
+        ? prev.map(p => p.id === post.id ? { ...p, ...post } : p)
+        : [post, ...prev]);
+    }
+  }, []);
+
+  // Conflitos (nota alterada ou excluída enquanto offline): voltar ao estado do servidor
+  const handleOfflineRejected = useCallback(async (messages) => {
+    setError(messages.join(' '));
+    try {
+      const [postsData, pendingOperations] = await Promise.all([
+        apiService.getPanelPosts(panel.id),
+        offlineQueue.getOperations(user?.id, panel.id)
+      ]);
+      setPosts(applyPendingOperations(postsData, pendingOperations));
+    } catch (err) {
+      console.error('❌ Erro ao recarregar notas após conflito:', err);
+    }
+  }, [panel.id, user?.id]);
+
+  const {
+    isOnline,
+    syncStatus,
+    pendingCount,
+    sendOrQueue,
+    getPendingOperations
+  } = useOfflineQueue(panel.id, user?.id, handleOfflineSynced, handleOfflineRejected);
+
+  // Mostra na hora uma operação que ficou na fila offline
+  const applyQueuedOperation = useCallback((operation) => {
+    setPosts(prev => applyPendingOperations(prev, [{ ...operation, panelId: panel.id, userId: user?.id }]));
+  }, [panel.id, user?.id]);
+
+  // Carregar dados iniciais (com as alterações offline ainda não enviadas)
   useEffect(() => {
     const loadInitialData = async () => {
       try {
         setIsLoading(true);
-        const postsData = await apiService.getPanelPosts(panel.id);
-        setPosts(postsData);
+        const [postsData, labelsData] = await Promise.all([
+          apiService.getPanelPosts(panel.id),
+          apiService.getPanelLabels(panel.id)
+        ]);
+        const pendingOperations = await getPendingOperations();
+        setPosts(applyPendingOperations(postsData, pendingOperations));
+        setLabels(labelsData);
       } catch (err) {
         setError('Erro ao carregar dados');
       } finally {
@@ -1403,17 +2420,127 @@ const PanelScreen = ({ panel, onBackToHome }) => {
     };
 
     loadInitialData();
-  }, [panel.id]);
+  }, [panel.id, getPendingOperations]);
 
   // Handlers de WebSocket
   const handleNewPost = useCallback((post) => {
-    setPosts(prev => [post, ...prev]);
+    // Notas criadas offline já estão na lista (mesmo ID gerado no cliente)
+    setPosts(prev => prev.some(p => p.id === post.id)
+      ? prev.map(p => p.id === post.id ? { ...p, ...post } : p)
+      : [{ ...post, unread: post.author_user_id !== user?.id }, ...prev]);
+  }, [user?.id]);
+
+  // Notas vistas na tela deixam de ser destacadas
+  const handlePostsSeen = useCallback((postIds) => {
+    const seen = new Set(postIds);
+    setPosts(prev => prev.map(p => seen.has(p.id) ? { ...p, unread: false } : p));
   }, []);
 
+  useSeenPosts(panel.id, boardRef, posts, handlePostsSeen);
+
+  // Os eventos trazem só a linha da nota: manter as reações já carregadas
   const handlePostMoved = useCallback((post) => {
-    setPosts(prev => prev.map(p => p.id === post.id ? post : p));
+    setPosts(prev => prev.map(p => p.id === post.id ? { ...p, ...post } : p));
+  }, []);
+
+  const handlePostUpdated = useCallback((post) => {
+    setPosts(prev => prev.map(p => p.id === post.id ? { ...p, ...post } : p));
+  }, []);
+
+  const handlePostReaction = useCallback(({ post_id, reactions }) => {
+    setPosts(prev => prev.map(p => p.id === post_id ? { ...p, reactions } : p));
+  }, []);
+
+  // Respostas: total na nota e lista nas conversas abertas
+  const handleCommentAdded = useCallback(({ post_id, comment, comment_count }) => {
+    setPosts(prev => prev.map(p => p.id === post_id ? { ...p, comment_count } : p));
+    setOpenThreads(prev => {
+      const comments = prev[post_id];
+      if (!comments || comments.some(c => c.id === comment.id)) return prev;
+      return { ...prev, [post_id]: [...comments, comment] };
+    });
+  }, []);
+
+  // O evento não traz is_mine (vai para todo o mural); mantém o valor recebido da API
+  const handleCommentUpdated = useCallback(({ post_id, comment }) => {
+    setOpenThreads(prev => prev[post_id]
+      ? { ...prev, [post_id]: prev[post_id].map(c => c.id === comment.id ? { ...c, ...comment } : c) }
+      : prev);
+  }, []);
+
+  const handleCommentDeleted = useCallback(({ post_id, comment_id, comment_count }) => {
+    setPosts(prev => prev.map(p => p.id === post_id ? { ...p, comment_count } : p));
+    setOpenThreads(prev => prev[post_id]
+      ? { ...prev, [post_id]: prev[post_id].filter(c => c.id !== comment_id) }
+      : prev);
   }, []);
 
+  // Etiquetas do painel (quem fez a alteração também recebe o evento)
+  const handleLabelCreated = useCallback((label) => {
+    setLabels(prev => prev.some(l => l.id === label.id) ? prev : [...prev, label]);
+  }, []);
+
+  const handleLabelUpdated = useCallback((label) => {
+    setLabels(prev => prev.map(l => l.id === label.id ? { ...l, ...label } : l));
+  }, []);
+
+  const handleLabelDeleted = useCallback(({ label_id }) => {
+    setLabels(prev => prev.filter(l => l.id !== label_id));
+    setPosts(prev => prev.map(p => (p.label_ids || []).includes(label_id)
+      ? { ...p, label_ids: p.label_ids.filter(id => id !== label_id) }
+      : p));
+    setLabelFilter(prev => ({ ...prev, ids: prev.ids.filter(id => id !== label_id) }));
+  }, []);
+
+  const handlePostLabelsUpdated = useCallback(({ post_id, label_ids }) => {
+    setPosts(prev => prev.map(p => p.id === post_id ? { ...p, label_ids } : p));
+  }, []);
+
+  const handleParticipantRoleUpdated = useCallback(({ user_uuid, role }) => {
+    if (user_uuid === user?.id) {
+      setMyRole(role);
+    }
+  }, [user?.id]);
+
+  // Nome, cores e limites alterados pelo dono: repintar na hora
+  const handlePanelUpdated = useCallback(({ panel_id, ...updates }) => {
+    setPanel(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  // Presença: remover cursores e arrastes de quem saiu do mural
+  const handlePresenceUpdated = useCallback(({ users }) => {
+    setPresence(users);
+    const present = new Set(users.map(u => u.userId));
+    const keepPresent = (entries) => Object.fromEntries(
+      Object.entries(entries).filter(([, entry]) => present.has(entry.userId))
+    );
+    setRemoteCursors(keepPresent);
+    setRemoteDrags(keepPresent);
+  }, []);
+
+  const handleCursorMoved = useCallback((cursor) => {
+    setRemoteCursors(prev => ({ ...prev, [cursor.userId]: cursor }));
+  }, []);
+
+  const handlePostDragging = useCallback((drag) => {
+    setRemoteDrags(prev => {
+      const next = { ...prev };
+      if (drag.dragging) {
+        next[drag.postId] = drag;
+      } else {
+        delete next[drag.postId];
+      }
+      return next;
+    });
+  }, []);
+
+  const handleRemovedFromPanel = useCallback(({ banned }) => {
+    window.alert(banned ? 'Você foi banido deste mural.' : 'Você foi removido deste mural.');
+    if (onBackToHome) {
+      onBackToHome();
+    }
+  }, [onBackToHome]);
+
   const handlePostDeleted = useCallback(({ postId }) => {
     setPosts(prev => prev.filter(p => p.id !== postId));
     if (focusedPost === postId) {
@@ -1423,16 +2550,40 @@ const PanelScreen = ({ panel, onBackToHome }) => {
   }, [focusedPost]);
 
   // Configurar WebSocket
-  useSocket(
-    panel.id,
-    userName,
-    user?.id,
-    handleNewPost,
-    handlePostMoved,
-    handlePostDeleted,
-    () => {},
-    () => {}
-  );
+  const emitSocketEvent = useSocket(panel.id, userName, user?.id, {
+    'new-post': handleNewPost,
+    'post-moved': handlePostMoved,
+    'post-deleted': handlePostDeleted,
+    'post-updated': handlePostUpdated,
+    'participant-role-updated': handleParticipantRoleUpdated,
+    'removed-from-panel': handleRemovedFromPanel,
+    'panel-updated': handlePanelUpdated,
+    'presence-updated': handlePresenceUpdated,
+    'cursor-moved': handleCursorMoved,
+    'post-dragging': handlePostDragging,
+    'post-reaction': handlePostReaction,
+    'comment-added': handleCommentAdded,
+    'comment-updated': handleCommentUpdated,
+    'comment-deleted': handleCommentDeleted,
+    'label-created': handleLabelCreated,
+    'label-updated': handleLabelUpdated,
+    'label-deleted': handleLabelDeleted,
+    'post-labels-updated': handlePostLabelsUpdated
+  });
+
+  // Posição do cursor em coordenadas do mural (independente de zoom e pan)
+  const handleBoardMouseMove = useCallback((e) => {
+    if (!boardRef.current) return;
+    const rect = boardRef.current.getBoundingClientRect();
+    emitSocketEvent('cursor-move', {
+      x: (e.clientX - rect.left) / zoom,
+      y: (e.clientY - rect.top) / zoom
+    });
+  }, [emitSocketEvent, zoom]);
+
+  const handlePostDrag = useCallback((postId, x, y, dragging) => {
+    emitSocketEvent('post-drag', { postId, x, y, dragging });
+  }, [emitSocketEvent]);
 
   const handleCreatePost = useCallback(async (postData) => {
     try {
@@ -1465,20 +2616,54 @@ const PanelScreen = ({ panel, onBackToHome }) => {
         throw new Error('ID do painel inválido');
       }
       
-      await apiService.createPost(panel.id, postPayload);
+      const operation = {
+        type: 'create',
+        postId: createUuid(),
+        payload: postPayload,
+        authorName: userName,
+        createdAt: new Date().toISOString()
+      };
+      const { queued } = await sendOrQueue(operation, (idempotencyKey) =>
+        apiService.createPost(panel.id, { ...postPayload, id: operation.postId }, { idempotencyKey })
+      );
+      if (queued) {
+        applyQueuedOperation(operation);
+      }
       setShowNewPostForm(false);
     } catch (err) {
       console.error('❌ Erro ao criar post:', err);
       setError(err.message);
     }
-  }, [panel.id, userName, zoom, pan, isMobile, colors.notes]);
+  }, [panel.id, userName, zoom, pan, isMobile, colors.notes, sendOrQueue, applyQueuedOperation]);
 
   const handleDeletePost = useCallback(async (postId) => {
     try {
-      await apiService.deletePost(postId, { panel_id: panel.id });
+      const operation = {
+        type: 'delete',
+        postId,
+        baseUpdatedAt: posts.find(p => p.id === postId)?.updated_at
+      };
+      const { queued } = await sendOrQueue(operation, (idempotencyKey) =>
+        apiService.deletePost(postId, { panel_id: panel.id }, { idempotencyKey })
+      );
+      if (queued) {
+        applyQueuedOperation(operation);
+      }
     } catch (err) {
       setError(err.message);
     }
+  }, [panel.id, posts, sendOrQueue, applyQueuedOperation]);
+
+  const handleEditPost = useCallback(async (postId, changes) => {
+    try {
+      await apiService.updatePost(postId, {
+        ...changes,
+        panel_id: panel.id
+      });
+    } catch (err) {
+      console.error('❌ Erro ao editar post:', err);
+      setError(`Erro ao editar nota: ${err.message}`);
+    }
   }, [panel.id]);
 
   const handleMovePost = useCallback(async (postId, x, y) => {
@@ -1491,19 +2676,127 @@ const PanelScreen = ({ panel, onBackToHome }) => {
         throw new Error('Posições inválidas');
       }
       
-      const limitedX = Math.max(0, Math.min(2000 - 250, x));
-      const limitedY = Math.max(0, Math.min(1500 - 180, y));
+      const limitedX = Math.round(Math.max(0, Math.min(2000 - 250, x)));
+      const limitedY = Math.round(Math.max(0, Math.min(1500 - 180, y)));
       
-      await apiService.updatePostPosition(postId, {
-        position_x: limitedX,
-        position_y: limitedY,
-        panel_id: panel.id
-      });
+      const operation = {
+        type: 'move',
+        postId,
+        payload: { position_x: limitedX, position_y: limitedY },
+        baseUpdatedAt: posts.find(p => p.id === postId)?.updated_at
+      };
+      const { queued } = await sendOrQueue(operation, (idempotencyKey) =>
+        apiService.updatePostPosition(postId, {
+          position_x: limitedX,
+          position_y: limitedY,
+          panel_id: panel.id
+        }, { idempotencyKey })
+      );
+      if (queued) {
+        applyQueuedOperation(operation);
+      }
     } catch (err) {
       console.error('❌ Erro ao mover post:', err);
       setError(`Erro ao mover nota: ${err.message}`);
     }
-  }, [panel.id]);
+  }, [panel.id, posts, sendOrQueue, applyQueuedOperation]);
+
+  // Reagir (ou desfazer a reação) com um emoji
+  const handleToggleReaction = useCallback(async (postId, emoji) => {
+    const post = posts.find(p => p.id === postId);
+    const reacted = (post?.reactions || []).some(r => r.emoji === emoji && r.user_ids.includes(user?.id));
+    try {
+      const result = reacted
+        ? await apiService.removePostReaction(postId, emoji)
+        : await apiService.addPostReaction(postId, emoji);
+      handlePostReaction(result);
+    } catch (err) {
+      console.error('❌ Erro ao reagir à nota:', err);
+      setError(`Erro ao reagir à nota: ${err.message}`);
+    }
+  }, [posts, user?.id, handlePostReaction]);
+
+  // Abrir/fechar as respostas de uma nota
+  const handleToggleComments = useCallback(async (postId) => {
+    if (openThreads[postId] !== undefined) {
+      setOpenThreads(prev => {
+        const next = { ...prev };
+        delete next[postId];
+        return next;
+      });
+      return;
+    }
+
+    setOpenThreads(prev => ({ ...prev, [postId]: null }));
+    try {
+      const comments = await apiService.getPostComments(postId);
+      setOpenThreads(prev => prev[postId] !== undefined ? { ...prev, [postId]: comments } : prev);
+    } catch (err) {
+      console.error('❌ Erro ao carregar respostas:', err);
+      setError(`Erro ao carregar respostas: ${err.message}`);
+      setOpenThreads(prev => {
+        const next = { ...prev };
+        delete next[postId];
+        return next;
+      });
+    }
+  }, [openThreads]);
+
+  const handleAddComment = useCallback(async (postId, content, anonymous) => {
+    try {
+      const comment = await apiService.createPostComment(postId, { content, anonymous });
+      // Substitui a cópia do comment-added, se chegou antes (sem is_mine)
+      setOpenThreads(prev => {
+        const comments = prev[postId];
+        if (!comments) return prev;
+        return {
+          ...prev,
+          [postId]: comments.some(c => c.id === comment.id)
+            ? comments.map(c => c.id === comment.id ? comment : c)
+            : [...comments, comment]
+        };
+      });
+      return true;
+    } catch (err) {
+      console.error('❌ Erro ao responder nota:', err);
+      setError(`Erro ao responder nota: ${err.message}`);
+      return false;
+    }
+  }, []);
+
+  const handleDeleteComment = useCallback(async (postId, commentId) => {
+    try {
+      await apiService.deletePostComment(postId, commentId);
+      setOpenThreads(prev => prev[postId]
+        ? { ...prev, [postId]: prev[postId].filter(c => c.id !== commentId) }
+        : prev);
+    } catch (err) {
+      console.error('❌ Erro ao remover resposta:', err);
+      setError(`Erro ao remover resposta: ${err.message}`);
+    }
+  }, []);
+
+  const handleChangePostLabels = useCallback(async (postId, labelIds) => {
+    try {
+      handlePostLabelsUpdated(await apiService.setPostLabels(postId, labelIds));
+    } catch (err) {
+      console.error('❌ Erro ao alterar etiquetas:', err);
+      setError(`Erro ao alterar etiquetas: ${err.message}`);
+    }
+  }, [handlePostLabelsUpdated]);
+
+  // Filtro por etiquetas: as notas fora do filtro ficam apagadas no mural
+  const matchesLabelFilter = (post) => {
+    if (labelFilter.ids.length === 0) return true;
+    const postLabelIds = post.label_ids || [];
+    return labelFilter.match === 'all'
+      ? labelFilter.ids.every(id => postLabelIds.includes(id))
+      : labelFilter.ids.some(id => postLabelIds.includes(id));
+  };
+
+  const handleCloseHistory = useCallback(() => {
+    setHistoryPost(null);
+  }, []);
 
   const handleLeavePanel = useCallback(async () => {
     try {
@@ -1553,22 +2846,33 @@ const PanelScreen = ({ panel, onBackToHome }) => {
           {isMobile ? (
             // Layout mobile SIMPLIFICADO
             <div className="space-y-3">
-              <div className="flex items-center justify-center">
+              <div className="flex items-center justify-center gap-2">
                 <h1 className="text-base font-bold text-gray-800 text-center">
                   {panel.name}
                 </h1>
+                <PresenceAvatars users={presence} />
               </div>
               
               {/* Controles em duas linhas para melhor organização */}
               <div className="flex flex-col gap-2">
                 {/* Primeira linha - ações principais */}
                 <div className="flex items-center justify-center gap-2">
+                  {!isViewer && (
+                    <button
+                      onClick={() => setShowNewPostForm(true)}
+                      className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm bg-white bg-opacity-20 border border-white border-opacity-30"
+                    >
+                      <Plus className="w-4 h-4" />
+                      <span>Nota</span>
+                    </button>
+                  )}
+                  
                   <button
-                    onClick={() => setShowNewPostForm(true)}
+                    onClick={() => setShowParticipantsModal(true)}
                     className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm bg-white bg-opacity-20 border border-white border-opacity-30"
                   >
-                    <Plus className="w-4 h-4" />
-                    <span>Nota</span>
+                    <Users className="w-4 h-4" />
+                    <span>Pessoas</span>
                   </button>
                   
                   <button
@@ -1578,6 +2882,16 @@ const PanelScreen = ({ panel, onBackToHome }) => {
                     <Share2 className="w-4 h-4" />
                     <span>Compartilhar</span>
                   </button>
+                  
+                  {isOwner && (
+                    <button
+                      onClick={() => setShowSettingsModal(true)}
+                      className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm bg-white bg-opacity-20 border border-white border-opacity-30"
+                    >
+                      <Settings className="w-4 h-4" />
+                      <span>Ajustes</span>
+                    </button>
+                  )}
                 </div>
                 
                 {/* Segunda linha - navegação */}
@@ -1590,6 +2904,24 @@ const PanelScreen = ({ panel, onBackToHome }) => {
                     <span>Início</span>
                   </button>
                   
+                  <button
+                    onClick={() => setShowExportModal(true)}
+                    className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm bg-white bg-opacity-20 border border-white border-opacity-30"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>Exportar</span>
+                  </button>
+                  
+                  {isOwner && (
+                    <button
+                      onClick={() => setShowRetentionModal(true)}
+                      className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm bg-white bg-opacity-20 border border-white border-opacity-30"
+                    >
+                      <Clock className="w-4 h-4" />
+                      <span>Retenção</span>
+                    </button>
+                  )}
+                  
                   <button
                     onClick={() => setShowLeaveModal(true)}
                     className="flex items-center gap-1 px-3 py-2 rounded-lg hover:bg-red-100 transition-colors text-sm text-red-600 bg-red-50 border border-red-200"
@@ -1603,8 +2935,9 @@ const PanelScreen = ({ panel, onBackToHome }) => {
           ) : (
             // Layout desktop SIMPLIFICADO
             <div className="flex items-center justify-between">
-              <div className="flex items-center">
+              <div className="flex items-center gap-3">
                 <h1 className="text-xl font-bold text-gray-800">{panel.name}</h1>
+                <PresenceAvatars users={presence} />
               </div>
               
               <div className="flex items-center gap-3">
@@ -1617,187 +2950,1217 @@ const PanelScreen = ({ panel, onBackToHome }) => {
                 </button>
                 
                 <button
-                  onClick={() => setShowNewPostForm(true)}
+                  onClick={() => setShowParticipantsModal(true)}
+                  className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm"
+                >
+                  <Users className="w-4 h-4" />
+                  Participantes
+                </button>
+
+                <button
+                  onClick={() => setShowExportModal(true)}
                   className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm"
+                  title="Baixar o mural como imagem, PDF ou JSON"
+                >
+                  <Download className="w-4 h-4" />
+                  Exportar
+                </button>
+
+                {isOwner && (
+                  <button
+                    onClick={() => setShowSettingsModal(true)}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm"
+                    title="Nome, cor, senha e limite de usuários"
+                  >
+                    <Settings className="w-4 h-4" />
+                    Ajustes
+                  </button>
+                )}
+
+                {isOwner && (
+                  <button
+                    onClick={() => setShowRetentionModal(true)}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm"
+                    title="Definir o que acontece com o mural após um período sem atividade"
+                  >
+                    <Clock className="w-4 h-4" />
+                    Retenção
+                  </button>
+                )}
+                
+                {!isViewer && (
+                  <button
+                    onClick={() => setShowNewPostForm(true)}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-black hover:bg-opacity-10 transition-colors text-sm"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Nova Nota
+                  </button>
+                )}
+
+                <button
+                  onClick={onBackToHome}
+                  className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-blue-100 transition-colors text-sm text-blue-600"
+                >
+                  <Home className="w-4 h-4" />
+                  Início
+                </button>
+
+                <button
+                  onClick={() => setShowLeaveModal(true)}
+                  className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-red-100 transition-colors text-sm text-red-600"
                 >
-                  <Plus className="w-4 h-4" />
-                  Nova Nota
+                  <ArrowLeft className="w-4 h-4" />
+                  Sair
                 </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Área do Mural com Touch Responsivo */}
+      <div 
+        ref={panelRef}
+        className={`relative min-h-screen overflow-hidden ${isMobile ? 'pt-28' : 'pt-24'} pb-4`}
+        style={{
+          cursor: isPanning ? 'grabbing' : isZooming ? 'grabbing' : (isMobile ? 'grab' : 'default'),
+          touchAction: 'none'
+        }}
+      >
+        <div
+          ref={boardRef}
+          onMouseMove={isMobile ? undefined : handleBoardMouseMove}
+          className="relative origin-top-left transition-transform duration-200"
+          style={{
+            transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
+            width: '2000px',
+            height: '1500px',
+            minWidth: '100vw',
+            minHeight: '100vh'
+          }}
+        >
+          {posts.map(post => (
+            <div
+              key={post.id}
+              data-postit="true"
+              data-unread-post-id={post.unread ? post.id : undefined}
+              onClick={() => focusOnPost(post)}
+              className={`${focusedPost === post.id ? 'ring-4 ring-blue-400 ring-opacity-75' : ''}`}
+            >
+              <PostIt
+                post={post}
+                onDelete={handleDeletePost}
+                onMove={isViewer ? undefined : handleMovePost}
+                onDrag={isViewer ? undefined : handlePostDrag}
+                remoteDrag={remoteDrags[post.id]}
+                syncStatus={syncStatus[post.id]}
+                isUnread={!!post.unread}
+                labels={labels}
+                onChangeLabels={canModerate || (!isViewer && post.author_user_id === user?.id) ? handleChangePostLabels : undefined}
+                isDimmed={!matchesLabelFilter(post)}
+                onEdit={isViewer ? undefined : handleEditPost}
+                onShowHistory={setHistoryPost}
+                onToggleReaction={isViewer ? undefined : handleToggleReaction}
+                comments={openThreads[post.id]}
+                onToggleComments={handleToggleComments}
+                onAddComment={isViewer ? undefined : handleAddComment}
+                onDeleteComment={handleDeleteComment}
+                currentUserId={user?.id}
+                canDelete={canModerate}
+                noteColors={colors.notes}
+                zoom={zoom}
+                isMobile={isMobile}
+              />
+            </div>
+          ))}
+          
+          {/* Cursores dos outros participantes */}
+          {Object.values(remoteCursors).map(cursor => (
+            <div
+              key={cursor.userId}
+              className="absolute pointer-events-none z-50 transition-all duration-75"
+              style={{ left: cursor.x, top: cursor.y }}
+            >
+              <svg width="18" height="18" viewBox="0 0 18 18" style={{ fill: cursor.color }}>
+                <path d="M0 0 L0 14 L4 10 L7 17 L10 16 L7 9 L13 9 Z" stroke="white" strokeWidth="1" />
+              </svg>
+              <span
+                className="ml-3 px-1.5 py-0.5 rounded text-xs text-white whitespace-nowrap"
+                style={{ backgroundColor: cursor.color }}
+              >
+                {cursor.userName}
+              </span>
+            </div>
+          ))}
+
+          {posts.length === 0 && (
+            <div className="absolute top-1/4 left-1/2 transform -translate-x-1/2 text-center text-gray-500 bg-white bg-opacity-70 rounded-xl max-w-md p-8">
+              <StickyNote className="w-16 h-16 mx-auto mb-4 opacity-50" />
+              <p className="text-lg">Seu mural está vazio</p>
+              <p className="text-sm">Clique em "Nota" para começar!</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Botão flutuante para nova nota no mobile */}
+      {isMobile && !isViewer && (
+        <button
+          onClick={() => setShowNewPostForm(true)}
+          className="fixed bottom-6 right-6 w-16 h-16 bg-gradient-to-br from-yellow-400 to-yellow-500 text-gray-800 rounded-2xl shadow-xl hover:shadow-2xl hover:scale-105 transition-all duration-200 flex items-center justify-center z-40 border-2 border-yellow-300"
+          style={{
+            background: 'linear-gradient(135deg, #FEF08A 0%, #FDE047 50%, #FACC15 100%)',
+          }}
+        >
+          <div className="relative">
+            <div className="w-8 h-8 bg-yellow-200 rounded-sm transform rotate-3 absolute -top-1 -left-1 opacity-60"></div>
+            <div className="w-8 h-8 bg-yellow-100 rounded-sm flex items-center justify-center">
+              <span className="text-gray-700 font-bold text-lg">+</span>
+            </div>
+            <div className="absolute -top-1 left-1/2 transform -translate-x-1/2 w-4 h-2 bg-yellow-200 opacity-70 rounded-sm"></div>
+          </div>
+        </button>
+      )}
+
+      {/* Modal de Nova Nota */}
+      {showNewPostForm && (
+        <NewPostForm
+          onSubmit={handleCreatePost}
+          onCancel={() => setShowNewPostForm(false)}
+          colors={colors}
+          userName={userName}
+        />
+      )}
+
+      {/* Modal de Histórico da Nota */}
+      {historyPost && (
+        <PostHistoryModal
+          post={historyPost}
+          canRestore={canModerate || (!isViewer && historyPost.author_user_id === user?.id)}
+          onClose={handleCloseHistory}
+          onError={setError}
+        />
+      )}
+
+      {/* Modal de Exportação */}
+      {showExportModal && (
+        <ExportPanelModal
+          panel={panel}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
+
+      {/* Modal de Configurações do Mural */}
+      {showSettingsModal && (
+        <PanelSettingsModal
+          panel={panel}
+          onClose={() => setShowSettingsModal(false)}
+          onSaved={(updates) => setPanel(prev => ({ ...prev, ...updates }))}
+        />
+      )}
+
+      {/* Modal de Retenção */}
+      <LabelFilterBar
+        labels={labels}
+        filter={labelFilter}
+        onChange={setLabelFilter}
+        onManage={isViewer ? undefined : () => setShowLabelsModal(true)}
+        isMobile={isMobile}
+      />
+
+      {showLabelsModal && (
+        <LabelsModal
+          panel={panel}
+          labels={labels.map(label => ({
+            ...label,
+            post_count: posts.filter(p => (p.label_ids || []).includes(label.id)).length
+          }))}
+          currentUserId={user?.id}
+          canModerate={canModerate}
+          onCreated={handleLabelCreated}
+          onUpdated={handleLabelUpdated}
+          onDeleted={handleLabelDeleted}
+          onClose={() => setShowLabelsModal(false)}
+        />
+      )}
+
+      {showRetentionModal && (
+        <RetentionModal
+          panel={panel}
+          onClose={() => setShowRetentionModal(false)}
+        />
+      )}
+
+      {/* Modal de Participantes */}
+      {showParticipantsModal && (
+        <ParticipantsModal
+          panel={panel}
+          currentUserId={user?.id}
+          myRole={myRole}
+          onClose={() => setShowParticipantsModal(false)}
+          onError={setError}
+        />
+      )}
+
+      {/* Modal de Compartilhamento */}
+      <ShareModal 
+        panel={panel}
+        isOpen={showShareModal} 
+        onClose={() => setShowShareModal(false)}
+        isMobile={isMobile}
+        canInvite={!isViewer}
+      />
+
+      {/* Modal de Confirmação de Saída */}
+      {showLeaveModal && (
+        <Modal isOpen={showLeaveModal} onClose={() => setShowLeaveModal(false)} title="Sair do Mural">
+          <div className="space-y-4">
+            <div className="text-center">
+              <div className="text-6xl mb-4">🚪</div>
+              <p className="text-lg text-gray-800 mb-2">Tem certeza que deseja sair deste mural?</p>
+              <p className="text-sm text-gray-600">
+                Você precisará do código <strong>{panel.id}</strong> para entrar novamente.
+              </p>
+              <p className="text-xs text-gray-500 mt-2">
+                Se você for o último participante, o mural vai para a lixeira e pode ser restaurado em "Meus Murais" por alguns dias.
+              </p>
+            </div>
+            
+            <div className="flex gap-3">
+              <button
+                onClick={() => setShowLeaveModal(false)}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={handleLeavePanel}
+                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+              >
+                Confirmar Saída
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+
+      {/* Status da fila offline */}
+      {(!isOnline || pendingCount > 0) && (
+        <div className={`fixed ${isMobile ? 'top-32' : 'top-20'} left-1/2 transform -translate-x-1/2 bg-gray-800 text-white text-sm px-4 py-2 rounded-full shadow-lg z-40 flex items-center gap-2`}>
+          {isOnline ? <RefreshCw className="w-4 h-4 animate-spin" /> : <WifiOff className="w-4 h-4" />}
+          {isOnline
+            ? 'Sincronizando alterações feitas offline...'
+            : 'Sem conexão. Suas alterações serão enviadas quando ela voltar.'}
+          {pendingCount > 0 && (
+            <span className="bg-white bg-opacity-20 rounded-full px-2 text-xs">{pendingCount} pendente{pendingCount > 1 ? 's' : ''}</span>
+          )}
+        </div>
+      )}
+
+      {/* Toast de Erro */}
+      {error && (
+        <div className={`fixed ${isMobile ? 'bottom-32 left-4 right-4' : 'bottom-4 right-4'} bg-red-500 text-white px-4 py-2 rounded-lg shadow-lg z-50`}>
+          <div className="flex items-center gap-2">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+            <button 
+              onClick={() => setError('')}
+              className="ml-2 hover:bg-red-600 rounded p-1"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Modal com os participantes do mural e seus papéis
+const ParticipantsModal = ({ panel, currentUserId, myRole, onClose, onError }) => {
+  const [participants, setParticipants] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  const isOwner = myRole === PANEL_ROLES.OWNER;
+  const canModerate = isOwner || myRole === PANEL_ROLES.MODERATOR;
+
+  const loadParticipants = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [data, bansData] = await Promise.all([
+        apiService.getPanelParticipants(panel.id),
+        canModerate ? apiService.getPanelBans(panel.id) : Promise.resolve([])
+      ]);
+      setParticipants(data);
+      setBans(bansData);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [panel.id, canModerate, onError]);
+
+  useEffect(() => {
+    loadParticipants();
+  }, [loadParticipants]);
+
+  const handleRoleChange = async (participant, role) => {
+    if (role === PANEL_ROLES.OWNER &&
+        !window.confirm(`Transferir a posse do mural para ${participant.username}? Você passará a ser moderador.`)) {
+      return;
+    }
+
+    try {
+      setUpdatingId(participant.user_uuid);
+      await apiService.updateParticipantRole(panel.id, participant.user_uuid, role);
+      await loadParticipants();
+    } catch (err) {
+      onError(`Erro ao alterar papel: ${err.message}`);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleRemove = async (participant, ban) => {
+    const action = ban ? 'Banir' : 'Remover';
+    if (!window.confirm(`${action} ${participant.username} do mural?`)) {
+      return;
+    }
+
+    try {
+      setUpdatingId(participant.user_uuid);
+      await apiService.removeParticipant(panel.id, participant.user_uuid, { ban });
+      await loadParticipants();
+    } catch (err) {
+      onError(`Erro ao remover participante: ${err.message}`);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleUnban = async (ban) => {
+    try {
+      setUpdatingId(ban.user_uuid);
+      await apiService.unbanUser(panel.id, ban.user_uuid);
+      setBans(prev => prev.filter(b => b.user_uuid !== ban.user_uuid));
+    } catch (err) {
+      onError(`Erro ao remover banimento: ${err.message}`);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const canRemove = (participant) =>
+    canModerate &&
+    participant.user_uuid !== currentUserId &&
+    ROLE_LEVELS[participant.role] < ROLE_LEVELS[myRole];
+
+  return (
+    <Modal isOpen={true} onClose={onClose} title="Participantes">
+      {isLoading ? (
+        <p className="text-center text-gray-500 py-6">Carregando participantes...</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {participants.map(participant => (
+            <li key={participant.user_uuid} className="flex items-center justify-between py-3 gap-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 truncate">
+                  {participant.username}
+                  {participant.user_uuid === currentUserId && (
+                    <span className="text-xs text-gray-500 ml-1">(você)</span>
+                  )}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-2">
+                {isOwner && participant.user_uuid !== currentUserId ? (
+                  <select
+                    value={participant.role}
+                    disabled={updatingId === participant.user_uuid}
+                    onChange={(e) => handleRoleChange(participant, e.target.value)}
+                    className="text-sm border border-gray-300 rounded-md px-2 py-1"
+                  >
+                    {Object.values(PANEL_ROLES).map(role => (
+                      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {ROLE_LABELS[participant.role] || participant.role}
+                  </span>
+                )}
+
+                {canRemove(participant) && (
+                  <>
+                    <button
+                      onClick={() => handleRemove(participant, false)}
+                      disabled={updatingId === participant.user_uuid}
+                      className="text-xs px-2 py-1 rounded-md text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Remover
+                    </button>
+                    <button
+                      onClick={() => handleRemove(participant, true)}
+                      disabled={updatingId === participant.user_uuid}
+                      className="text-xs px-2 py-1 rounded-md text-red-600 border border-red-200 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Banir
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!isLoading && bans.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">Banidos</h4>
+          <ul className="divide-y divide-gray-100">
+            {bans.map(ban => (
+              <li key={ban.user_uuid} className="flex items-center justify-between py-2 gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-800 truncate">{ban.username}</p>
+                  {ban.reason && (
+                    <p className="text-xs text-gray-500 truncate">{ban.reason}</p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleUnban(ban)}
+                  disabled={updatingId === ban.user_uuid}
+                  className="text-xs px-2 py-1 rounded-md text-blue-600 border border-blue-200 hover:bg-blue-50 disabled:opacity-50"
+                >
+                  Desbanir
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+// Modal com o histórico de alterações de uma nota
+// Opções de exportação do mural
+const SNAPSHOT_OPTIONS = [
+  { format: 'png', label: 'Imagem (PNG)', description: 'Para compartilhar ou imprimir' },
+  { format: 'pdf', label: 'Documento (PDF)', description: 'Página única com o mural inteiro' },
+  { format: 'svg', label: 'Vetor (SVG)', description: 'Pode ser ampliado sem perder qualidade' }
+];
+
+// Quem está no mural agora (cor igual à do cursor)
+const PresenceAvatars = ({ users, max = 5 }) => {
+  if (users.length === 0) return null;
+
+  const getInitials = (name = '') => name.split(' ').filter(Boolean).slice(0, 2).map(part => part[0]).join('').toUpperCase();
+
+  return (
+    <div className="flex -space-x-2">
+      {users.slice(0, max).map(presenceUser => (
+        <div
+          key={presenceUser.userId}
+          className="w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-semibold text-white"
+          style={{ backgroundColor: presenceUser.color }}
+          title={presenceUser.userName}
+        >
+          {getInitials(presenceUser.userName)}
+        </div>
+      ))}
+      {users.length > max && (
+        <div className="w-7 h-7 rounded-full border-2 border-white bg-gray-400 flex items-center justify-center text-xs font-semibold text-white">
+          +{users.length - max}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Modal para baixar o mural como imagem/PDF ou como backup JSON
+const ExportPanelModal = ({ panel, onClose }) => {
+  const [loadingFormat, setLoadingFormat] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleDownload = async (format) => {
+    setLoadingFormat(format);
+    setError('');
+
+    try {
+      if (format === 'json') {
+        const archive = await apiService.exportPanel(panel.id);
+        downloadJson(archive, `mural-${panel.id}-${archive.exportedAt.split('T')[0]}.json`);
+      } else {
+        const blob = await apiService.getPanelSnapshot(panel.id, format);
+        downloadBlob(blob, `mural-${panel.id}.${format}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingFormat(null);
+    }
+  };
+
+  const renderOption = ({ format, label, description }) => (
+    <button
+      key={format}
+      onClick={() => handleDownload(format)}
+      disabled={!!loadingFormat}
+      className="w-full flex items-center justify-between p-3 rounded-xl border border-gray-200 hover:bg-gray-50 transition-colors text-left disabled:opacity-50"
+    >
+      <div>
+        <p className="font-medium text-gray-800">{label}</p>
+        <p className="text-xs text-gray-500">{description}</p>
+      </div>
+      {loadingFormat === format ? (
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-slate-600"></div>
+      ) : (
+        <Download className="w-4 h-4 text-gray-500" />
+      )}
+    </button>
+  );
+
+  return (
+    <Modal isOpen onClose={onClose} title="Exportar mural" size="small">
+      <div className="space-y-3">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{error}</div>
+        )}
+        {SNAPSHOT_OPTIONS.map(renderOption)}
+        <div className="pt-3 border-t border-gray-200">
+          {renderOption({ format: 'json', label: 'Backup (JSON)', description: 'Pode ser importado em "Meus murais"' })}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+// Modal para o dono alterar nome, cor de fundo, senha e limite de usuários do mural
+const PanelSettingsModal = ({ panel, onClose, onSaved }) => {
+  const colors = getColors(panel.type);
+  const maxUsersLimit = PANEL_MAX_USERS[panel.type] || PANEL_MAX_USERS.friends;
+  const [name, setName] = useState(panel.name);
+  const [backgroundColor, setBackgroundColor] = useState(panel.background_color);
+  const [maxUsers, setMaxUsers] = useState(String(panel.max_users || maxUsersLimit));
+  const [passwordAction, setPasswordAction] = useState('keep');
+  const [password, setPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    // Enviar apenas o que mudou
+    const settings = {};
+    if (name.trim() !== panel.name) settings.name = name.trim();
+    if (backgroundColor !== panel.background_color) settings.background_color = backgroundColor;
+    if (Number(maxUsers) !== panel.max_users) settings.max_users = Number(maxUsers);
+    if (passwordAction === 'set') settings.password = password;
+    if (passwordAction === 'remove') settings.password = null;
+
+    if (Object.keys(settings).length === 0) {
+      onClose();
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const updated = await apiService.updatePanel(panel.id, settings);
+      onSaved(updated);
+      setPasswordAction('keep');
+      setPassword('');
+      setSuccess('Mural atualizado');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title="Ajustes do mural" size="small">
+      <form onSubmit={handleSave} className="space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{error}</div>
+        )}
+        {success && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-xl text-sm">{success}</div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Nome</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={LIMITS.PANEL_NAME_MAX_LENGTH}
+            className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm"
+            required
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Cor de fundo</label>
+          <div className="flex gap-2 flex-wrap">
+            {colors.backgrounds.map(color => (
+              <button
+                key={color}
+                type="button"
+                onClick={() => setBackgroundColor(color)}
+                className={`w-10 h-10 rounded-xl border-2 transition-all relative ${
+                  backgroundColor === color ? 'border-gray-700 scale-110 shadow-lg' : 'border-gray-300 hover:scale-105'
+                }`}
+                style={{ backgroundColor: color }}
+              >
+                {backgroundColor === color && (
+                  <Check className="w-4 h-4 text-gray-700 absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2" />
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Usuários simultâneos</label>
+          <input
+            type="number"
+            min="1"
+            max={maxUsersLimit}
+            value={maxUsers}
+            onChange={(e) => setMaxUsers(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm"
+            required
+          />
+          <p className="text-xs text-gray-500 mt-1">Máximo de {maxUsersLimit} para este tipo de mural</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Senha</label>
+          <select
+            value={passwordAction}
+            onChange={(e) => setPasswordAction(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm"
+          >
+            <option value="keep">Manter como está</option>
+            <option value="set">Definir nova senha</option>
+            <option value="remove">Remover senha</option>
+          </select>
+          {passwordAction === 'set' && (
+            <input
+              type="password"
+              placeholder="Nova senha do mural"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={4}
+              maxLength={LIMITS.PASSWORD_MAX_LENGTH}
+              className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm mt-2"
+              required
+            />
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full py-2 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors disabled:opacity-50"
+        >
+          {isSaving ? 'Salvando...' : 'Salvar'}
+        </button>
+      </form>
+    </Modal>
+  );
+};
+
+const RETENTION_OPTIONS = [
+  { value: 'default', label: 'Padrão do servidor' },
+  { value: 'delete', label: 'Apagar após inatividade' },
+  { value: 'archive', label: 'Arquivar após inatividade' },
+  { value: 'never', label: 'Nunca expirar' }
+];
+
+const RETENTION_POLICY_LABELS = {
+  delete: 'apagado',
+  archive: 'arquivado'
+};
+
+// Modal para o dono definir a política de retenção do mural
+// Barra de filtro por etiquetas no canto do mural
+const LabelFilterBar = ({ labels, filter, onChange, onManage, isMobile }) => {
+  if (labels.length === 0 && !onManage) return null;
+
+  const toggleLabel = (labelId) => {
+    onChange(prev => ({
+      ...prev,
+      ids: prev.ids.includes(labelId)
+        ? prev.ids.filter(id => id !== labelId)
+        : [...prev.ids, labelId]
+    }));
+  };
+
+  return (
+    <div className={`fixed z-40 flex flex-wrap items-center gap-2 p-2 bg-white bg-opacity-95 rounded-xl shadow-lg border border-gray-200 ${
+      isMobile ? 'bottom-2 left-2 right-2' : 'bottom-4 left-4 max-w-2xl'
+    }`}>
+      <span className="text-xs font-medium text-gray-500">🏷️ Filtrar:</span>
+      {labels.length === 0 && (
+        <span className="text-xs text-gray-400">nenhuma etiqueta</span>
+      )}
+      {labels.map(label => {
+        const active = filter.ids.includes(label.id);
+        return (
+          <button
+            key={label.id}
+            onClick={() => toggleLabel(label.id)}
+            className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs border transition-colors ${
+              active ? 'bg-gray-800 border-gray-800 text-white' : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: label.color }} />
+            {label.name}
+          </button>
+        );
+      })}
+      {filter.ids.length > 1 && (
+        <button
+          onClick={() => onChange(prev => ({ ...prev, match: prev.match === 'all' ? 'any' : 'all' }))}
+          className="px-2 py-1 rounded-full text-xs text-blue-600 hover:bg-blue-50"
+          title="Alternar entre notas com qualquer uma ou com todas as etiquetas"
+        >
+          {filter.match === 'all' ? 'Com todas' : 'Com qualquer uma'}
+        </button>
+      )}
+      {filter.ids.length > 0 && (
+        <button
+          onClick={() => onChange(prev => ({ ...prev, ids: [] }))}
+          className="px-2 py-1 rounded-full text-xs text-gray-500 hover:bg-gray-100"
+        >
+          Limpar
+        </button>
+      )}
+      {onManage && (
+        <button
+          onClick={onManage}
+          className="px-2 py-1 rounded-full text-xs text-gray-500 hover:bg-gray-100"
+          title="Criar, renomear e excluir etiquetas"
+        >
+          Gerenciar
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Criar, renomear e excluir as etiquetas do painel
+const LabelsModal = ({ panel, labels, currentUserId, canModerate, onCreated, onUpdated, onDeleted, onClose }) => {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(LABEL_COLORS[0]);
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    run(async () => {
+      onCreated(await apiService.createPanelLabel(panel.id, { name, color }));
+      setName('');
+    });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+    run(async () => {
+      onUpdated(await apiService.updatePanelLabel(panel.id, editing.id, { name: editing.name.trim() }));
+      setEditing(null);
+    });
+  };
+
+  const handleDelete = (label) => {
+    const message = label.post_count > 0
+      ? `Excluir a etiqueta "${label.name}"? Ela será removida de ${label.post_count} nota(s).`
+      : `Excluir a etiqueta "${label.name}"?`;
+    if (!window.confirm(message)) return;
+    run(async () => {
+      await apiService.deletePanelLabel(panel.id, label.id);
+      onDeleted({ label_id: label.id });
+    });
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title="Etiquetas do mural" size="small">
+      <div className="space-y-4">
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{error}</div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Nova etiqueta (ex.: Ações)"
+              maxLength={LIMITS.LABEL_NAME_MAX_LENGTH}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-xl text-sm"
+            />
+            <button
+              type="submit"
+              disabled={isSaving || !name.trim()}
+              className="px-3 py-2 rounded-xl bg-slate-700 text-white text-sm hover:bg-slate-800 disabled:opacity-50"
+            >
+              Criar
+            </button>
+          </div>
+          <div className="flex gap-2">
+            {LABEL_COLORS.map(labelColor => (
+              <button
+                key={labelColor}
+                type="button"
+                onClick={() => setColor(labelColor)}
+                className={`w-6 h-6 rounded-full border-2 ${color === labelColor ? 'border-gray-800' : 'border-gray-200'}`}
+                style={{ backgroundColor: labelColor }}
+              />
+            ))}
+          </div>
+        </form>
+
+        {labels.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-2">Nenhuma etiqueta criada</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+            {labels.map(label => {
+              const canEdit = canModerate || label.created_by_user_id === currentUserId;
+              return (
+                <li key={label.id} className="flex items-center gap-2 py-2">
+                  <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: label.color }} />
+                  {editing?.id === label.id ? (
+                    <form onSubmit={handleRename} className="flex flex-1 gap-2">
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        maxLength={LIMITS.LABEL_NAME_MAX_LENGTH}
+                        autoFocus
+                        className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <button type="submit" disabled={isSaving} className="text-xs text-blue-600 hover:text-blue-800">Salvar</button>
+                      <button type="button" onClick={() => setEditing(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancelar</button>
+                    </form>
+                  ) : (
+                    <>
+                      <span className="flex-1 text-sm text-gray-800 truncate">{label.name}</span>
+                      <span className="text-xs text-gray-400">{label.post_count || 0} nota(s)</span>
+                      {canEdit && (
+                        <>
+                          <button
+                            onClick={() => setEditing({ id: label.id, name: label.name })}
+                            className="text-xs text-blue-600 hover:text-blue-800"
+                          >
+                            Renomear
+                          </button>
+                          <button
+                            onClick={() => handleDelete(label)}
+                            disabled={isSaving}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Excluir
+                          </button>
+                        </>
+                      )}
+                    </>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </Modal>
+  );
+};
 
-                <button
-                  onClick={onBackToHome}
-                  className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-blue-100 transition-colors text-sm text-blue-600"
-                >
-                  <Home className="w-4 h-4" />
-                  Início
-                </button>
+const RetentionModal = ({ panel, onClose }) => {
+  const [retention, setRetention] = useState(null);
+  const [policy, setPolicy] = useState('default');
+  const [days, setDays] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
 
-                <button
-                  onClick={() => setShowLeaveModal(true)}
-                  className="flex items-center gap-2 px-3 py-2 rounded-lg hover:bg-red-100 transition-colors text-sm text-red-600"
-                >
-                  <ArrowLeft className="w-4 h-4" />
-                  Sair
-                </button>
-              </div>
-            </div>
+  const applyRetention = (data) => {
+    setRetention(data);
+    setPolicy(data.policy);
+    setDays(data.days ? String(data.days) : '');
+  };
+
+  useEffect(() => {
+    apiService.getPanelRetention(panel.id)
+      .then(applyRetention)
+      .catch(err => setError(err.message));
+  }, [panel.id]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const data = await apiService.updatePanelRetention(panel.id, {
+        policy,
+        days: days ? Number(days) : null
+      });
+      applyRetention(data);
+      setSuccess('Retenção atualizada');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const describeEffective = () => {
+    if (retention.effective_policy === 'never') {
+      return 'Este mural nunca será removido por inatividade.';
+    }
+    const action = RETENTION_POLICY_LABELS[retention.effective_policy];
+    const when = retention.purge_at
+      ? ` Sem novas atividades, será ${action} em ${new Date(retention.purge_at).toLocaleDateString('pt-BR')}.`
+      : '';
+    return `Após ${retention.effective_days} dias sem atividade o mural é ${action}.${when}`;
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title="Retenção do mural" size="small">
+      {!retention ? (
+        error ? (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{error}</div>
+        ) : (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-slate-600"></div>
+          </div>
+        )
+      ) : (
+        <form onSubmit={handleSave} className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-xl text-sm">{error}</div>
+          )}
+          {success && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-xl text-sm">{success}</div>
           )}
-        </div>
-      </div>
 
-      {/* Área do Mural com Touch Responsivo */}
-      <div 
-        ref={panelRef}
-        className={`relative min-h-screen overflow-hidden ${isMobile ? 'pt-28' : 'pt-24'} pb-4`}
-        style={{
-          cursor: isPanning ? 'grabbing' : isZooming ? 'grabbing' : (isMobile ? 'grab' : 'default'),
-          touchAction: 'none'
-        }}
-      >
-        <div
-          className="relative origin-top-left transition-transform duration-200"
-          style={{
-            transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
-            width: '2000px',
-            height: '1500px',
-            minWidth: '100vw',
-            minHeight: '100vh'
-          }}
-        >
-          {posts.map(post => (
-            <div
-              key={post.id}
-              data-postit="true"
-              onClick={() => focusOnPost(post)}
-              className={`${focusedPost === post.id ? 'ring-4 ring-blue-400 ring-opacity-75' : ''}`}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Política</label>
+            <select
+              value={policy}
+              onChange={(e) => setPolicy(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm"
             >
-              <PostIt
-                post={post}
-                onDelete={handleDeletePost}
-                onMove={handleMovePost}
-                currentUserId={user?.id}
-                canDelete={true}
-                zoom={zoom}
-                isMobile={isMobile}
+              {RETENTION_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.value === 'default'
+                    ? `${option.label} (${RETENTION_OPTIONS.find(o => o.value === retention.defaults.policy)?.label.toLowerCase()})`
+                    : option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {policy !== 'never' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Dias sem atividade</label>
+              <input
+                type="number"
+                min="1"
+                max={retention.defaults.max_days}
+                value={days}
+                onChange={(e) => setDays(e.target.value)}
+                placeholder={`Padrão: ${retention.defaults.days}`}
+                className="w-full px-3 py-2 border border-gray-300 rounded-xl text-sm"
               />
             </div>
-          ))}
-          
-          {posts.length === 0 && (
-            <div className="absolute top-1/4 left-1/2 transform -translate-x-1/2 text-center text-gray-500 bg-white bg-opacity-70 rounded-xl max-w-md p-8">
-              <StickyNote className="w-16 h-16 mx-auto mb-4 opacity-50" />
-              <p className="text-lg">Seu mural está vazio</p>
-              <p className="text-sm">Clique em "Nota" para começar!</p>
-            </div>
           )}
-        </div>
-      </div>
 
-      {/* Botão flutuante para nova nota no mobile */}
-      {isMobile && (
-        <button
-          onClick={() => setShowNewPostForm(true)}
-          className="fixed bottom-6 right-6 w-16 h-16 bg-gradient-to-br from-yellow-400 to-yellow-500 text-gray-800 rounded-2xl shadow-xl hover:shadow-2xl hover:scale-105 transition-all duration-200 flex items-center justify-center z-40 border-2 border-yellow-300"
-          style={{
-            background: 'linear-gradient(135deg, #FEF08A 0%, #FDE047 50%, #FACC15 100%)',
-          }}
-        >
-          <div className="relative">
-            <div className="w-8 h-8 bg-yellow-200 rounded-sm transform rotate-3 absolute -top-1 -left-1 opacity-60"></div>
-            <div className="w-8 h-8 bg-yellow-100 rounded-sm flex items-center justify-center">
-              <span className="text-gray-700 font-bold text-lg">+</span>
-            </div>
-            <div className="absolute -top-1 left-1/2 transform -translate-x-1/2 w-4 h-2 bg-yellow-200 opacity-70 rounded-sm"></div>
-          </div>
-        </button>
-      )}
+          <p className="text-xs text-gray-500">
+            {describeEffective()} Os participantes recebem um aviso por email {retention.defaults.warning_days} dias antes.
+            Murais arquivados voltam ao normal quando alguém os abre.
+          </p>
 
-      {/* Modal de Nova Nota */}
-      {showNewPostForm && (
-        <NewPostForm
-          onSubmit={handleCreatePost}
-          onCancel={() => setShowNewPostForm(false)}
-          colors={colors}
-          userName={userName}
-        />
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="w-full py-2 rounded-xl font-semibold bg-slate-600 text-white hover:bg-slate-700 transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Salvando...' : 'Salvar'}
+          </button>
+        </form>
       )}
+    </Modal>
+  );
+};
 
-      {/* Modal de Compartilhamento */}
-      <ShareModal 
-        panel={panel}
-        isOpen={showShareModal} 
-        onClose={() => setShowShareModal(false)}
-        isMobile={isMobile}
-      />
+const PostHistoryModal = ({ post, canRestore, onClose, onError }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
 
-      {/* Modal de Confirmação de Saída */}
-      {showLeaveModal && (
-        <Modal isOpen={showLeaveModal} onClose={() => setShowLeaveModal(false)} title="Sair do Mural">
-          <div className="space-y-4">
-            <div className="text-center">
-              <div className="text-6xl mb-4">🚪</div>
-              <p className="text-lg text-gray-800 mb-2">Tem certeza que deseja sair deste mural?</p>
-              <p className="text-sm text-gray-600">
-                Você precisará do código <strong>{panel.id}</strong> para entrar novamente.
-              </p>
-            </div>
-            
-            <div className="flex gap-3">
-              <button
-                onClick={() => setShowLeaveModal(false)}
-                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
-              >
-                Cancelar
-              </button>
-              <button
-                onClick={handleLeavePanel}
-                className="flex-1 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
-              >
-                Confirmar Saída
-              </button>
-            </div>
-          </div>
-        </Modal>
-      )}
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        setIsLoading(true);
+        const data = await apiService.getPostRevisions(post.id);
+        setRevisions(data);
+      } catch (err) {
+        onError(err.message);
+        onClose();
+      } finally {
+        setIsLoading(false);
+      }
+    };
 
-      {/* Toast de Erro */}
-      {error && (
-        <div className={`fixed ${isMobile ? 'bottom-32 left-4 right-4' : 'bottom-4 right-4'} bg-red-500 text-white px-4 py-2 rounded-lg shadow-lg z-50`}>
-          <div className="flex items-center gap-2">
-            <AlertCircle className="w-4 h-4" />
-            {error}
-            <button 
-              onClick={() => setError('')}
-              className="ml-2 hover:bg-red-600 rounded p-1"
+    loadRevisions();
+  }, [post.id, onClose, onError]);
+
+  const handleRestore = async (revisionId) => {
+    try {
+      setRestoringId(revisionId);
+      // A nota atualizada chega a todos via evento post-updated
+      await apiService.restorePostRevision(post.id, revisionId);
+      onClose();
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const getChangeLabel = (changeType) => {
+    switch (changeType) {
+      case 'move': return 'Antes de mover';
+      case 'restore': return 'Antes de restaurar';
+      default: return 'Antes de editar';
+    }
+  };
+
+  return (
+    <Modal isOpen={true} onClose={onClose} title="Histórico da Nota">
+      {isLoading ? (
+        <div className="text-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-slate-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Carregando histórico...</p>
+        </div>
+      ) : revisions.length === 0 ? (
+        <p className="text-center text-gray-600 py-6">Esta nota ainda não foi alterada.</p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {revisions.map(revision => (
+            <div
+              key={revision.id}
+              className="p-3 rounded-lg border border-gray-200"
+              style={{ backgroundColor: revision.color || '#F9FAFB' }}
             >
-              <X className="w-4 h-4" />
-            </button>
-          </div>
+              <div className="flex items-center justify-between mb-1 text-xs text-gray-600">
+                <span>
+                  {getChangeLabel(revision.change_type)}
+                  {revision.changed_by_name ? ` · ${revision.changed_by_name}` : ''}
+                </span>
+                <span>{new Date(revision.created_at).toLocaleString('pt-BR')}</span>
+              </div>
+              <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+                {revision.content}
+              </p>
+              {canRestore && (
+                <div className="flex justify-end mt-2">
+                  <button
+                    onClick={() => handleRestore(revision.id)}
+                    disabled={restoringId !== null}
+                    className="px-3 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    {restoringId === revision.id ? 'Restaurando...' : 'Restaurar esta versão'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
         </div>
       )}
-    </div>
+    </Modal>
   );
 };
 
-const ShareModal = ({ panel, isOpen, onClose, isMobile }) => {
-  const [copied, setCopied] = useState(false);
+// Opções de validade dos convites (em horas)
+const INVITE_EXPIRY_OPTIONS = [
+  { value: '24', label: '1 dia' },
+  { value: '168', label: '7 dias' },
+  { value: '720', label: '30 dias' },
+  { value: '', label: 'Sem expiração' }
+];
+
+const INVITE_MAX_USES_OPTIONS = [
+  { value: '1', label: '1 uso' },
+  { value: '5', label: '5 usos' },
+  { value: '25', label: '25 usos' },
+  { value: '', label: 'Ilimitado' }
+];
+
+const ShareModal = ({ panel, isOpen, onClose, isMobile, canInvite = true }) => {
+  const [copied, setCopied] = useState(null);
   const [copiedMessage, setCopiedMessage] = useState(false);
   const [isEditingMessage, setIsEditingMessage] = useState(false);
   const [customMessage, setCustomMessage] = useState('');
+  const [invites, setInvites] = useState([]);
+  const [isLoadingInvites, setIsLoadingInvites] = useState(false);
+  const [isCreatingInvite, setIsCreatingInvite] = useState(false);
+  const [inviteError, setInviteError] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState('168');
+  const [maxUses, setMaxUses] = useState('');
   
-  // Gerar a URL do link
-  const shareUrl = `${window.location.origin}/mural/${panel.id}`;
-      useEffect(() => {
-    if (isOpen && panel) {
-      console.log('🔗 URL gerada para compartilhamento:');
-      console.log('  - Origin:', window.location.origin);
-      console.log('  - Panel ID:', panel.id);
-      console.log('  - URL completa:', shareUrl);
-    }
-  }, [isOpen, panel, shareUrl]);
+  // Gerar a URL do link a partir do convite mais recente
+  const buildInviteUrl = (invite) => `${window.location.origin}/convite/${invite.token}`;
+  const shareUrl = invites.length > 0 ? buildInviteUrl(invites[0]) : '';
+
+  // Carregar convites ativos ao abrir
+  useEffect(() => {
+    if (!isOpen || !canInvite) return;
+
+    const loadInvites = async () => {
+      try {
+        setIsLoadingInvites(true);
+        setInviteError('');
+        const data = await apiService.getInvites(panel.id);
+        setInvites(data);
+      } catch (err) {
+        setInviteError(err.message);
+      } finally {
+        setIsLoadingInvites(false);
+      }
+    };
+
+    loadInvites();
+  }, [isOpen, canInvite, panel.id]);
+
   // Mensagem de convite padrão baseada no tipo do painel
   const getDefaultMessage = () => {
-    const baseUrl = shareUrl;
+    const baseUrl = shareUrl || '[gere um link de convite abaixo]';
     
     switch (panel.type) {
       case 'couple':
@@ -1822,16 +4185,52 @@ const ShareModal = ({ panel, isOpen, onClose, isMobile }) => {
     return isEditingMessage ? customMessage : getDefaultMessage();
   };
 
-  const handleCopyLink = async () => {
+  const handleCopyLink = async (invite) => {
     try {
-      await navigator.clipboard.writeText(shareUrl);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      await navigator.clipboard.writeText(buildInviteUrl(invite));
+      setCopied(invite.id);
+      setTimeout(() => setCopied(null), 2000);
     } catch (err) {
       console.error('Erro ao copiar link:', err);
     }
   };
 
+  const handleCreateInvite = async () => {
+    try {
+      setIsCreatingInvite(true);
+      setInviteError('');
+      const invite = await apiService.createInvite(panel.id, {
+        expiresInHours: expiresInHours ? Number(expiresInHours) : null,
+        maxUses: maxUses ? Number(maxUses) : null
+      });
+      setInvites(prev => [invite, ...prev]);
+    } catch (err) {
+      setInviteError(err.message);
+    } finally {
+      setIsCreatingInvite(false);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    try {
+      setInviteError('');
+      await apiService.revokeInvite(panel.id, invite.id);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (err) {
+      setInviteError(err.message);
+    }
+  };
+
+  const describeInvite = (invite) => {
+    const expiry = invite.expires_at
+      ? `expira ${new Date(invite.expires_at).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`
+      : 'sem expiração';
+    const uses = invite.max_uses
+      ? `${invite.use_count}/${invite.max_uses} usos`
+      : `${invite.use_count} usos`;
+    return `${uses} · ${expiry}`;
+  };
+
   const handleCopyMessage = async () => {
     try {
       await navigator.clipboard.writeText(getCurrentMessage());
@@ -1858,9 +4257,93 @@ const ShareModal = ({ panel, isOpen, onClose, isMobile }) => {
 
   if (!isOpen) return null;
 
+  if (!canInvite) {
+    return (
+      <Modal isOpen={isOpen} onClose={onClose} title="Compartilhar Mural">
+        <p className="text-center text-gray-600 py-4">
+          Visualizadores não podem convidar pessoas. Peça um link ao dono ou a um moderador do mural.
+        </p>
+      </Modal>
+    );
+  }
+
   return (
     <Modal isOpen={isOpen} onClose={onClose} title="Compartilhar Mural" size="large">
       <div className="space-y-6">
+        {/* Links de convite */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            🔗 Links de convite
+          </label>
+
+          <div className={`flex gap-2 ${isMobile ? 'flex-col' : 'items-center'}`}>
+            <select
+              value={expiresInHours}
+              onChange={(e) => setExpiresInHours(e.target.value)}
+              className="flex-1 text-sm border border-gray-300 rounded-md px-2 py-2"
+            >
+              {INVITE_EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={maxUses}
+              onChange={(e) => setMaxUses(e.target.value)}
+              className="flex-1 text-sm border border-gray-300 rounded-md px-2 py-2"
+            >
+              {INVITE_MAX_USES_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCreateInvite}
+              disabled={isCreatingInvite}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+            >
+              {isCreatingInvite ? 'Gerando...' : 'Gerar link'}
+            </button>
+          </div>
+
+          {inviteError && (
+            <p className="text-xs text-red-600 mt-2">{inviteError}</p>
+          )}
+
+          {isLoadingInvites ? (
+            <p className="text-sm text-gray-500 mt-3">Carregando convites...</p>
+          ) : invites.length === 0 ? (
+            <p className="text-sm text-gray-500 mt-3">Nenhum convite ativo. Gere um link para compartilhar.</p>
+          ) : (
+            <ul className="mt-3 divide-y divide-gray-100 border rounded-lg">
+              {invites.map(invite => (
+                <li key={invite.id} className="flex items-center justify-between gap-2 p-2">
+                  <div className="min-w-0">
+                    <p className="text-xs font-mono text-gray-700 truncate">{buildInviteUrl(invite)}</p>
+                    <p className="text-xs text-gray-500">
+                      {describeInvite(invite)}
+                      {invite.created_by_name && ` · por ${invite.created_by_name}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button
+                      onClick={() => handleCopyLink(invite)}
+                      className="p-2 rounded-md hover:bg-gray-100 text-gray-700"
+                      title="Copiar link"
+                    >
+                      {copied === invite.id ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => handleRevokeInvite(invite)}
+                      className="text-xs px-2 py-1 rounded-md text-red-600 border border-red-200 hover:bg-red-50"
+                    >
+                      Revogar
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Mensagem de convite */}
         <div>
           <div className="flex items-center justify-between mb-2">
@@ -1945,16 +4428,19 @@ const AppContent = () => {
       console.log('🔗 Verificando acesso via link:', currentPath);
       
       if (isAuthenticated && isLinkAccess(currentPath)) {
-        const code = getLinkCode(currentPath);
-        console.log('🔍 Código extraído da URL:', code);
+        const inviteToken = getInviteToken(currentPath);
+        const code = inviteToken ? null : getLinkCode(currentPath);
+        console.log('🔍 Código extraído da URL:', inviteToken ? 'convite' : code);
         
-        if (code) {
+        if (inviteToken || code) {
           setLinkLoading(true);
           setLinkError('');
           
           try {
-            console.log('🔗 Tentando acessar painel via link:', code);
-            const panel = await apiService.accessPanelViaLink(code);
+            console.log('🔗 Tentando acessar painel via link');
+            const panel = inviteToken
+              ? await apiService.acceptInvite(inviteToken)
+              : await apiService.accessPanelViaLink(code);
             console.log('✅ Painel acessado com sucesso:', panel.name);
             
             setLinkPanel(panel);
@@ -1977,6 +4463,16 @@ const AppContent = () => {
     handleLinkAccess();
   }, [isAuthenticated, currentPath, navigate]);
 
+  // Links recebidos por email funcionam com ou sem login
+  if (currentPath === '/redefinir-senha' || currentPath === '/verificar-email') {
+    const token = new URLSearchParams(window.location.search).get('token');
+    const Screen = currentPath === '/redefinir-senha' ? PasswordResetScreen : EmailVerificationScreen;
+    if (isLoading) {
+      return <LoadingSpinner message="Inicializando..." />;
+    }
+    return <Screen token={token} onDone={() => navigate('/')} />;
+  }
+
   if (isLoading || linkLoading) {
     const message = linkLoading ? 'Acessando mural via link...' : 'Inicializando...';
     return <LoadingSpinner message={message} />;
@@ -5,22 +5,22 @@ import { apiService } from '../services/apiService';
 import { LoadingSpinner } from './LoadingSpinner';
 
 export const LinkAccessScreen = ({ onPanelAccess }) => {
-  const { code } = useParams();
+  const { token } = useParams();
   const navigate = useNavigate();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   
   useEffect(() => {
     const accessPanelViaLink = async () => {
-      if (!code) {
-        setError('Código inválido');
+      if (!token) {
+        setError('Convite inválido');
         setIsLoading(false);
         return;
       }
 
       try {
         setIsLoading(true);
-        const panel = await apiService.accessPanelViaLink(code.toUpperCase());
+        const panel = await apiService.acceptInvite(token);
         
         // Sucesso - ir para o painel
         if (onPanelAccess) {
@@ -34,7 +34,7 @@ export const LinkAccessScreen = ({ onPanelAccess }) => {
     };
 
     accessPanelViaLink();
-  }, [code, onPanelAccess]);
+  }, [token, onPanelAccess]);
 
   if (isLoading) {
     return <LoadingSpinner message="Acessando mural..." />;
@@ -1,14 +1,144 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { LIMITS, REACTION_EMOJIS } from '../constants/config';
 
-export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom = 1, isMobile = false }) {
+const formatDate = (date) => {
+  try {
+    const d = new Date(date);
+    return d.toLocaleString('pt-BR', { 
+      day: '2-digit', 
+      month: '2-digit', 
+      hour: '2-digit', 
+      minute: '2-digit' 
+    });
+  } catch {
+    return 'Data inválida';
+  }
+};
+
+// Respostas de uma nota (comments: null enquanto carrega)
+function CommentThread({ postId, comments, currentUserId, canDelete, onAddComment, onDeleteComment, isMobile }) {
+  const [draft, setDraft] = useState('');
+  const [anonymous, setAnonymous] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const submit = async () => {
+    const content = draft.trim();
+    if (!content || isSending) return;
+
+    setIsSending(true);
+    const sent = await onAddComment(postId, content, anonymous);
+    setIsSending(false);
+    if (sent) {
+      setDraft('');
+    }
+  };
+
+  return (
+    <div
+      className="mt-2 pt-2 border-t border-black border-opacity-10 space-y-2"
+      onMouseDown={(e) => e.stopPropagation()}
+      onTouchStart={(e) => e.stopPropagation()}
+      style={{ userSelect: 'text' }}
+    >
+      {comments === null ? (
+        <p className="text-xs text-gray-500">Carregando respostas...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-xs text-gray-500">Nenhuma resposta ainda</p>
+      ) : (
+        <ul className="max-h-40 overflow-y-auto space-y-1.5">
+          {comments.map(comment => (
+            <li key={comment.id} className="bg-white bg-opacity-50 rounded px-2 py-1">
+              <div className="flex justify-between items-start gap-1">
+                <p className="text-xs font-medium text-gray-700">
+                  {comment.author_name || 'Anônimo'}
+                  <span className="ml-1 font-normal text-gray-500">{formatDate(comment.created_at)}</span>
+                </p>
+                {(comment.is_mine || canDelete) && onDeleteComment && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDeleteComment(postId, comment.id);
+                    }}
+                    className="text-gray-500 hover:text-gray-800 text-xs leading-none"
+                    title="Remover resposta"
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+              <p className={`text-gray-800 whitespace-pre-wrap break-words ${isMobile ? 'text-xs' : 'text-sm'}`}>
+                {comment.content}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onAddComment && (
+        <div className="space-y-1">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+            }}
+            maxLength={LIMITS.COMMENT_CONTENT_MAX_LENGTH}
+            rows={2}
+            placeholder="Responder..."
+            className="w-full p-1.5 rounded bg-white bg-opacity-60 text-gray-800 text-xs resize-none focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+          <div className="flex justify-between items-center">
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={anonymous}
+                onChange={(e) => setAnonymous(e.target.checked)}
+              />
+              Anônimo
+            </label>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                submit();
+              }}
+              disabled={!draft.trim() || isSending}
+              className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              Responder
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function PostIt({ post, onDelete, onMove, onDrag, onEdit, onShowHistory, onToggleReaction, comments, onToggleComments, onAddComment, onDeleteComment, canDelete, currentUserId, noteColors = [], zoom = 1, isMobile = false, remoteDrag = null, syncStatus = null, isUnread = false, labels = [], onChangeLabels, isDimmed = false }) {
   const [position, setPosition] = useState({ 
     x: post.position_x || 50, 
     y: post.position_y || 50 
   });
   const [isDragging, setIsDragging] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftContent, setDraftContent] = useState(post.content);
+  const [draftColor, setDraftColor] = useState(post.color);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const [showLabelPicker, setShowLabelPicker] = useState(false);
   const noteRef = useRef(null);
   const dragStart = useRef({ x: 0, y: 0 });
 
+  // Acompanhar movimentos feitos por outros usuários (sem interromper o próprio arraste)
+  const isDraggingRef = useRef(false);
+  isDraggingRef.current = isDragging;
+
+  useEffect(() => {
+    if (!isDraggingRef.current) {
+      setPosition({ x: post.position_x || 50, y: post.position_y || 50 });
+    }
+  }, [post.position_x, post.position_y]);
+
   // Ajustar posição inicial se necessário
   useEffect(() => {
     if (noteRef.current) {
@@ -23,6 +153,9 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
   }, [position.x, position.y]);
 
   const handleStart = (clientX, clientY, e) => {
+    // Não arrastar durante a edição ou sem permissão para mover
+    if (isEditing || !onMove) return;
+
     // Não arrastar se clicou no botão de deletar
     if (e?.target?.tagName === 'BUTTON' || e?.target?.closest('button')) return;
     
@@ -77,6 +210,9 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
       newY = Math.max(margin, Math.min(newY, maxY - margin));
       
       setPosition({ x: newX, y: newY });
+      if (onDrag) {
+        onDrag(post.id, newX, newY, true);
+      }
     };
 
     const handleMouseMove = (e) => {
@@ -92,6 +228,9 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
     const handleEnd = () => {
       if (isDragging) {
         setIsDragging(false);
+        if (onDrag) {
+          onDrag(post.id, position.x, position.y, false);
+        }
         if (onMove) {
           console.log('📍 PostIt - Chamando onMove:', {
             postId: post.id,
@@ -119,38 +258,82 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
         document.removeEventListener('touchend', handleEnd);
       };
     }
-  }, [isDragging, position, post.id, onMove, zoom, isMobile]);
-
-  const formatDate = (date) => {
-    try {
-      const d = new Date(date);
-      return d.toLocaleString('pt-BR', { 
-        day: '2-digit', 
-        month: '2-digit', 
-        hour: '2-digit', 
-        minute: '2-digit' 
-      });
-    } catch {
-      return 'Data inválida';
+  }, [isDragging, position, post.id, onMove, onDrag, zoom, isMobile]);
+
+  const canDeletePost = post.author_user_id === currentUserId || canDelete;
+  const canEditPost = !!onEdit && post.author_user_id === currentUserId;
+
+  const startEditing = () => {
+    setDraftContent(post.content);
+    setDraftColor(post.color);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    setIsEditing(false);
+    setDraftContent(post.content);
+    setDraftColor(post.color);
+  };
+
+  const saveEditing = async () => {
+    const trimmedContent = draftContent.trim();
+    if (!trimmedContent) return;
+
+    const changes = {};
+    if (trimmedContent !== post.content) changes.content = trimmedContent;
+    if (draftColor && draftColor !== post.color) changes.color = draftColor;
+
+    if (Object.keys(changes).length > 0) {
+      await onEdit(post.id, changes);
     }
+    setIsEditing(false);
+  };
+
+  const reactions = post.reactions || [];
+  // Notas ainda na fila offline não existem no servidor
+  const canReact = !!onToggleReaction && syncStatus !== 'pending';
+  const canOpenThread = !!onToggleComments && syncStatus !== 'pending';
+  const isThreadOpen = comments !== undefined;
+
+  const toggleReaction = (emoji) => {
+    setShowReactionPicker(false);
+    onToggleReaction(post.id, emoji);
   };
 
-  const canDeletePost = post.author_user_id === currentUserId || (!post.author_name && canDelete);
+  // Etiquetas na ordem em que foram criadas no painel
+  const postLabelIds = post.label_ids || [];
+  const postLabels = labels.filter(label => postLabelIds.includes(label.id));
+  const canLabel = !!onChangeLabels && syncStatus !== 'pending';
+
+  const toggleLabel = (labelId) => {
+    onChangeLabels(post.id, postLabelIds.includes(labelId)
+      ? postLabelIds.filter(id => id !== labelId)
+      : [...postLabelIds, labelId]);
+  };
+
+  const displayColor = isEditing ? draftColor || post.color : post.color;
+  // Enquanto outro usuário arrasta a nota, mostrar a posição dele
+  const displayPosition = remoteDrag && remoteDrag.x !== undefined && !isDragging
+    ? { x: remoteDrag.x, y: remoteDrag.y }
+    : position;
 
   return (
     <div
       ref={noteRef}
       data-postit="true"
       className={`absolute transition-all duration-200 ${
-        isDragging ? 'cursor-grabbing scale-105 rotate-1 shadow-xl z-50' : 'cursor-grab hover:shadow-xl hover:-rotate-1'
+        isEditing ? 'cursor-default shadow-xl z-50' : isDragging ? 'cursor-grabbing scale-105 rotate-1 shadow-xl z-50' : 'cursor-grab hover:shadow-xl hover:-rotate-1'
       } ${
         isMobile ? 'w-52 min-h-[140px] p-3' : 'w-64 min-h-[180px] p-4'
+      } ${
+        isDimmed && !isEditing && !isDragging ? 'opacity-30' : ''
       } rounded-lg shadow-lg transform select-none`}
       style={{
-        backgroundColor: post.color || '#A8D8EA',
-        left: position.x,
-        top: position.y,
-        background: `linear-gradient(135deg, ${post.color || '#A8D8EA'} 0%, ${post.color || '#A8D8EA'}dd 100%)`,
+        backgroundColor: displayColor || '#A8D8EA',
+        left: displayPosition.x,
+        top: displayPosition.y,
+        ...(remoteDrag && { outline: `3px solid ${remoteDrag.color}`, outlineOffset: '2px' }),
+        background: `linear-gradient(135deg, ${displayColor || '#A8D8EA'} 0%, ${displayColor || '#A8D8EA'}dd 100%)`,
         touchAction: 'none', // Importante para touch events
         userSelect: 'none' // Evitar seleção de texto durante drag
       }}
@@ -158,6 +341,23 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
       onTouchStart={handleTouchStart}
       onClick={(e) => e.stopPropagation()} // Evitar trigger do pan no container pai
     >
+      {/* Quem está movendo a nota */}
+      {remoteDrag && (
+        <div
+          className="absolute -top-7 left-0 px-2 py-0.5 rounded text-xs text-white whitespace-nowrap pointer-events-none"
+          style={{ backgroundColor: remoteDrag.color }}
+        >
+          Sendo movida por {remoteDrag.userName}
+        </div>
+      )}
+
+      {/* Nota ainda não vista pelo usuário */}
+      {isUnread && !remoteDrag && (
+        <div className="absolute -top-2 -right-2 px-1.5 py-0.5 rounded-full bg-blue-500 text-white text-xs font-semibold shadow pointer-events-none">
+          Nova
+        </div>
+      )}
+
       {/* Fita adesiva */}
       <div className={`absolute -top-2 left-1/2 transform -translate-x-1/2 bg-yellow-200 opacity-60 rotate-3 rounded-sm ${
         isMobile ? 'w-12 h-4' : 'w-16 h-6'
@@ -174,7 +374,42 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
           <p className={`text-gray-500 ${isMobile ? 'text-xs' : 'text-xs'}`}>
             {formatDate(post.created_at)}
           </p>
+          {/* Fila offline: alteração ainda não enviada / acabou de ser enviada */}
+          {syncStatus === 'pending' && (
+            <p className="text-xs text-amber-700" title="Será enviada quando a conexão voltar">⏳ Aguardando conexão</p>
+          )}
+          {syncStatus === 'synced' && (
+            <p className="text-xs text-green-700">✓ Sincronizada</p>
+          )}
         </div>
+        {canEditPost && !isEditing && syncStatus !== 'pending' && (
+          <button
+            onClick={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              startEditing();
+            }}
+            className="hover:bg-black hover:bg-opacity-10 rounded transition-colors z-10 pointer-events-auto p-1 text-sm"
+            style={{ cursor: 'pointer' }}
+            title="Editar nota"
+          >
+            <span className="text-gray-600">✎</span>
+          </button>
+        )}
+        {onShowHistory && !isEditing && syncStatus !== 'pending' && (
+          <button
+            onClick={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              onShowHistory(post);
+            }}
+            className="hover:bg-black hover:bg-opacity-10 rounded transition-colors z-10 pointer-events-auto p-1 text-sm"
+            style={{ cursor: 'pointer' }}
+            title="Histórico da nota"
+          >
+            <span className="text-gray-600">🕘</span>
+          </button>
+        )}
         {canDeletePost && (
           <button
             onClick={(e) => {
@@ -194,11 +429,197 @@ export function PostIt({ post, onDelete, onMove, canDelete, currentUserId, zoom
       </div>
       
       {/* Conteúdo */}
-      <div className={`text-gray-800 whitespace-pre-wrap break-words leading-relaxed pointer-events-none ${
-        isMobile ? 'text-xs' : 'text-sm'
-      }`}>
-        {post.content}
-      </div>
+      {isEditing ? (
+        <div className="space-y-2" onClick={(e) => e.stopPropagation()}>
+          <textarea
+            value={draftContent}
+            onChange={(e) => setDraftContent(e.target.value)}
+            onMouseDown={(e) => e.stopPropagation()}
+            onTouchStart={(e) => e.stopPropagation()}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') cancelEditing();
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) saveEditing();
+            }}
+            maxLength={1000}
+            rows={4}
+            autoFocus
+            className={`w-full p-2 rounded bg-white bg-opacity-60 text-gray-800 resize-none focus:outline-none focus:ring-2 focus:ring-blue-400 ${
+              isMobile ? 'text-xs' : 'text-sm'
+            }`}
+            style={{ userSelect: 'text' }}
+          />
+          {noteColors.length > 0 && (
+            <div className="flex gap-1">
+              {noteColors.map(noteColor => (
+                <button
+                  key={noteColor}
+                  type="button"
+                  onClick={() => setDraftColor(noteColor)}
+                  className={`w-5 h-5 rounded-full border-2 ${
+                    draftColor === noteColor ? 'border-gray-800' : 'border-gray-300'
+                  }`}
+                  style={{ backgroundColor: noteColor }}
+                />
+              ))}
+            </div>
+          )}
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={cancelEditing}
+              className="px-2 py-1 text-xs rounded bg-white bg-opacity-60 text-gray-700 hover:bg-opacity-90"
+            >
+              Cancelar
+            </button>
+            <button
+              type="button"
+              onClick={saveEditing}
+              disabled={!draftContent.trim()}
+              className="px-2 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              Salvar
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className={`text-gray-800 whitespace-pre-wrap break-words leading-relaxed pointer-events-none ${
+          isMobile ? 'text-xs' : 'text-sm'
+        }`}>
+          {post.content}
+        </div>
+      )}
+
+      {/* Etiquetas */}
+      {!isEditing && (postLabels.length > 0 || canLabel) && (
+        <div className="relative flex flex-wrap items-center gap-1 mt-3">
+          {postLabels.map(label => (
+            <span
+              key={label.id}
+              className="flex items-center gap-1 px-1.5 py-0.5 rounded-full text-xs bg-white bg-opacity-70 text-gray-700"
+            >
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: label.color }} />
+              {label.name}
+            </span>
+          ))}
+          {canLabel && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowLabelPicker(prev => !prev);
+              }}
+              className="px-1.5 py-0.5 rounded-full text-xs bg-white bg-opacity-40 text-gray-600 hover:bg-opacity-80"
+              title="Etiquetas"
+            >
+              🏷️{postLabels.length === 0 && '+'}
+            </button>
+          )}
+          {showLabelPicker && canLabel && (
+            <div className="absolute top-full left-0 mt-1 w-48 max-h-48 overflow-y-auto p-1 bg-white rounded-lg shadow-lg z-50">
+              {labels.length === 0 ? (
+                <p className="px-2 py-1 text-xs text-gray-500">Nenhuma etiqueta no mural</p>
+              ) : labels.map(label => (
+                <button
+                  key={label.id}
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleLabel(label.id);
+                  }}
+                  className="w-full flex items-center gap-2 px-2 py-1 rounded text-xs text-left text-gray-700 hover:bg-gray-100"
+                >
+                  <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: label.color }} />
+                  <span className="flex-1 truncate">{label.name}</span>
+                  {postLabelIds.includes(label.id) && <span className="text-blue-600">✓</span>}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Reações e respostas */}
+      {!isEditing && (reactions.length > 0 || canReact || canOpenThread) && (
+        <div className="relative flex flex-wrap items-center gap-1 mt-3">
+          {reactions.map(reaction => {
+            const reacted = reaction.user_ids.includes(currentUserId);
+            return (
+              <button
+                key={reaction.emoji}
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleReaction(reaction.emoji);
+                }}
+                disabled={!canReact}
+                className={`px-1.5 py-0.5 rounded-full text-xs border transition-colors ${
+                  reacted ? 'bg-blue-100 border-blue-400 text-blue-800' : 'bg-white bg-opacity-60 border-transparent text-gray-700'
+                } ${canReact ? 'hover:bg-opacity-90' : 'cursor-default'}`}
+                title={reacted ? 'Remover reação' : 'Reagir'}
+              >
+                {reaction.emoji} {reaction.count}
+              </button>
+            );
+          })}
+          {canReact && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowReactionPicker(prev => !prev);
+              }}
+              className="px-1.5 py-0.5 rounded-full text-xs bg-white bg-opacity-40 text-gray-600 hover:bg-opacity-80"
+              title="Adicionar reação"
+            >
+              ☺+
+            </button>
+          )}
+          {canOpenThread && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onToggleComments(post.id);
+              }}
+              className={`ml-auto px-1.5 py-0.5 rounded-full text-xs text-gray-700 hover:bg-opacity-90 ${
+                isThreadOpen ? 'bg-white bg-opacity-90' : 'bg-white bg-opacity-40'
+              }`}
+              title={isThreadOpen ? 'Ocultar respostas' : 'Ver respostas'}
+            >
+              💬 {post.comment_count || 0}
+            </button>
+          )}
+          {showReactionPicker && canReact && (
+            <div className="absolute bottom-full left-0 mb-1 flex gap-1 p-1 bg-white rounded-lg shadow-lg z-50">
+              {REACTION_EMOJIS.map(emoji => (
+                <button
+                  key={emoji}
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleReaction(emoji);
+                  }}
+                  className="w-7 h-7 rounded hover:bg-gray-100 text-base"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {!isEditing && isThreadOpen && canOpenThread && (
+        <CommentThread
+          postId={post.id}
+          comments={comments}
+          currentUserId={currentUserId}
+          canDelete={canDelete}
+          onAddComment={onAddComment}
+          onDeleteComment={onDeleteComment}
+          isMobile={isMobile}
+        />
+      )}
 
       {/* Sombra de papel */}
       <div className="absolute inset-0 rounded-lg pointer-events-none opacity-30" 
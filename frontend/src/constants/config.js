@@ -4,17 +4,54 @@ export const API_URL = process.env.REACT_APP_API_URL ||
 export const LIMITS = {
   PANEL_NAME_MAX_LENGTH: 100,
   POST_CONTENT_MAX_LENGTH: 1000,
+  COMMENT_CONTENT_MAX_LENGTH: 500,
+  SEARCH_QUERY_MAX_LENGTH: 200,
+  LABEL_NAME_MAX_LENGTH: 30,
   USERNAME_MAX_LENGTH: 50,
   PANEL_CODE_LENGTH: 6,
   PASSWORD_MAX_LENGTH: 100
 };
 
+// Limite de usuários por tipo de painel (igual ao backend)
+export const PANEL_MAX_USERS = {
+  friends: 15,
+  couple: 2,
+  family: 10
+};
+
+// Reações disponíveis nas notas (igual ao backend)
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '👀'];
+
+// Cores sugeridas para as etiquetas das notas
+export const LABEL_COLORS = ['#22C55E', '#EF4444', '#3B82F6', '#F59E0B', '#A855F7', '#EC4899', '#14B8A6', '#94A3B8'];
+
 export const PANEL_TYPES = {
   FRIENDS: 'friends',
   COUPLE: 'couple',
   FAMILY: 'family'
 };
 
+export const PANEL_ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+export const ROLE_LEVELS = {
+  viewer: 0,
+  member: 1,
+  moderator: 2,
+  owner: 3
+};
+
+export const ROLE_LABELS = {
+  owner: 'Dono',
+  moderator: 'Moderador',
+  member: 'Membro',
+  viewer: 'Visualizador'
+};
+
 export const FRIENDS_COLORS = {
   notes: ['#A8D8EA', '#AA96DA', '#FCBAD3', '#FFFFD2'],
   backgrounds: ['#FBFBFB', '#F0F8FF', '#FFF8F0', '#F8F8FF']
@@ -0,0 +1,90 @@
+import { useEffect, useState, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { API_URL } from '../constants/config';
+import { apiService } from '../services/apiService';
+import { REFRESHABLE_AUTH_ERRORS } from './useSockets';
+
+/**
+ * Central de notificações do usuário: lista inicial pela API e novas notificações
+ * pela sala pessoal do WebSocket (o servidor coloca cada socket em user:<id>)
+ */
+export function useNotifications(userId) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await apiService.getNotifications();
+      setNotifications(data.notifications);
+      setUnreadCount(data.unread_count);
+    } catch (err) {
+      console.error('❌ Erro ao carregar notificações:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const socket = io(API_URL, {
+      transports: ['websocket', 'polling'],
+      timeout: 5000,
+      auth: (cb) => cb({ token: apiService.getAuthToken() })
+    });
+    let refreshAttempted = false;
+
+    // Também após reconexões: buscar o que chegou enquanto estava desconectado
+    socket.on('connect', () => {
+      refreshAttempted = false;
+      loadNotifications();
+    });
+
+    socket.on('notification', ({ notification, unread_count }) => {
+      setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+      setUnreadCount(unread_count);
+    });
+
+    // Lidas em outra aba ou dispositivo
+    socket.on('notifications-read', () => {
+      loadNotifications();
+    });
+
+    socket.on('connect_error', async (err) => {
+      if (!REFRESHABLE_AUTH_ERRORS.includes(err.data?.code) || refreshAttempted) return;
+
+      refreshAttempted = true;
+      if (await apiService.renewSession()) {
+        socket.connect();
+      }
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [userId, loadNotifications]);
+
+  const markAsRead = useCallback(async (notificationId) => {
+    setNotifications(prev => prev.map(n => n.id === notificationId && !n.read_at
+      ? { ...n, read_at: new Date().toISOString() }
+      : n));
+    try {
+      const { unread_count } = await apiService.markNotificationRead(notificationId);
+      setUnreadCount(unread_count);
+    } catch (err) {
+      console.error('❌ Erro ao marcar notificação como lida:', err);
+    }
+  }, []);
+
+  const markAllAsRead = useCallback(async () => {
+    const now = new Date().toISOString();
+    setNotifications(prev => prev.map(n => n.read_at ? n : { ...n, read_at: now }));
+    setUnreadCount(0);
+    try {
+      await apiService.markAllNotificationsRead();
+    } catch (err) {
+      console.error('❌ Erro ao marcar notificações como lidas:', err);
+      loadNotifications();
+    }
+  }, [loadNotifications]);
+
+  return { notifications, unreadCount, markAsRead, markAllAsRead };
+}
@@ -0,0 +1,199 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { apiService, createUuid } from '../services/apiService';
+import { offlineQueue, isNetworkError } from '../services/offlineQueue';
+
+// Tempo que o selo "sincronizada" fica visível na nota
+const SYNCED_BADGE_MS = 3000;
+// Nova tentativa enquanto houver pendências (o navegador pode estar "online" sem alcançar o servidor)
+const RETRY_INTERVAL_MS = 15000;
+
+// Reenvia uma operação; 'retry' mantém a operação na fila para a próxima tentativa.
+// A Idempotency-Key da operação faz o servidor devolver a resposta original caso o envio
+// anterior tenha chegado mas a resposta se perdido
+async function replayOperation(operation) {
+  const { type, postId, panelId, payload, baseUpdatedAt, idempotencyKey } = operation;
+  const options = idempotencyKey ? { idempotencyKey } : {};
+
+  try {
+    switch (type) {
+      case 'create':
+        return { status: 'synced', post: await apiService.createPost(panelId, { ...payload, id: postId }, options) };
+      case 'move':
+        return {
+          status: 'synced',
+          post: await apiService.updatePostPosition(postId, { ...payload, panel_id: panelId, base_updated_at: baseUpdatedAt }, options)
+        };
+      case 'delete':
+        await apiService.deletePost(postId, {
+          panel_id: panelId,
+          ...(baseUpdatedAt && { base_updated_at: baseUpdatedAt })
+        }, options);
+        return { status: 'synced', post: null };
+      default:
+        return { status: 'rejected', message: 'Operação offline desconhecida' };
+    }
+  } catch (error) {
+    // Já excluída por outra pessoa: o resultado é o mesmo
+    if (type === 'delete' && error.status === 404) {
+      return { status: 'synced', post: null };
+    }
+    if (error.status === 404) {
+      return { status: 'rejected', message: 'Uma nota foi excluída por outra pessoa enquanto você estava offline.' };
+    }
+    // O envio anterior com a mesma chave ainda está em andamento no servidor
+    if (error.data?.code === 'IDEMPOTENCY_IN_PROGRESS') {
+      return { status: 'retry', offline: false };
+    }
+    if ([400, 403, 409, 422].includes(error.status)) {
+      return { status: 'rejected', message: error.message };
+    }
+    // Sem conexão, limite de requisições ou erro do servidor: tentar de novo depois
+    return { status: 'retry', offline: isNetworkError(error) };
+  }
+}
+
+/**
+ * Fila offline das notas de um mural
+ * @param {Function} onSynced - (operation, post) chamada para cada operação aceita pelo servidor
+ * @param {Function} onRejected - (messages) chamada ao fim da sincronização se alguma operação foi recusada
+ */
+export function useOfflineQueue(panelId, userId, onSynced, onRejected) {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [syncStatus, setSyncStatus] = useState({}); // { [postId]: 'pending' | 'synced' }
+  const [pendingCount, setPendingCount] = useState(0);
+  const pendingCountRef = useRef(0);
+  const isFlushingRef = useRef(false);
+  const syncedTimersRef = useRef([]);
+
+  const refreshStatus = useCallback(async () => {
+    const operations = await offlineQueue.getOperations(userId, panelId);
+    pendingCountRef.current = operations.length;
+    setPendingCount(operations.length);
+    setSyncStatus(prev => {
+      const next = {};
+      Object.entries(prev).forEach(([postId, status]) => {
+        if (status === 'synced') next[postId] = status;
+      });
+      operations.forEach(operation => { next[operation.postId] = 'pending'; });
+      return next;
+    });
+    return operations;
+  }, [userId, panelId]);
+
+  const markSynced = useCallback((postId) => {
+    setSyncStatus(prev => ({ ...prev, [postId]: 'synced' }));
+    syncedTimersRef.current.push(setTimeout(() => {
+      setSyncStatus(prev => {
+        if (prev[postId] !== 'synced') return prev;
+        const next = { ...prev };
+        delete next[postId];
+        return next;
+      });
+    }, SYNCED_BADGE_MS));
+  }, []);
+
+  const getPendingOperations = useCallback(async () => {
+    if (!panelId || !userId) return [];
+    try {
+      return await refreshStatus();
+    } catch (err) {
+      console.error('❌ Erro ao ler fila offline:', err);
+      return [];
+    }
+  }, [panelId, userId, refreshStatus]);
+
+  const flush = useCallback(async () => {
+    if (!panelId || !userId || isFlushingRef.current || !navigator.onLine) return;
+    isFlushingRef.current = true;
+
+    const rejections = [];
+    try {
+      const operations = await offlineQueue.getOperations(userId, panelId);
+
+      for (const operation of operations) {
+        const result = await replayOperation(operation);
+        if (result.status === 'retry') {
+          if (result.offline) setIsOnline(false);
+          break;
+        }
+
+        setIsOnline(true);
+        await offlineQueue.remove(operation.seq);
+        if (result.status === 'synced') {
+          onSynced(operation, result.post);
+          if (operation.type !== 'delete') {
+            markSynced(operation.postId);
+          }
+        } else {
+          rejections.push(result.message);
+        }
+      }
+    } catch (err) {
+      console.error('❌ Erro ao sincronizar fila offline:', err);
+    } finally {
+      isFlushingRef.current = false;
+      await refreshStatus().catch(() => {});
+    }
+
+    if (rejections.length > 0) {
+      onRejected(rejections);
+    }
+  }, [panelId, userId, onSynced, onRejected, markSynced, refreshStatus]);
+
+  /**
+   * Envia direto quando possível; sem conexão (ou com fila pendente, para manter a ordem)
+   * a operação vai para a fila
+   * @param {Function} send - (idempotencyKey) envia a operação ao servidor
+   * @returns {Promise<{queued: boolean, result?: any}>}
+   */
+  const sendOrQueue = useCallback(async (operation, send) => {
+    let queuedOperation = { ...operation, idempotencyKey: operation.idempotencyKey || createUuid() };
+
+    if (navigator.onLine && pendingCountRef.current === 0) {
+      try {
+        const result = await send(queuedOperation.idempotencyKey);
+        setIsOnline(true);
+        return { queued: false, result };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        setIsOnline(false);
+        // O envio pode ter chegado ao servidor: a fila repete exatamente a mesma requisição
+        // (mesma chave, sem a versão da nota), que o servidor reconhece
+        const { baseUpdatedAt, ...sentOperation } = queuedOperation;
+        queuedOperation = sentOperation;
+      }
+    }
+
+    await offlineQueue.enqueue({ ...queuedOperation, panelId, userId });
+    await refreshStatus();
+    return { queued: true };
+  }, [panelId, userId, refreshStatus]);
+
+  // Status da conexão do navegador
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Pendências: sincronizar assim que a conexão voltar e tentar de novo periodicamente
+  useEffect(() => {
+    if (pendingCount === 0) return;
+
+    flush();
+    const retryTimer = setInterval(flush, RETRY_INTERVAL_MS);
+    return () => clearInterval(retryTimer);
+  }, [isOnline, pendingCount, flush]);
+
+  useEffect(() => {
+    const timers = syncedTimersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+
+  return { isOnline, syncStatus, pendingCount, sendOrQueue, getPendingOperations };
+}
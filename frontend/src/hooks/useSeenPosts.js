@@ -0,0 +1,80 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { apiService } from '../services/apiService';
+
+// Parte da nota que precisa estar na tela para contar como vista
+const VISIBLE_THRESHOLD = 0.6;
+// Agrupa as notas vistas em um único envio (e mantém o destaque por um instante)
+const FLUSH_DELAY_MS = 2000;
+
+/**
+ * Marca como vistas as notas não lidas que aparecem na tela
+ * As notas não lidas precisam do atributo data-unread-post-id dentro de boardRef
+ * @param {Function} onSeen - (postIds) chamada depois que o servidor registrou as notas
+ */
+export function useSeenPosts(panelId, boardRef, posts, onSeen) {
+  const pendingRef = useRef(new Set());
+  const timerRef = useRef(null);
+  const unreadKey = posts.filter(post => post.unread).map(post => post.id).join(',');
+
+  const flush = useCallback(async () => {
+    timerRef.current = null;
+    const postIds = [...pendingRef.current];
+    pendingRef.current.clear();
+    if (postIds.length === 0) return;
+
+    try {
+      await apiService.markPostsSeen(panelId, postIds);
+      onSeen(postIds);
+    } catch (err) {
+      console.error('❌ Erro ao marcar notas como vistas:', err);
+    }
+  }, [panelId, onSeen]);
+
+  useEffect(() => {
+    if (!unreadKey || !boardRef.current || !window.IntersectionObserver) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      // Aba em segundo plano: ninguém está olhando
+      if (document.visibilityState !== 'visible') return;
+
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        pendingRef.current.add(entry.target.dataset.unreadPostId);
+        observer.unobserve(entry.target);
+      });
+
+      if (pendingRef.current.size > 0 && !timerRef.current) {
+        timerRef.current = setTimeout(flush, FLUSH_DELAY_MS);
+      }
+    }, { threshold: VISIBLE_THRESHOLD });
+
+    const observeUnread = () => {
+      boardRef.current
+        ?.querySelectorAll('[data-unread-post-id]')
+        .forEach(element => observer.observe(element));
+    };
+
+    // Voltando para a aba: observar de novo para reavaliar o que já está na tela
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible') return;
+      observer.disconnect();
+      observeUnread();
+    };
+
+    observeUnread();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [unreadKey, boardRef, flush]);
+
+  // Ao sair do mural, enviar o que já foi visto
+  useEffect(() => () => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      flush();
+    }
+  }, [flush]);
+}
@@ -1,33 +1,55 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import { API_URL } from '../constants/config';
+import { apiService } from '../services/apiService';
 
-export function useSocket(panelId, username, userId, onNewPost, onPostMoved, onPostDeleted, onUserJoined, onUserLeft) {
+// Erros do handshake que podem ser resolvidos renovando a sessão
+export const REFRESHABLE_AUTH_ERRORS = ['TOKEN_EXPIRED', 'TOKEN_INVALID', 'SESSION_REVOKED'];
+
+/**
+ * Conexão do mural aberto
+ * @param {Object<string, Function>} handlers - Um handler por evento do servidor, ex: { 'post-updated': fn }
+ * Os handlers mais recentes são sempre usados, sem reconectar; o conjunto de eventos é lido ao conectar
+ */
+export function useSocket(panelId, username, userId, handlers) {
   const socketRef = useRef(null);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
 
   useEffect(() => {
     if (!panelId || !username || !userId) return;
 
-    // Conectar ao WebSocket
+    // Conectar ao WebSocket (o token é lido a cada tentativa de conexão)
     socketRef.current = io(API_URL, {
       transports: ['websocket', 'polling'],
-      timeout: 5000
+      timeout: 5000,
+      auth: (cb) => cb({ token: apiService.getAuthToken() })
     });
 
     const socket = socketRef.current;
-
-    // Entrar no painel
-    socket.emit('join-panel', panelId, username, userId);
+    let refreshAttempted = false;
 
     // Eventos
-    socket.on('new-post', onNewPost);
-    socket.on('post-moved', onPostMoved);
-    socket.on('post-deleted', onPostDeleted);
-    socket.on('user-joined', onUserJoined);
-    socket.on('user-left', onUserLeft);
+    Object.keys(handlersRef.current).forEach((event) => {
+      socket.on(event, (...args) => handlersRef.current[event]?.(...args));
+    });
 
     socket.on('connect', () => {
       console.log('Socket conectado');
+      refreshAttempted = false;
+      // Entrar no painel (também após reconexões; o servidor identifica o usuário pelo token)
+      socket.emit('join-panel', panelId);
+    });
+
+    // Token recusado no handshake: renovar a sessão e tentar de novo uma vez
+    socket.on('connect_error', async (err) => {
+      console.log('Erro de conexão do socket:', err.message);
+      if (!REFRESHABLE_AUTH_ERRORS.includes(err.data?.code) || refreshAttempted) return;
+
+      refreshAttempted = true;
+      if (await apiService.renewSession()) {
+        socket.connect();
+      }
     });
 
     socket.on('disconnect', () => {
@@ -36,10 +58,15 @@ export function useSocket(panelId, username, userId, onNewPost, onPostMoved, onP
 
     // Cleanup
     return () => {
-      socket.emit('leave-panel', panelId, username, userId);
+      socket.emit('leave-panel');
       socket.disconnect();
     };
-  }, [panelId, username, userId, onNewPost, onPostMoved, onPostDeleted, onUserJoined, onUserLeft]);
+  }, [panelId, username, userId]);
+
+  // Envio de eventos efêmeros (cursor, arraste) pelo socket atual
+  const emit = useCallback((event, data) => {
+    socketRef.current?.emit(event, data);
+  }, []);
 
-  return socketRef.current;
+  return emit;
 }
\ No newline at end of file
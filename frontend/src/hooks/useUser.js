@@ -1,24 +1,81 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { apiService } from '../services/apiService';
 
 const UserContext = createContext();
 
+const TOKEN_KEY = 'sticklyNotesToken';
+const REFRESH_TOKEN_KEY = 'sticklyNotesRefreshToken';
+
 export function UserProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const refreshPromiseRef = useRef(null);
 
-  useEffect(() => {
-    loadUserData();
+  const saveSession = useCallback((newToken, refreshToken) => {
+    localStorage.setItem(TOKEN_KEY, newToken);
+    if (refreshToken) {
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    apiService.setAuthToken(newToken);
+    setToken(newToken);
   }, []);
 
-  const loadUserData = async () => {
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    apiService.setAuthToken(null);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Renova a sessão com o refresh token (uma renovação por vez)
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = (async () => {
+        const storedRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!storedRefreshToken) {
+          clearSession();
+          return false;
+        }
+
+        try {
+          const response = await apiService.refreshSession(storedRefreshToken);
+          saveSession(response.token, response.refreshToken);
+          return true;
+        } catch (err) {
+          // Outra aba pode ter renovado a sessão primeiro
+          const latestRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+          const latestToken = localStorage.getItem(TOKEN_KEY);
+          if (latestRefreshToken && latestRefreshToken !== storedRefreshToken && latestToken) {
+            saveSession(latestToken);
+            return true;
+          }
+
+          console.error('Sessão expirada:', err);
+          clearSession();
+          return false;
+        } finally {
+          refreshPromiseRef.current = null;
+        }
+      })();
+    }
+
+    return refreshPromiseRef.current;
+  }, [saveSession, clearSession]);
+
+  useEffect(() => {
+    apiService.setRefreshHandler(refreshSession);
+    return () => apiService.setRefreshHandler(null);
+  }, [refreshSession]);
+
+  const loadUserData = useCallback(async () => {
     try {
       setIsLoading(true);
 
       // Recuperar token do localStorage
-      const storedToken = localStorage.getItem('sticklyNotesToken');
+      const storedToken = localStorage.getItem(TOKEN_KEY);
       
       if (storedToken) {
         setToken(storedToken);
@@ -29,10 +86,8 @@ export function UserProvider({ children }) {
           const userData = await apiService.getCurrentUser();
           setUser(userData);
         } catch (err) {
-          // Token inválido, remover
-          localStorage.removeItem('sticklyNotesToken');
-          setToken(null);
-          apiService.setAuthToken(null);
+          // Token inválido e sessão não renovada, remover
+          clearSession();
         }
       }
 
@@ -43,22 +98,33 @@ export function UserProvider({ children }) {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [clearSession]);
+
+  useEffect(() => {
+    loadUserData();
+  }, [loadUserData]);
+
+  // Recarrega os dados do usuário sem exibir o carregamento inicial
+  const refreshUser = useCallback(async () => {
+    try {
+      const userData = await apiService.getCurrentUser();
+      setUser(userData);
+      return userData;
+    } catch (err) {
+      console.error('Erro ao atualizar dados do usuário:', err);
+      return null;
+    }
+  }, []);
 
   const login = async (email, password) => {
     try {
       setError(null);
       const response = await apiService.login(email, password);
       
-      const { token, user } = response;
-      
-      // Salvar token no localStorage
-      localStorage.setItem('sticklyNotesToken', token);
+      const { token, refreshToken, user } = response;
       
-      // Configurar token no apiService
-      apiService.setAuthToken(token);
-      
-      setToken(token);
+      // Salvar tokens no localStorage e configurar no apiService
+      saveSession(token, refreshToken);
       setUser(user);
       
       return response;
@@ -73,15 +139,10 @@ export function UserProvider({ children }) {
       setError(null);
       const response = await apiService.register(userData);
       
-      const { token, user } = response;
-      
-      // Salvar token no localStorage
-      localStorage.setItem('sticklyNotesToken', token);
-      
-      // Configurar token no apiService
-      apiService.setAuthToken(token);
+      const { token, refreshToken, user } = response;
       
-      setToken(token);
+      // Salvar tokens no localStorage e configurar no apiService
+      saveSession(token, refreshToken);
       setUser(user);
       
       return response;
@@ -91,6 +152,22 @@ export function UserProvider({ children }) {
     }
   };
 
+  const updateProfile = async (profileData) => {
+    const response = await apiService.updateProfile(profileData);
+
+    // O servidor devolve um token de acesso com os dados atualizados
+    saveSession(response.token);
+    setUser(response.user);
+
+    return response.user;
+  };
+
+  const deleteAccount = async (password) => {
+    await apiService.deleteAccount(password);
+    clearSession();
+    setError(null);
+  };
+
   const logout = async () => {
     try {
       // Fazer logout no servidor (opcional)
@@ -101,10 +178,7 @@ export function UserProvider({ children }) {
       console.error('Erro ao fazer logout:', err);
     } finally {
       // Limpar dados locais
-      localStorage.removeItem('sticklyNotesToken');
-      apiService.setAuthToken(null);
-      setToken(null);
-      setUser(null);
+      clearSession();
       setError(null);
     }
   };
@@ -118,6 +192,9 @@ export function UserProvider({ children }) {
     login,
     register,
     logout,
+    refreshUser,
+    updateProfile,
+    deleteAccount,
     setError
   };
 
@@ -1,9 +1,24 @@
 import { API_URL, ERROR_MESSAGES } from '../constants/config';
 
+// UUID v4 (crypto.randomUUID só existe em contextos seguros)
+export const createUuid = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_URL;
     this.authToken = null;
+    // Callback para renovar a sessão quando o token de acesso expira
+    this.refreshHandler = null;
     // Rate limiting interno
     this.requestCounts = new Map(); // Map<endpoint, { count, resetTime }>
     this.maxRequestsPerEndpoint = 10;
@@ -14,6 +29,30 @@ class ApiService {
     this.authToken = token;
   }
 
+  getAuthToken() {
+    return this.authToken;
+  }
+
+  setRefreshHandler(handler) {
+    this.refreshHandler = handler;
+  }
+
+  // Renova a sessão fora de uma requisição (ex.: handshake do WebSocket recusado)
+  async renewSession() {
+    return this.refreshHandler ? this.refreshHandler() : false;
+  }
+
+  // Erros de autenticação que podem ser resolvidos renovando a sessão
+  shouldRefreshSession(status, errorData, endpoint, options) {
+    return (
+      (status === 401 || status === 403) &&
+      ['TOKEN_EXPIRED', 'TOKEN_INVALID', 'SESSION_REVOKED'].includes(errorData?.code) &&
+      !options.isRetry &&
+      !!this.refreshHandler &&
+      !endpoint.startsWith('/api/auth/refresh')
+    );
+  }
+
   // RATE LIMITING INTERNO
   canMakeRequest(endpoint) {
     const now = Date.now();
@@ -54,14 +93,17 @@ class ApiService {
     }
 
     const url = `${this.baseURL}${endpoint}`;
+    const { isRetry, responseType, idempotencyKey, ...fetchOptions } = options;
     
     const config = {
       headers: { 
         'Content-Type': 'application/json',
         ...(this.authToken && { 'Authorization': `Bearer ${this.authToken}` }),
+        // Mesma chave na repetição após renovar a sessão: o servidor não executa duas vezes
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
         ...options.headers 
       },
-      ...options,
+      ...fetchOptions,
     };
 
     try {
@@ -74,8 +116,9 @@ class ApiService {
       if (!response.ok) {
         let errorMessage = ERROR_MESSAGES.GENERIC_ERROR;
         
+        let errorData = null;
         try {
-          const errorData = await response.json();
+          errorData = await response.json();
           errorMessage = errorData.error || errorMessage;
           console.error(`❌ API Error ${response.status}:`, errorData);
         } catch {
@@ -97,7 +140,24 @@ class ApiService {
           }
         }
         
-        throw new Error(errorMessage);
+        // Token expirado: renovar a sessão e repetir a requisição uma vez
+        if (this.shouldRefreshSession(response.status, errorData, endpoint, options)) {
+          const refreshed = await this.refreshHandler();
+          if (refreshed) {
+            return this.request(endpoint, { ...options, isRetry: true });
+          }
+        }
+        
+        const apiError = new Error(errorMessage);
+        apiError.status = response.status;
+        apiError.data = errorData;
+        throw apiError;
+      }
+
+      // Arquivos (imagens, PDF) são devolvidos como Blob
+      if (responseType === 'blob') {
+        console.log(`✅ API Success (arquivo): ${options.method || 'GET'} ${endpoint}`);
+        return response.blob();
       }
 
       const contentType = response.headers.get('content-type');
@@ -112,7 +172,9 @@ class ApiService {
     } catch (error) {
       if (error.name === 'TypeError') {
         console.error('❌ Network Error:', error);
-        throw new Error(ERROR_MESSAGES.NETWORK_ERROR);
+        const networkError = new Error(ERROR_MESSAGES.NETWORK_ERROR);
+        networkError.code = 'NETWORK_ERROR';
+        throw networkError;
       }
       console.error('❌ API Request Error:', error);
       throw error;
@@ -125,24 +187,34 @@ class ApiService {
     return this.request(url, { method: 'GET' });
   }
 
-  post(endpoint, data = {}) {
+  post(endpoint, data = {}, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
-  patch(endpoint, data = {}) {
+  patch(endpoint, data = {}, options = {}) {
     return this.request(endpoint, {
+      ...options,
       method: 'PATCH',
       body: JSON.stringify(data),
     });
   }
 
-  delete(endpoint, params = {}) {
+  put(endpoint, data = {}, options = {}) {
+    return this.request(endpoint, {
+      ...options,
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  delete(endpoint, params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const url = queryString ? `${endpoint}?${queryString}` : endpoint;
-    return this.request(url, { method: 'DELETE' });
+    return this.request(url, { ...options, method: 'DELETE' });
   }
 
   // Métodos de autenticação
@@ -158,12 +230,51 @@ class ApiService {
     return this.post('/api/auth/logout');
   }
 
+  async refreshSession(refreshToken) {
+    return this.post('/api/auth/refresh', { refreshToken });
+  }
+
   async getCurrentUser() {
     return this.get('/api/auth/me');
   }
 
-  async getMyPanels() {
-    return this.get('/api/auth/my-panels');
+  async updateProfile(profileData) {
+    return this.patch('/api/auth/me', profileData);
+  }
+
+  async changePassword(currentPassword, newPassword) {
+    return this.post('/api/auth/change-password', { currentPassword, newPassword });
+  }
+
+  async exportMyData() {
+    return this.get('/api/auth/me/export');
+  }
+
+  async deleteAccount(password) {
+    return this.request('/api/auth/me', {
+      method: 'DELETE',
+      body: JSON.stringify({ password }),
+    });
+  }
+
+  async forgotPassword(email) {
+    return this.post('/api/auth/forgot-password', { email });
+  }
+
+  async resetPassword(token, password) {
+    return this.post('/api/auth/reset-password', { token, password });
+  }
+
+  async verifyEmail(token) {
+    return this.post('/api/auth/verify-email', { token });
+  }
+
+  async resendVerification() {
+    return this.post('/api/auth/resend-verification');
+  }
+
+  async getMyPanels({ includeArchived = false } = {}) {
+    return this.get('/api/auth/my-panels', includeArchived ? { include: 'archived' } : {});
   }
 
   async leavePanel(panelId) {
@@ -171,6 +282,29 @@ class ApiService {
     return this.delete(`/api/panels/${panelId}/leave`);
   }
 
+  async getPanelParticipants(panelId) {
+    return this.get(`/api/panels/${panelId}/participants`);
+  }
+
+  async updateParticipantRole(panelId, userId, role) {
+    return this.patch(`/api/panels/${panelId}/participants/${userId}/role`, { role });
+  }
+
+  async removeParticipant(panelId, userId, { ban = false, reason } = {}) {
+    return this.delete(`/api/users/${panelId}/participants/${userId}`, {
+      ...(ban && { ban: 'true' }),
+      ...(reason && { reason })
+    });
+  }
+
+  async getPanelBans(panelId) {
+    return this.get(`/api/users/${panelId}/bans`);
+  }
+
+  async unbanUser(panelId, userId) {
+    return this.delete(`/api/users/${panelId}/bans/${userId}`);
+  }
+
   // Métodos específicos da aplicação
   async checkPanelRequiresPassword(code) {
     const data = await this.get(`/api/panels/${code}/check`);
@@ -217,11 +351,104 @@ class ApiService {
     }
   }
 
-  async getPanelPosts(panelId) {
-    return this.get(`/api/panels/${panelId}/posts`);
+  // Convites por token
+  async acceptInvite(token) {
+    if (!token || !/^[a-f0-9]{64}$/i.test(token)) {
+      throw new Error('Convite inválido');
+    }
+
+    try {
+      const panel = await this.post(`/api/panels/invite/${token}`);
+      console.log('✅ Painel acessado via convite:', panel.name);
+      return panel;
+    } catch (error) {
+      console.error('❌ Erro ao aceitar convite:', error);
+
+      if (error.message.includes('não encontrado')) {
+        throw new Error('Convite inválido ou painel não encontrado');
+      } else if (error.message.includes('expirado')) {
+        throw new Error('Este convite expirou ou foi revogado. Peça um novo link.');
+      } else if (error.message.includes('lotado')) {
+        throw new Error('Mural está lotado no momento. Tente novamente mais tarde.');
+      }
+
+      throw error;
+    }
+  }
+
+  async createInvite(panelId, { expiresInHours = null, maxUses = null } = {}) {
+    return this.post(`/api/panels/${panelId}/invites`, {
+      expires_in_hours: expiresInHours,
+      max_uses: maxUses
+    });
+  }
+
+  async getInvites(panelId) {
+    return this.get(`/api/panels/${panelId}/invites`);
+  }
+
+  async revokeInvite(panelId, inviteId) {
+    return this.delete(`/api/panels/${panelId}/invites/${inviteId}`);
+  }
+
+  async exportPanel(panelId) {
+    return this.get(`/api/panels/${panelId}/export`);
+  }
+
+  async getPanelSnapshot(panelId, format) {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const params = new URLSearchParams({ format, ...(timeZone && { tz: timeZone }) });
+    return this.request(`/api/panels/${panelId}/snapshot?${params}`, { method: 'GET', responseType: 'blob' });
+  }
+
+  async importPanel(archive) {
+    return this.post('/api/panels/import', archive);
+  }
+
+  async updatePanel(panelId, settings) {
+    return this.patch(`/api/panels/${panelId}`, settings);
+  }
+
+  async restorePanel(panelId) {
+    return this.post(`/api/panels/${panelId}/restore`);
+  }
+
+  async getPanelRetention(panelId) {
+    return this.get(`/api/panels/${panelId}/retention`);
+  }
+
+  async updatePanelRetention(panelId, { policy, days = null }) {
+    return this.patch(`/api/panels/${panelId}/retention`, { policy, days });
+  }
+
+  // labelIds: apenas notas com essas etiquetas (labelMatch 'any': qualquer uma; 'all': todas)
+  async getPanelPosts(panelId, { labelIds = [], labelMatch = 'any' } = {}) {
+    const params = labelIds.length > 0 ? { labels: labelIds.join(','), label_match: labelMatch } : {};
+    return this.get(`/api/panels/${panelId}/posts`, params);
+  }
+
+  // Etiquetas do painel
+  async getPanelLabels(panelId) {
+    return this.get(`/api/panels/${panelId}/labels`);
+  }
+
+  async createPanelLabel(panelId, { name, color }) {
+    return this.post(`/api/panels/${panelId}/labels`, { name: name.trim(), color });
+  }
+
+  async updatePanelLabel(panelId, labelId, changes) {
+    return this.patch(`/api/panels/${panelId}/labels/${labelId}`, changes);
+  }
+
+  async deletePanelLabel(panelId, labelId) {
+    return this.delete(`/api/panels/${panelId}/labels/${labelId}`);
   }
 
-async createPost(panelId, postData) {
+  async markPostsSeen(panelId, postIds) {
+    return this.post(`/api/panels/${panelId}/posts/seen`, { post_ids: postIds });
+  }
+
+async createPost(panelId, postData, { idempotencyKey = createUuid() } = {}) {
     console.log('📡 API createPost - Recebendo dados:', {
       panelId,
       postData
@@ -242,6 +469,8 @@ async createPost(panelId, postData) {
     
     // Estruturar payload conforme esperado pelo backend
     const payload = {
+      // ID gerado no cliente: reenviar a mesma nota não cria duplicatas
+      ...(postData.id && { id: postData.id }),
       content: postData.content.trim(),
       anonymous: Boolean(postData.anonymous),
       // Só incluir cor se fornecida e válida
@@ -254,7 +483,7 @@ async createPost(panelId, postData) {
     console.log('📡 API createPost - Payload final:', payload);
     
     try {
-      const result = await this.post(`/api/panels/${panelId}/posts`, payload);
+      const result = await this.post(`/api/panels/${panelId}/posts`, payload, { idempotencyKey });
       console.log('✅ API createPost - Sucesso:', result);
       return result;
     } catch (error) {
@@ -267,7 +496,7 @@ async createPost(panelId, postData) {
     }
   }
 
- async updatePostPosition(postId, positionData) {
+ async updatePostPosition(postId, positionData, { idempotencyKey = createUuid() } = {}) {
     console.log('📡 API updatePostPosition - Recebendo dados:', {
       postId,
       positionData
@@ -294,13 +523,15 @@ async createPost(panelId, postData) {
     const payload = {
       position_x: Math.round(Math.max(0, Math.min(2000, positionData.position_x))),
       position_y: Math.round(Math.max(0, Math.min(1500, positionData.position_y))),
-      panel_id: positionData.panel_id.toUpperCase()
+      panel_id: positionData.panel_id.toUpperCase(),
+      // Movimentos feitos offline: versão da nota que o usuário via
+      ...(positionData.base_updated_at && { base_updated_at: positionData.base_updated_at })
     };
     
     console.log('📡 API updatePostPosition - Payload final:', payload);
     
     try {
-      const result = await this.patch(`/api/posts/${postId}/position`, payload);
+      const result = await this.patch(`/api/posts/${postId}/position`, payload, { idempotencyKey });
       console.log('✅ API updatePostPosition - Sucesso:', result);
       return result;
     } catch (error) {
@@ -313,8 +544,90 @@ async createPost(panelId, postData) {
     }
   }
 
-  async deletePost(postId, params) {
-    return this.delete(`/api/posts/${postId}`, params);
+  async updatePost(postId, postData) {
+    if (!postId || typeof postId !== 'string') {
+      throw new Error('ID do post inválido');
+    }
+
+    if (!postData.panel_id || typeof postData.panel_id !== 'string' || postData.panel_id.length !== 6) {
+      throw new Error('ID do painel inválido');
+    }
+
+    if (postData.content !== undefined) {
+      if (typeof postData.content !== 'string' || postData.content.trim().length === 0) {
+        throw new Error('Conteúdo é obrigatório');
+      }
+
+      if (postData.content.length > 1000) {
+        throw new Error('Conteúdo muito longo (máximo 1000 caracteres)');
+      }
+    }
+
+    const payload = {
+      panel_id: postData.panel_id.toUpperCase(),
+      ...(postData.content !== undefined && { content: postData.content.trim() }),
+      ...(postData.color && /^#[0-9A-Fa-f]{6}$/.test(postData.color) && { color: postData.color })
+    };
+
+    return this.patch(`/api/posts/${postId}`, payload);
+  }
+
+  async getPostRevisions(postId) {
+    return this.get(`/api/posts/${postId}/revisions`);
+  }
+
+  async restorePostRevision(postId, revisionId) {
+    return this.post(`/api/posts/${postId}/revisions/${revisionId}/restore`);
+  }
+
+  async deletePost(postId, params, { idempotencyKey = createUuid() } = {}) {
+    return this.delete(`/api/posts/${postId}`, params, { idempotencyKey });
+  }
+
+  async addPostReaction(postId, emoji) {
+    return this.post(`/api/posts/${postId}/reactions`, { emoji });
+  }
+
+  async removePostReaction(postId, emoji) {
+    return this.delete(`/api/posts/${postId}/reactions`, { emoji });
+  }
+
+  async setPostLabels(postId, labelIds) {
+    return this.put(`/api/posts/${postId}/labels`, { label_ids: labelIds });
+  }
+
+  async getPostComments(postId) {
+    return this.get(`/api/posts/${postId}/comments`);
+  }
+
+  async createPostComment(postId, { content, anonymous = false }) {
+    return this.post(`/api/posts/${postId}/comments`, { content: content.trim(), anonymous: Boolean(anonymous) });
+  }
+
+  async updatePostComment(postId, commentId, content) {
+    return this.patch(`/api/posts/${postId}/comments/${commentId}`, { content: content.trim() });
+  }
+
+  async deletePostComment(postId, commentId) {
+    return this.delete(`/api/posts/${postId}/comments/${commentId}`);
+  }
+
+  // Busca nas notas dos murais do usuário
+  async searchPosts(query, { limit = 20 } = {}) {
+    return this.get('/api/search', { q: query, limit });
+  }
+
+  // Central de notificações (menções)
+  async getNotifications({ unreadOnly = false } = {}) {
+    return this.get('/api/notifications', unreadOnly ? { unread_only: 'true' } : {});
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.patch(`/api/notifications/${notificationId}/read`);
+  }
+
+  async markAllNotificationsRead() {
+    return this.post('/api/notifications/read-all');
   }
 
   // Método para limpar rate limiting (útil para testes)
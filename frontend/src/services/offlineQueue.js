@@ -0,0 +1,142 @@
+// Fila offline das notas (criar, mover, excluir) guardada no IndexedDB.
+// As operações são reenviadas em ordem quando a conexão volta; cada nota
+// criada offline já nasce com o ID definitivo, gerado no cliente.
+
+const DB_NAME = 'stickly-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'post-operations';
+
+export const isNetworkError = (error) => error?.code === 'NETWORK_ERROR';
+
+// Aplica as operações pendentes sobre a lista de notas vinda do servidor
+export const applyPendingOperations = (posts, operations) => operations.reduce((current, operation) => {
+  switch (operation.type) {
+    case 'create':
+      if (current.some(post => post.id === operation.postId)) return current;
+      return [{
+        id: operation.postId,
+        panel_id: operation.panelId,
+        content: operation.payload.content,
+        color: operation.payload.color,
+        position_x: operation.payload.position_x,
+        position_y: operation.payload.position_y,
+        author_name: operation.payload.anonymous ? null : operation.authorName,
+        author_user_id: operation.userId,
+        created_at: operation.createdAt,
+        updated_at: operation.createdAt
+      }, ...current];
+    case 'move':
+      return current.map(post => post.id === operation.postId
+        ? { ...post, position_x: operation.payload.position_x, position_y: operation.payload.position_y }
+        : post);
+    case 'delete':
+      return current.filter(post => post.id !== operation.postId);
+    default:
+      return current;
+  }
+}, posts);
+
+class OfflineQueue {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+          store.createIndex('owner', ['userId', 'panelId']);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Executa callback(store) em uma transação e resolve quando ela é concluída
+  async runTransaction(mode, callback) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const store = transaction.objectStore(STORE_NAME);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+
+      Promise.resolve(callback(store)).then(value => { result = value; }, reject);
+    });
+  }
+
+  // Lê todas as operações (em ordem de inclusão) do usuário naquele mural
+  readOperations(store, userId, panelId) {
+    return new Promise((resolve, reject) => {
+      const request = store.index('owner').getAll([userId, panelId]);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.seq - b.seq));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getOperations(userId, panelId) {
+    if (!this.isSupported()) return [];
+    return this.runTransaction('readonly', store => this.readOperations(store, userId, panelId));
+  }
+
+  /**
+   * Guarda a operação, combinando com as pendentes da mesma nota:
+   * - mover uma nota criada offline só atualiza a posição da criação
+   * - vários movimentos viram um só (o último)
+   * - excluir uma nota criada offline descarta tudo (nada chega ao servidor)
+   */
+  async enqueue(operation) {
+    if (!this.isSupported()) {
+      throw new Error('Seu navegador não permite guardar alterações offline.');
+    }
+
+    const { userId, panelId, postId } = operation;
+
+    return this.runTransaction('readwrite', async (store) => {
+      const pending = (await this.readOperations(store, userId, panelId))
+        .filter(existing => existing.postId === postId);
+      const pendingCreate = pending.find(existing => existing.type === 'create');
+      const pendingMove = pending.find(existing => existing.type === 'move');
+
+      // A requisição combinada é outra: usa a Idempotency-Key da operação nova
+      if (operation.type === 'move' && (pendingCreate || pendingMove)) {
+        const target = pendingCreate || pendingMove;
+        store.put({
+          ...target,
+          payload: { ...target.payload, ...operation.payload },
+          idempotencyKey: operation.idempotencyKey
+        });
+        return;
+      }
+
+      if (operation.type === 'delete') {
+        pending.forEach(existing => store.delete(existing.seq));
+        if (pendingCreate) return;
+      }
+
+      store.add({ ...operation, queuedAt: new Date().toISOString() });
+    });
+  }
+
+  async remove(seq) {
+    return this.runTransaction('readwrite', store => { store.delete(seq); });
+  }
+}
+
+export const offlineQueue = new OfflineQueue();